@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+const EventEmitter = require('events');
+const path = require('path');
+const crypto = require('crypto');
+const DailyConsumptionCalculator = require('./daily_consumption_calculator');
+const timezone = require('./timezone');
+const { createStorage } = require('./storage');
+
+/**
+ * Anomaly Detector
+ * Flags suspicious meter behaviour: register rollback, sudden jumps, a grid register
+ * that stops moving while the grid is online, grid consumption during an outage and
+ * days far from their rolling baseline. Anomalies are stored in the `anomalies` table
+ * and emitted as 'anomaly' events: detector.on('anomaly', anomaly => ...)
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const ROLLBACK_TOLERANCE_KWH = 0.01; // Register rounding on the portal
+const OUTAGE_CONSUMPTION_MIN_KWH = 0.05;
+
+class AnomalyDetector extends EventEmitter {
+  constructor(dbPath = null, storage = null) {
+    super();
+    this.dbPath = dbPath || path.join(__dirname, 'power_data.db');
+    this.storage = storage || createStorage({ dbPath: this.dbPath });
+    this.ownsStorage = !storage;
+    this.dailyCalculator = new DailyConsumptionCalculator(this.dbPath, this.storage);
+    // Readings implying more than this load (kWh per hour) are jumps
+    this.maxKw = parseFloat(process.env.ANOMALY_MAX_KW) || 10;
+    // A grid register unchanged this long while the grid is online is flatlining
+    this.flatlineHours = parseFloat(process.env.ANOMALY_FLATLINE_HOURS) || 6;
+    this.baselineDays = parseInt(process.env.ANOMALY_BASELINE_DAYS) || 14;
+    this.baselineSigma = parseFloat(process.env.ANOMALY_BASELINE_SIGMA) || 3;
+  }
+
+  // Connect to storage (the anomalies table comes from the migrations or the PostgreSQL schema)
+  async initDatabase() {
+    await this.storage.init();
+  }
+
+  async query(sql, params = []) {
+    return this.storage.query(sql, params);
+  }
+
+  // Store an anomaly once (keyed by meter, source, type and when it happened) and emit it if new
+  async record(anomaly) {
+    const fingerprint = crypto.createHash('md5')
+      .update(`${anomaly.meterId}_${anomaly.source}_${anomaly.type}_${anomaly.timestamp}`)
+      .digest('hex');
+    const stored = {
+      ...anomaly,
+      value: anomaly.value === undefined ? null : anomaly.value,
+      expected: anomaly.expected === undefined ? null : anomaly.expected,
+      details: anomaly.details || {},
+      detectedAt: new Date().toISOString()
+    };
+
+    const { changes } = await this.storage.execute(`
+      INSERT INTO anomalies (
+        meter_id, source, type, severity, timestamp, value, expected, message, details, fingerprint, detected_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `, [
+      stored.meterId, stored.source, stored.type, stored.severity, stored.timestamp,
+      stored.value, stored.expected, stored.message, JSON.stringify(stored.details), fingerprint, stored.detectedAt
+    ]);
+    const inserted = changes > 0;
+
+    if (!inserted) return null;
+
+    console.log(`🚨 Anomaly (${stored.type}, ${stored.meterId}/${stored.source}): ${stored.message}`);
+    // A failing subscriber mustn't stop detection or the monitoring cycle
+    try {
+      this.emit('anomaly', stored);
+    } catch (error) {
+      console.error('❌ Anomaly subscriber failed:', error.message);
+    }
+    return stored;
+  }
+
+  // Meter readings since a time plus the one before it, oldest first
+  async getReadings(meterId, source, since) {
+    const rows = await this.query(`
+      SELECT consumption_value AS value, timestamp FROM (
+        SELECT consumption_value, timestamp FROM power_data
+        WHERE category = 'meter_reading' AND source = ? AND meter_id = ? AND consumption_value IS NOT NULL AND timestamp < ?
+        ORDER BY timestamp DESC LIMIT 1
+      ) previous
+      UNION ALL
+      SELECT consumption_value AS value, timestamp FROM power_data
+      WHERE category = 'meter_reading' AND source = ? AND meter_id = ? AND consumption_value IS NOT NULL AND timestamp >= ?
+      ORDER BY timestamp ASC
+    `, [source, meterId, since.toISOString(), source, meterId, since.toISOString()]);
+
+    // Several rules can report the same register in one cycle
+    return rows.filter((row, index) => index === 0 || row.timestamp !== rows[index - 1].timestamp);
+  }
+
+  async getAvailability(meterId, source, since) {
+    return this.query(`
+      SELECT status, timestamp FROM power_data
+      WHERE category = 'availability' AND source = ? AND meter_id = ? AND timestamp >= ?
+      ORDER BY timestamp ASC
+    `, [source, meterId, since.toISOString()]);
+  }
+
+  // Availability readings in [from, to], inclusive at both ends
+  statusesBetween(availability, from, to) {
+    return availability
+      .filter(reading => reading.timestamp >= from && reading.timestamp <= to)
+      .map(reading => reading.status);
+  }
+
+  // Check recent readings after a monitoring cycle; returns the new anomalies
+  async checkReadings(meterId = 'default') {
+    const since = new Date(Date.now() - (this.flatlineHours + 1) * HOUR_MS);
+    const gridAvailability = await this.getAvailability(meterId, 'grid', since);
+    const found = [];
+
+    for (const source of ['grid', 'dg']) {
+      const readings = await this.getReadings(meterId, source, since);
+
+      for (let i = 1; i < readings.length; i++) {
+        const previous = readings[i - 1];
+        const current = readings[i];
+        const delta = current.value - previous.value;
+        const hours = Math.max((new Date(current.timestamp) - new Date(previous.timestamp)) / HOUR_MS, 1 / 60);
+
+        if (delta < -ROLLBACK_TOLERANCE_KWH) {
+          found.push(await this.record({
+            meterId, source,
+            type: 'register_rollback',
+            severity: 'critical',
+            timestamp: current.timestamp,
+            value: current.value,
+            expected: previous.value,
+            message: `${source.toUpperCase()} register went backwards from ${previous.value} to ${current.value} kWh`,
+            details: { previousTimestamp: previous.timestamp, deltaKwh: delta }
+          }));
+        } else if (delta >= 1 && delta / hours > this.maxKw) {
+          found.push(await this.record({
+            meterId, source,
+            type: 'sudden_jump',
+            severity: 'warning',
+            timestamp: current.timestamp,
+            value: delta,
+            expected: this.maxKw * hours,
+            message: `${source.toUpperCase()} register jumped ${delta.toFixed(2)} kWh in ${(hours * 60).toFixed(0)} min (${(delta / hours).toFixed(1)} kW average, limit ${this.maxKw} kW)`,
+            details: { from: previous.value, to: current.value, previousTimestamp: previous.timestamp }
+          }));
+        } else if (source === 'grid' && delta > OUTAGE_CONSUMPTION_MIN_KWH) {
+          const statuses = this.statusesBetween(gridAvailability, previous.timestamp, current.timestamp);
+          if (statuses.length > 0 && statuses.every(status => status === 'offline')) {
+            found.push(await this.record({
+              meterId, source,
+              type: 'consumption_during_outage',
+              severity: 'warning',
+              timestamp: current.timestamp,
+              value: delta,
+              expected: 0,
+              message: `Grid register advanced ${delta.toFixed(2)} kWh while the grid was offline`,
+              details: { from: previous.value, to: current.value, previousTimestamp: previous.timestamp }
+            }));
+          }
+        }
+      }
+
+      if (source === 'grid' && readings.length > 1) {
+        found.push(await this.checkFlatline(meterId, readings, gridAvailability));
+      }
+    }
+
+    return found.filter(Boolean);
+  }
+
+  // Grid register stuck on one value for flatlineHours while every availability reading says online
+  async checkFlatline(meterId, readings, gridAvailability) {
+    const latest = readings[readings.length - 1];
+    let first = latest;
+    for (let i = readings.length - 2; i >= 0 && readings[i].value === latest.value; i--) {
+      first = readings[i];
+    }
+
+    const hours = (new Date(latest.timestamp) - new Date(first.timestamp)) / HOUR_MS;
+    if (hours < this.flatlineHours) return null;
+
+    const statuses = this.statusesBetween(gridAvailability, first.timestamp, latest.timestamp);
+    if (statuses.length === 0 || statuses.some(status => status !== 'online')) return null;
+
+    // Keyed by where the flat stretch began, so it's reported once however long it lasts
+    return this.record({
+      meterId,
+      source: 'grid',
+      type: 'flatline',
+      severity: 'warning',
+      timestamp: first.timestamp,
+      value: latest.value,
+      message: `Grid register stuck at ${latest.value} kWh for ${hours.toFixed(1)} hours while the grid was online`,
+      details: { until: latest.timestamp, hours: Math.round(hours * 10) / 10 }
+    });
+  }
+
+  // Compare a completed day's consumption with the mean of the days before it
+  async checkDay(meterId = 'default', dateStr = null, source = 'grid') {
+    const date = dateStr || timezone.daysAgo(1);
+    const rows = (await this.dailyCalculator.getDailyConsumptions(timezone.addDays(date, -this.baselineDays), date, meterId, source))
+      .filter(row => row.calculated_consumption !== null);
+    const day = rows.find(row => row.date === date);
+    const baseline = rows.filter(row => row.date < date).map(row => row.calculated_consumption);
+
+    // Too little history for a meaningful baseline
+    if (!day || baseline.length < Math.min(7, this.baselineDays)) return null;
+
+    const mean = baseline.reduce((sum, value) => sum + value, 0) / baseline.length;
+    const stdDev = Math.sqrt(baseline.reduce((sum, value) => sum + (value - mean) ** 2, 0) / baseline.length);
+    const deviation = day.calculated_consumption - mean;
+
+    // Very steady baselines have a tiny spread, so also require a 30% change
+    if (Math.abs(deviation) <= this.baselineSigma * stdDev || Math.abs(deviation) <= 0.3 * mean) return null;
+
+    return this.record({
+      meterId,
+      source,
+      type: 'baseline_deviation',
+      severity: 'info',
+      timestamp: timezone.getMidnight(date).toISOString(),
+      value: day.calculated_consumption,
+      expected: Math.round(mean * 100) / 100,
+      message: `${date} used ${day.calculated_consumption.toFixed(2)} kWh, ${deviation > 0 ? 'above' : 'below'} the ${baseline.length}-day average of ${mean.toFixed(2)} kWh`,
+      details: { date, stdDev: Math.round(stdDev * 100) / 100, sigma: stdDev > 0 ? Math.round(Math.abs(deviation) / stdDev * 10) / 10 : null }
+    });
+  }
+
+  // Stored anomalies, newest first
+  async getAnomalies({ meterId = null, days = 7, type = null, limit = 100 } = {}) {
+    let sql = 'SELECT * FROM anomalies WHERE timestamp >= ?';
+    const params = [new Date(Date.now() - days * 24 * HOUR_MS).toISOString()];
+    if (meterId) {
+      sql += ' AND meter_id = ?';
+      params.push(meterId);
+    }
+    if (type) {
+      sql += ' AND type = ?';
+      params.push(type);
+    }
+    sql += ' ORDER BY timestamp DESC LIMIT ?';
+    params.push(limit);
+
+    const rows = await this.query(sql, params);
+    return rows.map(row => {
+      let details = {};
+      try {
+        details = JSON.parse(row.details || '{}');
+      } catch (e) {}
+      return {
+        id: row.id,
+        meterId: row.meter_id,
+        source: row.source,
+        type: row.type,
+        severity: row.severity,
+        timestamp: row.timestamp,
+        value: row.value,
+        expected: row.expected,
+        message: row.message,
+        details,
+        detectedAt: row.detected_at
+      };
+    });
+  }
+
+  // Close storage if this detector opened it
+  async close() {
+    await this.dailyCalculator.close();
+    if (this.ownsStorage) {
+      await this.storage.close();
+    }
+  }
+}
+
+module.exports = AnomalyDetector;
+
+// Command line usage
+if (require.main === module) {
+  const meterFlag = process.argv.find(arg => arg.startsWith('--meter='));
+  const meterId = meterFlag ? meterFlag.split('=')[1] : (process.env.METER_ID || 'default');
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const detector = new AnomalyDetector();
+
+  async function main() {
+    try {
+      switch (args[0]) {
+        case 'check': {
+          const found = await detector.checkReadings(meterId);
+          const day = await detector.checkDay(meterId, args[1] || null);
+          console.log(`✅ ${found.length + (day ? 1 : 0)} new anomalies for ${meterId}`);
+          break;
+        }
+
+        case 'list':
+        case undefined: {
+          const days = parseInt(args[1]) || 7;
+          const anomalies = await detector.getAnomalies({ meterId, days });
+          console.log(`\n🚨 Anomalies for ${meterId} (last ${days} days):`);
+          if (anomalies.length === 0) console.log('   None');
+          anomalies.forEach(anomaly => {
+            console.log(`   ${new Date(anomaly.timestamp).toLocaleString()} [${anomaly.severity}] ${anomaly.type} (${anomaly.source}): ${anomaly.message}`);
+          });
+          break;
+        }
+
+        default:
+          console.log(`
+🚨 Anomaly Detector
+
+Usage:
+  node anomaly_detector.js list [days] [--meter=<id>]    # Stored anomalies (default: last 7 days)
+  node anomaly_detector.js check [date] [--meter=<id>]   # Check recent readings and a day (default: yesterday)
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+    } finally {
+      await detector.close();
+    }
+  }
+
+  main();
+}
@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const crypto = require('crypto');
+const { openDatabase } = require('./database');
+
+/**
+ * Authentication
+ * Local users with scrypt-hashed passwords, cookie sessions for the dashboard and
+ * bearer API tokens (optionally expiring) for scripts, all stored in SQLite. Roles: viewer
+ * (read-only) and admin. Only hashes of session and API tokens are stored. Failed logins are
+ * counted per client IP in memory, and an IP with too many is refused until a quiet period passes.
+ */
+
+const ROLES = ['viewer', 'admin'];
+const SESSION_COOKIE = 'uppcl_session';
+const TOKEN_PREFIX = 'uppcl_';
+const SCRYPT_KEYLEN = 64;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AuthService {
+  constructor(dbPath = null) {
+    this.dbPath = dbPath || path.join(__dirname, 'power_data.db');
+    this.db = null;
+    this.sessionTtlHours = parseFloat(process.env.SESSION_TTL_HOURS) || 168;
+    this.secureCookies = process.env.COOKIE_SECURE === 'true';
+    this.loginMaxFailures = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+    this.loginLockoutMinutes = parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+    this.loginFailures = new Map(); // client IP -> { count, lastAt }
+  }
+
+  // Take the shared database connection (users, sessions and api_tokens come from the migrations)
+  async initDatabase() {
+    if (this.db) return;
+    this.db = await openDatabase(this.dbPath, this);
+  }
+
+  async run(sql, params = []) {
+    await this.initDatabase();
+    return this.db.run(sql, params);
+  }
+
+  async get(sql, params = []) {
+    await this.initDatabase();
+    return (await this.db.get(sql, params)) || null;
+  }
+
+  async all(sql, params = []) {
+    await this.initDatabase();
+    return this.db.all(sql, params);
+  }
+
+  // scrypt$<salt>$<hash>, both hex
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await new Promise((resolve, reject) => {
+      crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => {
+        if (err) reject(err);
+        else resolve(key);
+      });
+    });
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await new Promise((resolve, reject) => {
+      crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, (err, key) => {
+        if (err) reject(err);
+        else resolve(key);
+      });
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}" (use ${ROLES.join(' or ')})`);
+    }
+  }
+
+  async countUsers() {
+    const row = await this.get('SELECT COUNT(*) AS count FROM users');
+    return row.count;
+  }
+
+  async createUser(username, password, role = 'viewer') {
+    this.validateRole(role);
+    if (!username || !password || password.length < 8) {
+      throw new Error('A username and a password of at least 8 characters are required');
+    }
+    if (await this.get('SELECT id FROM users WHERE username = ?', [username])) {
+      throw new Error(`User "${username}" already exists`);
+    }
+
+    await this.run('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)', [username, await this.hashPassword(password), role]);
+    return { username, role };
+  }
+
+  // Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when there are no users yet
+  async bootstrapAdmin() {
+    if (await this.countUsers() > 0) return null;
+
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!username || !password) {
+      console.warn('⚠️  No dashboard users yet - set ADMIN_USERNAME/ADMIN_PASSWORD or run: node auth.js add-user <username> <password> admin');
+      return null;
+    }
+
+    const user = await this.createUser(username, password, 'admin');
+    console.log(`👤 Created admin user "${username}"`);
+    return user;
+  }
+
+  async setPassword(username, password) {
+    if (!password || password.length < 8) {
+      throw new Error('Passwords need at least 8 characters');
+    }
+    const user = await this.getUser(username);
+    await this.run('UPDATE users SET password_hash = ? WHERE id = ?', [await this.hashPassword(password), user.id]);
+    // A new password signs out existing sessions
+    await this.run('DELETE FROM sessions WHERE user_id = ?', [user.id]);
+  }
+
+  async setRole(username, role) {
+    this.validateRole(role);
+    const user = await this.getUser(username);
+    await this.run('UPDATE users SET role = ? WHERE id = ?', [role, user.id]);
+  }
+
+  async deleteUser(username) {
+    const user = await this.getUser(username);
+    await this.run('DELETE FROM sessions WHERE user_id = ?', [user.id]);
+    await this.run('DELETE FROM api_tokens WHERE user_id = ?', [user.id]);
+    await this.run('DELETE FROM users WHERE id = ?', [user.id]);
+  }
+
+  async getUser(username) {
+    const user = await this.get('SELECT id, username, role, created_at, last_login_at FROM users WHERE username = ?', [username]);
+    if (!user) throw new Error(`Unknown user "${username}"`);
+    return user;
+  }
+
+  async listUsers() {
+    return this.all('SELECT id, username, role, created_at, last_login_at FROM users ORDER BY username');
+  }
+
+  // Returns { token, user, expiresAt } or null for a wrong username/password
+  async login(username, password) {
+    const user = await this.get('SELECT * FROM users WHERE username = ?', [username || '']);
+    if (!user || !(await this.verifyPassword(password || '', user.password_hash))) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.sessionTtlHours * 60 * 60 * 1000);
+    await this.run('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)', [
+      this.hashToken(token), user.id, now.toISOString(), expiresAt.toISOString()
+    ]);
+    await this.run('UPDATE users SET last_login_at = ? WHERE id = ?', [now.toISOString(), user.id]);
+    await this.run('DELETE FROM sessions WHERE expires_at < ?', [now.toISOString()]);
+
+    return { token, user: { id: user.id, username: user.username, role: user.role }, expiresAt: expiresAt.toISOString() };
+  }
+
+  // Seconds until an IP may try to log in again; 0 when it isn't locked out
+  getLoginRetryAfter(ip) {
+    const failures = this.loginFailures.get(ip);
+    if (!failures || failures.count < this.loginMaxFailures) return 0;
+    const remaining = failures.lastAt + this.loginLockoutMinutes * 60 * 1000 - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+  }
+
+  // Each failure restarts the lockout period; entries older than it are forgotten
+  recordLoginFailure(ip) {
+    const now = Date.now();
+    const expiry = this.loginLockoutMinutes * 60 * 1000;
+    for (const [key, failures] of this.loginFailures) {
+      if (now - failures.lastAt >= expiry) this.loginFailures.delete(key);
+    }
+
+    const failures = this.loginFailures.get(ip) || { count: 0, lastAt: now };
+    failures.count++;
+    failures.lastAt = now;
+    this.loginFailures.set(ip, failures);
+    if (failures.count === this.loginMaxFailures) {
+      console.warn(`⚠️  ${failures.count} failed logins from ${ip}; refusing it for ${this.loginLockoutMinutes} minutes`);
+    }
+  }
+
+  clearLoginFailures(ip) {
+    this.loginFailures.delete(ip);
+  }
+
+  async logout(token) {
+    if (token) await this.run('DELETE FROM sessions WHERE token_hash = ?', [this.hashToken(token)]);
+  }
+
+  // Returns the plain token once; only its hash is kept. Without expiresInDays it never expires.
+  async createApiToken(username, name = 'api', expiresInDays = null) {
+    const user = await this.getUser(username);
+    if (expiresInDays !== null && !(Number(expiresInDays) > 0)) {
+      throw new Error('Token expiry must be a positive number of days');
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const now = new Date();
+    const expiresAt = expiresInDays !== null ? new Date(now.getTime() + Number(expiresInDays) * DAY_MS).toISOString() : null;
+    const { lastID } = await this.run('INSERT INTO api_tokens (user_id, name, token_hash, created_at, expires_at) VALUES (?, ?, ?, ?, ?)', [
+      user.id, name, this.hashToken(token), now.toISOString(), expiresAt
+    ]);
+    return { id: lastID, name, token, username: user.username, role: user.role, expiresAt };
+  }
+
+  async listApiTokens(username = null) {
+    let sql = `
+      SELECT api_tokens.id, api_tokens.name, api_tokens.created_at, api_tokens.last_used_at, api_tokens.expires_at,
+        users.username, users.role
+      FROM api_tokens JOIN users ON users.id = api_tokens.user_id
+    `;
+    const params = [];
+    if (username) {
+      sql += ' WHERE users.username = ?';
+      params.push(username);
+    }
+    return this.all(sql + ' ORDER BY api_tokens.id', params);
+  }
+
+  // Revoke a token; non-admins may only revoke their own
+  async revokeApiToken(id, user = null) {
+    const params = [id];
+    let sql = 'DELETE FROM api_tokens WHERE id = ?';
+    if (user && user.role !== 'admin') {
+      sql += ' AND user_id = ?';
+      params.push(user.id);
+    }
+    const { changes } = await this.run(sql, params);
+    return changes > 0;
+  }
+
+  // Session cookie or `Authorization: Bearer <session or API token>` -> { id, username, role, via } or null
+  async authenticate(req) {
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.substring(7).trim() : null;
+    const token = bearer || this.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!token) return null;
+
+    const tokenHash = this.hashToken(token);
+    if (token.startsWith(TOKEN_PREFIX)) {
+      const row = await this.get(`
+        SELECT api_tokens.id AS token_id, users.id, users.username, users.role
+        FROM api_tokens JOIN users ON users.id = api_tokens.user_id
+        WHERE api_tokens.token_hash = ? AND (api_tokens.expires_at IS NULL OR api_tokens.expires_at > ?)
+      `, [tokenHash, new Date().toISOString()]);
+      if (!row) return null;
+
+      await this.run('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), row.token_id]);
+      return { id: row.id, username: row.username, role: row.role, via: 'token' };
+    }
+
+    const row = await this.get(`
+      SELECT users.id, users.username, users.role
+      FROM sessions JOIN users ON users.id = sessions.user_id
+      WHERE sessions.token_hash = ? AND sessions.expires_at > ?
+    `, [tokenHash, new Date().toISOString()]);
+    return row ? { ...row, via: 'session' } : null;
+  }
+
+  parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+      const index = part.indexOf('=');
+      if (index > 0) cookies[part.substring(0, index).trim()] = decodeURIComponent(part.substring(index + 1).trim());
+    });
+    return cookies;
+  }
+
+  sessionCookie(token, expiresAt) {
+    const maxAge = token ? Math.floor((new Date(expiresAt) - Date.now()) / 1000) : 0;
+    return `${SESSION_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${this.secureCookies ? '; Secure' : ''}`;
+  }
+
+  // Express middleware: attach req.user or answer 401
+  requireAuth() {
+    return async (req, res, next) => {
+      try {
+        req.user = await this.authenticate(req);
+        if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+        next();
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    };
+  }
+
+  // Express middleware for admin-only routes (run after requireAuth)
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'admin role required' });
+      }
+      next();
+    };
+  }
+
+  async close() {
+    if (this.db) {
+      await this.db.release(this);
+      this.db = null;
+    }
+  }
+}
+
+module.exports = AuthService;
+module.exports.ROLES = ROLES;
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
+
+// Command line usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const auth = new AuthService(process.env.DB_PATH || null);
+
+  async function main() {
+    try {
+      switch (args[0]) {
+        case 'add-user': {
+          const user = await auth.createUser(args[1], args[2], args[3] || 'viewer');
+          console.log(`✅ Created ${user.role} "${user.username}"`);
+          break;
+        }
+
+        case 'passwd':
+          await auth.setPassword(args[1], args[2]);
+          console.log(`✅ Password changed for "${args[1]}" (existing sessions signed out)`);
+          break;
+
+        case 'role':
+          await auth.setRole(args[1], args[2]);
+          console.log(`✅ "${args[1]}" is now ${args[2]}`);
+          break;
+
+        case 'remove-user':
+          await auth.deleteUser(args[1]);
+          console.log(`✅ Removed "${args[1]}" with their sessions and tokens`);
+          break;
+
+        case 'users': {
+          const users = await auth.listUsers();
+          console.log(`\n👤 Users:`);
+          users.forEach(user => console.log(`   ${user.username.padEnd(20)} ${user.role.padEnd(7)} last login: ${user.last_login_at || 'never'}`));
+          break;
+        }
+
+        case 'token': {
+          const token = await auth.createApiToken(args[1], args[2] || 'api', args[3] ? parseFloat(args[3]) : null);
+          console.log(`🔑 API token "${token.name}" for ${token.username} (${token.role}), expires ${token.expiresAt || 'never'} - shown once:\n\n   ${token.token}\n`);
+          console.log(`   curl -H "Authorization: Bearer ${token.token}" http://localhost:3000/api/status`);
+          break;
+        }
+
+        case 'tokens': {
+          const tokens = await auth.listApiTokens(args[1] || null);
+          console.log(`\n🔑 API tokens:`);
+          const now = new Date().toISOString();
+          tokens.forEach(token => {
+            const expires = !token.expires_at ? 'never' : token.expires_at <= now ? `expired ${token.expires_at}` : token.expires_at;
+            console.log(`   #${token.id} ${token.name.padEnd(16)} ${token.username} (${token.role}) last used: ${token.last_used_at || 'never'}, expires: ${expires}`);
+          });
+          break;
+        }
+
+        case 'revoke-token':
+          console.log(await auth.revokeApiToken(parseInt(args[1])) ? `✅ Revoked token #${args[1]}` : `⚠️  No token #${args[1]}`);
+          break;
+
+        default:
+          console.log(`
+🔐 Dashboard Authentication
+
+Usage:
+  node auth.js add-user <username> <password> [viewer|admin]
+  node auth.js passwd <username> <password>
+  node auth.js role <username> <viewer|admin>
+  node auth.js remove-user <username>
+  node auth.js users
+  node auth.js token <username> [name] [days] # Create an API token for scripts, expiring after [days]
+  node auth.js tokens [username]
+  node auth.js revoke-token <id>
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+      process.exitCode = 1;
+    } finally {
+      await auth.close();
+    }
+  }
+
+  main();
+}
@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const crypto = require('crypto');
+const DailyConsumptionCalculator = require('./daily_consumption_calculator');
+const TariffCalculator = require('./tariff_calculator');
+const timezone = require('./timezone');
+const { createStorage } = require('./storage');
+
+/**
+ * Balance Forecaster
+ * Estimates the prepaid balance burn rate, predicts when it hits zero
+ * and records recharges (positive balance jumps) as grid events
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BalanceForecaster {
+  constructor(dbPath = null, storage = null) {
+    this.dbPath = dbPath || path.join(__dirname, 'power_data.db');
+    // The monitor and dashboard pass their storage; standalone use opens the configured backend
+    this.storage = storage || createStorage({ dbPath: this.dbPath });
+    this.ownsStorage = !storage;
+    this.dailyCalculator = new DailyConsumptionCalculator(this.dbPath, this.storage);
+    this.tariffCalculator = new TariffCalculator(this.dbPath, null, this.storage);
+    this.rechargeMinAmount = parseFloat(process.env.RECHARGE_MIN_AMOUNT) || 10; // Rs - smaller rises are rounding/adjustments
+  }
+
+  // Connect to storage
+  async initDatabase() {
+    await this.storage.init();
+  }
+
+  // Balance readings since a point in time, oldest first
+  async getBalanceHistory(meterId, since) {
+    const rows = await this.storage.findRecords({
+      meterId,
+      category: 'balance',
+      source: 'grid',
+      hasValue: true,
+      start: since.toISOString(),
+      order: 'asc'
+    });
+    return rows.map(row => ({ timestamp: row.timestamp, balance: row.consumption_value }));
+  }
+
+  // Collapse repeated readings so only balance changes remain
+  getChangePoints(history) {
+    return history.filter((reading, index) => index === 0 || reading.balance !== history[index - 1].balance);
+  }
+
+  // Record positive balance jumps as recharge events (idempotent via fingerprint)
+  async detectRecharges(meterId = 'default', sinceHours = 48) {
+    const history = this.getChangePoints(await this.getBalanceHistory(meterId, new Date(Date.now() - sinceHours * 60 * 60 * 1000)));
+    let detected = 0;
+
+    for (let i = 1; i < history.length; i++) {
+      const amount = history[i].balance - history[i - 1].balance;
+      if (amount < this.rechargeMinAmount) continue;
+
+      const timestamp = history[i].timestamp;
+      const fingerprint = crypto.createHash('md5').update(`${meterId}_event_grid_recharge_${timestamp.substring(0, 16)}`).digest('hex');
+
+      const inserted = await this.storage.insertRecord({
+        meter_id: meterId,
+        timestamp,
+        category: 'event',
+        source: 'grid',
+        status: 'recharge',
+        consumption_value: amount,
+        consumption_unit: 'INR',
+        period: 'balance_change',
+        confidence: 1.0,
+        metadata: JSON.stringify({
+          context: `Recharge: Rs. ${history[i - 1].balance} → Rs. ${history[i].balance}`,
+          previousBalance: history[i - 1].balance,
+          newBalance: history[i].balance,
+          amount,
+          eventType: 'recharge'
+        }),
+        fingerprint
+      });
+
+      if (inserted) {
+        detected++;
+        console.log(`💳 Recharge detected for ${meterId}: Rs. ${amount.toFixed(2)} at ${new Date(timestamp).toLocaleString()}`);
+      }
+    }
+
+    return detected;
+  }
+
+  // Recharge events in the last N days, newest first
+  async getRecharges(meterId = 'default', days = 30) {
+    const rows = await this.storage.findRecords({
+      meterId,
+      category: 'event',
+      source: 'grid',
+      statuses: ['recharge'],
+      start: new Date(Date.now() - days * DAY_MS).toISOString()
+    });
+
+    return rows.map(row => {
+      let metadata = {};
+      try {
+        metadata = JSON.parse(row.metadata || '{}');
+      } catch (e) {}
+      return {
+        timestamp: row.timestamp,
+        amount: row.consumption_value,
+        previousBalance: metadata.previousBalance,
+        newBalance: metadata.newBalance
+      };
+    });
+  }
+
+  // Rs/day from balance drops, ignoring recharge jumps
+  calculateHistoryBurnRate(changePoints) {
+    if (changePoints.length < 2) return null;
+
+    let spent = 0;
+    for (let i = 1; i < changePoints.length; i++) {
+      const delta = changePoints[i].balance - changePoints[i - 1].balance;
+      if (delta < 0) spent += -delta;
+    }
+
+    const spanDays = (new Date(changePoints[changePoints.length - 1].timestamp) - new Date(changePoints[0].timestamp)) / DAY_MS;
+    if (spent <= 0 || spanDays < 0.25) return null; // Too little history to be meaningful
+
+    return { perDay: spent / spanDays, spanDays };
+  }
+
+  // Rs/day from recent daily grid and DG kWh priced with the tariff (includes prorated fixed charges and duty)
+  async calculateConsumptionBurnRate(meterId) {
+    const today = this.dailyCalculator.getTodayDate();
+    const startDate = timezone.daysAgo(7);
+    const rows = (await this.dailyCalculator.getDailyConsumptions(startDate, today, meterId))
+      .filter(day => day.date < today && day.calculated_consumption !== null);
+    const days = rows.filter(day => day.source === 'grid');
+
+    if (days.length === 0) return null;
+
+    // DG units are deducted from the same prepaid balance
+    const avgDailyUnits = days.reduce((sum, day) => sum + day.calculated_consumption, 0) / days.length;
+    const avgDailyDgUnits = rows.filter(day => day.source === 'dg').reduce((sum, day) => sum + day.calculated_consumption, 0) / days.length;
+    const daysInMonth = timezone.getDaysInMonth(today);
+    const monthlyBill = this.tariffCalculator.calculateBill({
+      gridUnits: avgDailyUnits * daysInMonth,
+      dgUnits: avgDailyDgUnits * daysInMonth,
+      date: today
+    });
+
+    return { perDay: monthlyBill.total / daysInMonth, avgDailyUnits, avgDailyDgUnits, daysUsed: days.length };
+  }
+
+  // Predict when the prepaid balance runs out
+  async forecast(meterId = 'default', historyDays = 7) {
+    const history = await this.getBalanceHistory(meterId, new Date(Date.now() - historyDays * DAY_MS));
+    const latest = history.length > 0 ? history[history.length - 1] : null;
+
+    if (!latest) {
+      return { meter: meterId, available: false, reason: 'No balance readings in the last ' + historyDays + ' days' };
+    }
+
+    // Drops are summed across recharges, so a top-up doesn't hide what was spent
+    const changePoints = this.getChangePoints(history);
+    const historyRate = this.calculateHistoryBurnRate(changePoints);
+    let consumptionRate = null;
+    try {
+      consumptionRate = await this.calculateConsumptionBurnRate(meterId);
+    } catch (error) {
+      console.warn(`⚠️ Consumption-based burn rate unavailable: ${error.message}`);
+    }
+
+    // Prefer what the balance itself shows once we have a day of it
+    let burnRate = null;
+    let method = null;
+    let confidence = 0;
+    if (historyRate && (historyRate.spanDays >= 1 || !consumptionRate)) {
+      burnRate = historyRate.perDay;
+      method = 'balance_history';
+      confidence = Math.min(1, 0.5 + historyRate.spanDays / 14);
+    } else if (consumptionRate) {
+      burnRate = consumptionRate.perDay;
+      method = 'consumption_tariff';
+      confidence = Math.min(0.8, 0.4 + consumptionRate.daysUsed / 14);
+    }
+
+    const recharges = await this.getRecharges(meterId, 30);
+    const result = {
+      meter: meterId,
+      available: burnRate !== null,
+      balance: latest.balance,
+      balanceTimestamp: latest.timestamp,
+      currency: 'INR',
+      burnRatePerDay: burnRate !== null ? Math.round(burnRate * 100) / 100 : null,
+      method,
+      confidence: Math.round(confidence * 100) / 100,
+      daysRemaining: null,
+      depletionAt: null,
+      isDepleted: latest.balance <= 0,
+      lastRecharge: recharges[0] || null,
+      recentRecharges: recharges
+    };
+
+    if (burnRate && burnRate > 0) {
+      const daysRemaining = Math.max(0, latest.balance) / burnRate;
+      result.daysRemaining = Math.round(daysRemaining * 10) / 10;
+      result.depletionAt = new Date(new Date(latest.timestamp).getTime() + daysRemaining * DAY_MS).toISOString();
+    } else if (!result.available) {
+      result.reason = 'Not enough balance or consumption history to estimate a burn rate';
+    }
+
+    return result;
+  }
+
+  // Close storage if this forecaster opened it
+  async close() {
+    await this.dailyCalculator.close();
+    await this.tariffCalculator.close();
+    if (this.ownsStorage) {
+      await this.storage.close();
+    }
+  }
+}
+
+module.exports = BalanceForecaster;
+
+// Command line usage
+if (require.main === module) {
+  const meterFlag = process.argv.find(arg => arg.startsWith('--meter='));
+  const meterId = meterFlag ? meterFlag.split('=')[1] : (process.env.METER_ID || 'default');
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const forecaster = new BalanceForecaster();
+
+  async function main() {
+    try {
+      switch (args[0]) {
+        case 'detect': {
+          const days = parseInt(args[1]) || 30;
+          const detected = await forecaster.detectRecharges(meterId, days * 24);
+          console.log(`✅ Recorded ${detected} new recharge events from the last ${days} days`);
+          break;
+        }
+
+        case 'forecast':
+        case undefined: {
+          const forecast = await forecaster.forecast(meterId);
+          if (!forecast.available) {
+            console.log(`⚠️  ${forecast.reason}`);
+            break;
+          }
+          console.log(`\n🔋 Balance forecast (${meterId}):`);
+          console.log(`   Balance: Rs. ${forecast.balance} at ${new Date(forecast.balanceTimestamp).toLocaleString()}`);
+          console.log(`   Burn rate: Rs. ${forecast.burnRatePerDay}/day (${forecast.method}, ${(forecast.confidence * 100).toFixed(0)}% confidence)`);
+          console.log(`   Days remaining: ${forecast.daysRemaining}`);
+          console.log(`   Runs out: ${forecast.depletionAt ? new Date(forecast.depletionAt).toLocaleString() : 'n/a'}`);
+          if (forecast.lastRecharge) {
+            console.log(`   Last recharge: Rs. ${forecast.lastRecharge.amount} on ${new Date(forecast.lastRecharge.timestamp).toLocaleString()}`);
+          }
+          break;
+        }
+
+        default:
+          console.log(`
+🔋 Balance Forecaster
+
+Usage:
+  node balance_forecaster.js forecast [--meter=<id>]     # Burn rate and depletion date
+  node balance_forecaster.js detect [days] [--meter=<id>] # Record recharges from balance history
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+    } finally {
+      await forecaster.close();
+    }
+  }
+
+  main();
+}
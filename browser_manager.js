@@ -0,0 +1,296 @@
+const EventEmitter = require('events');
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Browser Manager
+ * Owns the monitor's Chromium: launched on first use, one browser context (cookie jar) and page
+ * per account, pages health-checked before each cycle and replaced when closed, crashed or detached.
+ * Each cycle gets a time limit; a timeout or a browser-level error (crash, closed target,
+ * lost connection) recycles the whole browser, and so does every BROWSER_RECYCLE_CYCLES cycles
+ * to keep memory in check. Each launch uses its own profile directory named after this process,
+ * so Chromium left behind by a crashed monitor is found and killed on startup.
+ * Emits 'recycle' with { reason, cycles, launches }.
+ */
+
+const PROFILE_PREFIX = 'uppcl-chrome-';
+const CLOSE_TIMEOUT_MS = 10000;
+const BROWSER_ERROR = /target closed|session closed|detached|protocol error|connection closed|browser has disconnected|page crashed/i;
+
+class BrowserManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.headless = options.headless !== undefined ? options.headless : process.env.HEADLESS !== 'false';
+    this.args = options.args || ['--no-sandbox', '--disable-setuid-sandbox'];
+    this.maxCycles = options.maxCycles || parseInt(process.env.BROWSER_RECYCLE_CYCLES) || 100;
+    this.cycleTimeoutMs = (options.cycleTimeoutSeconds || parseFloat(process.env.CYCLE_TIMEOUT_SECONDS) || 180) * 1000;
+    this.healthTimeoutMs = options.healthTimeoutMs || 5000;
+    this.profileRoot = options.profileRoot || os.tmpdir();
+
+    this.browser = null;
+    this.launching = null;
+    this.profileDir = null;
+    this.sessions = new Map(); // account id -> { context, page }
+    this.cycles = 0; // cycles run on the current browser
+    this.launches = 0;
+    this.recycleReason = null; // set when the browser should be replaced before its next use
+  }
+
+  // The running browser, launched (or replaced) as needed
+  async getBrowser() {
+    if (this.recycleReason) {
+      await this.recycle(this.recycleReason);
+    }
+    if (this.browser && this.browser.connected) {
+      return this.browser;
+    }
+    if (this.browser) {
+      await this.recycle('disconnected');
+    }
+
+    if (!this.launching) {
+      this.launching = this.launch().finally(() => {
+        this.launching = null;
+      });
+    }
+    return this.launching;
+  }
+
+  async launch() {
+    this.launches++;
+    this.profileDir = path.join(this.profileRoot, `${PROFILE_PREFIX}${process.pid}-${this.launches}`);
+    const browser = await puppeteer.launch({
+      headless: this.headless,
+      args: this.args,
+      userDataDir: this.profileDir
+    });
+
+    browser.on('disconnected', () => {
+      if (this.browser === browser) {
+        console.log('💥 Browser disconnected; it will be relaunched for the next cycle');
+        this.recycleReason = this.recycleReason || 'disconnected';
+      }
+    });
+
+    this.browser = browser;
+    this.cycles = 0;
+    console.log(`🌐 Browser launched (#${this.launches}${browser.process() ? `, pid ${browser.process().pid}` : ''})`);
+    return browser;
+  }
+
+  // An account's page, replaced when it no longer responds
+  async getPage(accountId) {
+    const browser = await this.getBrowser();
+
+    const session = this.sessions.get(accountId);
+    if (session) {
+      if (await this.isHealthy(session.page)) {
+        return session.page;
+      }
+      console.log(`🩺 Page for ${accountId} is not responding; opening a new one`);
+      this.sessions.delete(accountId);
+      await session.context.close().catch(() => {});
+    }
+
+    const context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    await page.setViewport({ width: 1280, height: 720 });
+    page.on('error', error => console.error(`💥 Page for ${accountId} crashed:`, error.message));
+
+    this.sessions.set(accountId, { context, page });
+    return page;
+  }
+
+  async isHealthy(page) {
+    if (page.isClosed() || page.mainFrame().detached) {
+      return false;
+    }
+    try {
+      await this.withTimeout(page.evaluate(() => document.readyState), this.healthTimeoutMs, 'Health check');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Run one monitoring cycle with a time limit; browser trouble recycles the browser.
+  // A timed-out task can't be stopped, so it gets a cycle token that is cancelled on timeout
+  // and must check it (checkCycle) before acting on anything.
+  async runCycle(label, task) {
+    const cycle = { label, cancelled: false };
+    const running = task(cycle);
+    running.catch(() => {}); // a timed-out cycle settles once its browser is gone
+
+    try {
+      return await this.withTimeout(running, this.cycleTimeoutMs, `Cycle for ${label}`, 'CYCLE_TIMEOUT');
+    } catch (error) {
+      if (error.code === 'CYCLE_TIMEOUT') {
+        cycle.cancelled = true;
+        await this.recycle('timeout');
+      } else if (this.isBrowserError(error)) {
+        await this.recycle('error');
+      }
+      throw error;
+    } finally {
+      this.cycles++;
+      if (this.browser && this.cycles >= this.maxCycles && !this.recycleReason) {
+        this.recycleReason = 'cycles';
+      }
+    }
+  }
+
+  // Throws once the cycle has timed out, so an abandoned task stops at its next check
+  checkCycle(cycle) {
+    if (cycle && cycle.cancelled) {
+      const error = new Error(`Cycle for ${cycle.label} was abandoned after timing out`);
+      error.code = 'CYCLE_CANCELLED';
+      throw error;
+    }
+  }
+
+  withTimeout(promise, ms, label, code = 'TIMEOUT') {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${label} timed out after ${Math.round(ms / 1000)}s`);
+        error.code = code;
+        reject(error);
+      }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  isBrowserError(error) {
+    return error.name === 'TargetCloseError' || error.name === 'ProtocolError' || BROWSER_ERROR.test(error.message || '');
+  }
+
+  // Close the browser (killing it if it won't close) and forget its pages
+  async recycle(reason) {
+    const browser = this.browser;
+    const profileDir = this.profileDir;
+    const cycles = this.cycles;
+    this.browser = null;
+    this.profileDir = null;
+    this.sessions.clear();
+    this.recycleReason = null;
+    if (!browser) return;
+
+    console.log(`♻️  Recycling browser (${reason}) after ${cycles} cycles`);
+    await this.shutdown(browser, profileDir);
+    try {
+      this.emit('recycle', { reason, cycles, launches: this.launches });
+    } catch (error) {
+      console.error('❌ recycle listener failed:', error.message);
+    }
+  }
+
+  async shutdown(browser, profileDir) {
+    const child = browser.process();
+    if (browser.connected) {
+      try {
+        await this.withTimeout(browser.close(), CLOSE_TIMEOUT_MS, 'Browser close');
+      } catch (error) {
+        console.warn(`⚠️  Browser did not close cleanly (${error.message}); killing it`);
+      }
+    }
+    if (child && child.exitCode === null && child.signalCode === null) {
+      this.killGroup(child.pid);
+    }
+    if (profileDir) {
+      fs.rmSync(profileDir, { recursive: true, force: true });
+    }
+  }
+
+  // Chromium runs in its own process group; kill all of it (renderers, GPU, zygote)
+  killGroup(pid) {
+    try {
+      process.kill(-pid, 'SIGKILL');
+    } catch (error) {
+      try {
+        process.kill(pid, 'SIGKILL');
+      } catch (e) {}
+    }
+  }
+
+  isAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  // Profile directories (and their Chromium processes) from monitor processes that no longer exist,
+  // or from this one's earlier launches. Linux only: processes are found through /proc.
+  cleanupOrphans() {
+    const pattern = new RegExp(`${PROFILE_PREFIX}(\\d+)-(\\d+)`);
+    const isOrphan = name => {
+      const match = name.match(pattern);
+      if (!match) return false;
+      const ownerPid = parseInt(match[1]);
+      if (ownerPid === process.pid) {
+        return path.join(this.profileRoot, match[0]) !== this.profileDir;
+      }
+      return !this.isAlive(ownerPid);
+    };
+
+    let killed = 0;
+    if (process.platform === 'linux') {
+      for (const entry of fs.readdirSync('/proc')) {
+        if (!/^\d+$/.test(entry) || Number(entry) === process.pid) continue;
+        let cmdline;
+        try {
+          cmdline = fs.readFileSync(`/proc/${entry}/cmdline`, 'utf8');
+        } catch (error) {
+          continue; // exited meanwhile, or not ours to read
+        }
+        const profileArg = cmdline.split('\0').find(arg => arg.startsWith('--user-data-dir=') && arg.includes(PROFILE_PREFIX));
+        if (profileArg && isOrphan(path.basename(profileArg))) {
+          this.killGroup(Number(entry));
+          killed++;
+        }
+      }
+    }
+
+    let removed = 0;
+    for (const entry of fs.readdirSync(this.profileRoot)) {
+      if (entry.startsWith(PROFILE_PREFIX) && isOrphan(entry)) {
+        fs.rmSync(path.join(this.profileRoot, entry), { recursive: true, force: true });
+        removed++;
+      }
+    }
+
+    if (killed > 0 || removed > 0) {
+      console.log(`🧹 Cleaned up ${killed} orphaned browser processes and ${removed} stale profiles`);
+    }
+    return { killed, removed };
+  }
+
+  getState() {
+    return {
+      running: Boolean(this.browser && this.browser.connected),
+      pid: this.browser && this.browser.process() ? this.browser.process().pid : null,
+      launches: this.launches,
+      cycles: this.cycles,
+      maxCycles: this.maxCycles,
+      pages: this.sessions.size
+    };
+  }
+
+  async close() {
+    if (this.launching) await this.launching.catch(() => {});
+    const browser = this.browser;
+    const profileDir = this.profileDir;
+    this.browser = null;
+    this.profileDir = null;
+    this.sessions.clear();
+    if (browser) {
+      await this.shutdown(browser, profileDir);
+    }
+  }
+}
+
+module.exports = BrowserManager;
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const DailyConsumptionCalculator = require('./daily_consumption_calculator');
+const TariffCalculator = require('./tariff_calculator');
+const OutageAnalytics = require('./outage_analytics');
+const timezone = require('./timezone');
+const { createStorage } = require('./storage');
+
+/**
+ * Consumption Rollups
+ * Calendar-month (monthly_consumption) and billing-cycle (billing_cycle) totals built
+ * from daily_consumption, the tariff and the outage log, reconciled against the
+ * month totals scraped from the portal
+ */
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Each rollup type is keyed by its first day: month (YYYY-MM) or cycle_start (YYYY-MM-DD)
+const ROLLUP_TYPES = {
+  monthly: { table: 'monthly_consumption', key: 'month' },
+  cycle: { table: 'billing_cycle', key: 'cycle_start' }
+};
+
+// The current and previous periods can still change; getRollups returns at most MAX_PERIODS
+const RECENT_PERIODS = 2;
+const MAX_PERIODS = 24;
+
+// Stored rows earlier versions marked complete without every day's data
+// (flags are 0/1 integers on every backend, so they're compared explicitly)
+const COMPLETE = 'is_complete = 1 AND days_with_data >= days';
+
+const ROLLUP_COLUMNS = [
+  'start_date', 'end_date', 'days', 'days_with_data',
+  'grid_kwh', 'dg_kwh', 'cost', 'grid_cost', 'dg_cost', 'peak_day', 'peak_day_kwh', 'avg_kwh_per_day',
+  'outage_count', 'outage_hours', 'supply_hours', 'dg_runtime_hours',
+  'scraped_kwh', 'scraped_period', 'discrepancy_kwh', 'has_discrepancy', 'is_complete'
+];
+
+class ConsumptionRollups {
+  constructor(dbPath = null, storage = null) {
+    this.dbPath = dbPath || path.join(__dirname, 'power_data.db');
+    this.storage = storage || createStorage({ dbPath: this.dbPath });
+    this.ownsStorage = !storage;
+    this.dailyCalculator = new DailyConsumptionCalculator(this.dbPath, this.storage);
+    this.tariffCalculator = new TariffCalculator(this.dbPath, null, this.storage);
+    this.outageAnalytics = new OutageAnalytics(this.dbPath, this.storage);
+    // Day of the month a billing cycle starts (1-28, so every month has it)
+    this.cycleStartDay = Math.min(28, Math.max(1, parseInt(process.env.BILLING_CYCLE_START_DAY) || 1));
+    // Computed vs scraped month totals further apart than both tolerances are flagged
+    this.toleranceKwh = parseFloat(process.env.RECONCILE_TOLERANCE_KWH) || 2;
+    this.tolerancePercent = parseFloat(process.env.RECONCILE_TOLERANCE_PERCENT) || 5;
+  }
+
+  // Connect to storage (rollup tables come from the migrations or the PostgreSQL schema)
+  async initDatabase() {
+    await this.storage.init();
+  }
+
+  async query(sql, params = []) {
+    return this.storage.query(sql, params);
+  }
+
+  // Calendar month containing a date; endDate is exclusive
+  getMonthPeriod(dateStr) {
+    const month = dateStr.substring(0, 7);
+    const startDate = `${month}-01`;
+    return { key: month, startDate, endDate: timezone.addDays(startDate, timezone.getDaysInMonth(month)) };
+  }
+
+  // First day of the billing cycle that starts in a month
+  getCycleStart(month) {
+    return `${month}-${String(this.cycleStartDay).padStart(2, '0')}`;
+  }
+
+  // Billing cycle containing a date; endDate is exclusive
+  getCyclePeriod(dateStr) {
+    let startDate = this.getCycleStart(dateStr.substring(0, 7));
+    if (dateStr < startDate) {
+      startDate = this.getCycleStart(timezone.addDays(`${dateStr.substring(0, 7)}-01`, -1).substring(0, 7));
+    }
+    const nextMonth = timezone.addDays(`${startDate.substring(0, 7)}-01`, 32).substring(0, 7);
+    return { key: startDate, startDate, endDate: this.getCycleStart(nextMonth) };
+  }
+
+  getPeriod(type, dateStr) {
+    return type === 'cycle' ? this.getCyclePeriod(dateStr) : this.getMonthPeriod(dateStr);
+  }
+
+  // The current period and the ones before it, newest first
+  listPeriods(type, count) {
+    const periods = [];
+    let date = timezone.getDateString();
+    for (let i = 0; i < count; i++) {
+      const period = this.getPeriod(type, date);
+      periods.push(period);
+      date = timezone.addDays(period.startDate, -1);
+    }
+    return periods;
+  }
+
+  countDays(startDate, endDate) {
+    let days = 0;
+    for (let date = startDate; date < endDate; date = timezone.addDays(date, 1)) days++;
+    return days;
+  }
+
+  // Month total the portal reported: "previous month" read during the following month,
+  // else the named-month figure, else the last "current month" read during the month itself
+  async getScrapedMonthTotal(meterId, month) {
+    const period = this.getMonthPeriod(`${month}-01`);
+    const next = this.getMonthPeriod(period.endDate);
+    const [year, monthNumber] = month.split('-').map(Number);
+    const lookups = [
+      ['previous_month', next.startDate, next.endDate],
+      [`${MONTH_NAMES[monthNumber - 1]}_${year}`, period.startDate, next.endDate],
+      ['current_month', period.startDate, period.endDate]
+    ];
+
+    for (const [scrapedPeriod, from, to] of lookups) {
+      const rows = await this.query(`
+        SELECT consumption_value, timestamp FROM power_data
+        WHERE category = 'consumption' AND source = 'grid' AND meter_id = ? AND period = ?
+          AND consumption_value IS NOT NULL
+          AND timestamp >= ? AND timestamp < ?
+        ORDER BY timestamp DESC LIMIT 1
+      `, [meterId, scrapedPeriod, timezone.getMidnight(from).toISOString(), timezone.getMidnight(to).toISOString()]);
+
+      if (rows.length > 0) {
+        return { value: rows[0].consumption_value, period: scrapedPeriod, timestamp: rows[0].timestamp };
+      }
+    }
+    return null;
+  }
+
+  // Totals for one meter over [startDate, endDate)
+  async computeRollup(meterId, period) {
+    const today = timezone.getDateString();
+    const lastDate = timezone.addDays(period.endDate, -1);
+    const rows = (await this.dailyCalculator.getDailyConsumptions(period.startDate, lastDate, meterId))
+      .filter(row => row.calculated_consumption !== null);
+    const grid = rows.filter(row => row.source === 'grid');
+    const dg = rows.filter(row => row.source === 'dg');
+
+    const days = this.countDays(period.startDate, period.endDate);
+    const inProgress = today < period.endDate;
+    const elapsedDays = inProgress ? this.countDays(period.startDate, timezone.addDays(today, 1)) : days;
+    const gridKwh = grid.reduce((sum, row) => sum + row.calculated_consumption, 0);
+    const dgKwh = dg.reduce((sum, row) => sum + row.calculated_consumption, 0);
+    const peak = grid.reduce((max, row) => (!max || row.calculated_consumption > max.calculated_consumption ? row : max), null);
+
+    // Without any daily rows there's nothing to price and no readings to tell supply from outage
+    const hasData = rows.length > 0;
+
+    let bill = null;
+    if (hasData) {
+      try {
+        bill = this.tariffCalculator.calculateBill({
+          gridUnits: gridKwh,
+          dgUnits: dgKwh,
+          date: period.startDate,
+          proration: elapsedDays / days
+        });
+      } catch (error) {
+        console.warn(`⚠️ No cost for ${meterId} ${period.key}: ${error.message}`);
+      }
+    }
+
+    let outages = null;
+    const start = timezone.getMidnight(period.startDate);
+    const end = new Date(Math.min(timezone.getMidnight(period.endDate), Date.now()));
+    if (hasData && end > start) {
+      outages = (await this.outageAnalytics.analyzeMeter(meterId, start, end)).summary;
+    }
+
+    const rollup = {
+      meterId,
+      key: period.key,
+      startDate: period.startDate,
+      endDate: period.endDate,
+      days,
+      daysWithData: grid.length,
+      gridKwh: this.round(gridKwh),
+      dgKwh: this.round(dgKwh),
+      cost: bill ? bill.total : null,
+      gridCost: bill ? this.round(bill.total - bill.dgCharge) : null,
+      dgCost: bill ? bill.dgCharge : null,
+      peakDay: peak ? peak.date : null,
+      peakDayKwh: peak ? this.round(peak.calculated_consumption) : null,
+      avgKwhPerDay: grid.length > 0 ? this.round(gridKwh / grid.length) : null,
+      outageCount: outages ? outages.outageCount : null,
+      outageHours: outages ? outages.totalOutageHours : null,
+      supplyHours: outages ? outages.supplyHours : null,
+      dgRuntimeHours: this.round(dg.reduce((sum, row) => sum + (row.runtime_hours || 0), 0)),
+      scrapedKwh: null,
+      scrapedPeriod: null,
+      discrepancyKwh: null,
+      hasDiscrepancy: false,
+      // Closed once the period is over, every day has grid data and none of them can still change
+      isComplete: !inProgress && grid.length === days && rows.every(row => row.finalized_at)
+    };
+
+    // The portal reports calendar months, so only month-aligned periods can be reconciled
+    if (period.startDate.endsWith('-01') && period.endDate === this.getMonthPeriod(period.startDate).endDate) {
+      const scraped = await this.getScrapedMonthTotal(meterId, period.startDate.substring(0, 7));
+      if (scraped) {
+        const discrepancy = gridKwh - scraped.value;
+        rollup.scrapedKwh = scraped.value;
+        rollup.scrapedPeriod = scraped.period;
+        rollup.discrepancyKwh = this.round(discrepancy);
+        rollup.hasDiscrepancy = Math.abs(discrepancy) > Math.max(this.toleranceKwh, scraped.value * this.tolerancePercent / 100);
+      }
+    }
+
+    return rollup;
+  }
+
+  async saveRollup(type, rollup) {
+    const { table, key } = ROLLUP_TYPES[type];
+    await this.storage.execute(`
+      INSERT INTO ${table} (meter_id, ${key}, ${ROLLUP_COLUMNS.join(', ')}, updated_at)
+      VALUES (?, ?, ${ROLLUP_COLUMNS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+      ON CONFLICT (meter_id, ${key}) DO UPDATE SET
+        ${ROLLUP_COLUMNS.map(column => `${column} = excluded.${column}`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      rollup.meterId, rollup.key, rollup.startDate, rollup.endDate, rollup.days, rollup.daysWithData,
+      rollup.gridKwh, rollup.dgKwh, rollup.cost, rollup.gridCost, rollup.dgCost, rollup.peakDay, rollup.peakDayKwh, rollup.avgKwhPerDay,
+      rollup.outageCount, rollup.outageHours, rollup.supplyHours, rollup.dgRuntimeHours,
+      rollup.scrapedKwh, rollup.scrapedPeriod, rollup.discrepancyKwh, rollup.hasDiscrepancy ? 1 : 0, rollup.isComplete ? 1 : 0
+    ]);
+  }
+
+  // Recompute the last `count` periods; completed ones are kept unless forced
+  async refresh(meterId = 'default', type = 'monthly', count = 3, force = false) {
+    const { table, key } = ROLLUP_TYPES[type];
+    let updated = 0;
+    for (const period of this.listPeriods(type, count)) {
+      const stored = await this.query(`SELECT ${COMPLETE} AS complete FROM ${table} WHERE meter_id = ? AND ${key} = ?`, [meterId, period.key]);
+      if (stored.length > 0 && stored[0].complete && !force) continue;
+
+      const rollup = await this.computeRollup(meterId, period);
+      await this.saveRollup(type, rollup);
+      if (rollup.hasDiscrepancy) {
+        console.log(`⚠️  ${meterId} ${period.key}: computed ${rollup.gridKwh} kWh vs scraped ${rollup.scrapedKwh} kWh (${rollup.scrapedPeriod})`);
+      }
+      updated++;
+    }
+    return updated;
+  }
+
+  // Stored rollups for the last `count` periods (at most MAX_PERIODS), newest first. The recent
+  // periods are refreshed; older ones can't change, so they're only computed when not stored yet.
+  async getRollups(meterId = 'default', type = 'monthly', count = 12) {
+    const { table, key } = ROLLUP_TYPES[type];
+    const periods = this.listPeriods(type, Math.min(Math.max(count, 1), MAX_PERIODS));
+    await this.refresh(meterId, type, Math.min(periods.length, RECENT_PERIODS));
+
+    const older = periods.slice(RECENT_PERIODS);
+    if (older.length > 0) {
+      const stored = await this.query(`
+        SELECT ${key} AS key FROM ${table}
+        WHERE meter_id = ? AND ${key} >= ? AND (${COMPLETE} OR is_complete = 0)
+      `, [meterId, older[older.length - 1].key]);
+      const storedKeys = new Set(stored.map(row => row.key));
+      for (const period of older.filter(candidate => !storedKeys.has(candidate.key))) {
+        await this.saveRollup(type, await this.computeRollup(meterId, period));
+      }
+    }
+
+    const oldest = periods[periods.length - 1];
+    const rows = await this.query(`
+      SELECT * FROM ${table} WHERE meter_id = ? AND ${key} >= ? ORDER BY ${key} DESC
+    `, [meterId, oldest.key]);
+
+    return rows.map(row => ({
+      [type === 'cycle' ? 'cycleStart' : 'month']: row[key],
+      startDate: row.start_date,
+      endDate: timezone.addDays(row.end_date, -1),
+      days: row.days,
+      daysWithData: row.days_with_data,
+      gridKwh: row.grid_kwh,
+      dgKwh: row.dg_kwh,
+      cost: row.cost,
+      gridCost: row.grid_cost,
+      dgCost: row.dg_cost,
+      peakDay: row.peak_day,
+      peakDayKwh: row.peak_day_kwh,
+      avgKwhPerDay: row.avg_kwh_per_day,
+      outageCount: row.outage_count,
+      outageHours: row.outage_hours,
+      supplyHours: row.supply_hours,
+      dgRuntimeHours: row.dg_runtime_hours,
+      reconciliation: row.scraped_kwh === null ? null : {
+        scrapedKwh: row.scraped_kwh,
+        scrapedPeriod: row.scraped_period,
+        discrepancyKwh: row.discrepancy_kwh,
+        hasDiscrepancy: !!row.has_discrepancy
+      },
+      isComplete: !!row.is_complete,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  // Refresh both rollup types for several meters (scheduler entry point)
+  async refreshAll(meterIds = ['default'], count = RECENT_PERIODS) {
+    for (const meterId of meterIds) {
+      await this.refresh(meterId, 'monthly', count);
+      await this.refresh(meterId, 'cycle', count);
+    }
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Close storage if these rollups opened it
+  async close() {
+    await this.dailyCalculator.close();
+    await this.tariffCalculator.close();
+    await this.outageAnalytics.close();
+    if (this.ownsStorage) {
+      await this.storage.close();
+    }
+  }
+}
+
+module.exports = ConsumptionRollups;
+
+// Command line usage
+if (require.main === module) {
+  const meterFlag = process.argv.find(arg => arg.startsWith('--meter='));
+  const meterId = meterFlag ? meterFlag.split('=')[1] : (process.env.METER_ID || 'default');
+  const force = process.argv.includes('--force');
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const rollups = new ConsumptionRollups();
+
+  async function main() {
+    try {
+      switch (args[0]) {
+        case 'monthly':
+        case 'cycles': {
+          const type = args[0] === 'cycles' ? 'cycle' : 'monthly';
+          const count = parseInt(args[1]) || 6;
+          if (force) await rollups.refresh(meterId, type, count, true);
+          const rows = await rollups.getRollups(meterId, type, count);
+
+          console.log(`\n📆 ${type === 'cycle' ? `Billing cycles (start day ${rollups.cycleStartDay})` : 'Monthly consumption'} for ${meterId}:`);
+          rows.forEach(row => {
+            const status = row.isComplete ? '✅' : '🔄';
+            const cost = row.cost !== null ? `Rs. ${row.cost}` : 'no cost';
+            const outage = row.outageHours !== null ? `, ${row.outageHours}h outage` : '';
+            console.log(`   ${status} ${row.startDate} → ${row.endDate}: ${row.gridKwh} kWh + ${row.dgKwh} DG kWh, ${cost}${outage}, peak ${row.peakDay || 'n/a'} (${row.peakDayKwh ?? '-'} kWh)`);
+            if (row.reconciliation) {
+              const flag = row.reconciliation.hasDiscrepancy ? '⚠️  discrepancy' : 'matches';
+              console.log(`      Portal: ${row.reconciliation.scrapedKwh} kWh (${row.reconciliation.scrapedPeriod}), diff ${row.reconciliation.discrepancyKwh} kWh - ${flag}`);
+            }
+          });
+          break;
+        }
+
+        default:
+          console.log(`
+📆 Consumption Rollups
+
+Usage:
+  node consumption_rollups.js monthly [count] [--meter=<id>] [--force]   # Calendar months (default: last 6)
+  node consumption_rollups.js cycles [count] [--meter=<id>] [--force]    # Billing cycles starting on BILLING_CYCLE_START_DAY
+
+Completed periods are stored and only recomputed with --force. At most ${MAX_PERIODS} periods are listed.
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+    } finally {
+      await rollups.close();
+    }
+  }
+
+  main();
+}
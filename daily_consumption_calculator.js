@@ -1,143 +1,265 @@
 #!/usr/bin/env node
 
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const timezone = require('./timezone');
+const DataRetention = require('./data_retention');
+const { createStorage } = require('./storage');
 
 /**
  * Daily Consumption Calculator
  * Properly calculates daily power consumption from midnight to midnight
- * by tracking meter reading differences, not scraping static values
+ * by tracking meter reading differences, not scraping static values.
+ * Grid and DG are tracked separately (`source`), each with its runtime hours.
+ * Days run from local midnight to midnight in the configured TIMEZONE.
+ * Once the reading after a day's closing midnight is in, the day is finalized
+ * (is_complete, finalized_at) and later recalculations leave it alone unless forced.
  */
 
+const SOURCES = ['grid', 'dg'];
+
+// Midnight values interpolated across gaps up to this long keep full confidence
+const INTERPOLATION_FULL_CONFIDENCE_MINUTES = 30;
+
 class DailyConsumptionCalculator {
-  constructor(dbPath = null) {
+  constructor(dbPath = null, storage = null) {
     this.dbPath = dbPath || path.join(__dirname, 'power_data.db');
-    this.db = null;
+    // The monitor passes its own storage; standalone use opens the configured backend
+    this.storage = storage || createStorage({ dbPath: this.dbPath });
+    this.ownsStorage = !storage;
+    // Longest gap between availability readings still assumed to continue the previous status
+    this.runtimeMaxGapMinutes = parseFloat(process.env.RUNTIME_MAX_GAP_MINUTES) || 15;
   }
 
-  // Initialize database connection
+  // Connect to storage (on SQLite, pending schema migrations run first)
   async initDatabase() {
-    this.db = new sqlite3.Database(this.dbPath);
-    
-    // Create table for daily consumption tracking
-    await new Promise((resolve, reject) => {
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS daily_consumption (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          date TEXT NOT NULL UNIQUE,
-          midnight_reading REAL,
-          midnight_timestamp TEXT,
-          current_reading REAL,
-          current_timestamp TEXT,
-          calculated_consumption REAL,
-          is_complete BOOLEAN DEFAULT FALSE,
-          has_monitoring_gaps BOOLEAN DEFAULT FALSE,
-          confidence_score REAL DEFAULT 1.0,
-          notes TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (err) => {
-        if (err) reject(err);
-        else resolve();
+    await this.storage.init();
+  }
+
+  // Recompute stored days when they were calculated with other day boundaries (rows from before
+  // TIMEZONE support used UTC days). Run once per process by ensureDataMigrated in migrations.js.
+  // Days whose readings retention has compacted can't be recomputed and keep their totals; a row
+  // is only removed when its local day has no readings at all.
+  async migrateTimezone(force = false) {
+    const stored = (await this.storage.getSetting('daily_consumption_timezone')) || 'UTC';
+    const configured = timezone.getTimezone();
+    if (stored === configured && !force) {
+      return 0;
+    }
+
+    const days = await this.storage.listDailyKeys();
+
+    if (days.length > 0) {
+      console.log(`🕛 Recomputing ${days.length} daily consumption rows for ${configured} day boundaries (were ${stored})...`);
+    }
+
+    const horizon = new DataRetention(this.dbPath, this.storage).getRawHorizon();
+    let dropped = 0;
+    let kept = 0;
+    for (const day of days) {
+      const dayStart = this.getMidnightTimestamp(day.date);
+      if (new Date(dayStart) < horizon) {
+        kept++;
+        continue;
+      }
+
+      const result = await this.calculateDailyConsumption(day.date, day.meter_id, day.source, { force: true });
+      if (result) continue;
+
+      // Null also means a failed or invalid calculation; only drop the row when there is nothing to recompute from
+      const readings = await this.storage.summarizeRecords({
+        meterId: day.meter_id,
+        category: 'meter_reading',
+        source: day.source,
+        hasValue: true,
+        start: dayStart,
+        before: this.getNextMidnightTimestamp(day.date)
       });
-    });
+      if (readings.count === 0) {
+        // No readings inside the local day - the old row describes a different window
+        await this.storage.deleteDailyConsumption(day.meter_id, day.source, day.date);
+        dropped++;
+      } else {
+        console.warn(`⚠️  Could not recompute ${day.date} ${day.source} (${day.meter_id}); keeping the stored row`);
+        kept++;
+      }
+    }
 
-    // Create index for faster queries
-    await new Promise((resolve) => {
-      this.db.run('CREATE INDEX IF NOT EXISTS idx_daily_date ON daily_consumption(date)', resolve);
-    });
+    await this.storage.setSetting('daily_consumption_timezone', configured);
+
+    if (days.length > 0) {
+      console.log(`✅ Daily consumption now uses ${configured} days (${days.length - dropped - kept} recomputed, ${kept} kept as stored, ${dropped} without readings removed)`);
+    }
+    return days.length;
   }
 
-  // Get today's date in YYYY-MM-DD format
+  // Get today's local date in YYYY-MM-DD format
   getTodayDate() {
-    const now = new Date();
-    return now.toISOString().split('T')[0];
+    return timezone.getDateString();
   }
 
-  // Get midnight timestamp for a given date
+  // Get the UTC timestamp of local midnight starting a date
   getMidnightTimestamp(dateStr) {
-    const date = new Date(dateStr + 'T00:00:00.000Z');
-    return date.toISOString();
+    return timezone.getMidnight(dateStr).toISOString();
   }
 
-  // Get the latest meter reading from power_data table
-  async getLatestMeterReading() {
-    return new Promise((resolve, reject) => {
-      this.db.get(`
-        SELECT consumption_value, timestamp, confidence
-        FROM power_data 
-        WHERE category = 'meter_reading' 
-          AND source = 'grid'
-          AND consumption_value IS NOT NULL
-        ORDER BY timestamp DESC 
-        LIMIT 1
-      `, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+  // Get the UTC timestamp of local midnight ending a date
+  getNextMidnightTimestamp(dateStr) {
+    return this.getMidnightTimestamp(timezone.addDays(dateStr, 1));
   }
 
-  // Get meter reading closest to midnight for a specific date
-  async getMidnightMeterReading(dateStr) {
-    const midnightTime = this.getMidnightTimestamp(dateStr);
-    const nextMidnight = this.getMidnightTimestamp(
-      new Date(new Date(dateStr).getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-    );
-
-    return new Promise((resolve, reject) => {
-      this.db.get(`
-        SELECT consumption_value, timestamp, confidence
-        FROM power_data 
-        WHERE category = 'meter_reading' 
-          AND source = 'grid'
-          AND consumption_value IS NOT NULL
-          AND timestamp >= ?
-          AND timestamp < ?
-        ORDER BY ABS(julianday(timestamp) - julianday(?)) ASC
-        LIMIT 1
-      `, [midnightTime, nextMidnight, midnightTime], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+  // Get the latest meter reading from power_data table (optionally the latest before a time)
+  async getLatestMeterReading(meterId = 'default', source = 'grid', before = null) {
+    return this.storage.findRecord({ meterId, category: 'meter_reading', source, hasValue: true, before: before || undefined });
+  }
+
+  // Nearest meter readings on either side of an instant ({ before, after }; `before` may be exactly at it)
+  async getReadingsAround(timestamp, meterId = 'default', source = 'grid') {
+    const readings = { meterId, category: 'meter_reading', source, hasValue: true };
+
+    return {
+      before: await this.storage.findRecord({ ...readings, end: timestamp }),
+      after: await this.storage.findRecord({ ...readings, after: timestamp, order: 'asc' })
+    };
+  }
+
+  // Register value at an instant, linearly interpolated between the readings around it.
+  // spanMinutes is the gap the value was estimated across (0 for an exact reading).
+  async getInterpolatedReading(timestamp, meterId = 'default', source = 'grid') {
+    const { before, after } = await this.getReadingsAround(timestamp, meterId, source);
+    const time = new Date(timestamp).getTime();
+
+    if (before && new Date(before.timestamp).getTime() === time) {
+      return { ...before, method: 'exact', spanMinutes: 0 };
+    }
+
+    if (before && after) {
+      const beforeTime = new Date(before.timestamp).getTime();
+      const afterTime = new Date(after.timestamp).getTime();
+      const fraction = (time - beforeTime) / (afterTime - beforeTime);
+      return {
+        consumption_value: before.consumption_value + (after.consumption_value - before.consumption_value) * fraction,
+        timestamp,
+        confidence: Math.min(before.confidence || 0.8, after.confidence || 0.8),
+        method: 'interpolated',
+        spanMinutes: (afterTime - beforeTime) / 60000
+      };
+    }
+
+    // Nothing after it yet: the register can't have moved unobserved, so carry the last reading forward
+    if (before) {
+      return {
+        ...before,
+        timestamp,
+        method: 'carried_forward',
+        spanMinutes: (time - new Date(before.timestamp).getTime()) / 60000
+      };
+    }
+
+    // Nothing before it (monitoring started later): use the first reading we have
+    if (after) {
+      return {
+        ...after,
+        method: 'first_reading',
+        spanMinutes: (new Date(after.timestamp).getTime() - time) / 60000
+      };
+    }
+
+    return null;
+  }
+
+  // Confidence multiplier for a value estimated across a gap: full up to INTERPOLATION_FULL_CONFIDENCE_MINUTES, 0.5 at a day or more
+  getInterpolationFactor(spanMinutes) {
+    if (spanMinutes === null || spanMinutes <= INTERPOLATION_FULL_CONFIDENCE_MINUTES) return 1;
+    const excess = Math.min(spanMinutes, 24 * 60) - INTERPOLATION_FULL_CONFIDENCE_MINUTES;
+    return 1 - 0.5 * excess / (24 * 60 - INTERPOLATION_FULL_CONFIDENCE_MINUTES);
+  }
+
+  // Meter reading at local midnight starting a date (interpolated across midnight)
+  async getMidnightMeterReading(dateStr, meterId = 'default', source = 'grid') {
+    const reading = await this.getInterpolatedReading(this.getMidnightTimestamp(dateStr), meterId, source);
+
+    // A first reading from a later day doesn't describe this one
+    if (reading && reading.method === 'first_reading' && reading.timestamp >= this.getNextMidnightTimestamp(dateStr)) {
+      return null;
+    }
+    return reading;
   }
 
   // Check if we have sufficient monitoring data for the day
-  async checkMonitoringCoverage(dateStr) {
+  async checkMonitoringCoverage(dateStr, meterId = 'default', source = 'grid') {
     const startTime = this.getMidnightTimestamp(dateStr);
-    const endTime = this.getMidnightTimestamp(
-      new Date(new Date(dateStr).getTime() + 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-    );
-
-    return new Promise((resolve, reject) => {
-      this.db.get(`
-        SELECT 
-          COUNT(*) as record_count,
-          MIN(timestamp) as first_record,
-          MAX(timestamp) as last_record
-        FROM power_data 
-        WHERE timestamp >= ? AND timestamp < ?
-          AND category = 'meter_reading'
-          AND source = 'grid'
-      `, [startTime, endTime], (err, row) => {
-        if (err) reject(err);
-        else {
-          const coverage = {
-            recordCount: row.record_count,
-            firstRecord: row.first_record,
-            lastRecord: row.last_record,
-            hasGaps: row.record_count < 12 // Less than 12 readings in 24h indicates gaps
-          };
-          resolve(coverage);
-        }
-      });
+    const endTime = this.getNextMidnightTimestamp(dateStr);
+
+    const summary = await this.storage.summarizeRecords({ meterId, category: 'meter_reading', source, start: startTime, before: endTime });
+    return {
+      recordCount: summary.count,
+      firstRecord: summary.first,
+      lastRecord: summary.last,
+      hasGaps: summary.count < 12 // Less than 12 readings in 24h indicates gaps
+    };
+  }
+
+  // Hours a source was online during a day, from its availability readings.
+  // Each reading's status holds until the next one, but never longer than runtimeMaxGapMinutes.
+  async calculateRuntimeHours(dateStr, meterId = 'default', source = 'dg') {
+    const dayStart = new Date(this.getMidnightTimestamp(dateStr));
+    const dayEnd = new Date(this.getNextMidnightTimestamp(dateStr));
+    const periodEnd = dayEnd > new Date() ? new Date() : dayEnd;
+    const maxGapMs = this.runtimeMaxGapMinutes * 60 * 1000;
+
+    // The reading before midnight carries its status into the day
+    const availability = { meterId, category: 'availability', source };
+    const previous = await this.storage.findRecord({ ...availability, before: dayStart.toISOString() });
+    const readings = await this.storage.findRecords({ ...availability, start: dayStart.toISOString(), before: periodEnd.toISOString(), order: 'asc' });
+    if (previous) readings.unshift(previous);
+
+    if (readings.length === 0) {
+      return null;
+    }
+
+    let onlineMs = 0;
+    readings.forEach((reading, index) => {
+      if (reading.status !== 'online') return;
+
+      const readingTime = new Date(reading.timestamp);
+      const nextTime = index + 1 < readings.length ? new Date(readings[index + 1].timestamp) : periodEnd;
+      const intervalEnd = new Date(Math.min(nextTime, readingTime.getTime() + maxGapMs, periodEnd));
+      const intervalStart = readingTime < dayStart ? dayStart : readingTime;
+      if (intervalEnd > intervalStart) {
+        onlineMs += intervalEnd - intervalStart;
+      }
     });
+
+    return Math.round(onlineMs / (60 * 60 * 1000) * 100) / 100;
   }
 
-  // Calculate daily consumption for a specific date
-  async calculateDailyConsumption(dateStr = null) {
+  // Stored row for one meter, source and day
+  async getStoredDay(dateStr, meterId = 'default', source = 'grid') {
+    return this.storage.getDailyConsumption(meterId, source, dateStr);
+  }
+
+  // Shape a stored row like a calculateDailyConsumption() result
+  rowToResult(row) {
+    return {
+      meterId: row.meter_id,
+      source: row.source,
+      date: row.date,
+      midnightReading: row.midnight_reading,
+      midnightTimestamp: row.midnight_timestamp,
+      currentReading: row.current_reading,
+      currentTimestamp: row.current_timestamp,
+      calculatedConsumption: row.calculated_consumption,
+      runtimeHours: row.runtime_hours,
+      isComplete: !!row.is_complete,
+      finalizedAt: row.finalized_at,
+      hasMonitoringGaps: !!row.has_monitoring_gaps,
+      confidenceScore: row.confidence_score
+    };
+  }
+
+  // Calculate daily consumption for a specific date and source ('grid' or 'dg').
+  // Finalized days are returned as stored unless options.force is set; options.save = false only reads.
+  async calculateDailyConsumption(dateStr = null, meterId = 'default', source = 'grid', options = {}) {
     if (!dateStr) {
       dateStr = this.getTodayDate();
     }
@@ -145,24 +267,34 @@ class DailyConsumptionCalculator {
     await this.initDatabase();
 
     try {
-      console.log(`📅 Calculating daily consumption for ${dateStr}`);
+      const stored = await this.getStoredDay(dateStr, meterId, source);
+      if (stored && stored.finalized_at && !options.force) {
+        console.log(`🔒 ${dateStr} ${source} (${meterId}) was finalized at ${stored.finalized_at}; use force to recalculate`);
+        return this.rowToResult(stored);
+      }
+
+      console.log(`📅 Calculating daily ${source} consumption for ${dateStr} (${meterId})`);
 
       // Get midnight meter reading
-      const midnightReading = await this.getMidnightMeterReading(dateStr);
+      const midnightReading = await this.getMidnightMeterReading(dateStr, meterId, source);
       if (!midnightReading) {
-        console.log(`⚠️  No meter reading found around midnight for ${dateStr}`);
+        console.log(`⚠️  No ${source} meter reading found around midnight for ${dateStr} (${meterId})`);
         return null;
       }
 
-      // Get latest meter reading
-      const currentReading = await this.getLatestMeterReading();
+      // Get latest meter reading (for past days, the value at the midnight that ended it, so consecutive days add up to the register delta)
+      const isPastDate = dateStr < this.getTodayDate();
+      const currentReading = isPastDate
+        ? await this.getMidnightMeterReading(timezone.addDays(dateStr, 1), meterId, source)
+        : await this.getLatestMeterReading(meterId, source);
       if (!currentReading) {
-        console.log(`⚠️  No current meter reading available`);
+        console.log(`⚠️  No current ${source} meter reading available`);
         return null;
       }
 
       // Check monitoring coverage
-      const coverage = await this.checkMonitoringCoverage(dateStr);
+      const coverage = await this.checkMonitoringCoverage(dateStr, meterId, source);
+      const runtimeHours = await this.calculateRuntimeHours(dateStr, meterId, source);
 
       // Calculate consumption
       const consumption = currentReading.consumption_value - midnightReading.consumption_value;
@@ -173,7 +305,7 @@ class DailyConsumptionCalculator {
         return null;
       }
 
-      if (consumption > 100) {
+      if (source === 'grid' && consumption > 100) {
         console.log(`⚠️  Unusually high consumption: ${consumption} units - please verify`);
       }
 
@@ -183,27 +315,51 @@ class DailyConsumptionCalculator {
         confidenceScore *= 0.7; // Reduce confidence if monitoring gaps
       }
 
+      // Reduce confidence for midnight values estimated across long gaps
+      const interpolation = {
+        start: { method: midnightReading.method, spanMinutes: Math.round(midnightReading.spanMinutes) },
+        end: currentReading.method ? { method: currentReading.method, spanMinutes: Math.round(currentReading.spanMinutes) } : null
+      };
+      confidenceScore *= this.getInterpolationFactor(midnightReading.spanMinutes);
+      if (currentReading.method) {
+        confidenceScore *= this.getInterpolationFactor(currentReading.spanMinutes);
+      }
+
+      // A past day is final once a reading after its closing midnight pins the end-of-day value
+      const isFinal = isPastDate && (currentReading.method === 'exact' || currentReading.method === 'interpolated');
+
       const result = {
+        meterId,
+        source,
         date: dateStr,
         midnightReading: midnightReading.consumption_value,
         midnightTimestamp: midnightReading.timestamp,
         currentReading: currentReading.consumption_value,
         currentTimestamp: currentReading.timestamp,
         calculatedConsumption: consumption,
-        isComplete: dateStr < this.getTodayDate(), // Past dates are complete
+        runtimeHours,
+        isComplete: isFinal,
+        finalizedAt: isFinal ? new Date().toISOString() : null,
         hasMonitoringGaps: coverage.hasGaps,
         confidenceScore: confidenceScore,
-        coverage: coverage
+        coverage: coverage,
+        interpolation
       };
 
       // Save to database
-      await this.saveDailyConsumption(result);
+      if (options.save !== false) {
+        await this.saveDailyConsumption(result);
+      }
 
       console.log(`✅ Daily consumption calculated:`);
       console.log(`   Date: ${dateStr}`);
-      console.log(`   Midnight reading: ${midnightReading.consumption_value} KWH at ${midnightReading.timestamp}`);
-      console.log(`   Current reading: ${currentReading.consumption_value} KWH at ${currentReading.timestamp}`);
+      console.log(`   Meter: ${meterId} (${source})`);
+      console.log(`   Midnight reading: ${midnightReading.consumption_value.toFixed(3)} KWH at ${midnightReading.timestamp} (${this.describeInterpolation(interpolation.start)})`);
+      console.log(`   Current reading: ${currentReading.consumption_value.toFixed(3)} KWH at ${currentReading.timestamp}${interpolation.end ? ` (${this.describeInterpolation(interpolation.end)})` : ''}`);
       console.log(`   Consumption: ${consumption.toFixed(2)} units`);
+      if (runtimeHours !== null) {
+        console.log(`   Runtime: ${runtimeHours.toFixed(2)} hours`);
+      }
       console.log(`   Confidence: ${(confidenceScore * 100).toFixed(1)}%`);
       console.log(`   Monitoring coverage: ${coverage.recordCount} readings${coverage.hasGaps ? ' (has gaps)' : ''}`);
 
@@ -215,37 +371,41 @@ class DailyConsumptionCalculator {
     }
   }
 
+  describeInterpolation(info) {
+    return info.method === 'exact' ? 'exact' : `${info.method.replace('_', ' ')} over ${info.spanMinutes} min`;
+  }
+
   // Save daily consumption calculation to database
   async saveDailyConsumption(data) {
-    return new Promise((resolve, reject) => {
-      this.db.run(`
-        INSERT OR REPLACE INTO daily_consumption (
-          date, midnight_reading, midnight_timestamp, current_reading, 
-          current_timestamp, calculated_consumption, is_complete, 
-          has_monitoring_gaps, confidence_score, notes, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `, [
-        data.date,
-        data.midnightReading,
-        data.midnightTimestamp,
-        data.currentReading,
-        data.currentTimestamp,
-        data.calculatedConsumption,
-        data.isComplete,
-        data.hasMonitoringGaps,
-        data.confidenceScore,
-        data.coverage ? `Records: ${data.coverage.recordCount}` : null
-      ], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
+    const notes = [];
+    if (data.coverage) notes.push(`Records: ${data.coverage.recordCount}`);
+    if (data.interpolation) {
+      notes.push(`Start: ${this.describeInterpolation(data.interpolation.start)}`);
+      if (data.interpolation.end) notes.push(`End: ${this.describeInterpolation(data.interpolation.end)}`);
+    }
+
+    await this.storage.saveDailyConsumption({
+      meter_id: data.meterId || 'default',
+      source: data.source || 'grid',
+      date: data.date,
+      midnight_reading: data.midnightReading,
+      midnight_timestamp: data.midnightTimestamp,
+      current_reading: data.currentReading,
+      current_timestamp: data.currentTimestamp,
+      calculated_consumption: data.calculatedConsumption,
+      runtime_hours: data.runtimeHours === undefined ? null : data.runtimeHours,
+      is_complete: data.isComplete,
+      finalized_at: data.finalizedAt || null,
+      has_monitoring_gaps: data.hasMonitoringGaps,
+      confidence_score: data.confidenceScore,
+      notes: notes.length > 0 ? notes.join('; ') : null
     });
   }
 
-  // Get daily consumption for a date range
-  async getDailyConsumptions(startDate = null, endDate = null) {
+  // Get daily consumption for a date range (all meters and sources unless given)
+  async getDailyConsumptions(startDate = null, endDate = null, meterId = null, source = null) {
     if (!startDate) {
-      startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]; // Last 7 days
+      startDate = timezone.daysAgo(7); // Last 7 days
     }
     if (!endDate) {
       endDate = this.getTodayDate();
@@ -253,28 +413,21 @@ class DailyConsumptionCalculator {
 
     await this.initDatabase();
 
-    return new Promise((resolve, reject) => {
-      this.db.all(`
-        SELECT * FROM daily_consumption
-        WHERE date >= ? AND date <= ?
-        ORDER BY date DESC
-      `, [startDate, endDate], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    return this.storage.listDailyConsumption({ startDate, endDate, meterId, source });
   }
 
   // Recalculate daily consumption for past days (backfill)
-  async backfillDailyConsumptions(days = 7) {
-    console.log(`🔄 Backfilling daily consumption calculations for last ${days} days...`);
+  async backfillDailyConsumptions(days = 7, meterId = 'default', sources = SOURCES) {
+    console.log(`🔄 Backfilling daily consumption calculations for last ${days} days (${meterId})...`);
     
     const results = [];
     for (let i = days - 1; i >= 0; i--) {
-      const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-      const result = await this.calculateDailyConsumption(date);
-      if (result) {
-        results.push(result);
+      const date = timezone.daysAgo(i);
+      for (const source of sources) {
+        const result = await this.calculateDailyConsumption(date, meterId, source);
+        if (result) {
+          results.push(result);
+        }
       }
     }
 
@@ -282,14 +435,44 @@ class DailyConsumptionCalculator {
     return results;
   }
 
+  // Finalize completed days (yesterday and earlier, back `days` days) that aren't locked yet.
+  // Days whose end-of-day reading hasn't arrived stay open and are retried on the next run.
+  async finalizeCompletedDays(meterIds = ['default'], days = 7, options = {}) {
+    await this.initDatabase();
+
+    const finalized = [];
+    const pending = [];
+    for (let i = days; i >= 1; i--) {
+      const date = timezone.daysAgo(i);
+      for (const meterId of meterIds) {
+        for (const source of SOURCES) {
+          const stored = await this.getStoredDay(date, meterId, source);
+          if (stored && stored.finalized_at && !options.force) continue;
+
+          const result = await this.calculateDailyConsumption(date, meterId, source, options);
+          if (result && result.finalizedAt) {
+            finalized.push(result);
+          } else if (stored || result) {
+            pending.push({ date, meterId, source });
+          }
+        }
+      }
+    }
+
+    console.log(`🔒 Finalized ${finalized.length} days${pending.length > 0 ? `, ${pending.length} still waiting for their end-of-day reading` : ''}`);
+    return { finalized, pending };
+  }
+
   // Get today's consumption with real-time calculation
-  async getTodayConsumption() {
+  async getTodayConsumption(meterId = 'default', source = 'grid', options = {}) {
     const today = this.getTodayDate();
-    const result = await this.calculateDailyConsumption(today);
+    const result = await this.calculateDailyConsumption(today, meterId, source, options);
     
     if (result) {
       return {
+        source,
         value: result.calculatedConsumption,
+        runtimeHours: result.runtimeHours,
         unit: 'UNITS',
         period: 'today',
         timestamp: result.currentTimestamp,
@@ -304,14 +487,45 @@ class DailyConsumptionCalculator {
     return null;
   }
 
+  // Get this month's consumption so far: completed days from daily_consumption plus today's live value (not saved)
+  async getMonthToDateConsumption(meterId = 'default', source = 'grid') {
+    const today = this.getTodayDate();
+    const monthStart = today.substring(0, 8) + '01';
+    
+    const todayResult = await this.getTodayConsumption(meterId, source, { save: false });
+    await this.initDatabase();
+    
+    const pastDays = (await this.storage.listDailyConsumption({ meterId, source, startDate: monthStart, endDate: timezone.addDays(today, -1) }))
+      .filter(day => day.calculated_consumption !== null);
+    
+    const pastUnits = pastDays.reduce((sum, day) => sum + day.calculated_consumption, 0);
+    const todayUnits = todayResult ? todayResult.value : 0;
+    const runtimeHours = pastDays.reduce((sum, day) => sum + (day.runtime_hours || 0), 0) +
+      (todayResult && todayResult.runtimeHours ? todayResult.runtimeHours : 0);
+    
+    return {
+      source,
+      month: today.substring(0, 7),
+      monthStart,
+      today,
+      units: pastUnits + todayUnits,
+      todayUnits,
+      runtimeHours: Math.round(runtimeHours * 100) / 100,
+      todayRuntimeHours: todayResult ? todayResult.runtimeHours : null,
+      pastDaysWithData: pastDays.length,
+      daysWithData: pastDays.length + (todayResult ? 1 : 0),
+      confidence: todayResult ? todayResult.confidence : null
+    };
+  }
+
   // Get consumption at a specific time (for historical data)
-  async getConsumptionAtTime(dateStr, targetTime) {
+  async getConsumptionAtTime(dateStr, targetTime, meterId = 'default', source = 'grid') {
     await this.initDatabase();
     
     try {
       // For today, use real-time calculation
       if (dateStr === this.getTodayDate()) {
-        return await this.getTodayConsumption();
+        return await this.getTodayConsumption(meterId, source);
       }
       
       // For past dates, look for existing calculation or calculate based on available data
@@ -319,27 +533,13 @@ class DailyConsumptionCalculator {
       const targetTimestamp = targetTime.toISOString();
       
       // Get midnight reading for that date
-      const midnightReading = await this.getMidnightReading(dateStr);
+      const midnightReading = await this.getMidnightMeterReading(dateStr, meterId, source);
       if (!midnightReading) {
         return null;
       }
       
       // Get meter reading closest to target time
-      const targetReading = await new Promise((resolve, reject) => {
-        this.db.get(`
-          SELECT consumption_value, timestamp
-          FROM power_data 
-          WHERE timestamp <= ? 
-            AND category = 'meter_reading'
-            AND source = 'grid'
-            AND consumption_value IS NOT NULL
-          ORDER BY timestamp DESC
-          LIMIT 1
-        `, [targetTimestamp], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
+      const targetReading = await this.storage.findRecord({ meterId, category: 'meter_reading', source, hasValue: true, end: targetTimestamp });
       
       if (!targetReading) {
         return null;
@@ -352,6 +552,7 @@ class DailyConsumptionCalculator {
       }
       
       return {
+        source,
         value: consumption,
         unit: 'UNITS',
         period: 'today',
@@ -371,8 +572,8 @@ class DailyConsumptionCalculator {
 
   // Close database connection
   async close() {
-    if (this.db) {
-      this.db.close();
+    if (this.ownsStorage) {
+      await this.storage.close();
     }
   }
 }
@@ -382,18 +583,35 @@ module.exports = DailyConsumptionCalculator;
 
 // Command line usage
 if (require.main === module) {
+  const { ensureDataMigrated } = require('./migrations');
   const calculator = new DailyConsumptionCalculator();
   
-  const command = process.argv[2];
-  const dateArg = process.argv[3];
+  // Positional arguments plus optional --meter=<id> and --source=grid|dg flags
+  const meterFlag = process.argv.find(arg => arg.startsWith('--meter='));
+  const meterId = meterFlag ? meterFlag.split('=')[1] : (process.env.METER_ID || 'default');
+  const sourceFlag = process.argv.find(arg => arg.startsWith('--source='));
+  const source = sourceFlag ? sourceFlag.split('=')[1] : null;
+  const force = process.argv.includes('--force');
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const command = args[0];
+  const dateArg = args[1];
   
   async function main() {
     try {
+      // Days stored with other boundaries are fixed up first (recompute redoes every day anyway)
+      if (['today', 'date', 'finalize', 'backfill', 'history'].includes(command)) {
+        await calculator.initDatabase();
+        await ensureDataMigrated(calculator.storage);
+      }
+
       switch (command) {
         case 'today':
-          const todayResult = await calculator.getTodayConsumption();
+          const todayResult = await calculator.getTodayConsumption(meterId, source || 'grid');
           if (todayResult) {
-            console.log(`\n📊 Today's Consumption: ${todayResult.value.toFixed(2)} ${todayResult.unit}`);
+            console.log(`\n📊 Today's ${todayResult.source.toUpperCase()} Consumption: ${todayResult.value.toFixed(2)} ${todayResult.unit}`);
+            if (todayResult.runtimeHours !== null) {
+              console.log(`   Runtime: ${todayResult.runtimeHours.toFixed(2)} hours`);
+            }
             console.log(`   Confidence: ${(todayResult.confidence * 100).toFixed(1)}%`);
             console.log(`   From: ${todayResult.midnightReading} → ${todayResult.currentReading} KWH`);
             if (todayResult.hasGaps) {
@@ -409,23 +627,33 @@ if (require.main === module) {
             console.log(`❌ Please provide a date (YYYY-MM-DD)`);
             process.exit(1);
           }
-          await calculator.calculateDailyConsumption(dateArg);
+          await calculator.calculateDailyConsumption(dateArg, meterId, source || 'grid', { force });
+          break;
+
+        case 'finalize':
+          await calculator.finalizeCompletedDays([meterId], parseInt(dateArg) || 7, { force });
           break;
           
         case 'backfill':
           const days = parseInt(dateArg) || 7;
-          await calculator.backfillDailyConsumptions(days);
+          await calculator.backfillDailyConsumptions(days, meterId, source ? [source] : undefined);
+          break;
+          
+        case 'recompute':
+          await calculator.initDatabase();
+          await calculator.migrateTimezone(true);
           break;
           
         case 'history':
           const days_history = parseInt(dateArg) || 7;
-          const startDate = new Date(Date.now() - days_history * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-          const history = await calculator.getDailyConsumptions(startDate);
+          const startDate = timezone.daysAgo(days_history);
+          const history = await calculator.getDailyConsumptions(startDate, null, meterId, source);
           
-          console.log(`\n📈 Daily Consumption History (last ${days_history} days):`);
+          console.log(`\n📈 Daily Consumption History (last ${days_history} days, ${meterId}):`);
           history.forEach(day => {
-            const status = day.has_monitoring_gaps ? '⚠️ ' : day.is_complete ? '✅' : '🔄';
-            console.log(`   ${status} ${day.date}: ${day.calculated_consumption?.toFixed(2) || 'N/A'} units (${(day.confidence_score * 100).toFixed(0)}%)`);
+            const status = day.has_monitoring_gaps ? '⚠️ ' : day.finalized_at ? '🔒' : day.is_complete ? '✅' : '🔄';
+            const runtime = day.runtime_hours !== null ? `, ${day.runtime_hours.toFixed(1)}h on` : '';
+            console.log(`   ${status} ${day.date} ${day.source.padEnd(4)}: ${day.calculated_consumption?.toFixed(2) || 'N/A'} units${runtime} (${(day.confidence_score * 100).toFixed(0)}%)`);
           });
           break;
           
@@ -437,7 +665,13 @@ Usage:
   node daily_consumption_calculator.js today                    # Calculate today's consumption
   node daily_consumption_calculator.js date 2025-10-22         # Calculate for specific date
   node daily_consumption_calculator.js backfill [days]         # Backfill last N days (default: 7)
+  node daily_consumption_calculator.js finalize [days]         # Close and lock completed days (default: last 7)
   node daily_consumption_calculator.js history [days]          # Show history for last N days
+  node daily_consumption_calculator.js recompute               # Recompute all stored days (e.g. after changing TIMEZONE)
+
+Add --meter=<id> to any command to select a meter (default: METER_ID or "default")
+and --source=grid|dg to select the supply (default: grid; backfill does both).
+Finalized days are locked; add --force to date/finalize to recalculate them.
 
 This tool calculates REAL daily consumption by:
 1. Finding meter reading at midnight (00:00)
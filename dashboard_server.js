@@ -4,6 +4,13 @@ const express = require('express');
 const path = require('path');
 const UppclPowerMonitor = require('./optimized_monitor');
 const DailyConsumptionCalculator = require('./daily_consumption_calculator');
+const TariffCalculator = require('./tariff_calculator');
+const BalanceForecaster = require('./balance_forecaster');
+const OutageAnalytics = require('./outage_analytics');
+const ConsumptionRollups = require('./consumption_rollups');
+const AuthService = require('./auth');
+const PowerMetrics = require('./metrics');
+const timezone = require('./timezone');
 
 /**
  * UPPCL Power Monitoring Web Dashboard
@@ -15,22 +22,87 @@ class PowerDashboard {
     this.app = express();
     this.port = process.env.PORT || 3000;
     this.monitor = new UppclPowerMonitor();
-    this.dailyCalculator = new DailyConsumptionCalculator();
+    this.dailyCalculator = new DailyConsumptionCalculator(null, this.monitor.storage); // same connection as the monitor
+    this.tariffCalculator = new TariffCalculator(null, null, this.monitor.storage);
+    this.balanceForecaster = new BalanceForecaster(null, this.monitor.storage);
+    this.outageAnalytics = new OutageAnalytics(null, this.monitor.storage);
+    this.rollups = new ConsumptionRollups(null, this.monitor.storage);
+    this.auth = new AuthService(this.monitor.config.dbPath);
+    this.authDisabled = process.env.AUTH_DISABLED === 'true';
+    // Comma-separated origins allowed to call the API from another site; same-origin only when empty
+    this.corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    this.streamClients = new Set(); // open /api/stream responses
+    this.metrics = new PowerMetrics(this.monitor);
+    this.metricsPublic = process.env.METRICS_PUBLIC === 'true';
     
     this.setupMiddleware();
     this.setupRoutes();
+    this.setupStream();
+  }
+
+  // Push monitoring cycles, grid events and anomalies to /api/stream subscribers
+  setupStream() {
+    this.monitor.on('cycle', result => this.broadcast('cycle', result));
+    this.monitor.on('grid_event', event => this.broadcast('grid_event', event));
+    this.monitor.anomalyDetector.on('anomaly', anomaly => this.broadcast('anomaly', anomaly));
+
+    // Comment lines keep proxies from closing idle streams
+    this.streamHeartbeat = setInterval(() => {
+      this.streamClients.forEach(client => client.res.write(': ping\n\n'));
+    }, 25000);
+    this.streamHeartbeat.unref();
+  }
+
+  // Send an event to every subscriber watching its meter (or all meters)
+  broadcast(event, payload) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+    this.streamClients.forEach(client => {
+      if (client.meterId && payload.meterId && client.meterId !== payload.meterId) return;
+      client.res.write(message);
+    });
   }
 
   setupMiddleware() {
+    // Behind a reverse proxy, take the client IP (for login throttling) from X-Forwarded-For
+    const trustProxy = process.env.TRUST_PROXY;
+    if (trustProxy && trustProxy !== 'false') {
+      this.app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+    }
     this.app.use(express.json());
-    this.app.use(express.static(path.join(__dirname, 'dashboard')));
-    
-    // CORS for development
+
+    // CORS only for configured origins. Listed origins may send the session cookie; '*' allows
+    // any site, but only with a literal '*' and no credentials, so it works with API tokens only.
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+      const origin = req.headers.origin;
+      const listed = Boolean(origin) && this.corsOrigins.includes(origin);
+      if (listed || (origin && this.corsOrigins.includes('*'))) {
+        res.header('Access-Control-Allow-Origin', listed ? origin : '*');
+        if (listed) res.header('Access-Control-Allow-Credentials', 'true');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+      }
+      res.header('Vary', 'Origin');
+      if (req.method === 'OPTIONS') return res.sendStatus(204);
       next();
     });
+
+    // Send signed-out visitors to the login page instead of an empty dashboard
+    this.app.get(['/', '/index.html'], async (req, res, next) => {
+      if (this.authDisabled || await this.auth.authenticate(req).catch(() => null)) return next();
+      res.redirect('/login.html');
+    });
+
+    this.app.use(express.static(path.join(__dirname, 'dashboard')));
+
+    // Everything under /api needs a session or API token, except health checks and login
+    this.app.use('/api', async (req, res, next) => {
+      if (this.authDisabled) {
+        req.user = { id: null, username: 'anonymous', role: 'admin', via: 'disabled' };
+        return next();
+      }
+      if (req.path === '/health' || req.path === '/auth/login') return next();
+      return this.auth.requireAuth()(req, res, next);
+    });
   }
 
   setupRoutes() {
@@ -40,91 +112,31 @@ class PowerDashboard {
     });
 
     // API Routes
+    this.app.get('/api/meters', (req, res) => {
+      res.json({
+        defaultMeter: this.monitor.getDefaultMeterId(),
+        meters: this.monitor.accounts.map(account => ({
+          id: account.id,
+          name: account.name || account.id
+        }))
+      });
+    });
+
+    // Served from the snapshot built after the last monitoring cycle; polls between cycles get 304
     this.app.get('/api/status', async (req, res) => {
       try {
-        await this.monitor.initDatabase();
-        const latestData = await this.monitor.getHistoricalData(0.5); // Last 30 minutes
-        const balanceData = await this.monitor.getHistoricalData(24); // Last 24 hours for balance (balance changes less frequently)
-        const gridEvents = await this.monitor.getGridEvents();
-        
-        const status = {
-          timestamp: new Date().toISOString(),
-          grid: {
-            status: 'unknown',
-            consumption: null,
-            unit: null,
-            period: null,
-            todayConsumption: null,
-            meterReading: null,
-            balance: null,
-            lastInterruption: gridEvents.lastInterruption,
-            lastRestoration: gridEvents.lastRestoration
-          },
-          dg: {
-            status: 'unknown', 
-            consumption: null,
-            unit: null,
-            period: null
-          }
-        };
+        const meterId = req.query.meter || this.monitor.getDefaultMeterId();
+        const snapshot = await this.monitor.statusSnapshots.get(meterId);
 
-        // Get calculated today's consumption
-        try {
-          const todayConsumption = await this.dailyCalculator.getTodayConsumption();
-          if (todayConsumption) {
-            status.grid.todayConsumption = {
-              value: todayConsumption.value,
-              unit: todayConsumption.unit,
-              isRealTimeCalculated: true,
-              confidence: todayConsumption.confidence,
-              hasGaps: todayConsumption.hasGaps
-            };
-            console.log(`📅 Serving calculated today's consumption: ${todayConsumption.value.toFixed(2)} ${todayConsumption.unit}`);
-          }
-        } catch (error) {
-          console.error('❌ Error getting calculated today\'s consumption:', error);
-        }
-
-        latestData.forEach(record => {
-          if (record.source === 'grid') {
-            if (record.category === 'availability') {
-              status.grid.status = record.status;
-            } else if (record.category === 'consumption') {
-              // Skip old scraped "today" data - we're using calculated values now
-              if (record.period !== 'today') {
-                status.grid.consumption = record.consumption_value;
-                status.grid.unit = record.consumption_unit;
-                status.grid.period = record.period;
-              }
-            } else if (record.category === 'meter_reading') {
-              status.grid.meterReading = {
-                value: record.consumption_value,
-                unit: record.consumption_unit
-              };
-            }
-          } else if (record.source === 'dg') {
-            if (record.category === 'availability') {
-              status.dg.status = record.status;
-            } else if (record.category === 'consumption') {
-              status.dg.consumption = record.consumption_value;
-              status.dg.unit = record.consumption_unit;
-              status.dg.period = record.period;
-            }
-          }
+        res.set({
+          'ETag': snapshot.etag,
+          'Last-Modified': snapshot.lastModified.toUTCString(),
+          'Cache-Control': 'private, no-cache'
         });
-
-        // Get the most recent balance from last 24 hours
-        const balanceRecord = balanceData.find(record => 
-          record.source === 'grid' && record.category === 'balance'
-        );
-        if (balanceRecord) {
-          status.grid.balance = {
-            value: balanceRecord.consumption_value,
-            unit: balanceRecord.consumption_unit
-          };
+        if (req.fresh) {
+          return res.status(304).end();
         }
-
-        res.json(status);
+        res.type('json').send(snapshot.body);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -142,9 +154,11 @@ class PowerDashboard {
         const source = req.query.source;        // Filter by source
         const period = req.query.period;        // Filter by period (for consumption data)
         const changesFilter = req.query.changes_filter; // Filter for changes only
+        const meterId = req.query.meter;        // Filter by meter (all meters if omitted)
         
         await this.monitor.initDatabase();
         let history = await this.monitor.getHistoricalData(hours, limit, {
+          meterId,
           startDate,
           endDate, 
           startDateTime,
@@ -171,24 +185,32 @@ class PowerDashboard {
           console.log(`🎯 Applied no-duplicates filter, reduced to ${history.length} records`);
         }
         
-        // Add calculated today's consumption for current day entries
+        // Add calculated today's consumption for current day entries, per meter
         try {
-          const todayConsumption = await this.dailyCalculator.getTodayConsumption();
-          if (todayConsumption) {
-            const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-            
-            // Add today's consumption entry for each unique timestamp from today
-            const todayTimestamps = new Set();
-            history.forEach(record => {
-              if (record.timestamp.startsWith(today)) {
-                todayTimestamps.add(record.timestamp);
+          const today = timezone.getDateString(); // YYYY-MM-DD in TIMEZONE
+          const todayStart = timezone.getMidnight(today).toISOString();
+          
+          // Collect each meter's unique timestamps from today
+          const todayTimestampsByMeter = new Map();
+          history.forEach(record => {
+            if (record.timestamp >= todayStart) {
+              const recordMeter = record.meter_id || 'default';
+              if (!todayTimestampsByMeter.has(recordMeter)) {
+                todayTimestampsByMeter.set(recordMeter, new Set());
               }
-            });
+              todayTimestampsByMeter.get(recordMeter).add(record.timestamp);
+            }
+          });
+          
+          for (const [recordMeter, todayTimestamps] of todayTimestampsByMeter) {
+            const todayConsumption = await this.dailyCalculator.getTodayConsumption(recordMeter, 'grid', { save: false });
+            if (!todayConsumption) continue;
             
             // Add consumption data for each timestamp
             Array.from(todayTimestamps).forEach(timestamp => {
               const syntheticEntry = {
-                id: `calc_${new Date(timestamp).getTime()}`,
+                id: `calc_${recordMeter}_${new Date(timestamp).getTime()}`,
+                meter_id: recordMeter,
                 timestamp: timestamp,
                 category: 'consumption',
                 source: 'grid',
@@ -198,7 +220,7 @@ class PowerDashboard {
                 period: 'today',
                 confidence: todayConsumption.confidence,
                 metadata: JSON.stringify({ calculated: true, hasGaps: todayConsumption.hasGaps }),
-                fingerprint: `calc_today_${timestamp}`,
+                fingerprint: `calc_today_${recordMeter}_${timestamp}`,
                 created_at: timestamp
               };
               history.push(syntheticEntry);
@@ -214,15 +236,164 @@ class PowerDashboard {
       }
     });
 
-    this.app.post('/api/trigger-monitoring', async (req, res) => {
+    this.app.get('/api/bill', async (req, res) => {
+      try {
+        const meterId = req.query.meter || this.monitor.getDefaultMeterId();
+        const estimate = await this.tariffCalculator.estimateBill(meterId);
+        res.json(estimate);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/balance/forecast', async (req, res) => {
+      try {
+        const meterId = req.query.meter || this.monitor.getDefaultMeterId();
+        const days = parseInt(req.query.days) || 7;
+        const forecast = await this.balanceForecaster.forecast(meterId, days);
+        res.json(forecast);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/monthly', async (req, res) => {
+      try {
+        const meterId = req.query.meter || this.monitor.getDefaultMeterId();
+        const count = parseInt(req.query.months) || 12; // capped by getRollups
+        const months = await this.rollups.getRollups(meterId, 'monthly', count);
+        res.json({ meter: meterId, timezone: timezone.getTimezone(), months });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/cycles', async (req, res) => {
       try {
-        const data = await this.monitor.performMonitoring();
+        const meterId = req.query.meter || this.monitor.getDefaultMeterId();
+        const count = parseInt(req.query.count) || 12;
+        const cycles = await this.rollups.getRollups(meterId, 'cycle', count);
+        res.json({ meter: meterId, timezone: timezone.getTimezone(), cycleStartDay: this.rollups.cycleStartDay, cycles });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Server-Sent Events: cycle, grid_event and anomaly; ?meter=<id> limits to one meter
+    this.app.get('/api/stream', (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.write(`retry: 5000\nevent: hello\ndata: ${JSON.stringify({ timestamp: new Date().toISOString(), meterId: req.query.meter || null })}\n\n`);
+
+      const client = { res, meterId: req.query.meter || null };
+      this.streamClients.add(client);
+      req.on('close', () => this.streamClients.delete(client));
+    });
+
+    this.app.get('/api/anomalies', async (req, res) => {
+      try {
+        const meterId = req.query.meter === 'all' ? null : (req.query.meter || this.monitor.getDefaultMeterId());
+        const anomalies = await this.monitor.anomalyDetector.getAnomalies({
+          meterId,
+          days: parseInt(req.query.days) || 7,
+          type: req.query.type || null,
+          limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+        });
+        res.json({ meter: meterId || 'all', count: anomalies.length, anomalies });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/outages', async (req, res) => {
+      try {
+        const meterIds = req.query.meter === 'all'
+          ? this.monitor.accounts.map(account => account.id)
+          : [req.query.meter || this.monitor.getDefaultMeterId()];
+        try {
+          this.outageAnalytics.parseRange(req.query.from, req.query.to);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+        const report = await this.outageAnalytics.analyze(meterIds, req.query.from, req.query.to);
+
+        if (req.query.format === 'csv') {
+          const type = req.query.type || 'outages';
+          const csv = this.outageAnalytics.toCsv(report, type);
+          res.setHeader('Content-Type', 'text/csv');
+          const fromDate = timezone.getDateString(new Date(report.from));
+          const toDate = timezone.getDateString(new Date(report.to));
+          res.setHeader('Content-Disposition', `attachment; filename="grid_${type}_${fromDate}_${toDate}.csv"`);
+          return res.send(csv);
+        }
+
+        res.json(report);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/trigger-monitoring', this.auth.requireAdmin(), async (req, res) => {
+      try {
+        const data = await this.monitor.runner.run('manual');
         res.json({ success: true, recordsFound: data.length });
+      } catch (error) {
+        res.status(error.code === 'RUN_IN_PROGRESS' ? 409 : 500).json({ error: error.message });
+      }
+    });
+
+    // Monitoring run log and scheduler state (backoff, circuit breaker)
+    this.app.get('/api/runs', async (req, res) => {
+      try {
+        const runs = await this.monitor.runner.getRuns({ limit: req.query.limit, outcome: req.query.outcome });
+        res.json({ ...this.monitor.runner.getState(), runs });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Database backups (admin only)
+    this.app.get('/api/backups', this.auth.requireAdmin(), (req, res) => {
+      try {
+        res.json({ backupDir: this.monitor.backups.backupDir, backups: this.monitor.backups.listBackups() });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    this.app.post('/api/backups', this.auth.requireAdmin(), async (req, res) => {
+      try {
+        res.status(201).json(await this.monitor.backups.createBackup());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/backups/:name/download', this.auth.requireAdmin(), (req, res) => {
+      try {
+        res.download(this.monitor.backups.getBackupPath(req.params.name), req.params.name);
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+
+    // Prometheus scrape target; needs an API token unless METRICS_PUBLIC=true
+    this.app.get('/metrics', (req, res, next) => {
+      if (this.authDisabled || this.metricsPublic) return next();
+      return this.auth.requireAuth()(req, res, next);
+    }, async (req, res) => {
+      try {
+        res.set('Content-Type', this.metrics.contentType);
+        res.send(await this.metrics.metrics());
+      } catch (error) {
+        res.status(500).send(error.message);
+      }
+    });
+
     this.app.get('/api/health', (req, res) => {
       res.json({ 
         status: 'healthy',
@@ -230,6 +401,107 @@ class PowerDashboard {
         version: '2.0.0'
       });
     });
+    this.setupAuthRoutes();
+  }
+
+  // Login/logout, API tokens and (admin) user management
+  setupAuthRoutes() {
+    const admin = this.auth.requireAdmin();
+
+    // Too many failures from one IP lock it out for LOGIN_LOCKOUT_MINUTES
+    this.app.post('/api/auth/login', async (req, res) => {
+      try {
+        const retryAfter = this.auth.getLoginRetryAfter(req.ip);
+        if (retryAfter > 0) {
+          res.setHeader('Retry-After', retryAfter);
+          return res.status(429).json({ error: `Too many failed logins; try again in ${Math.ceil(retryAfter / 60)} min` });
+        }
+
+        const { username, password } = req.body || {};
+        const session = await this.auth.login(username, password);
+        if (!session) {
+          this.auth.recordLoginFailure(req.ip);
+          return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        this.auth.clearLoginFailures(req.ip);
+        res.setHeader('Set-Cookie', this.auth.sessionCookie(session.token, session.expiresAt));
+        res.json({ user: session.user, expiresAt: session.expiresAt });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/auth/logout', async (req, res) => {
+      try {
+        await this.auth.logout(this.auth.parseCookies(req.headers.cookie)[AuthService.SESSION_COOKIE]);
+        res.setHeader('Set-Cookie', this.auth.sessionCookie(null));
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/auth/me', (req, res) => {
+      res.json({ user: req.user, authDisabled: this.authDisabled });
+    });
+
+    // API tokens for scripts; viewers see and create their own, admins may act for anyone
+    this.app.get('/api/auth/tokens', async (req, res) => {
+      try {
+        res.json({ tokens: await this.auth.listApiTokens(req.user.role === 'admin' ? (req.query.user || null) : req.user.username) });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/auth/tokens', async (req, res) => {
+      try {
+        const { name, username, expiresInDays } = req.body || {};
+        const owner = req.user.role === 'admin' && username ? username : req.user.username;
+        res.status(201).json(await this.auth.createApiToken(owner, name || 'api', expiresInDays || null));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/auth/tokens/:id', async (req, res) => {
+      try {
+        const revoked = await this.auth.revokeApiToken(parseInt(req.params.id), req.user);
+        if (!revoked) return res.status(404).json({ error: 'Token not found' });
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/users', admin, async (req, res) => {
+      try {
+        res.json({ users: await this.auth.listUsers() });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/users', admin, async (req, res) => {
+      try {
+        const { username, password, role } = req.body || {};
+        res.status(201).json(await this.auth.createUser(username, password, role || 'viewer'));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/users/:username', admin, async (req, res) => {
+      try {
+        if (req.params.username === req.user.username) {
+          return res.status(400).json({ error: 'You cannot remove your own account' });
+        }
+        await this.auth.deleteUser(req.params.username);
+        res.json({ success: true });
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
   }
 
   // Filter to show only records where meaningful values changed
@@ -271,8 +543,9 @@ class PowerDashboard {
         currentValue = record.consumption_value;
       }
       
-      // Check if this is a meaningful change
+      // Check if this is a meaningful change (tracked separately per meter)
       if (trackingKey) {
+        trackingKey = `${record.meter_id || 'default'}_${trackingKey}`;
         const lastValue = lastValues.get(trackingKey);
         
         // Include if it's the first record for this type or if value changed
@@ -298,10 +571,10 @@ class PowerDashboard {
     if (history.length === 0) return history;
     
     const filtered = [];
-    const lastRecord = new Map(); // Track last record for each category+source combination
+    const lastRecord = new Map(); // Track last record for each meter+category+source combination
     
     for (const record of history) {
-      const key = `${record.category}_${record.source}`;
+      const key = `${record.meter_id || 'default'}_${record.category}_${record.source}`;
       const lastRec = lastRecord.get(key);
       
       // Include if it's the first record for this category+source or if it's different from the last
@@ -316,17 +589,37 @@ class PowerDashboard {
     return filtered;
   }
 
+  // Middleware and routes are registered once, in the constructor
   async start() {
-    this.setupMiddleware();
-    this.setupRoutes();
+    await this.monitor.initDatabase();
+
+    if (this.authDisabled) {
+      console.warn('⚠️  AUTH_DISABLED=true - the dashboard and API are open to anyone who can reach this port');
+    } else {
+      await this.auth.bootstrapAdmin();
+    }
     
     this.server = this.app.listen(this.port, () => {
       console.log(`🌐 UPPCL Power Dashboard running on http://localhost:${this.port}`);
       console.log(`📊 API endpoints available:`);
-      console.log(`   • GET  /api/status - Current Grid/DG status`);
-      console.log(`   • GET  /api/history?hours=24 - Historical data`);
-      console.log(`   • POST /api/trigger-monitoring - Manual monitoring trigger`);
+      console.log(`   • GET  /api/meters - Monitored meters/accounts`);
+      console.log(`   • GET  /api/status?meter=<id> - Current Grid/DG status`);
+      console.log(`   • GET  /api/history?hours=24&meter=<id> - Historical data`);
+      console.log(`   • GET  /api/bill?meter=<id> - Projected monthly bill`);
+      console.log(`   • GET  /api/balance/forecast?meter=<id> - Balance depletion forecast`);
+      console.log(`   • GET  /api/outages?from=&to=&format=csv - Outage intervals, supply hours, SAIDI/SAIFI`);
+      console.log(`   • GET  /api/monthly?meter=<id>&months=12 - Monthly rollups reconciled with the portal`);
+      console.log(`   • GET  /api/cycles?meter=<id>&count=12 - Billing-cycle rollups`);
+      console.log(`   • GET  /api/anomalies?meter=<id>&days=7 - Detected meter anomalies`);
+      console.log(`   • GET  /api/stream?meter=<id> - Live cycle, grid event and anomaly push (SSE)`);
+      console.log(`   • POST /api/trigger-monitoring - Manual monitoring trigger (admin)`);
+      console.log(`   • GET  /api/runs?limit=50&outcome=failure - Monitoring run log, backoff and circuit breaker state`);
+      console.log(`   • POST /api/auth/login, /api/auth/logout; GET /api/auth/me - Dashboard sessions`);
+      console.log(`   • GET/POST /api/auth/tokens, DELETE /api/auth/tokens/:id - API tokens for scripts`);
+      console.log(`   • GET/POST /api/users, DELETE /api/users/:username - User management (admin)`);
+      console.log(`   • GET/POST /api/backups, GET /api/backups/:name/download - Database backups (admin)`);
       console.log(`   • GET  /api/health - Health check`);
+      console.log(`   • GET  /metrics - Prometheus metrics`);
       
       // Start automatic monitoring every minute
       console.log(`⏰ Starting automatic monitoring (every 1 minute)...`);
@@ -6,6 +6,7 @@
  */
 
 const DailyConsumptionCalculator = require('./daily_consumption_calculator');
+const timezone = require('./timezone');
 
 class DataQualityAlert {
   constructor() {
@@ -44,12 +45,12 @@ INITIAL MONITORING PERIOD:
     `);
 
     // Check if we have midnight data for today
-    const today = new Date().toISOString().split('T')[0];
+    const today = timezone.getDateString();
     const todayConsumption = await this.calculator.getTodayConsumption();
     
     if (todayConsumption) {
       const now = new Date();
-      const midnight = new Date(today + 'T00:00:00.000Z');
+      const midnight = timezone.getMidnight(today);
       const hoursSinceMidnight = (now - midnight) / (1000 * 60 * 60);
       
       console.log(`
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('./storage');
+
+/**
+ * Data Retention
+ * Keeps raw power_data rows for RETENTION_RAW_DAYS, then folds them into hourly aggregates
+ * (min/max/last value, availability fraction) in power_data_hourly and deletes them.
+ * Event rows (interruptions, restorations, recharges) are never dropped.
+ * Hourly rows can expire after RETENTION_HOURLY_DAYS; on SQLite, VACUUM reclaims the freed pages.
+ * Rows reaching an hour that is already compacted (late inserts, restored backups) are merged into it.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// The primary key comes first
+const HOURLY_COLUMNS = [
+  'meter_id', 'hour', 'category', 'source', 'period', 'samples', 'min_value', 'max_value',
+  'last_value', 'last_status', 'last_timestamp', 'availability', 'consumption_unit'
+];
+
+class DataRetention {
+  constructor(dbPath = null, storage = null) {
+    this.dbPath = dbPath || path.join(__dirname, 'power_data.db');
+    this.storage = storage || createStorage({ dbPath: this.dbPath });
+    this.ownsStorage = !storage;
+    this.rawDays = parseFloat(process.env.RETENTION_RAW_DAYS) || 30;
+    this.hourlyDays = parseFloat(process.env.RETENTION_HOURLY_DAYS) || 0; // 0 = keep forever
+
+    // Finalization re-reads recent raw readings; never compact inside its window
+    const minimumRawDays = (parseInt(process.env.FINALIZE_LOOKBACK_DAYS) || 7) + 2;
+    if (this.rawDays < minimumRawDays) {
+      console.warn(`⚠️  RETENTION_RAW_DAYS=${this.rawDays} is inside the finalization window; using ${minimumRawDays}`);
+      this.rawDays = minimumRawDays;
+    }
+  }
+
+  // Connect to storage (power_data_hourly comes from the migrations or the PostgreSQL schema)
+  async initDatabase() {
+    await this.storage.init();
+  }
+
+  async all(sql, params = []) {
+    return this.storage.query(sql, params);
+  }
+
+  // Raw rows before this instant are compacted; aligned to the hour so no hour is split
+  getRawHorizon(now = new Date()) {
+    const horizon = now.getTime() - this.rawDays * DAY_MS;
+    return new Date(horizon - (horizon % HOUR_MS));
+  }
+
+  // Aggregate raw rows (oldest first) per meter, hour, category, source and period
+  aggregateHours(rows) {
+    const hours = new Map();
+    for (const row of rows) {
+      const time = new Date(row.timestamp).getTime();
+      const hour = new Date(time - (time % HOUR_MS)).toISOString();
+      const period = row.period || '';
+      const key = [row.meter_id, hour, row.category, row.source, period].join('\u0000');
+
+      let entry = hours.get(key);
+      if (!entry) {
+        entry = {
+          meter_id: row.meter_id, hour, category: row.category, source: row.source, period,
+          samples: 0, min_value: null, max_value: null, statuses: 0, online: 0
+        };
+        hours.set(key, entry);
+      }
+      entry.samples++;
+      if (row.consumption_value !== null) {
+        entry.min_value = entry.min_value === null ? row.consumption_value : Math.min(entry.min_value, row.consumption_value);
+        entry.max_value = entry.max_value === null ? row.consumption_value : Math.max(entry.max_value, row.consumption_value);
+      }
+      if (row.status !== null) {
+        entry.statuses++;
+        if (row.status === 'online') entry.online++;
+      }
+      entry.last_value = row.consumption_value;
+      entry.last_status = row.status;
+      entry.last_timestamp = row.timestamp;
+      entry.consumption_unit = row.consumption_unit;
+    }
+
+    return [...hours.values()].map(({ statuses, online, ...entry }) => ({
+      ...entry,
+      availability: entry.category === 'availability' && statuses > 0 ? online / statuses : null
+    }));
+  }
+
+  // Combine a new aggregate with the stored one for the same hour: counts add up, extremes widen,
+  // the later reading wins and availability is weighted by the samples behind each side
+  mergeHour(stored, incoming) {
+    const pick = (a, b, fn) => (a === null ? b : b === null ? a : fn(a, b));
+    const later = incoming.last_timestamp >= stored.last_timestamp ? incoming : stored;
+    const availability = pick(
+      stored.availability === null ? null : { value: stored.availability, weight: stored.samples },
+      incoming.availability === null ? null : { value: incoming.availability, weight: incoming.samples },
+      (a, b) => ({ value: (a.value * a.weight + b.value * b.weight) / (a.weight + b.weight), weight: a.weight + b.weight })
+    );
+
+    return {
+      ...incoming,
+      samples: stored.samples + incoming.samples,
+      min_value: pick(stored.min_value, incoming.min_value, Math.min),
+      max_value: pick(stored.max_value, incoming.max_value, Math.max),
+      last_value: later.last_value,
+      last_status: later.last_status,
+      last_timestamp: later.last_timestamp,
+      consumption_unit: later.consumption_unit,
+      availability: availability ? availability.value : null
+    };
+  }
+
+  // Fold raw rows in [start, end) into hourly aggregates and delete them, in one transaction
+  async compactRange(start, end) {
+    const range = [start.toISOString(), end.toISOString()];
+
+    return this.storage.transaction(async tx => {
+      const rows = await tx.query(`
+        SELECT meter_id, timestamp, category, source, status, consumption_value, consumption_unit, period
+        FROM power_data
+        WHERE category != 'event' AND timestamp >= ? AND timestamp < ?
+        ORDER BY timestamp ASC
+      `, range);
+
+      const aggregates = this.aggregateHours(rows);
+      for (const aggregate of aggregates) {
+        const key = [aggregate.meter_id, aggregate.hour, aggregate.category, aggregate.source, aggregate.period];
+        const [stored] = await tx.query(`
+          SELECT * FROM power_data_hourly
+          WHERE meter_id = ? AND hour = ? AND category = ? AND source = ? AND period = ?
+        `, key);
+        const hour = stored ? this.mergeHour(stored, aggregate) : aggregate;
+
+        await tx.execute(`
+          INSERT INTO power_data_hourly (${HOURLY_COLUMNS.join(', ')})
+          VALUES (${HOURLY_COLUMNS.map(() => '?').join(', ')})
+          ON CONFLICT (meter_id, hour, category, source, period) DO UPDATE SET
+            ${HOURLY_COLUMNS.slice(5).map(column => `${column} = excluded.${column}`).join(', ')}
+        `, HOURLY_COLUMNS.map(column => hour[column]));
+      }
+
+      const { changes: deleted } = await tx.execute(`
+        DELETE FROM power_data WHERE category != 'event' AND timestamp >= ? AND timestamp < ?
+      `, range);
+      return { hours: aggregates.length, deleted };
+    });
+  }
+
+  // Compact everything older than the raw horizon one day at a time, then expire old hourly rows
+  async applyRetention(options = {}) {
+    await this.initDatabase();
+    const horizon = this.getRawHorizon();
+    const [oldest] = await this.all(`SELECT MIN(timestamp) AS timestamp FROM power_data WHERE category != 'event'`);
+    const result = { horizon: horizon.toISOString(), compactedRows: 0, hourlyRows: 0, expiredHourlyRows: 0, dryRun: Boolean(options.dryRun) };
+
+    if (oldest && oldest.timestamp && new Date(oldest.timestamp) < horizon) {
+      if (options.dryRun) {
+        const [count] = await this.all(`SELECT COUNT(*) AS count FROM power_data WHERE category != 'event' AND timestamp < ?`, [horizon.toISOString()]);
+        result.compactedRows = count.count;
+      } else {
+        let start = new Date(oldest.timestamp);
+        start = new Date(start.getTime() - (start.getTime() % HOUR_MS));
+        while (start < horizon) {
+          const end = new Date(Math.min(start.getTime() + DAY_MS, horizon.getTime()));
+          const { hours, deleted } = await this.compactRange(start, end);
+          result.hourlyRows += hours;
+          result.compactedRows += deleted;
+          start = end;
+        }
+      }
+    }
+
+    if (this.hourlyDays > 0) {
+      const hourlyHorizon = new Date(Date.now() - this.hourlyDays * DAY_MS).toISOString();
+      if (options.dryRun) {
+        const [count] = await this.all('SELECT COUNT(*) AS count FROM power_data_hourly WHERE hour < ?', [hourlyHorizon]);
+        result.expiredHourlyRows = count.count;
+      } else {
+        result.expiredHourlyRows = (await this.storage.execute('DELETE FROM power_data_hourly WHERE hour < ?', [hourlyHorizon])).changes;
+      }
+    }
+
+    if (!options.dryRun && (result.compactedRows > 0 || result.expiredHourlyRows > 0)) {
+      console.log(`🗜️  Compacted ${result.compactedRows} raw rows into ${result.hourlyRows} hourly rows, expired ${result.expiredHourlyRows} hourly rows (raw kept since ${result.horizon})`);
+    }
+    return result;
+  }
+
+  // Rebuild the SQLite file so deleted rows actually free disk space (PostgreSQL autovacuums).
+  // A private connection: VACUUM fails while the shared one has statements in progress.
+  async vacuum() {
+    if (this.storage.backend !== 'sqlite') {
+      console.log(`🐘 VACUUM is left to ${this.storage.describe()}`);
+      return null;
+    }
+    await this.initDatabase();
+    const before = this.getFileSize();
+    const db = await new Promise((resolve, reject) => {
+      const handle = new sqlite3.Database(this.storage.dbPath, err => (err ? reject(err) : resolve(handle)));
+    });
+    db.configure('busyTimeout', 10000);
+    try {
+      await new Promise((resolve, reject) => db.exec('VACUUM', err => (err ? reject(err) : resolve())));
+    } finally {
+      await new Promise(resolve => db.close(() => resolve()));
+    }
+    const after = this.getFileSize();
+    console.log(`🧹 VACUUM complete: ${this.formatBytes(before)} → ${this.formatBytes(after)}`);
+    return { before, after };
+  }
+
+  // null when the data isn't in a local file
+  getFileSize() {
+    if (this.storage.backend !== 'sqlite') return null;
+    return fs.existsSync(this.storage.dbPath) ? fs.statSync(this.storage.dbPath).size : 0;
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  // Hourly rows shaped like power_data rows, for history ranges older than the raw horizon
+  async getHourlyHistory(filters = {}) {
+    let query = `
+      SELECT meter_id, hour, category, source, period, samples, min_value, max_value,
+             last_value, last_status, last_timestamp, availability, consumption_unit
+      FROM power_data_hourly WHERE 1=1
+    `;
+    const params = [];
+
+    if (filters.start) {
+      query += ' AND last_timestamp >= ?';
+      params.push(filters.start);
+    }
+    if (filters.end) {
+      query += ' AND last_timestamp <= ?';
+      params.push(filters.end);
+    }
+    if (filters.meterId) {
+      query += ' AND meter_id = ?';
+      params.push(filters.meterId);
+    }
+    if (filters.category) {
+      query += ' AND category = ?';
+      params.push(filters.category);
+    }
+    if (filters.source) {
+      query += ' AND source = ?';
+      params.push(filters.source);
+    }
+    if (filters.period) {
+      query += ' AND period = ?';
+      params.push(filters.period);
+    }
+    query += ' ORDER BY last_timestamp DESC LIMIT ?';
+    params.push(filters.limit || 1000);
+
+    const rows = await this.all(query, params);
+    return rows.map(row => ({
+      id: `hourly_${row.meter_id}_${row.hour}_${row.category}_${row.source}_${row.period}`,
+      meter_id: row.meter_id,
+      timestamp: row.last_timestamp,
+      category: row.category,
+      source: row.source,
+      status: row.last_status,
+      consumption_value: row.last_value,
+      consumption_unit: row.consumption_unit,
+      period: row.period || null,
+      confidence: null,
+      metadata: JSON.stringify({
+        resolution: 'hourly',
+        hour: row.hour,
+        samples: row.samples,
+        min: row.min_value,
+        max: row.max_value,
+        availability: row.availability
+      }),
+      fingerprint: null,
+      created_at: row.hour,
+      resolution: 'hourly'
+    }));
+  }
+
+  async getStatus() {
+    const [raw] = await this.all(`SELECT COUNT(*) AS count, MIN(timestamp) AS oldest FROM power_data WHERE category != 'event'`);
+    const [events] = await this.all(`SELECT COUNT(*) AS count FROM power_data WHERE category = 'event'`);
+    const [hourly] = await this.all('SELECT COUNT(*) AS count, MIN(hour) AS oldest FROM power_data_hourly');
+    return {
+      rawDays: this.rawDays,
+      hourlyDays: this.hourlyDays,
+      horizon: this.getRawHorizon().toISOString(),
+      rawRows: raw.count,
+      oldestRaw: raw.oldest,
+      eventRows: events.count,
+      hourlyRows: hourly.count,
+      oldestHourly: hourly.oldest,
+      fileSize: this.getFileSize()
+    };
+  }
+
+  async close() {
+    if (this.ownsStorage) {
+      await this.storage.close();
+    }
+  }
+}
+
+module.exports = DataRetention;
+
+// Command line usage
+if (require.main === module) {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const dryRun = process.argv.includes('--dry-run');
+  const retention = new DataRetention();
+
+  async function main() {
+    try {
+      switch (args[0]) {
+        case 'status':
+        case undefined: {
+          const status = await retention.getStatus();
+          console.log(`\n🗄️  Data retention:`);
+          console.log(`   Policy: raw ${status.rawDays} days, hourly ${status.hourlyDays > 0 ? status.hourlyDays + ' days' : 'forever'}, events forever`);
+          console.log(`   Raw rows: ${status.rawRows} (oldest ${status.oldestRaw || 'n/a'}), compacted before ${status.horizon}`);
+          console.log(`   Event rows: ${status.eventRows}`);
+          console.log(`   Hourly rows: ${status.hourlyRows} (oldest ${status.oldestHourly || 'n/a'})`);
+          if (status.fileSize !== null) {
+            console.log(`   Database size: ${retention.formatBytes(status.fileSize)}`);
+          }
+          break;
+        }
+
+        case 'run': {
+          const result = await retention.applyRetention({ dryRun });
+          if (dryRun) {
+            console.log(`🔍 Dry run: would compact ${result.compactedRows} raw rows and expire ${result.expiredHourlyRows} hourly rows`);
+          } else if (result.compactedRows === 0 && result.expiredHourlyRows === 0) {
+            console.log(`✅ Nothing older than ${result.horizon} to compact`);
+          }
+          break;
+        }
+
+        case 'vacuum':
+          await retention.vacuum();
+          break;
+
+        default:
+          console.log(`
+🗄️  Data Retention
+
+Usage:
+  node data_retention.js status            # Row counts and policy
+  node data_retention.js run [--dry-run]   # Compact old raw rows into hourly aggregates
+  node data_retention.js vacuum            # Reclaim disk space
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+      process.exitCode = 1;
+    } finally {
+      await retention.close();
+    }
+  }
+
+  main();
+}
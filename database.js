@@ -0,0 +1,166 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const { ensureMigrated } = require('./migrations');
+
+/**
+ * Database Service
+ * One SQLite connection per database file, shared by the monitor, the calculators, the
+ * analytics modules, auth and the dashboard. It is opened once, after pending migrations,
+ * in WAL mode so readers never wait for the monitor's writes. Statements are prepared on
+ * first use and cached; run/get/all return promises.
+ * Modules take it with openDatabase(dbPath, this) and hand it back with release(this); the
+ * connection closes when its last user releases it. Storage transactions (retention) and migrations keep
+ * private connections so other modules' statements can't end up inside them.
+ */
+
+const STATEMENT_CACHE_SIZE = 200;
+
+class DatabaseService {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+    this.opening = null;
+    this.users = new Set(); // modules holding the connection; opening twice is harmless
+    this.statements = new Map(); // sql -> Promise<sqlite3.Statement>, oldest first
+    this.journalMode = (process.env.SQLITE_JOURNAL_MODE || 'WAL').toUpperCase();
+    this.stats = { queries: 0, prepared: 0 };
+  }
+
+  async open() {
+    if (this.db) return;
+    if (!this.opening) {
+      this.opening = this.connect().finally(() => {
+        this.opening = null;
+      });
+    }
+    await this.opening;
+  }
+
+  async connect() {
+    await ensureMigrated(this.dbPath);
+    const db = await new Promise((resolve, reject) => {
+      const handle = new sqlite3.Database(this.dbPath, err => (err ? reject(err) : resolve(handle)));
+    });
+    db.configure('busyTimeout', 10000); // retention and backups use their own connections
+
+    const exec = sql => new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+    await exec(`PRAGMA journal_mode = ${this.journalMode}`);
+    if (this.journalMode === 'WAL') {
+      await exec('PRAGMA synchronous = NORMAL'); // durable at checkpoints, and much cheaper per write
+    }
+    this.db = db;
+  }
+
+  // Cached prepared statement for sql; the least recently added one is finalized when the cache is full
+  prepare(sql) {
+    if (this.statements.has(sql)) {
+      return this.statements.get(sql);
+    }
+
+    const statement = new Promise((resolve, reject) => {
+      const prepared = this.db.prepare(sql, err => (err ? reject(err) : resolve(prepared)));
+    });
+    statement.catch(() => this.statements.delete(sql)); // don't cache a syntax error
+    this.statements.set(sql, statement);
+    this.stats.prepared++;
+
+    if (this.statements.size > STATEMENT_CACHE_SIZE) {
+      const [oldestSql, oldest] = this.statements.entries().next().value;
+      this.statements.delete(oldestSql);
+      oldest.then(stmt => stmt.finalize(), () => {});
+    }
+    return statement;
+  }
+
+  async run(sql, params = []) {
+    await this.open();
+    const statement = await this.prepare(sql);
+    this.stats.queries++;
+    return new Promise((resolve, reject) => {
+      statement.run(params, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes, lastID: this.lastID });
+      });
+    });
+  }
+
+  async get(sql, params = []) {
+    await this.open();
+    const statement = await this.prepare(sql);
+    this.stats.queries++;
+    return new Promise((resolve, reject) => {
+      statement.get(params, (err, row) => {
+        // A stepped-into statement holds a read snapshot until it is reset
+        statement.reset();
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async all(sql, params = []) {
+    await this.open();
+    const statement = await this.prepare(sql);
+    this.stats.queries++;
+    return new Promise((resolve, reject) => {
+      statement.all(params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // Unprepared statements (PRAGMA, several statements at once)
+  async exec(sql) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Hand the connection back; it closes when nobody is using it
+  async release(user) {
+    this.users.delete(user);
+    if (this.users.size === 0) {
+      await this.close();
+    }
+  }
+
+  async close() {
+    if (services.get(this.dbPath) === this) services.delete(this.dbPath);
+    if (this.opening) await this.opening.catch(() => {});
+    if (!this.db) return;
+
+    const db = this.db;
+    this.db = null;
+    const statements = [...this.statements.values()];
+    this.statements.clear();
+    for (const statement of statements) {
+      await statement.then(stmt => new Promise(resolve => stmt.finalize(() => resolve())), () => {});
+    }
+    await new Promise(resolve => db.close(() => resolve()));
+  }
+}
+
+// One service per database file per process
+const services = new Map();
+
+async function openDatabase(dbPath = null, user = {}) {
+  const key = path.resolve(dbPath || path.join(__dirname, 'power_data.db'));
+  let service = services.get(key);
+  if (!service) {
+    service = new DatabaseService(key);
+    services.set(key, service);
+  }
+  service.users.add(user);
+
+  try {
+    await service.open();
+  } catch (error) {
+    await service.release(user);
+    throw error;
+  }
+  return service;
+}
+
+module.exports = { openDatabase, DatabaseService };
@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Database Backup
+ * Copies the live database with the SQLite online backup API (safe while the monitor writes),
+ * checks each copy with PRAGMA integrity_check, optionally gzips it and rotates old backups
+ * by count and age. Restores validate integrity and schema before swapping the file in.
+ * Copies are switched from WAL to a rollback journal, so each backup is one self-contained file.
+ */
+
+const BACKUP_PATTERN = /^power_data_backup_[0-9TZ_a-z-]+\.db(\.gz)?$/;
+const SIDECARS = ['-wal', '-shm', '-journal'];
+// Left in the backup directory by versions that kept copies in WAL mode
+const STRAY_SIDECAR_PATTERN = /^(power_data_backup_[0-9TZ_a-z-]+\.db\.partial|\.verify-\d+\.db)-(wal|shm|journal)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tables and columns a database must have to be restored
+const REQUIRED_SCHEMA = {
+  power_data: ['id', 'meter_id', 'timestamp', 'category', 'source', 'status', 'consumption_value', 'fingerprint']
+};
+
+class DatabaseBackup {
+  constructor(dbPath = null, backupDir = null) {
+    this.dbPath = dbPath || path.join(__dirname, 'power_data.db');
+    this.backupDir = backupDir || process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+    this.keep = parseInt(process.env.BACKUP_KEEP) || 14;
+    this.maxAgeDays = parseFloat(process.env.BACKUP_MAX_AGE_DAYS) || 30;
+    this.gzip = process.env.BACKUP_GZIP !== 'false';
+  }
+
+  openDatabase(file, mode = sqlite3.OPEN_READONLY) {
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(file, mode, err => {
+        if (err) reject(err);
+        else resolve(db);
+      });
+    });
+  }
+
+  query(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  closeDatabase(db) {
+    return new Promise(resolve => db.close(() => resolve()));
+  }
+
+  // Online backup in small steps so the monitor is never blocked for long
+  async copyDatabase(destination) {
+    const source = await this.openDatabase(this.dbPath);
+    try {
+      const backup = await new Promise((resolve, reject) => {
+        const handle = source.backup(destination, err => {
+          if (err) reject(err);
+          else resolve(handle);
+        });
+      });
+
+      while (!backup.completed && !backup.failed) {
+        await new Promise((resolve, reject) => {
+          backup.step(100, err => {
+            // BUSY/LOCKED are retried by the next step; anything else fails the backup
+            if (err && backup.failed) reject(err);
+            else setImmediate(resolve);
+          });
+        });
+      }
+      await new Promise(resolve => backup.finish(() => resolve()));
+    } finally {
+      await this.closeDatabase(source);
+    }
+    await this.detachWal(destination);
+  }
+
+  // A copy of a WAL database is in WAL mode too, and opening it (even read-only) leaves -wal/-shm
+  // files next to it. Checkpoint and switch the copy to a rollback journal before anything reads it.
+  async detachWal(file) {
+    const db = await this.openDatabase(file, sqlite3.OPEN_READWRITE);
+    try {
+      await this.query(db, 'PRAGMA wal_checkpoint(TRUNCATE)');
+      await this.query(db, 'PRAGMA journal_mode=DELETE');
+    } finally {
+      await this.closeDatabase(db);
+    }
+    this.removeSidecars(file);
+  }
+
+  removeSidecars(file) {
+    SIDECARS.forEach(suffix => {
+      if (fs.existsSync(file + suffix)) fs.unlinkSync(file + suffix);
+    });
+  }
+
+  // Scratch copies go with their sidecars
+  removeScratch(file) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+    this.removeSidecars(file);
+  }
+
+  // Integrity, schema and a summary of power_data for a plain (uncompressed) database file
+  async inspect(file) {
+    const db = await this.openDatabase(file);
+    try {
+      const integrity = (await this.query(db, 'PRAGMA integrity_check')).map(row => row.integrity_check);
+      const missing = [];
+      for (const [table, columns] of Object.entries(REQUIRED_SCHEMA)) {
+        const present = (await this.query(db, `PRAGMA table_info(${table})`)).map(row => row.name);
+        if (present.length === 0) {
+          missing.push(table);
+          continue;
+        }
+        columns.filter(column => !present.includes(column)).forEach(column => missing.push(`${table}.${column}`));
+      }
+
+      let summary = { records: null, oldest: null, newest: null };
+      if (!missing.includes('power_data')) {
+        [summary] = await this.query(db, 'SELECT COUNT(*) AS records, MIN(timestamp) AS oldest, MAX(timestamp) AS newest FROM power_data');
+      }
+
+      return {
+        ok: integrity.length === 1 && integrity[0] === 'ok' && missing.length === 0,
+        integrity: integrity.join('; '),
+        missing,
+        ...summary
+      };
+    } finally {
+      await this.closeDatabase(db);
+    }
+  }
+
+  async sha256(file) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(file), hash);
+    return hash.digest('hex');
+  }
+
+  getStamp(date = new Date()) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  }
+
+  // Resolve a backup name to its path, refusing anything that isn't one of ours
+  getBackupPath(name) {
+    if (!BACKUP_PATTERN.test(name)) {
+      throw new Error(`Not a backup file name: ${name}`);
+    }
+    const file = path.join(this.backupDir, name);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Backup not found: ${name}`);
+    }
+    return file;
+  }
+
+  // Back up, verify, compress, record metadata, then rotate
+  async createBackup(options = {}) {
+    if (!fs.existsSync(this.dbPath)) {
+      throw new Error(`Database file not found: ${this.dbPath}`);
+    }
+    fs.mkdirSync(this.backupDir, { recursive: true });
+
+    const label = options.label ? `_${options.label}` : '';
+    const baseName = `power_data_backup_${this.getStamp()}${label}.db`;
+    const partial = path.join(this.backupDir, `${baseName}.partial`);
+    const gzip = options.gzip !== undefined ? options.gzip : this.gzip;
+
+    try {
+      await this.copyDatabase(partial);
+      const check = await this.inspect(partial);
+      if (!check.ok) {
+        throw new Error(`Backup failed verification: ${check.integrity}${check.missing.length ? `, missing ${check.missing.join(', ')}` : ''}`);
+      }
+
+      const name = gzip ? `${baseName}.gz` : baseName;
+      const file = path.join(this.backupDir, name);
+      if (gzip) {
+        await pipeline(fs.createReadStream(partial), zlib.createGzip(), fs.createWriteStream(file));
+        fs.unlinkSync(partial);
+      } else {
+        fs.renameSync(partial, file);
+      }
+
+      const info = {
+        name,
+        createdAt: new Date().toISOString(),
+        size: fs.statSync(file).size,
+        compressed: gzip,
+        sha256: await this.sha256(file),
+        records: check.records,
+        oldest: check.oldest,
+        newest: check.newest,
+        integrity: check.integrity
+      };
+      fs.writeFileSync(`${file}.json`, JSON.stringify(info, null, 2));
+      console.log(`📦 Backup created: ${name} (${check.records} records, ${this.formatBytes(info.size)})`);
+
+      if (options.rotate !== false) await this.rotate();
+      return info;
+    } finally {
+      this.removeScratch(partial);
+    }
+  }
+
+  // Newest first, with metadata where the sidecar file exists
+  listBackups() {
+    if (!fs.existsSync(this.backupDir)) return [];
+
+    return fs.readdirSync(this.backupDir)
+      .filter(name => BACKUP_PATTERN.test(name))
+      .map(name => {
+        const file = path.join(this.backupDir, name);
+        let info = {};
+        try {
+          info = JSON.parse(fs.readFileSync(`${file}.json`, 'utf8'));
+        } catch (e) {}
+        const stat = fs.statSync(file);
+        return {
+          ...info,
+          name,
+          size: stat.size,
+          compressed: name.endsWith('.gz'),
+          createdAt: info.createdAt || stat.mtime.toISOString()
+        };
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Keep the newest `keep` backups and drop anything older than maxAgeDays (the newest is always kept)
+  async rotate() {
+    const cutoff = Date.now() - this.maxAgeDays * DAY_MS;
+    const removed = [];
+
+    this.listBackups().forEach((backup, index) => {
+      if (index === 0) return;
+      if (index >= this.keep || new Date(backup.createdAt).getTime() < cutoff) {
+        const file = path.join(this.backupDir, backup.name);
+        fs.unlinkSync(file);
+        if (fs.existsSync(`${file}.json`)) fs.unlinkSync(`${file}.json`);
+        removed.push(backup.name);
+      }
+    });
+
+    if (fs.existsSync(this.backupDir)) {
+      fs.readdirSync(this.backupDir)
+        .filter(name => STRAY_SIDECAR_PATTERN.test(name))
+        .forEach(name => fs.unlinkSync(path.join(this.backupDir, name)));
+    }
+
+    if (removed.length > 0) {
+      console.log(`🧹 Removed ${removed.length} old backups (keeping ${this.keep}, max ${this.maxAgeDays} days)`);
+    }
+    return removed;
+  }
+
+  // Plain copy of a backup at `target`, decompressing if needed; older backups may still be in WAL mode
+  async extract(name, target) {
+    const file = this.getBackupPath(name);
+    if (name.endsWith('.gz')) {
+      await pipeline(fs.createReadStream(file), zlib.createGunzip(), fs.createWriteStream(target));
+    } else {
+      fs.copyFileSync(file, target);
+    }
+    await this.detachWal(target);
+  }
+
+  async verifyBackup(name) {
+    const file = this.getBackupPath(name);
+    let expected = null;
+    try {
+      expected = JSON.parse(fs.readFileSync(`${file}.json`, 'utf8')).sha256;
+    } catch (e) {}
+    const checksumOk = expected ? (await this.sha256(file)) === expected : null;
+
+    const scratch = path.join(this.backupDir, `.verify-${process.pid}.db`);
+    try {
+      await this.extract(name, scratch);
+      const check = await this.inspect(scratch);
+      return { name, ...check, checksumOk, ok: check.ok && checksumOk !== false };
+    } finally {
+      this.removeScratch(scratch);
+    }
+  }
+
+  // Swap a verified backup in place of the live database; stop the monitor and dashboard first
+  async restore(name) {
+    const incoming = `${this.dbPath}.restore-${process.pid}`;
+    try {
+      await this.extract(name, incoming);
+      const check = await this.inspect(incoming);
+      if (!check.ok) {
+        throw new Error(`Refusing to restore ${name}: ${check.integrity}${check.missing.length ? `, missing ${check.missing.join(', ')}` : ''}`);
+      }
+
+      // Keep what we are about to replace
+      let safety = null;
+      if (fs.existsSync(this.dbPath)) {
+        safety = await this.createBackup({ label: 'pre-restore', rotate: false });
+      }
+
+      fs.renameSync(incoming, this.dbPath);
+      this.removeSidecars(this.dbPath);
+
+      console.log(`✅ Restored ${name} (${check.records} records, ${check.oldest} → ${check.newest})`);
+      return { restored: name, records: check.records, safetyBackup: safety ? safety.name : null };
+    } finally {
+      this.removeScratch(incoming);
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+}
+
+module.exports = DatabaseBackup;
+
+// Command line usage
+if (require.main === module) {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const backups = new DatabaseBackup();
+
+  async function main() {
+    try {
+      switch (args[0]) {
+        case 'create':
+        case undefined:
+          await backups.createBackup({ gzip: process.argv.includes('--no-gzip') ? false : undefined });
+          break;
+
+        case 'list': {
+          const list = backups.listBackups();
+          console.log(`\n📦 Backups in ${backups.backupDir}:`);
+          if (list.length === 0) console.log('   (none)');
+          list.forEach(backup => {
+            console.log(`   ${backup.name.padEnd(52)} ${backups.formatBytes(backup.size).padStart(9)}  ${backup.records !== undefined ? backup.records + ' records' : ''}`);
+          });
+          break;
+        }
+
+        case 'verify': {
+          const names = args[1] ? [args[1]] : backups.listBackups().map(backup => backup.name);
+          let failed = 0;
+          for (const name of names) {
+            const result = await backups.verifyBackup(name);
+            if (!result.ok) failed++;
+            console.log(`${result.ok ? '✅' : '❌'} ${name}: integrity ${result.integrity}, checksum ${result.checksumOk === null ? 'n/a' : result.checksumOk ? 'ok' : 'MISMATCH'}${result.missing.length ? `, missing ${result.missing.join(', ')}` : ''}`);
+          }
+          if (failed > 0) process.exitCode = 1;
+          break;
+        }
+
+        case 'rotate':
+          await backups.rotate();
+          break;
+
+        case 'restore':
+          if (!args[1]) throw new Error('Usage: node db_backup.js restore <backup name>');
+          if (!process.argv.includes('--yes')) {
+            console.log(`⚠️  This replaces ${backups.dbPath}. Stop the monitor/dashboard first, then re-run with --yes`);
+            break;
+          }
+          await backups.restore(args[1]);
+          break;
+
+        default:
+          console.log(`
+📦 Database Backup
+
+Usage:
+  node db_backup.js create [--no-gzip]   # Online backup, verified and rotated
+  node db_backup.js list
+  node db_backup.js verify [name]        # Integrity, schema and checksum of one or all backups
+  node db_backup.js rotate
+  node db_backup.js restore <name> --yes # Validate and swap in a backup (stop the services first)
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  main();
+}
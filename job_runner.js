@@ -0,0 +1,262 @@
+const path = require('path');
+const { openDatabase } = require('./database');
+
+/**
+ * Job Runner
+ * Runs the monitoring task for the scheduler: one run at a time (a cron tick that finds the last
+ * run still going is skipped), a random delay before scheduled runs so they don't hit the portal
+ * on the minute (taken before the run starts, so a manual run isn't refused meanwhile), exponential backoff after consecutive login/CAPTCHA failures (errors with
+ * code LOGIN_FAILED), and a circuit breaker that pauses scheduled runs after too many failures
+ * in a row. Every run is logged in the scrape_runs table.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class JobRunner {
+  constructor(name, task, options = {}) {
+    this.name = name;
+    this.task = task; // async (trigger) => result
+    this.dbPath = options.dbPath || path.join(__dirname, 'power_data.db');
+    this.db = null;
+    this.jitterMs = (options.jitterSeconds !== undefined ? options.jitterSeconds : parseFloat(process.env.SCRAPE_JITTER_SECONDS || 10)) * 1000;
+    this.backoffBaseMs = (options.backoffBaseSeconds || parseFloat(process.env.SCRAPE_BACKOFF_BASE_SECONDS) || 60) * 1000;
+    this.backoffMaxMs = (options.backoffMaxMinutes || parseFloat(process.env.SCRAPE_BACKOFF_MAX_MINUTES) || 60) * MINUTE_MS;
+    this.breakerFailures = options.breakerFailures || parseInt(process.env.SCRAPE_BREAKER_FAILURES) || 10;
+    this.breakerPauseMs = (options.breakerPauseMinutes || parseFloat(process.env.SCRAPE_BREAKER_PAUSE_MINUTES) || 30) * MINUTE_MS;
+    this.logDays = options.logDays || parseInt(process.env.SCRAPE_RUN_LOG_DAYS) || 30;
+
+    this.running = null;
+    this.runningSince = null;
+    this.consecutiveFailures = 0;
+    this.loginFailures = 0;
+    this.nextAttemptAt = null; // backoff: no scheduled run before this (ms)
+    this.circuit = 'closed'; // closed -> open after breakerFailures -> half_open for one trial run
+    this.circuitOpenUntil = null;
+    this.skipped = { overlap: 0, backoff: 0, circuit_open: 0 };
+    this.delay = null; // pending jitter { timer, resolve }
+    this.closed = false;
+  }
+
+  // Take the shared database connection (scrape_runs comes from the migrations)
+  async initDatabase() {
+    if (this.db) return;
+    this.db = await openDatabase(this.dbPath, this);
+    // Runs that were going when the process stopped never finished
+    await this.db.run(`UPDATE scrape_runs SET outcome = 'interrupted' WHERE outcome = 'running' AND job = ?`, [this.name]);
+  }
+
+  isRunning() {
+    return this.running !== null;
+  }
+
+  // Why a scheduled run can't start now, or null
+  getSkipReason(now = Date.now()) {
+    if (this.running || this.delay) return 'overlap';
+    if (this.circuit === 'open') {
+      if (now < this.circuitOpenUntil) return 'circuit_open';
+      this.circuit = 'half_open';
+      console.log(`🔁 ${this.name} pause is over; trying one run`);
+    }
+    if (this.nextAttemptAt && now < this.nextAttemptAt) return 'backoff';
+    return null;
+  }
+
+  // Called on every cron tick; never throws. The run starts after the jitter, and only if nothing
+  // (a manual run, the breaker) got in the way while waiting.
+  async trigger() {
+    if (this.skip(this.getSkipReason())) return null;
+
+    if (this.jitterMs > 0) {
+      await this.sleep(Math.round(Math.random() * this.jitterMs));
+      if (this.closed || this.skip(this.getSkipReason())) return null;
+    }
+
+    try {
+      return await this.run('schedule');
+    } catch (error) {
+      console.error(`❌ Scheduled ${this.name} failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Count a skipped tick; true when there is a reason to skip
+  skip(reason) {
+    if (!reason) return false;
+    this.skipped[reason]++;
+    if (reason === 'overlap') {
+      console.log(this.running
+        ? `⏭️  Previous ${this.name} run (started ${this.runningSince.toLocaleTimeString()}) is still going; skipping this one`
+        : `⏭️  A scheduled ${this.name} run is already waiting to start; skipping this one`);
+    }
+    return true;
+  }
+
+  // Start a run now; manual runs ignore backoff and the breaker but never overlap another run
+  async run(trigger = 'manual') {
+    if (this.running) {
+      const error = new Error(`A ${this.name} run is already in progress (started ${this.runningSince.toISOString()})`);
+      error.code = 'RUN_IN_PROGRESS';
+      throw error;
+    }
+
+    this.runningSince = new Date();
+    this.running = this.execute(trigger).finally(() => {
+      this.running = null;
+      this.runningSince = null;
+    });
+    return this.running;
+  }
+
+  async execute(trigger) {
+    const startedAt = new Date();
+    const runId = await this.logStart(trigger, startedAt);
+
+    let result;
+    try {
+      result = await this.task(trigger);
+    } catch (error) {
+      this.recordFailure(error);
+      await this.logEnd(runId, startedAt, 'failure', error.message, null);
+      throw error;
+    }
+
+    this.recordSuccess();
+    await this.logEnd(runId, startedAt, 'success', null, Array.isArray(result) ? result.length : null);
+    return result;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.delay = null;
+        resolve();
+      }, ms);
+      this.delay = { timer, resolve };
+    });
+  }
+
+  recordSuccess() {
+    if (this.circuit !== 'closed') {
+      console.log(`✅ ${this.name} succeeded; resuming the normal schedule`);
+    }
+    this.consecutiveFailures = 0;
+    this.loginFailures = 0;
+    this.nextAttemptAt = null;
+    this.circuit = 'closed';
+    this.circuitOpenUntil = null;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+
+    if (error.code === 'LOGIN_FAILED') {
+      this.loginFailures++;
+      const delayMs = this.getBackoffDelay(this.loginFailures);
+      this.nextAttemptAt = Date.now() + delayMs;
+      console.log(`⏳ ${this.loginFailures} login failures in a row; next ${this.name} attempt in ${Math.round(delayMs / 1000)}s`);
+    }
+
+    // A failed trial run reopens the breaker straight away
+    if (this.circuit === 'half_open' || this.consecutiveFailures >= this.breakerFailures) {
+      this.circuit = 'open';
+      this.circuitOpenUntil = Date.now() + this.breakerPauseMs;
+      console.log(`🛑 ${this.consecutiveFailures} ${this.name} failures in a row; pausing until ${new Date(this.circuitOpenUntil).toLocaleTimeString()}`);
+    }
+  }
+
+  // base * 2^(n-1), capped, then "equal jitter": somewhere between half and all of it
+  getBackoffDelay(failures) {
+    const delayMs = Math.min(this.backoffMaxMs, this.backoffBaseMs * Math.pow(2, failures - 1));
+    return Math.round(delayMs / 2 + Math.random() * (delayMs / 2));
+  }
+
+  // The run log must never stop monitoring, so its errors are only logged
+  async logStart(trigger, startedAt) {
+    if (this.closed) return null;
+    try {
+      await this.initDatabase();
+      const { lastID } = await this.db.run(
+        'INSERT INTO scrape_runs (job, trigger, started_at, consecutive_failures) VALUES (?, ?, ?, ?)',
+        [this.name, trigger, startedAt.toISOString(), this.consecutiveFailures]
+      );
+      return lastID;
+    } catch (error) {
+      console.error('❌ Error logging run start:', error.message);
+      return null;
+    }
+  }
+
+  async logEnd(runId, startedAt, outcome, errorMessage, records) {
+    if (runId === null || this.closed) return;
+    try {
+      const endedAt = new Date();
+      await this.db.run(`
+        UPDATE scrape_runs SET ended_at = ?, duration_ms = ?, outcome = ?, error = ?, records = ?, consecutive_failures = ?
+        WHERE id = ?
+      `, [endedAt.toISOString(), endedAt - startedAt, outcome, errorMessage, records, this.consecutiveFailures, runId]);
+
+      const horizon = new Date(Date.now() - this.logDays * DAY_MS).toISOString();
+      await this.db.run('DELETE FROM scrape_runs WHERE started_at < ?', [horizon]);
+    } catch (error) {
+      console.error('❌ Error logging run end:', error.message);
+    }
+  }
+
+  // Recent runs, newest first; filters: outcome, limit
+  async getRuns(filters = {}) {
+    await this.initDatabase();
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+    const conditions = ['job = ?'];
+    const params = [this.name];
+    if (filters.outcome) {
+      conditions.push('outcome = ?');
+      params.push(filters.outcome);
+    }
+
+    return this.db.all(`
+      SELECT id, trigger, started_at, ended_at, duration_ms, outcome, error, records, consecutive_failures
+      FROM scrape_runs WHERE ${conditions.join(' AND ')}
+      ORDER BY started_at DESC, id DESC LIMIT ?
+    `, [...params, limit]);
+  }
+
+  getState() {
+    const iso = ms => (ms ? new Date(ms).toISOString() : null);
+    return {
+      job: this.name,
+      running: this.isRunning(),
+      waiting: this.delay !== null, // a scheduled run waiting out its jitter
+      runningSince: this.runningSince ? this.runningSince.toISOString() : null,
+      circuit: this.circuit,
+      pausedUntil: this.circuit === 'open' ? iso(this.circuitOpenUntil) : null,
+      consecutiveFailures: this.consecutiveFailures,
+      loginFailures: this.loginFailures,
+      nextAttemptAt: this.nextAttemptAt && this.nextAttemptAt > Date.now() ? iso(this.nextAttemptAt) : null,
+      skipped: { ...this.skipped },
+      settings: {
+        jitterSeconds: this.jitterMs / 1000,
+        backoffBaseSeconds: this.backoffBaseMs / 1000,
+        backoffMaxMinutes: this.backoffMaxMs / MINUTE_MS,
+        breakerFailures: this.breakerFailures,
+        breakerPauseMinutes: this.breakerPauseMs / MINUTE_MS
+      }
+    };
+  }
+
+  // A run already going keeps going; a scheduled one still waiting out its jitter is dropped
+  async close() {
+    this.closed = true;
+    if (this.delay) {
+      clearTimeout(this.delay.timer);
+      this.delay.resolve();
+      this.delay = null;
+    }
+    if (this.db) {
+      await this.db.release(this);
+      this.db = null;
+    }
+  }
+}
+
+module.exports = JobRunner;
@@ -0,0 +1,173 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus Metrics
+ * Counters and the cycle-duration histogram are fed by monitor events; gauges are read
+ * from the database (today's consumption from the status snapshot) when /metrics is scraped,
+ * so they always reflect the latest readings
+ */
+
+const PREFIX = 'uppcl_';
+
+class PowerMetrics {
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.register = new client.Registry();
+    client.collectDefaultMetrics({ register: this.register, prefix: PREFIX });
+
+    // Gauges (refreshed on scrape)
+    this.availability = new client.Gauge({
+      name: `${PREFIX}supply_available`,
+      help: 'Whether the supply is online (1) or offline (0), from the latest availability reading',
+      labelNames: ['meter', 'source'],
+      registers: [this.register]
+    });
+    this.meterReading = new client.Gauge({
+      name: `${PREFIX}meter_reading_kwh`,
+      help: 'Latest cumulative meter register reading',
+      labelNames: ['meter', 'source'],
+      registers: [this.register]
+    });
+    this.balance = new client.Gauge({
+      name: `${PREFIX}balance_rupees`,
+      help: 'Latest prepaid balance',
+      labelNames: ['meter'],
+      registers: [this.register]
+    });
+    this.readingAge = new client.Gauge({
+      name: `${PREFIX}last_reading_timestamp_seconds`,
+      help: 'Unix time of the latest saved reading',
+      labelNames: ['meter'],
+      registers: [this.register]
+    });
+    this.todayConsumption = new client.Gauge({
+      name: `${PREFIX}today_consumption_kwh`,
+      help: "Today's consumption calculated from the midnight register reading",
+      labelNames: ['meter', 'source'],
+      registers: [this.register]
+    });
+    this.todayConfidence = new client.Gauge({
+      name: `${PREFIX}today_consumption_confidence`,
+      help: "Confidence (0-1) of today's consumption calculation",
+      labelNames: ['meter', 'source'],
+      registers: [this.register]
+    });
+
+    // Counters (fed by monitor events)
+    this.cycles = new client.Counter({
+      name: `${PREFIX}monitoring_cycles_total`,
+      help: 'Account monitoring cycles run',
+      labelNames: ['meter'],
+      registers: [this.register]
+    });
+    this.cycleFailures = new client.Counter({
+      name: `${PREFIX}monitoring_failures_total`,
+      help: 'Account monitoring cycles that failed',
+      labelNames: ['meter'],
+      registers: [this.register]
+    });
+    this.loginAttempts = new client.Counter({
+      name: `${PREFIX}login_attempts_total`,
+      help: 'Portal login attempts by result',
+      labelNames: ['meter', 'result'],
+      registers: [this.register]
+    });
+    this.captchaAttempts = new client.Counter({
+      name: `${PREFIX}captcha_attempts_total`,
+      help: 'Automatic CAPTCHA solves by result',
+      labelNames: ['meter', 'result'],
+      registers: [this.register]
+    });
+    this.records = new client.Counter({
+      name: `${PREFIX}records_total`,
+      help: 'Records from saveData() by outcome (saved or duplicate)',
+      labelNames: ['meter', 'outcome'],
+      registers: [this.register]
+    });
+    this.browserRecycles = new client.Counter({
+      name: `${PREFIX}browser_recycles_total`,
+      help: 'Browser restarts by reason (cycles, timeout, error, disconnected)',
+      labelNames: ['reason'],
+      registers: [this.register]
+    });
+    this.cycleDuration = new client.Histogram({
+      name: `${PREFIX}monitoring_cycle_duration_seconds`,
+      help: 'Time to log in, extract and save one account',
+      labelNames: ['meter'],
+      buckets: [5, 10, 20, 30, 45, 60, 90, 120, 180, 300],
+      registers: [this.register]
+    });
+
+    this.monitor.on('cycle', cycle => this.recordCycle(cycle));
+    this.monitor.on('login', login => {
+      this.loginAttempts.inc({ meter: login.meterId, result: login.success ? 'success' : 'failure' });
+    });
+    this.monitor.on('captcha', captcha => {
+      this.captchaAttempts.inc({ meter: captcha.meterId, result: captcha.success ? 'solved' : 'failed' });
+    });
+    this.monitor.on('browser_recycle', recycle => this.browserRecycles.inc({ reason: recycle.reason }));
+  }
+
+  recordCycle(cycle) {
+    const meter = cycle.meterId;
+    this.cycles.inc({ meter });
+    if (!cycle.success) {
+      this.cycleFailures.inc({ meter });
+    } else {
+      this.records.inc({ meter, outcome: 'saved' }, cycle.saved || 0);
+      this.records.inc({ meter, outcome: 'duplicate' }, cycle.duplicates || 0);
+    }
+    if (cycle.durationMs !== undefined) {
+      this.cycleDuration.observe({ meter }, cycle.durationMs / 1000);
+    }
+  }
+
+  // Refresh every gauge; runs once per scrape
+  async collectReadings() {
+    [this.availability, this.meterReading, this.balance, this.readingAge, this.todayConsumption, this.todayConfidence]
+      .forEach(gauge => gauge.reset());
+
+    for (const account of this.monitor.accounts) {
+      const meter = account.id;
+      try {
+        const rows = await this.monitor.getLatestReadings(meter);
+        let latest = null;
+
+        rows.forEach(row => {
+          if (!latest || row.timestamp > latest) latest = row.timestamp;
+          if (row.category === 'availability' && row.status) {
+            this.availability.set({ meter, source: row.source }, row.status === 'online' ? 1 : 0);
+          } else if (row.category === 'meter_reading' && row.consumption_value !== null) {
+            this.meterReading.set({ meter, source: row.source }, row.consumption_value);
+          } else if (row.category === 'balance' && row.consumption_value !== null) {
+            this.balance.set({ meter }, row.consumption_value);
+          }
+        });
+        if (latest) this.readingAge.set({ meter }, Math.floor(new Date(latest).getTime() / 1000));
+
+        // Today's figures come from the /api/status snapshot, so a scrape never writes daily rows
+        const status = JSON.parse((await this.monitor.statusSnapshots.get(meter)).body);
+        for (const source of ['grid', 'dg']) {
+          const today = status[source].todayConsumption;
+          if (today && today.value !== null) {
+            this.todayConsumption.set({ meter, source }, today.value);
+            this.todayConfidence.set({ meter, source }, today.confidence);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Error collecting metrics for ${meter}:`, error.message);
+      }
+    }
+  }
+
+  async metrics() {
+    await this.collectReadings();
+    return this.register.metrics();
+  }
+
+  get contentType() {
+    return this.register.contentType;
+  }
+}
+
+module.exports = PowerMetrics;
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Schema Migrations
+ * Versioned scripts in migrations/ (NNN_name.js exporting async up(db) and down(db)) are applied
+ * in order and recorded in schema_version. Each one runs in its own transaction.
+ * ensureMigrated() runs pending migrations once per database per process; every class that
+ * owns tables calls it before touching the database.
+ * ensureDataMigrated() then fixes up stored data on the configured storage backend (daily rows
+ * computed with other day boundaries); the monitor and the calculator CLI run it at startup.
+ */
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationRunner {
+  constructor(dbPath = null, directory = null) {
+    this.dbPath = dbPath || path.join(__dirname, 'power_data.db');
+    this.directory = directory || path.join(__dirname, 'migrations');
+    this.db = null;
+  }
+
+  async initDatabase() {
+    if (this.db) return;
+
+    this.db = new sqlite3.Database(this.dbPath);
+    this.db.configure('busyTimeout', 10000); // another process may be migrating the same file
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes, lastID: this.lastID });
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  // What migrations get to work with
+  getHelpers() {
+    return {
+      run: (sql, params) => this.run(sql, params),
+      all: (sql, params) => this.all(sql, params),
+      tableExists: async table => (await this.all(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`, [table])).length > 0,
+      getColumns: async table => (await this.all(`PRAGMA table_info(${table})`)).map(row => row.name)
+    };
+  }
+
+  // Migration scripts sorted by version
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .filter(file => MIGRATION_FILE.test(file))
+      .map(file => {
+        const [, version, name] = file.match(MIGRATION_FILE);
+        const script = require(path.join(this.directory, file));
+        if (typeof script.up !== 'function' || typeof script.down !== 'function') {
+          throw new Error(`Migration ${file} must export up() and down()`);
+        }
+        return { version: parseInt(version), name, file, ...script };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Two migrations share version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+      }
+    });
+    return migrations;
+  }
+
+  async getApplied() {
+    await this.initDatabase();
+    const rows = await this.all('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  async getCurrentVersion() {
+    const applied = await this.getApplied();
+    return applied.size > 0 ? Math.max(...applied.keys()) : 0;
+  }
+
+  async status() {
+    const applied = await this.getApplied();
+    const known = this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    // Recorded in the database but no longer on disk (e.g. a newer build was rolled back)
+    const missing = [...applied.values()]
+      .filter(row => !known.some(migration => migration.version === row.version))
+      .map(row => ({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true }));
+
+    return [...known, ...missing].sort((a, b) => a.version - b.version);
+  }
+
+  // Run one migration direction inside a transaction; the lock is taken before re-checking so two processes can't both apply it
+  async applyMigration(migration, direction) {
+    await this.run('BEGIN IMMEDIATE');
+    try {
+      const [row] = await this.all('SELECT version FROM schema_version WHERE version = ?', [migration.version]);
+      if ((direction === 'up') === Boolean(row)) {
+        await this.run('ROLLBACK');
+        return false;
+      }
+
+      await migration[direction](this.getHelpers());
+      if (direction === 'up') {
+        await this.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [migration.version, migration.name, new Date().toISOString()]);
+      } else {
+        await this.run('DELETE FROM schema_version WHERE version = ?', [migration.version]);
+      }
+      await this.run('COMMIT');
+      return true;
+    } catch (error) {
+      await this.run('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+    }
+  }
+
+  // Apply pending migrations up to and including `target` (all when omitted)
+  async up(target = null) {
+    const applied = await this.getApplied();
+    const pending = this.loadMigrations()
+      .filter(migration => !applied.has(migration.version) && (target === null || migration.version <= target));
+
+    const done = [];
+    for (const migration of pending) {
+      if (await this.applyMigration(migration, 'up')) {
+        console.log(`🛠️  Applied migration ${migration.file}`);
+        done.push(migration.version);
+      }
+    }
+    return done;
+  }
+
+  // Revert the newest `steps` applied migrations
+  async down(steps = 1) {
+    const applied = await this.getApplied();
+    const migrations = this.loadMigrations();
+    const toRevert = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    const done = [];
+    for (const version of toRevert) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its script is missing; cannot revert it`);
+      }
+      if (await this.applyMigration(migration, 'down')) {
+        console.log(`↩️  Reverted migration ${migration.file}`);
+        done.push(version);
+      }
+    }
+    return done;
+  }
+
+  async close() {
+    if (this.db) {
+      await new Promise(resolve => this.db.close(() => resolve()));
+      this.db = null;
+    }
+  }
+}
+
+// Pending migrations run once per database file per process
+const migrated = new Map();
+
+function ensureMigrated(dbPath) {
+  const key = path.resolve(dbPath);
+  if (!migrated.has(key)) {
+    const runner = new MigrationRunner(key);
+    const pending = runner.up()
+      .finally(() => runner.close())
+      .catch(error => {
+        migrated.delete(key); // let the next caller retry
+        throw error;
+      });
+    migrated.set(key, pending);
+  }
+  return migrated.get(key);
+}
+
+// Data migrations run once per storage backend per process, after its schema is in place
+const dataMigrated = new Map();
+
+function ensureDataMigrated(storage) {
+  const key = storage.describe();
+  if (!dataMigrated.has(key)) {
+    // Required here: the calculator's storage loads this module
+    const DailyConsumptionCalculator = require('./daily_consumption_calculator');
+    const pending = new DailyConsumptionCalculator(null, storage).migrateTimezone()
+      .catch(error => {
+        dataMigrated.delete(key); // let the next caller retry
+        throw error;
+      });
+    dataMigrated.set(key, pending);
+  }
+  return dataMigrated.get(key);
+}
+
+module.exports = MigrationRunner;
+module.exports.ensureMigrated = ensureMigrated;
+module.exports.ensureDataMigrated = ensureDataMigrated;
+
+// Command line usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const runner = new MigrationRunner(process.env.DB_PATH || null);
+
+  async function main() {
+    try {
+      switch (args[0]) {
+        case 'status':
+        case undefined: {
+          const status = await runner.status();
+          console.log(`\n🗂️  Schema version ${await runner.getCurrentVersion()} (${runner.dbPath}):`);
+          status.forEach(migration => {
+            const state = migration.missing ? '⚠️  applied, script missing' : migration.applied ? `✅ applied ${migration.appliedAt}` : '⏳ pending';
+            console.log(`   ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(28)} ${state}`);
+          });
+          break;
+        }
+
+        case 'up': {
+          const done = await runner.up(args[1] ? parseInt(args[1]) : null);
+          console.log(done.length > 0 ? `✅ Applied ${done.length} migrations, now at version ${await runner.getCurrentVersion()}` : '✅ Already up to date');
+          if (!args[1]) {
+            const { createStorage } = require('./storage');
+            const storage = createStorage({ dbPath: runner.dbPath });
+            try {
+              await ensureDataMigrated(storage);
+            } finally {
+              await storage.close();
+            }
+          }
+          break;
+        }
+
+        case 'down': {
+          const done = await runner.down(parseInt(args[1]) || 1);
+          console.log(`✅ Reverted ${done.length} migrations, now at version ${await runner.getCurrentVersion()}`);
+          break;
+        }
+
+        default:
+          console.log(`
+🗂️  Schema Migrations
+
+Usage:
+  node migrations.js status        # Applied and pending migrations
+  node migrations.js up [version]  # Apply pending migrations (up to a version)
+  node migrations.js down [steps]  # Revert the newest migration(s)
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+      process.exitCode = 1;
+    } finally {
+      await runner.close();
+    }
+  }
+
+  main();
+}
@@ -0,0 +1,39 @@
+/**
+ * power_data: every scraped reading and event, deduplicated by fingerprint.
+ * Databases from before multi-meter support get the meter_id column.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS power_data (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        meter_id TEXT NOT NULL DEFAULT 'default',
+        timestamp TEXT NOT NULL,
+        category TEXT NOT NULL,
+        source TEXT NOT NULL,
+        status TEXT,
+        consumption_value REAL,
+        consumption_unit TEXT,
+        period TEXT,
+        confidence REAL,
+        metadata TEXT,
+        fingerprint TEXT UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    if (!(await db.getColumns('power_data')).includes('meter_id')) {
+      await db.run(`ALTER TABLE power_data ADD COLUMN meter_id TEXT NOT NULL DEFAULT 'default'`);
+    }
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_timestamp ON power_data(timestamp)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_category ON power_data(category)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_source ON power_data(source)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_meter_timestamp ON power_data(meter_id, timestamp)');
+  },
+
+  async down() {
+    throw new Error('power_data holds the raw readings and is not reverted; restore a backup instead');
+  }
+};
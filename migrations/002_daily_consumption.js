@@ -0,0 +1,63 @@
+/**
+ * daily_consumption: one row per meter, source and local day, plus the settings table
+ * that remembers which timezone the days were calculated for.
+ * Older layouts (date UNIQUE, then meter_id + date) are rebuilt in place.
+ */
+
+const DAILY_CONSUMPTION_TABLE = `
+  CREATE TABLE daily_consumption (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    meter_id TEXT NOT NULL DEFAULT 'default',
+    source TEXT NOT NULL DEFAULT 'grid',
+    date TEXT NOT NULL,
+    midnight_reading REAL,
+    midnight_timestamp TEXT,
+    current_reading REAL,
+    current_timestamp TEXT,
+    calculated_consumption REAL,
+    runtime_hours REAL,
+    is_complete BOOLEAN DEFAULT FALSE,
+    finalized_at TEXT,
+    has_monitoring_gaps BOOLEAN DEFAULT FALSE,
+    confidence_score REAL DEFAULT 1.0,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(meter_id, source, date)
+  )
+`;
+
+module.exports = {
+  async up(db) {
+    if (!(await db.tableExists('daily_consumption'))) {
+      await db.run(DAILY_CONSUMPTION_TABLE);
+    } else {
+      const columns = await db.getColumns('daily_consumption');
+      if (!columns.includes('meter_id') || !columns.includes('source')) {
+        console.log('🛠️  Migrating daily_consumption to per-meter, per-source layout...');
+        const copiedColumns = columns.filter(column => column !== 'id').join(', ');
+        await db.run('ALTER TABLE daily_consumption RENAME TO daily_consumption_old_layout');
+        await db.run(DAILY_CONSUMPTION_TABLE);
+        await db.run(`INSERT INTO daily_consumption (${copiedColumns}) SELECT ${copiedColumns} FROM daily_consumption_old_layout`);
+        await db.run('DROP TABLE daily_consumption_old_layout');
+      } else if (!columns.includes('finalized_at')) {
+        await db.run('ALTER TABLE daily_consumption ADD COLUMN finalized_at TEXT');
+      }
+    }
+    await db.run('CREATE INDEX IF NOT EXISTS idx_daily_date ON daily_consumption(date)');
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  // Daily rows are derived from power_data and can be rebuilt with `node daily_consumption_calculator.js backfill`
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS daily_consumption');
+    await db.run('DROP TABLE IF EXISTS settings');
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * notification_log: every notification delivery attempt, used for cooldowns and state changes.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS notification_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        meter_id TEXT,
+        rule_id TEXT NOT NULL,
+        state TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        success INTEGER NOT NULL,
+        error TEXT,
+        title TEXT,
+        message TEXT
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_notification_rule ON notification_log(rule_id, meter_id, timestamp)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS notification_log');
+  }
+};
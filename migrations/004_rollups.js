@@ -0,0 +1,55 @@
+/**
+ * monthly_consumption and billing_cycle: month and billing-cycle totals, keyed by
+ * month (YYYY-MM) and cycle_start (YYYY-MM-DD).
+ */
+
+const ROLLUP_COLUMNS = `
+    start_date TEXT NOT NULL,
+    end_date TEXT NOT NULL,
+    days INTEGER,
+    days_with_data INTEGER,
+    grid_kwh REAL,
+    dg_kwh REAL,
+    cost REAL,
+    grid_cost REAL,
+    dg_cost REAL,
+    peak_day TEXT,
+    peak_day_kwh REAL,
+    avg_kwh_per_day REAL,
+    outage_count INTEGER,
+    outage_hours REAL,
+    supply_hours REAL,
+    dg_runtime_hours REAL,
+    scraped_kwh REAL,
+    scraped_period TEXT,
+    discrepancy_kwh REAL,
+    has_discrepancy BOOLEAN DEFAULT FALSE,
+    is_complete BOOLEAN DEFAULT FALSE,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP`;
+
+const TABLES = [
+  { table: 'monthly_consumption', key: 'month' },
+  { table: 'billing_cycle', key: 'cycle_start' }
+];
+
+module.exports = {
+  async up(db) {
+    for (const { table, key } of TABLES) {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          meter_id TEXT NOT NULL DEFAULT 'default',
+          ${key} TEXT NOT NULL,${ROLLUP_COLUMNS},
+          UNIQUE(meter_id, ${key})
+        )
+      `);
+    }
+  },
+
+  // Rollups are rebuilt from daily_consumption by `node consumption_rollups.js monthly --force`
+  async down(db) {
+    for (const { table } of TABLES) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
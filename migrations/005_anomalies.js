@@ -0,0 +1,29 @@
+/**
+ * anomalies: detected meter anomalies, one row per meter, source, type and time (fingerprint).
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS anomalies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        meter_id TEXT NOT NULL DEFAULT 'default',
+        source TEXT NOT NULL,
+        type TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        value REAL,
+        expected REAL,
+        message TEXT,
+        details TEXT,
+        fingerprint TEXT UNIQUE,
+        detected_at TEXT NOT NULL
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_anomalies_meter_time ON anomalies(meter_id, timestamp)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS anomalies');
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * power_data_hourly: hourly aggregates of raw readings older than the retention horizon.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS power_data_hourly (
+        meter_id TEXT NOT NULL,
+        hour TEXT NOT NULL,
+        category TEXT NOT NULL,
+        source TEXT NOT NULL,
+        period TEXT NOT NULL DEFAULT '',
+        samples INTEGER NOT NULL,
+        min_value REAL,
+        max_value REAL,
+        last_value REAL,
+        last_status TEXT,
+        last_timestamp TEXT NOT NULL,
+        availability REAL,
+        consumption_unit TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (meter_id, hour, category, source, period)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_hourly_hour ON power_data_hourly(hour)');
+  },
+
+  // Dropping the aggregates loses history older than RETENTION_RAW_DAYS
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS power_data_hourly');
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * scrape_runs: one row per monitoring run started by the scheduler or by hand, with its outcome.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS scrape_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job TEXT NOT NULL,
+        trigger TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        duration_ms INTEGER,
+        outcome TEXT NOT NULL DEFAULT 'running',
+        error TEXT,
+        records INTEGER,
+        consecutive_failures INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_scrape_runs_started ON scrape_runs(started_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS scrape_runs');
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * api_tokens.expires_at: optional expiry for API tokens (NULL never expires).
+ */
+
+module.exports = {
+  async up(db) {
+    if (!(await db.getColumns('api_tokens')).includes('expires_at')) {
+      await db.run('ALTER TABLE api_tokens ADD COLUMN expires_at TEXT');
+    }
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE api_tokens DROP COLUMN expires_at');
+  }
+};
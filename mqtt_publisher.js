@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+const mqtt = require('mqtt');
+
+/**
+ * MQTT Publisher
+ * Publishes each monitoring result and grid interruption/restoration to MQTT, and retained
+ * Home Assistant discovery configs so grid/DG status, energy and balance show up as entities.
+ * Enabled by setting MQTT_URL. Messages are dropped rather than queued while the broker is
+ * unreachable; the retained state is published again after the next cycle.
+ */
+
+class MqttPublisher {
+  constructor(monitor, options = {}) {
+    this.monitor = monitor;
+    this.config = {
+      url: options.url || process.env.MQTT_URL || null,
+      username: options.username || process.env.MQTT_USERNAME || undefined,
+      password: options.password || process.env.MQTT_PASSWORD || undefined,
+      topicPrefix: (options.topicPrefix || process.env.MQTT_TOPIC_PREFIX || 'uppcl').replace(/\/+$/, ''),
+      discovery: options.discovery !== undefined ? options.discovery : process.env.MQTT_DISCOVERY !== 'false',
+      discoveryPrefix: options.discoveryPrefix || process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant',
+      connectTimeoutMs: options.connectTimeoutMs || 10000
+    };
+    this.client = null;
+    this.connecting = null;
+    this.discoverySent = new Set(); // meters whose discovery configs went out on this connection
+
+    if (this.isEnabled()) {
+      this.monitor.on('cycle', cycle => {
+        if (cycle.success) this.publishState(cycle.meterId).catch(error => this.logError(error));
+      });
+      this.monitor.on('grid_event', event => this.publishEvent(event).catch(error => this.logError(error)));
+    }
+  }
+
+  isEnabled() {
+    return Boolean(this.config.url);
+  }
+
+  logError(error) {
+    console.error('❌ MQTT publish failed:', error.message);
+  }
+
+  get availabilityTopic() {
+    return `${this.config.topicPrefix}/status`;
+  }
+
+  stateTopic(meterId) {
+    return `${this.config.topicPrefix}/${meterId}/state`;
+  }
+
+  eventTopic(meterId) {
+    return `${this.config.topicPrefix}/${meterId}/event`;
+  }
+
+  // Connect on first use; the broker marks us offline through the last will if we drop.
+  // A first connect that fails is given up, so the next publish starts a fresh attempt.
+  async connect() {
+    if (this.client) return this.client;
+    if (!this.connecting) {
+      this.connecting = this.openClient().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async openClient() {
+    const client = mqtt.connect(this.config.url, {
+      username: this.config.username,
+      password: this.config.password,
+      clientId: `uppcl-monitor-${Math.random().toString(16).substring(2, 10)}`,
+      reconnectPeriod: 10000,
+      will: { topic: this.availabilityTopic, payload: 'offline', retain: true, qos: 1 }
+    });
+
+    client.on('connect', () => {
+      console.log(`📡 Connected to MQTT broker ${this.config.url}`);
+      // Home Assistant may have restarted or the broker lost retained messages
+      this.discoverySent.clear();
+      client.publish(this.availabilityTopic, 'online', { retain: true, qos: 1 });
+    });
+    client.on('error', error => console.error('❌ MQTT error:', error.message));
+
+    try {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out connecting to ${this.config.url}`)), this.config.connectTimeoutMs);
+        client.once('connect', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    } catch (error) {
+      await client.endAsync(true).catch(() => {});
+      throw error;
+    }
+
+    this.client = client;
+    return client;
+  }
+
+  // Throws MQTT_OFFLINE instead of queueing while the client is reconnecting
+  async publish(topic, payload, retain = false) {
+    const client = await this.connect();
+    if (!client.connected) {
+      const error = new Error(`Not connected to ${this.config.url}; dropped ${topic}`);
+      error.code = 'MQTT_OFFLINE';
+      throw error;
+    }
+    const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    await client.publishAsync(topic, message, { retain, qos: 1 });
+  }
+
+  // Home Assistant entity ids only allow [a-zA-Z0-9_-]
+  objectId(meterId, key) {
+    return `uppcl_${meterId}_${key}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  getDiscoveryConfigs(meterId) {
+    const account = this.monitor.accounts.find(a => a.id === meterId);
+    const device = {
+      identifiers: [this.objectId(meterId, 'meter')],
+      name: `UPPCL ${account && account.name ? account.name : meterId}`,
+      manufacturer: 'UPPCL',
+      model: 'Prepaid smart meter'
+    };
+    const common = key => ({
+      unique_id: this.objectId(meterId, key),
+      object_id: this.objectId(meterId, key),
+      state_topic: this.stateTopic(meterId),
+      availability_topic: this.availabilityTopic,
+      device
+    });
+
+    return [
+      ['binary_sensor', 'grid', {
+        name: 'Grid supply',
+        device_class: 'power',
+        value_template: "{{ 'ON' if value_json.grid == 'online' else 'OFF' }}"
+      }],
+      ['binary_sensor', 'dg', {
+        name: 'DG supply',
+        device_class: 'power',
+        value_template: "{{ 'ON' if value_json.dg == 'online' else 'OFF' }}"
+      }],
+      ['sensor', 'grid_energy', {
+        name: 'Grid energy',
+        device_class: 'energy',
+        state_class: 'total_increasing',
+        unit_of_measurement: 'kWh',
+        value_template: '{{ value_json.grid_kwh }}'
+      }],
+      ['sensor', 'dg_energy', {
+        name: 'DG energy',
+        device_class: 'energy',
+        state_class: 'total_increasing',
+        unit_of_measurement: 'kWh',
+        value_template: '{{ value_json.dg_kwh }}'
+      }],
+      ['sensor', 'today_energy', {
+        name: 'Grid energy today',
+        device_class: 'energy',
+        state_class: 'total_increasing', // resets at midnight, which Home Assistant treats as a new cycle
+        unit_of_measurement: 'kWh',
+        value_template: '{{ value_json.today_kwh }}'
+      }],
+      ['sensor', 'balance', {
+        name: 'Prepaid balance',
+        device_class: 'monetary',
+        unit_of_measurement: 'INR',
+        value_template: '{{ value_json.balance }}'
+      }]
+    ].map(([component, key, config]) => ({
+      topic: `${this.config.discoveryPrefix}/${component}/${this.objectId(meterId, 'meter')}/${key}/config`,
+      payload: { ...common(key), ...config }
+    }));
+  }
+
+  async publishDiscovery(meterId) {
+    if (!this.config.discovery || this.discoverySent.has(meterId)) return;
+
+    for (const { topic, payload } of this.getDiscoveryConfigs(meterId)) {
+      await this.publish(topic, payload, true);
+    }
+    this.discoverySent.add(meterId);
+    console.log(`🏠 Published Home Assistant discovery for ${meterId}`);
+  }
+
+  // Current grid/DG status, registers, balance and today's kWh as one retained JSON document
+  async getState(meterId) {
+    const state = { grid: null, dg: null, grid_kwh: null, dg_kwh: null, today_kwh: null, balance: null, timestamp: null };
+
+    (await this.monitor.getLatestReadings(meterId)).forEach(row => {
+      if (!state.timestamp || row.timestamp > state.timestamp) state.timestamp = row.timestamp;
+      if (row.category === 'availability') {
+        state[row.source] = row.status;
+      } else if (row.category === 'meter_reading') {
+        state[`${row.source}_kwh`] = row.consumption_value;
+      } else if (row.category === 'balance') {
+        state.balance = row.consumption_value;
+      }
+    });
+
+    // Read-only: the cycle's status snapshot saves today's row, and it may not be rebuilt yet when this runs
+    try {
+      const today = await this.monitor.dailyCalculator.getTodayConsumption(meterId, 'grid', { save: false });
+      if (today && today.value !== null) state.today_kwh = Math.round(today.value * 1000) / 1000;
+    } catch (error) {
+      console.error(`❌ Error calculating today's consumption for MQTT:`, error.message);
+    }
+
+    return state;
+  }
+
+  async publishState(meterId) {
+    await this.publishDiscovery(meterId);
+    await this.publish(this.stateTopic(meterId), await this.getState(meterId), true);
+  }
+
+  // Interruptions/restorations go out as events, and the state follows so the binary sensor flips at once
+  async publishEvent(event) {
+    await this.publish(this.eventTopic(event.meterId), event);
+    await this.publishState(event.meterId);
+  }
+
+  async close() {
+    if (this.connecting) await this.connecting.catch(() => {});
+    if (this.client) {
+      await this.client.publishAsync(this.availabilityTopic, 'offline', { retain: true, qos: 1 }).catch(() => {});
+      await this.client.endAsync();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = MqttPublisher;
+
+// Command line usage
+if (require.main === module) {
+  const UppclPowerMonitor = require('./optimized_monitor');
+  const args = process.argv.slice(2);
+  const monitor = new UppclPowerMonitor();
+  const publisher = new MqttPublisher(monitor);
+
+  async function main() {
+    try {
+      if (!publisher.isEnabled()) {
+        console.log('⚠️  Set MQTT_URL (e.g. mqtt://localhost:1883) to use the MQTT publisher');
+        return;
+      }
+
+      switch (args[0]) {
+        case 'publish': {
+          // Publish discovery and the latest stored state without running a monitoring cycle
+          const meters = args[1] ? [args[1]] : monitor.accounts.map(account => account.id);
+          for (const meterId of meters) {
+            await publisher.publishState(meterId);
+            console.log(`✅ Published state for ${meterId} to ${publisher.stateTopic(meterId)}`);
+          }
+          break;
+        }
+
+        case 'discovery':
+          for (const account of monitor.accounts) {
+            publisher.getDiscoveryConfigs(account.id).forEach(({ topic, payload }) => {
+              console.log(`${topic}\n${JSON.stringify(payload, null, 2)}\n`);
+            });
+          }
+          break;
+
+        default:
+          console.log(`
+📡 MQTT Publisher
+
+Usage:
+  node mqtt_publisher.js publish [meterId]   # Send discovery + latest state now
+  node mqtt_publisher.js discovery           # Print the Home Assistant discovery configs
+
+While the monitor runs, state is published after every cycle and grid events as they happen.
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+      process.exitCode = 1;
+    } finally {
+      await publisher.close();
+      await monitor.close();
+    }
+  }
+
+  main();
+}
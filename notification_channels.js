@@ -0,0 +1,140 @@
+/**
+ * Notification Channels
+ * Delivery backends for the notifier: generic webhook, SMTP email, Telegram bot API
+ * and ntfy-style HTTP push. Each channel takes its config block and exposes send(notification).
+ */
+
+class NotificationChannel {
+  constructor(config) {
+    this.name = config.name || config.type;
+    this.type = config.type;
+    this.config = config;
+    this.timeoutMs = config.timeoutMs || 10000;
+  }
+
+  // Plain-text body shared by the text based channels
+  formatText(notification) {
+    const lines = [notification.message];
+    if (notification.meterId) lines.push(`Meter: ${notification.meterId}`);
+    lines.push(`Time: ${new Date(notification.timestamp).toLocaleString()}`);
+    return lines.join('\n');
+  }
+
+  async post(url, body, headers = {}) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`${this.type} ${this.name}: HTTP ${response.status} ${text.substring(0, 200)}`.trim());
+    }
+    return response;
+  }
+
+  async send(notification) {
+    throw new Error(`Channel type "${this.type}" does not implement send()`);
+  }
+}
+
+// POSTs the notification as JSON to any URL
+class WebhookChannel extends NotificationChannel {
+  async send(notification) {
+    if (!this.config.url) throw new Error(`webhook ${this.name}: url is required`);
+
+    await this.post(this.config.url, JSON.stringify(notification), {
+      'Content-Type': 'application/json',
+      ...(this.config.headers || {})
+    });
+  }
+}
+
+// SMTP via nodemailer; `smtp` is passed straight to createTransport
+class EmailChannel extends NotificationChannel {
+  getTransport() {
+    if (!this.transport) {
+      const nodemailer = require('nodemailer');
+      this.transport = nodemailer.createTransport(this.config.smtp || {});
+    }
+    return this.transport;
+  }
+
+  async send(notification) {
+    if (!this.config.to) throw new Error(`email ${this.name}: to is required`);
+
+    await this.getTransport().sendMail({
+      from: this.config.from || 'UPPCL Monitor <uppcl-monitor@localhost>',
+      to: this.config.to,
+      subject: `[UPPCL] ${notification.title}`,
+      text: this.formatText(notification)
+    });
+  }
+}
+
+// Telegram bot sendMessage; apiBase can point at a local stub
+class TelegramChannel extends NotificationChannel {
+  async send(notification) {
+    const { botToken, chatId } = this.config;
+    if (!botToken || !chatId) throw new Error(`telegram ${this.name}: botToken and chatId are required`);
+
+    const apiBase = (this.config.apiBase || 'https://api.telegram.org').replace(/\/$/, '');
+    await this.post(`${apiBase}/bot${botToken}/sendMessage`, JSON.stringify({
+      chat_id: chatId,
+      text: `${notification.title}\n\n${this.formatText(notification)}`,
+      disable_notification: notification.severity === 'info'
+    }), { 'Content-Type': 'application/json' });
+  }
+}
+
+// ntfy.sh (or self-hosted ntfy / compatible) topic push
+class NtfyChannel extends NotificationChannel {
+  async send(notification) {
+    if (!this.config.topic) throw new Error(`ntfy ${this.name}: topic is required`);
+
+    const baseUrl = (this.config.url || 'https://ntfy.sh').replace(/\/$/, '');
+    const priorities = { info: '3', warning: '4', critical: '5' };
+    const headers = {
+      'Title': notification.title,
+      'Priority': priorities[notification.severity] || '3',
+      'Tags': notification.resolved ? 'white_check_mark' : (notification.severity === 'info' ? 'information_source' : 'warning')
+    };
+    if (this.config.token) {
+      headers['Authorization'] = `Bearer ${this.config.token}`;
+    }
+
+    await this.post(`${baseUrl}/${encodeURIComponent(this.config.topic)}`, this.formatText(notification), headers);
+  }
+}
+
+const CHANNEL_TYPES = {
+  webhook: WebhookChannel,
+  email: EmailChannel,
+  telegram: TelegramChannel,
+  ntfy: NtfyChannel
+};
+
+// Register another channel type (a subclass of NotificationChannel)
+function registerChannelType(type, ChannelClass) {
+  CHANNEL_TYPES[type] = ChannelClass;
+}
+
+function createChannel(config) {
+  const ChannelClass = CHANNEL_TYPES[config.type];
+  if (!ChannelClass) {
+    throw new Error(`Unknown notification channel type "${config.type}" (known: ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+  }
+  return new ChannelClass(config);
+}
+
+module.exports = {
+  NotificationChannel,
+  WebhookChannel,
+  EmailChannel,
+  TelegramChannel,
+  NtfyChannel,
+  registerChannelType,
+  createChannel
+};
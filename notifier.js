@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const DailyConsumptionCalculator = require('./daily_consumption_calculator');
+const { createChannel } = require('./notification_channels');
+const { createStorage } = require('./storage');
+
+/**
+ * Notifier
+ * Evaluates alert rules after each monitoring cycle and delivers notifications
+ * through the channels in config/notifications.json, with per-rule cooldown
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+class Notifier {
+  constructor(options = {}) {
+    this.configPath = options.configPath || process.env.NOTIFICATIONS_FILE || path.join(__dirname, 'config', 'notifications.json');
+    this.dbPath = options.dbPath || path.join(__dirname, 'power_data.db');
+    this.storage = options.storage || createStorage({ dbPath: this.dbPath });
+    this.ownsStorage = !options.storage;
+    this.dailyCalculator = new DailyConsumptionCalculator(this.dbPath, this.storage);
+    this.config = null;
+    this.channels = new Map();
+    this.alerts = new Map(); // `${ruleId}:${meterId}` -> { firingSince, since, lastSentAt, notified, value }
+    this.failureCounts = new Map();
+  }
+
+  // Load channels and rules; a missing file disables notifications
+  loadConfig() {
+    if (!fs.existsSync(this.configPath)) {
+      this.config = { channels: [], rules: [], defaults: {} };
+      return this.config;
+    }
+
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    this.channels.clear();
+    (config.channels || [])
+      .filter(channel => channel.enabled !== false)
+      .forEach(channel => {
+        const instance = createChannel(channel);
+        this.channels.set(instance.name, instance);
+      });
+
+    config.rules = (config.rules || []).filter(rule => rule.enabled !== false);
+    config.rules.forEach(rule => {
+      if (!rule.id || !rule.type) {
+        throw new Error(`Notification rules need an id and a type: ${JSON.stringify(rule)}`);
+      }
+      (rule.channels || []).forEach(name => {
+        if (!this.channels.has(name)) {
+          console.warn(`⚠️ Rule ${rule.id} references unknown or disabled channel "${name}"`);
+        }
+      });
+    });
+
+    this.config = { defaults: {}, ...config };
+    console.log(`🔔 Loaded ${this.channels.size} notification channels and ${config.rules.length} rules from ${this.configPath}`);
+    return this.config;
+  }
+
+  isEnabled() {
+    if (!this.config) this.loadConfig();
+    return this.channels.size > 0 && this.config.rules.length > 0;
+  }
+
+  // Connect to storage (notification_log comes from the migrations or the PostgreSQL schema)
+  async initDatabase() {
+    await this.storage.init();
+  }
+
+  // Called by the monitor after each account's cycle; never throws
+  async processCycle(meterId, error = null) {
+    try {
+      if (!this.isEnabled()) return [];
+
+      const failures = error ? (this.failureCounts.get(meterId) || 0) + 1 : 0;
+      this.failureCounts.set(meterId, failures);
+
+      // A failed cycle saved no fresh data, so only the scraper rule is meaningful
+      const rules = this.config.rules.filter(rule =>
+        this.appliesTo(rule, meterId) && (!error || rule.type === 'scraper_failing')
+      );
+      return await this.evaluate(meterId, rules, { error, failures });
+    } catch (evaluationError) {
+      console.error('❌ Error evaluating notification rules:', evaluationError.message);
+      return [];
+    }
+  }
+
+  appliesTo(rule, meterId) {
+    return !rule.meters || rule.meters.includes(meterId);
+  }
+
+  // Check each rule and notify on new, repeating (after cooldown) or resolved alerts
+  async evaluate(meterId, rules = null, context = {}) {
+    if (!this.config) this.loadConfig();
+    const sent = [];
+
+    for (const rule of rules || this.config.rules.filter(candidate => this.appliesTo(candidate, meterId))) {
+      const result = await this.checkRule(rule, meterId, context);
+      if (!result) continue;
+
+      const key = `${rule.id}:${meterId}`;
+      const alert = this.alerts.get(key);
+      const now = new Date();
+
+      if (result.firing) {
+        const cooldownMs = this.getCooldownMinutes(rule) * MINUTE_MS;
+        let state = alert;
+        if (!state) {
+          // A delivery still inside the cooldown belongs to this episode (e.g. across a restart)
+          const lastSentAt = await this.getLastSentAt(rule.id, meterId);
+          state = { firingSince: now, lastSentAt, notified: Boolean(lastSentAt && now - lastSentAt < cooldownMs) };
+        }
+        state.since = result.since || state.since || state.firingSince;
+        state.value = result.value;
+        this.alerts.set(key, state);
+
+        if (state.lastSentAt && now - state.lastSentAt < cooldownMs) continue;
+
+        const notification = this.buildNotification(rule, meterId, result, false);
+        if (await this.deliver(rule, notification)) {
+          state.lastSentAt = now;
+          state.notified = true;
+          sent.push(notification);
+        }
+      } else if (alert) {
+        this.alerts.delete(key);
+        if (alert.notified && rule.notifyResolved) {
+          const notification = this.buildNotification(rule, meterId, { ...result, since: alert.since }, true);
+          if (await this.deliver(rule, notification)) {
+            sent.push(notification);
+          }
+        }
+      }
+    }
+
+    return sent;
+  }
+
+  getCooldownMinutes(rule) {
+    if (rule.cooldownMinutes !== undefined) return rule.cooldownMinutes;
+    if (this.config.defaults.cooldownMinutes !== undefined) return this.config.defaults.cooldownMinutes;
+    return 60;
+  }
+
+  // Last successful firing notification, so cooldowns survive restarts
+  async getLastSentAt(ruleId, meterId) {
+    const row = await this.storage.first(`
+      SELECT MAX(timestamp) AS timestamp FROM notification_log
+      WHERE rule_id = ? AND meter_id = ? AND state = 'firing' AND success = 1
+    `, [ruleId, meterId]);
+    return row && row.timestamp ? new Date(row.timestamp) : null;
+  }
+
+  // Returns { firing, value, message, since? } or null when the rule can't be evaluated yet
+  async checkRule(rule, meterId, context) {
+    switch (rule.type) {
+      case 'grid_offline': {
+        const outage = await this.getGridOutage(meterId);
+        if (!outage) return null;
+        const minutes = outage.offlineSince ? (Date.now() - new Date(outage.offlineSince)) / MINUTE_MS : 0;
+        return {
+          firing: outage.status === 'offline' && minutes >= (rule.minutes || 0),
+          value: Math.round(minutes),
+          since: outage.offlineSince ? new Date(outage.offlineSince) : null,
+          message: `Grid supply has been offline for ${Math.round(minutes)} minutes (since ${new Date(outage.offlineSince).toLocaleString()})`
+        };
+      }
+
+      case 'balance_below': {
+        const row = await this.storage.findRecord({ meterId, category: 'balance', source: 'grid', hasValue: true });
+        if (!row) return null;
+        const balance = row.consumption_value;
+        return {
+          firing: balance < rule.amount,
+          value: balance,
+          message: `Prepaid balance is Rs. ${balance.toFixed(2)}, below the Rs. ${rule.amount} threshold`
+        };
+      }
+
+      case 'daily_usage_above': {
+        const today = await this.dailyCalculator.getTodayConsumption(meterId, 'grid', { save: false });
+        if (!today || today.value === null || today.value === undefined) return null;
+        return {
+          firing: today.value > rule.units,
+          value: today.value,
+          message: `Today's consumption is ${today.value.toFixed(2)} kWh, above the ${rule.units} kWh limit`
+        };
+      }
+
+      case 'scraper_failing': {
+        const cycles = rule.cycles || 3;
+        const failures = context.failures !== undefined ? context.failures : (this.failureCounts.get(meterId) || 0);
+        return {
+          firing: failures >= cycles,
+          value: failures,
+          message: `Monitoring has failed ${failures} cycles in a row${context.error ? `: ${context.error.message}` : ''}`
+        };
+      }
+
+      case 'anomaly':
+        return null; // Event driven - see notifyAnomaly()
+
+      default:
+        console.warn(`⚠️ Unknown notification rule type "${rule.type}" (${rule.id})`);
+        return null;
+    }
+  }
+
+  // Deliver a detected anomaly through the matching `anomaly` rules (optional `anomalyTypes` filter); never throws
+  async notifyAnomaly(anomaly) {
+    try {
+      if (!this.isEnabled()) return [];
+
+      const sent = [];
+      const rules = this.config.rules.filter(rule =>
+        rule.type === 'anomaly' && this.appliesTo(rule, anomaly.meterId) &&
+        (!rule.anomalyTypes || rule.anomalyTypes.includes(anomaly.type))
+      );
+
+      for (const rule of rules) {
+        const lastSentAt = await this.getLastSentAt(rule.id, anomaly.meterId);
+        if (lastSentAt && Date.now() - lastSentAt < this.getCooldownMinutes(rule) * MINUTE_MS) continue;
+
+        const notification = this.buildNotification(rule, anomaly.meterId, { value: anomaly.value, message: anomaly.message }, false);
+        notification.severity = rule.severity || anomaly.severity;
+        notification.anomaly = anomaly.type;
+        if (await this.deliver(rule, notification)) {
+          sent.push(notification);
+        }
+      }
+      return sent;
+    } catch (error) {
+      console.error('❌ Error sending anomaly notification:', error.message);
+      return [];
+    }
+  }
+
+  // Latest grid status and when the current offline stretch began
+  async getGridOutage(meterId) {
+    const availability = { meterId, category: 'availability', source: 'grid' };
+    const latest = await this.storage.findRecord(availability);
+    if (!latest) return null;
+    if (latest.status !== 'offline') return { status: latest.status, offlineSince: null };
+
+    // First offline reading since the grid was last seen online
+    const lastOnline = await this.storage.findRecord({ ...availability, statuses: ['online'] });
+    const start = await this.storage.findRecord({
+      ...availability,
+      statuses: ['offline'],
+      after: lastOnline ? lastOnline.timestamp : undefined,
+      order: 'asc'
+    });
+    return { status: 'offline', offlineSince: start.timestamp };
+  }
+
+  buildNotification(rule, meterId, result, resolved) {
+    const titles = {
+      grid_offline: ['Grid supply offline', 'Grid supply restored'],
+      balance_below: ['Low prepaid balance', 'Balance recharged'],
+      daily_usage_above: ['High daily consumption', 'Daily consumption back under limit'],
+      scraper_failing: ['Monitoring failing', 'Monitoring recovered'],
+      anomaly: ['Meter anomaly detected', 'Meter anomaly cleared']
+    };
+    const [firingTitle, resolvedTitle] = titles[rule.type] || [rule.id, `${rule.id} resolved`];
+
+    let message = result.message;
+    if (resolved) {
+      const minutes = Math.round((Date.now() - new Date(result.since)) / MINUTE_MS);
+      message = `${resolvedTitle} for ${meterId} after ${minutes} minutes`;
+    }
+
+    return {
+      rule: rule.id,
+      type: rule.type,
+      meterId,
+      severity: resolved ? 'info' : (rule.severity || 'warning'),
+      resolved,
+      title: rule.title && !resolved ? rule.title : (resolved ? resolvedTitle : firingTitle),
+      message,
+      value: result.value,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Send to the rule's channels (default: all); true if any channel succeeded
+  async deliver(rule, notification) {
+    const names = rule.channels || [...this.channels.keys()];
+    let delivered = false;
+
+    for (const name of names) {
+      const channel = this.channels.get(name);
+      if (!channel) continue;
+
+      let error = null;
+      try {
+        await channel.send(notification);
+        delivered = true;
+        console.log(`🔔 Sent "${notification.title}" for ${notification.meterId} via ${name}`);
+      } catch (sendError) {
+        error = sendError;
+        console.error(`❌ Notification via ${name} failed:`, sendError.message);
+      }
+      await this.logDelivery(notification, name, error);
+    }
+
+    return delivered;
+  }
+
+  async logDelivery(notification, channel, error) {
+    await this.storage.execute(`
+      INSERT INTO notification_log (timestamp, meter_id, rule_id, state, channel, success, error, title, message)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      notification.timestamp,
+      notification.meterId,
+      notification.rule,
+      notification.resolved ? 'resolved' : 'firing',
+      channel,
+      error ? 0 : 1,
+      error ? error.message : null,
+      notification.title,
+      notification.message
+    ]);
+  }
+
+  // Send a test notification through one channel or all of them
+  async sendTest(channelName = null) {
+    if (!this.config) this.loadConfig();
+    const names = channelName ? [channelName] : [...this.channels.keys()];
+    const results = [];
+
+    for (const name of names) {
+      const channel = this.channels.get(name);
+      if (!channel) {
+        results.push({ channel: name, success: false, error: 'Unknown or disabled channel' });
+        continue;
+      }
+      try {
+        await channel.send({
+          rule: 'test',
+          type: 'test',
+          meterId: null,
+          severity: 'info',
+          resolved: false,
+          title: 'UPPCL monitor test notification',
+          message: `Test notification from the UPPCL power monitor via ${name}`,
+          value: null,
+          timestamp: new Date().toISOString()
+        });
+        results.push({ channel: name, success: true });
+      } catch (error) {
+        results.push({ channel: name, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  async getRecentNotifications(limit = 20) {
+    return this.storage.query(`SELECT * FROM notification_log ORDER BY id DESC LIMIT ?`, [limit]);
+  }
+
+  // Close storage if this notifier opened it
+  async close() {
+    await this.dailyCalculator.close();
+    if (this.ownsStorage) {
+      await this.storage.close();
+    }
+  }
+}
+
+// Minimal HTTP endpoint that prints whatever the webhook/Telegram/ntfy channels send it
+function startStubServer(port) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      console.log(`\n📨 ${req.method} ${req.url}`);
+      ['content-type', 'title', 'priority', 'tags', 'authorization'].forEach(header => {
+        if (req.headers[header]) console.log(`   ${header}: ${req.headers[header]}`);
+      });
+      console.log(`   ${body}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+  server.listen(port, () => console.log(`🧪 Notification stub listening on http://localhost:${port}`));
+  return server;
+}
+
+module.exports = Notifier;
+module.exports.startStubServer = startStubServer;
+
+// Command line usage
+if (require.main === module) {
+  const meterFlag = process.argv.find(arg => arg.startsWith('--meter='));
+  const meterId = meterFlag ? meterFlag.split('=')[1] : (process.env.METER_ID || 'default');
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+  if (args[0] === 'stub') {
+    startStubServer(parseInt(args[1]) || 9099);
+  } else {
+    const notifier = new Notifier();
+
+    async function main() {
+      try {
+        switch (args[0]) {
+          case 'test': {
+            const results = await notifier.sendTest(args[1]);
+            if (results.length === 0) {
+              console.log(`⚠️  No channels configured in ${notifier.configPath}`);
+            }
+            results.forEach(result => {
+              console.log(`${result.success ? '✅' : '❌'} ${result.channel}${result.error ? `: ${result.error}` : ''}`);
+            });
+            break;
+          }
+
+          case 'check': {
+            const sent = await notifier.evaluate(meterId);
+            console.log(`🔔 ${sent.length} notifications sent for ${meterId}`);
+            break;
+          }
+
+          case 'history': {
+            const rows = await notifier.getRecentNotifications(parseInt(args[1]) || 20);
+            rows.forEach(row => {
+              console.log(`${row.success ? '✅' : '❌'} ${row.timestamp} ${row.meter_id || '-'} ${row.rule_id} [${row.state}] via ${row.channel}: ${row.title}${row.error ? ` (${row.error})` : ''}`);
+            });
+            break;
+          }
+
+          default:
+            console.log(`
+🔔 Notifier
+
+Usage:
+  node notifier.js test [channel]            # Send a test notification
+  node notifier.js check [--meter=<id>]      # Evaluate rules now and notify
+  node notifier.js history [limit]           # Recent deliveries
+  node notifier.js stub [port]               # Local HTTP stub that prints requests (default 9099)
+
+Channels and rules live in config/notifications.json (NOTIFICATIONS_FILE).
+            `);
+        }
+      } catch (error) {
+        console.error(`❌ Error:`, error.message);
+      } finally {
+        await notifier.close();
+      }
+    }
+
+    main();
+  }
+}
@@ -1,37 +1,75 @@
 #!/usr/bin/env node
 
-const puppeteer = require('puppeteer');
-const sqlite3 = require('sqlite3').verbose();
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const cron = require('node-cron');
 const DailyConsumptionCalculator = require('./daily_consumption_calculator');
 const CaptchaSolver = require('./captcha_solver');
+const PowerDataExtractor = require('./power_data_extractor');
+const SnapshotStore = require('./snapshot_store');
+const BalanceForecaster = require('./balance_forecaster');
+const ConsumptionRollups = require('./consumption_rollups');
+const AnomalyDetector = require('./anomaly_detector');
+const Notifier = require('./notifier');
+const MqttPublisher = require('./mqtt_publisher');
+const StatusSnapshots = require('./status_snapshot');
+const DataRetention = require('./data_retention');
+const DatabaseBackup = require('./db_backup');
+const JobRunner = require('./job_runner');
+const BrowserManager = require('./browser_manager');
+const { createStorage } = require('./storage');
+const { ensureDataMigrated } = require('./migrations');
+const timezone = require('./timezone');
 
 /**
  * Optimized UPPCL Power Monitor
- * Clean, focused implementation for Grid/DG monitoring and consumption tracking
+ * Clean, focused implementation for Grid/DG monitoring and consumption tracking.
+ * Emits 'cycle' after each account is monitored (or fails) and 'grid_event' on interruptions/restorations,
+ * plus 'login' and 'captcha' with the outcome of each portal login and CAPTCHA solve attempt,
+ * and 'browser_recycle' when the browser is replaced.
  */
 
-class UppclPowerMonitor {
+class UppclPowerMonitor extends EventEmitter {
   constructor() {
+    super();
     this.config = {
       url: process.env.WEBAPP_URL || 'https://uppclmp.myxenius.com/AppAMR',
       username: process.env.USERNAME || '',
       password: process.env.PASSWORD || '',
       headless: process.env.HEADLESS !== 'false',
-      dbPath: path.join(__dirname, 'power_data.db'),
+      dbPath: process.env.DB_PATH ? path.resolve(process.env.DB_PATH) : path.join(__dirname, 'power_data.db'),
       cookiesPath: path.join(__dirname, 'cookies.json'),
+      accountsPath: process.env.ACCOUNTS_FILE || path.join(__dirname, 'config', 'accounts.json'),
       schedulePattern: process.env.CHECK_INTERVAL_CRON || '* * * * *', // Every 1 minute
+      finalizePattern: process.env.FINALIZE_CRON || '5 0 * * *', // Just after local midnight
+      finalizeDays: parseInt(process.env.FINALIZE_LOOKBACK_DAYS) || 7,
+      retentionPattern: process.env.RETENTION_CRON || '30 3 * * *', // Compact old raw rows nightly
+      vacuumPattern: process.env.VACUUM_CRON || '0 4 * * 0', // Reclaim disk space weekly
+      backupPattern: process.env.BACKUP_CRON || '0 2 * * *', // Nightly online backup
       autoSolveCaptcha: process.env.AUTO_SOLVE_CAPTCHA === 'true',
-      captchaDebug: process.env.CAPTCHA_DEBUG === 'true'
+      captchaDebug: process.env.CAPTCHA_DEBUG === 'true',
+      saveSnapshots: process.env.SAVE_SNAPSHOTS === 'true'
     };
     
-    this.browser = null;
-    this.page = null;
-    this.db = null;
-    this.dailyCalculator = new DailyConsumptionCalculator(this.config.dbPath);
+    this.browserManager = new BrowserManager({ headless: this.config.headless });
+    this.browserManager.on('recycle', event => this.emitSafely('browser_recycle', event));
+    this.storage = createStorage({ dbPath: this.config.dbPath }); // STORAGE_BACKEND: local SQLite or a shared PostgreSQL
+    this.accounts = this.loadAccounts();
+    this.dailyCalculator = new DailyConsumptionCalculator(this.config.dbPath, this.storage);
+    this.balanceForecaster = new BalanceForecaster(this.config.dbPath, this.storage);
+    this.rollups = new ConsumptionRollups(this.config.dbPath, this.storage);
+    this.notifier = new Notifier({ dbPath: this.config.dbPath, storage: this.storage });
+    this.anomalyDetector = new AnomalyDetector(this.config.dbPath, this.storage);
+    this.anomalyDetector.on('anomaly', anomaly => this.notifier.notifyAnomaly(anomaly));
+    this.mqtt = new MqttPublisher(this); // listens for cycle/grid_event when MQTT_URL is set
+    this.statusSnapshots = new StatusSnapshots(this); // rebuilt after each successful cycle for /api/status
+    this.retention = new DataRetention(this.config.dbPath, this.storage);
+    this.backups = new DatabaseBackup(this.config.dbPath);
+    this.runner = new JobRunner('monitoring', () => this.performMonitoring(), { dbPath: this.config.dbPath });
+    this.extractor = new PowerDataExtractor();
+    this.snapshotStore = this.config.saveSnapshots ? new SnapshotStore() : null;
     
     // Initialize captcha solver if enabled
     if (this.config.autoSolveCaptcha) {
@@ -41,72 +79,89 @@ class UppclPowerMonitor {
     }
   }
 
-  // Initialize database
-  async initDatabase() {
-    this.db = new sqlite3.Database(this.config.dbPath);
-    
-    await new Promise((resolve, reject) => {
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS power_data (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          timestamp TEXT NOT NULL,
-          category TEXT NOT NULL,
-          source TEXT NOT NULL,
-          status TEXT,
-          consumption_value REAL,
-          consumption_unit TEXT,
-          period TEXT,
-          confidence REAL,
-          metadata TEXT,
-          fingerprint TEXT UNIQUE,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+  // Load monitored accounts from the accounts file, falling back to the single USERNAME/PASSWORD account
+  loadAccounts() {
+    if (!fs.existsSync(this.config.accountsPath)) {
+      return [{
+        id: process.env.METER_ID || 'default',
+        name: process.env.METER_NAME || null,
+        url: this.config.url,
+        username: this.config.username,
+        password: this.config.password,
+        cookiesPath: this.config.cookiesPath
+      }];
+    }
 
-    // Create indexes
-    await new Promise((resolve) => {
-      this.db.run('CREATE INDEX IF NOT EXISTS idx_timestamp ON power_data(timestamp)', resolve);
-    });
-    await new Promise((resolve) => {
-      this.db.run('CREATE INDEX IF NOT EXISTS idx_category ON power_data(category)', resolve);
-    });
-    await new Promise((resolve) => {
-      this.db.run('CREATE INDEX IF NOT EXISTS idx_source ON power_data(source)', resolve);
+    const parsed = JSON.parse(fs.readFileSync(this.config.accountsPath, 'utf8'));
+    const accounts = Array.isArray(parsed) ? parsed : parsed.accounts || [];
+    const seenIds = new Set();
+
+    return accounts.map((account, index) => {
+      if (!account.id || !account.username || !account.password) {
+        throw new Error(`Account #${index + 1} in ${this.config.accountsPath} needs id, username and password`);
+      }
+      if (seenIds.has(account.id)) {
+        throw new Error(`Duplicate account id "${account.id}" in ${this.config.accountsPath}`);
+      }
+      seenIds.add(account.id);
+
+      return {
+        id: account.id,
+        name: account.name || null,
+        url: account.url || this.config.url,
+        username: account.username,
+        password: account.password,
+        cookiesPath: account.cookiesPath
+          ? path.resolve(path.dirname(this.config.accountsPath), account.cookiesPath)
+          : path.join(__dirname, `cookies_${account.id}.json`)
+      };
     });
   }
 
-  // Initialize browser
-  async initBrowser() {
-    this.browser = await puppeteer.launch({
-      headless: this.config.headless,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    this.page = await this.browser.newPage();
-    await this.page.setViewport({ width: 1280, height: 720 });
+  // Meter id used when a request does not name one
+  getDefaultMeterId() {
+    return this.accounts.length > 0 ? this.accounts[0].id : 'default';
+  }
+
+  // Connect to storage (on SQLite, pending schema migrations run first), then fix up stored data once
+  async initDatabase() {
+    await this.storage.init();
+    await ensureDataMigrated(this.storage);
+  }
+
+  // An account's page (each account has its own cookie jar) plus the cycle it runs in. Login and
+  // extraction take the session rather than shared state, so a timed-out cycle still running in
+  // the background can't act on the next account's page.
+  async openSession(account, cycle = null) {
+    const page = await this.browserManager.getPage(account.id);
+    return { account, page, cycle };
+  }
+
+  // Stop here if the session's cycle has timed out
+  checkCancelled(session) {
+    this.browserManager.checkCycle(session.cycle);
   }
 
   // Load cookies if available
-  async loadCookies() {
-    if (fs.existsSync(this.config.cookiesPath)) {
-      const cookies = JSON.parse(fs.readFileSync(this.config.cookiesPath));
-      await this.page.setCookie(...cookies);
+  async loadCookies(session) {
+    const cookiesPath = session.account.cookiesPath;
+    if (fs.existsSync(cookiesPath)) {
+      const cookies = JSON.parse(fs.readFileSync(cookiesPath));
+      await session.page.setCookie(...cookies);
     }
   }
 
   // Save cookies
-  async saveCookies() {
-    const cookies = await this.page.cookies();
-    fs.writeFileSync(this.config.cookiesPath, JSON.stringify(cookies, null, 2));
+  async saveCookies(session) {
+    const cookies = await session.page.cookies();
+    this.checkCancelled(session);
+    fs.writeFileSync(session.account.cookiesPath, JSON.stringify(cookies, null, 2));
   }
 
   // Check if logged in
-  async isLoggedIn() {
+  async isLoggedIn(page) {
     try {
-      await this.page.waitForSelector('a[href*="logout"]', { timeout: 3000 });
+      await page.waitForSelector('a[href*="logout"]', { timeout: 3000 });
       return true;
     } catch {
       return false;
@@ -114,21 +169,22 @@ class UppclPowerMonitor {
   }
 
   // Perform login
-  async login() {
+  async login(session) {
+    const { account, page } = session;
     try {
-      await this.page.goto(this.config.url, { waitUntil: 'networkidle2' });
+      await page.goto(account.url, { waitUntil: 'networkidle2' });
       
-      if (await this.isLoggedIn()) {
-        console.log('✅ Already logged in');
+      if (await this.isLoggedIn(page)) {
+        console.log(`✅ Already logged in (${account.id})`);
         return true;
       }
 
       // Find and fill login form
-      await this.page.type('input[name="username"], input[type="email"]', this.config.username);
-      await this.page.type('input[name="password"], input[type="password"]', this.config.password);
+      await page.type('input[name="username"], input[type="email"]', account.username);
+      await page.type('input[name="password"], input[type="password"]', account.password);
       
       // Handle CAPTCHA if present
-      const captchaField = await this.page.$('input[name*="captcha" i]');
+      const captchaField = await page.$('input[name*="captcha" i]');
       if (captchaField) {
         console.log('🔍 CAPTCHA detected - attempting to solve...');
         
@@ -138,325 +194,82 @@ class UppclPowerMonitor {
             await this.captchaSolver.initialize();
             
             // Try to solve the captcha
-            const captchaResult = await this.captchaSolver.solveCaptcha(this.page);
+            const captchaResult = await this.captchaSolver.solveCaptcha(page);
+            this.checkCancelled(session);
             
             if (captchaResult && captchaResult.success) {
               console.log(`✅ CAPTCHA solved (${captchaResult.type}): ${captchaResult.text}`);
+              this.emitSafely('captcha', { meterId: account.id, success: true, type: captchaResult.type });
               
               // Enter the captcha solution
               await captchaField.clear();
               await captchaField.type(captchaResult.text);
             } else {
               console.log('❌ Failed to solve CAPTCHA automatically');
+              this.emitSafely('captcha', { meterId: account.id, success: false });
+              this.emitSafely('login', { meterId: account.id, success: false });
               return false;
             }
           } catch (captchaError) {
             console.error('❌ CAPTCHA solving error:', captchaError.message);
+            this.emitSafely('captcha', { meterId: account.id, success: false });
+            this.emitSafely('login', { meterId: account.id, success: false });
             return false;
           }
         } else {
           console.log('⚠️ CAPTCHA detected but auto-solve is disabled');
+          this.emitSafely('login', { meterId: account.id, success: false });
           return false;
         }
       }
 
       // Submit login
-      await this.page.click('input[type="submit"], button[type="submit"]');
-      await this.page.waitForNavigation({ waitUntil: 'networkidle2' });
+      await page.click('input[type="submit"], button[type="submit"]');
+      await page.waitForNavigation({ waitUntil: 'networkidle2' });
       
-      await this.saveCookies();
-      return await this.isLoggedIn();
+      await this.saveCookies(session);
+      const loggedIn = await this.isLoggedIn(page);
+      this.checkCancelled(session);
+      this.emitSafely('login', { meterId: account.id, success: loggedIn });
+      return loggedIn;
 
     } catch (error) {
+      if (error.code === 'CYCLE_CANCELLED') throw error;
       console.error('❌ Login failed:', error.message);
+      this.emitSafely('login', { meterId: account.id, success: false });
       return false;
     }
   }
 
-  // Extract power data from page
-  async extractPowerData() {
-    const timestamp = new Date().toISOString();
-    
-    const powerData = await this.page.evaluate(() => {
-      const results = [];
-      
-      // Extract Grid LED status
-      const gridLeds = document.querySelectorAll('img[title*="Grid" i], img[alt*="Grid" i]');
-      gridLeds.forEach(led => {
-        const src = led.src || '';
-        const title = led.title || led.alt || '';
-        
-        let status = 'unknown';
-        if (src.includes('green')) status = 'online';
-        else if (src.includes('red')) status = 'offline';
-        
-        results.push({
-          category: 'availability',
-          source: 'grid',
-          status: status,
-          context: `LED: ${title}, Source: ${src}`
-        });
-      });
-      
-      // Extract DG LED status (if any)
-      const dgLeds = document.querySelectorAll('img[title*="DG" i], img[alt*="DG" i], img[title*="Generator" i]');
-      dgLeds.forEach(led => {
-        const src = led.src || '';
-        const title = led.title || led.alt || '';
-        
-        let status = 'unknown';
-        if (src.includes('green')) status = 'online';
-        else if (src.includes('red')) status = 'offline';
-        
-        results.push({
-          category: 'availability',
-          source: 'dg',
-          status: status,
-          context: `LED: ${title}, Source: ${src}`
-        });
-      });
-      
-      // Extract Grid consumption data - scan entire page text
-      const pageText = document.body.textContent || document.body.innerText || '';
-      
-      // Debug: Log all decimal values found on page
-      console.log('🔍 Scanning page for decimal values...');
-      const allDecimals = pageText.match(/\d+\.\d+/g);
-      if (allDecimals) {
-        console.log('📊 Decimal values found:', allDecimals.slice(0, 10)); // Show first 10
-      }
-      
-      // Pattern 1: Current month consumption - "Grid:166.00 KWH" 
-      const currentMonthKwhMatch = pageText.match(/Grid\s*:\s*(\d+(?:\.\d+)?)\s*KWH/i);
-      if (currentMonthKwhMatch) {
-        const value = parseFloat(currentMonthKwhMatch[1]);
-        // Based on reference: 166 is current month consumption
-        if (value >= 10 && value <= 5000) {
-          results.push({
-            category: 'consumption',
-            source: 'grid',
-            value: value,
-            unit: 'KWH',
-            period: 'current_month',
-            context: `Current Month Grid Consumption: ${currentMonthKwhMatch[1]} KWH`
-          });
-        }
-      }
-
-      // Pattern 1b: Previous month consumption - look for higher values like 267 KWH
-      const previousMonthMatches = pageText.matchAll(/(\d{3}(?:\.\d+)?)\s*KWH/gi);
-      for (const match of previousMonthMatches) {
-        const value = parseFloat(match[1]);
-        // Based on reference: 267 is previous month consumption (higher than current 166)
-        if (value > 200 && value <= 1000 && value !== parseFloat(currentMonthKwhMatch?.[1] || 0)) {
-          results.push({
-            category: 'consumption',
-            source: 'grid',
-            value: value,
-            unit: 'KWH',
-            period: 'previous_month',
-            context: `Previous Month Grid Consumption: ${value} KWH`
-          });
-          break; // Take first valid match
-        }
-      }
-
-      // Pattern 1a: Grid Reading - "Reading:Grid : 14,591.00 KWH"
-      const gridReadingMatch = pageText.match(/Reading\s*:\s*Grid\s*:\s*([\d,]+(?:\.\d+)?)\s*KWH/i);
-      if (gridReadingMatch) {
-        const value = parseFloat(gridReadingMatch[1].replace(/,/g, ''));
-        if (value >= 0 && value <= 100000) {
-          results.push({
-            category: 'meter_reading',
-            source: 'grid',
-            value: value,
-            unit: 'KWH',
-            period: 'cumulative',
-            context: `Grid Reading: ${gridReadingMatch[1]} KWH`
-          });
-        }
-      }
-
-      // Pattern 1b: Grid Balance - "Updated Balance :Grid Bal: Rs. 158.89"
-      const gridBalanceMatch = pageText.match(/(?:Updated\s+Balance|Grid\s+Bal)\s*:\s*(?:Grid\s+Bal\s*:)?\s*Rs\.?\s*([\d,]+(?:\.\d+)?)/i);
-      if (gridBalanceMatch) {
-        const value = parseFloat(gridBalanceMatch[1].replace(/,/g, ''));
-        if (value >= -10000 && value <= 50000) { // Allow negative balance
-          results.push({
-            category: 'balance',
-            source: 'grid',
-            value: value,
-            unit: 'INR',
-            period: 'current',
-            context: `Grid Balance: Rs. ${gridBalanceMatch[1]}`
-          });
-        }
-      }
-      
-      // Pattern 2: Current month consumption with units
-      const currentMonthMatch = pageText.match(/Current Month Consumption[^0-9]*(\d+(?:\.\d+)?)/i);
-      if (currentMonthMatch) {
-        const value = parseFloat(currentMonthMatch[1]);
-        // Validate: current month consumption should be reasonable (0.1 to 500 units)
-        if (value >= 0.1 && value <= 500) {
-          results.push({
-            category: 'consumption',
-            source: 'grid',
-            value: value,
-            unit: 'UNITS',
-            period: 'current_month',
-            context: `Current Month Consumption: ${currentMonthMatch[1]} units`
-          });
-        }
-      }
-      
-      // Pattern 3: Daily consumption - "Day :14,Grid Units : 6"
-      const dailyMatches = pageText.matchAll(/Day\s*:\s*(\d+)\s*,\s*Grid Units\s*:\s*(\d+(?:\.\d+)?)/gi);
-      for (const match of dailyMatches) {
-        const day = parseInt(match[1]);
-        const units = parseFloat(match[2]);
-        
-        // Validate: day should be 1-31, units should be reasonable
-        if (day >= 1 && day <= 31 && units >= 0 && units <= 100) {
-          results.push({
-            category: 'consumption',
-            source: 'grid',
-            value: units,
-            unit: 'UNITS',
-            period: 'daily',
-            context: `Day ${day}, Grid Units: ${units}`,
-            metadata: { day: day }
-          });
-        }
-      }
-      
-      // Pattern 3a: Today's consumption - "5.13 units" or similar
-      const today = new Date().getDate();
-      
-      // Look for today's consumption in various formats (more flexible patterns)
-      const todayPatterns = [
-        /(\d+\.\d{1,3})\s*(?:units|UNITS|kwh|KWH)/gi,  // Any decimal with units
-        /(?:Today|Current\s*Day)\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi,
-        new RegExp(`Day\\s*${today}\\s*[:\\-]?\\s*(\d+(?:\.\d+)?)`, 'gi'),
-        /(?:Today's?|Daily)\s*(?:Consumption|Usage)\s*[:\-]?\s*(\d+(?:\.\d+)?)/gi,
-        /(\d+\.\d+)\s*Grid\s*Units/gi,  // Pattern like "5.13 Grid Units"
-        /Grid\s*Units\s*[:\-]?\s*(\d+\.\d+)/gi,  // Pattern like "Grid Units: 5.13"
-      ];
-      
-      for (const pattern of todayPatterns) {
-        let match;
-        while ((match = pattern.exec(pageText)) !== null) {
-          const value = parseFloat(match[1]);
-          // Values between 1-50 that are likely today's consumption (like 5.13)
-          if (value >= 1 && value <= 50 && value.toString().includes('.')) {
-            // Skip values we already captured as monthly data
-            if (value !== 166 && value !== 267 && value !== 4) {
-              results.push({
-                category: 'consumption',
-                source: 'grid',
-                value: value,
-                unit: 'UNITS',
-                period: 'today',
-                context: `Today's Consumption: ${value} units (detected from: ${match[0]})`,
-                metadata: { day: today }
-              });
-              console.log(`📅 Found today's consumption: ${value} units from pattern: ${match[0]}`);
-              break;
-            }
-          }
-        }
-      }
-      
-      // Pattern 3b: Look for specific decimal patterns that could be today's usage
-      const decimalMatches = pageText.matchAll(/(\d+\.\d{1,3})/g);
-      for (const match of decimalMatches) {
-        const value = parseFloat(match[1]);
-        // Values like 5.13 that are realistic for daily consumption
-        if (value >= 1 && value <= 30 && value !== 166.0 && value !== 267.0) {
-          // Check surrounding context to see if it's consumption related
-          const context = pageText.substring(Math.max(0, match.index - 50), match.index + 50);
-          if (context.toLowerCase().includes('unit') || context.toLowerCase().includes('consumption') || 
-              context.toLowerCase().includes('today') || context.toLowerCase().includes('current')) {
-            results.push({
-              category: 'consumption',
-              source: 'grid',
-              value: value,
-              unit: 'UNITS',
-              period: 'today',
-              context: `Today's Usage: ${value} units (context: ${context.trim()})`
-            });
-            console.log(`📅 Found potential today's consumption: ${value} units in context: ${context.trim()}`);
-            break;
-          }
-        }
-      }
+  // Capture the page text and images that the extraction rules run against
+  async capturePageSnapshot(page) {
+    return page.evaluate(() => ({
+      text: document.body.textContent || document.body.innerText || '',
+      images: Array.from(document.querySelectorAll('img')).map(img => ({
+        src: img.src || '',
+        title: img.title || '',
+        alt: img.alt || ''
+      }))
+    }));
+  }
 
-      // Pattern 4: Previous month consumption
-      const prevMonthMatch = pageText.match(/Previous Month Consumption[^0-9]*(\d+(?:\.\d+)?)/i);
-      if (prevMonthMatch) {
-        const value = parseFloat(prevMonthMatch[1]);
-        // Validate: previous month should be reasonable
-        if (value >= 0.1 && value <= 1000) {
-          results.push({
-            category: 'consumption',
-            source: 'grid',
-            value: value,
-            unit: 'UNITS',
-            period: 'previous_month',
-            context: `Previous Month Consumption: ${prevMonthMatch[1]} units`
-          });
-        }
-      }
-      
-      // Pattern 5: Standalone consumption values near "Grid Units" text (with strict validation)
-      const gridUnitsMatches = pageText.matchAll(/Grid Units[^0-9]*(\d+(?:\.\d+)?)/gi);
-      for (const match of gridUnitsMatches) {
-        const value = parseFloat(match[1]);
-        // Only accept very reasonable values to avoid garbage
-        if (value >= 0.1 && value <= 50) {
-          results.push({
-            category: 'consumption',
-            source: 'grid',
-            value: value,
-            unit: 'UNITS',
-            period: 'detected',
-            context: `Grid Units: ${value}`
-          });
-        }
-      }
-      
-      // Pattern 6: Extract month names and consumption data (with validation)
-      const monthPatterns = [
-        { pattern: /(?:Oct|October)[-\s]*2025[^0-9]*(\d+(?:\.\d+)?)/gi, name: 'October' },
-        { pattern: /(?:Sep|September)[-\s]*2025[^0-9]*(\d+(?:\.\d+)?)/gi, name: 'September' },
-        { pattern: /(?:Nov|November)[-\s]*2025[^0-9]*(\d+(?:\.\d+)?)/gi, name: 'November' }
-      ];
-      
-      monthPatterns.forEach(({ pattern, name }) => {
-        let match;
-        while ((match = pattern.exec(pageText)) !== null) {
-          const value = parseFloat(match[1]);
-          // Validate: monthly consumption should be reasonable (1-1000 units)
-          if (value >= 1 && value <= 1000) {
-            results.push({
-              category: 'consumption',
-              source: 'grid',
-              value: value,
-              unit: 'UNITS',
-              period: `${name.toLowerCase()}_2025`,
-              context: `${name} 2025: ${value} units`
-            });
-          }
-        }
-      });
-      
-      return results;
-    });
+  // Extract power data from the session's page (the replay harness passes a capture time and snapshot)
+  async extractPowerData(session, now = new Date(), pageSnapshot = null) {
+    const timestamp = now.toISOString();
+    const meterId = session.account.id;
+    
+    // Apply the declarative extraction rules to the page snapshot
+    pageSnapshot = pageSnapshot || await this.capturePageSnapshot(session.page);
+    session.pageSnapshot = pageSnapshot;
+    
+    this.extractor.loadRulesIfChanged();
+    const powerData = this.extractor.extract(pageSnapshot, now);
     
     // Add timestamp and process data with final validation
     return powerData
       .map(data => ({
         ...data,
+        meterId,
         timestamp,
         confidence: this.calculateConfidence(data),
         fingerprint: this.generateFingerprint(data, timestamp)
@@ -464,6 +277,25 @@ class UppclPowerMonitor {
       .filter(data => this.isValidData(data)); // Final validation filter
   }
 
+  // Save the current page as an offline regression fixture
+  async saveSnapshot(session, powerData) {
+    try {
+      const html = await session.page.content();
+      this.checkCancelled(session);
+      const { htmlPath } = this.snapshotStore.save(session.account.id, {
+        html,
+        images: session.pageSnapshot ? session.pageSnapshot.images : [],
+        url: session.page.url(),
+        timestamp: powerData.length > 0 ? powerData[0].timestamp : new Date().toISOString(),
+        rulesVersion: this.extractor.version,
+        records: powerData
+      });
+      console.log(`📸 Snapshot saved: ${htmlPath}`);
+    } catch (error) {
+      console.warn(`⚠️ Failed to save snapshot: ${error.message}`);
+    }
+  }
+
   // Validate data before saving to prevent garbage
   isValidData(data) {
     // Availability data validation
@@ -475,6 +307,11 @@ class UppclPowerMonitor {
     if (data.category === 'consumption') {
       if (!data.value || data.value <= 0) return false;
       
+      // The DG runs for a few hours a month at most, so its totals can be small
+      if (data.source === 'dg') {
+        return data.value <= (data.period === 'daily' ? 100 : 1000) && (data.unit === 'KWH' || data.unit === 'UNITS');
+      }
+      
       // Strict validation based on period type
       switch (data.period) {
         case 'current_month':
@@ -507,6 +344,11 @@ class UppclPowerMonitor {
       return data.value >= -10000 && data.value <= 50000 && data.unit === 'INR';
     }
     
+    // DG charges validation
+    if (data.category === 'charges') {
+      return data.value >= 0 && data.value <= 50000 && data.unit === 'INR';
+    }
+    
     return true; // Allow other categories
   }
 
@@ -538,7 +380,7 @@ class UppclPowerMonitor {
       if (data.value < 10000) confidence += 0.1; // Reasonable upper bound
       
       // Context quality
-      if (data.context && data.context.includes('Grid')) confidence += 0.1;
+      if (data.context && (data.context.includes('Grid') || data.context.includes('DG'))) confidence += 0.1;
       if (data.context && data.context.includes('Consumption')) confidence += 0.1;
       if (data.context && data.context.includes('Month')) confidence += 0.1;
       if (data.context && data.context.includes('Day')) confidence += 0.1;
@@ -558,13 +400,20 @@ class UppclPowerMonitor {
       if (data.context && data.context.includes('Balance')) confidence += 0.2;
       if (data.unit === 'INR') confidence += 0.1;
     }
+
+    // Charges confidence
+    if (data.category === 'charges') {
+      confidence += 0.4;
+      if (data.context && data.context.includes('Charges')) confidence += 0.2;
+      if (data.unit === 'INR') confidence += 0.1;
+    }
     
     return Math.min(confidence, 1.0);
   }
 
   // Generate fingerprint for deduplication
   generateFingerprint(data, timestamp) {
-    const key = `${data.category}_${data.source}_${data.status || data.value}_${timestamp.substring(0, 16)}`;
+    const key = `${data.meterId}_${data.category}_${data.source}_${data.status || data.value}_${timestamp.substring(0, 16)}`;
     return crypto.createHash('md5').update(key).digest('hex');
   }
 
@@ -580,38 +429,21 @@ class UppclPowerMonitor {
           await this.trackGridStatusChange(data);
         }
 
-        await new Promise((resolve, reject) => {
-          this.db.run(`
-            INSERT INTO power_data (
-              timestamp, category, source, status, 
-              consumption_value, consumption_unit, period, 
-              confidence, metadata, fingerprint
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `, [
-            data.timestamp,
-            data.category,
-            data.source,
-            data.status || null,
-            data.value || null,
-            data.unit || null,
-            data.period || null,
-            data.confidence,
-            JSON.stringify({ context: data.context }),
-            data.fingerprint
-          ], function(err) {
-            if (err) {
-              if (err.message.includes('UNIQUE constraint')) {
-                duplicates++;
-                resolve();
-              } else {
-                reject(err);
-              }
-            } else {
-              saved++;
-              resolve();
-            }
-          });
+        const inserted = await this.storage.insertRecord({
+          meter_id: data.meterId,
+          timestamp: data.timestamp,
+          category: data.category,
+          source: data.source,
+          status: data.status || null,
+          consumption_value: data.value || null,
+          consumption_unit: data.unit || null,
+          period: data.period || null,
+          confidence: data.confidence,
+          metadata: JSON.stringify({ context: data.context, rule: data.rule, rulesVersion: this.extractor.version }),
+          fingerprint: data.fingerprint
         });
+        if (inserted) saved++;
+        else duplicates++;
       } catch (error) {
         console.warn(`⚠️ Failed to save data: ${error.message}`);
       }
@@ -624,18 +456,7 @@ class UppclPowerMonitor {
   async trackGridStatusChange(currentData) {
     try {
       // Get the last known Grid availability status (not consumption)
-      const lastStatus = await new Promise((resolve, reject) => {
-        this.db.get(`
-          SELECT status, timestamp 
-          FROM power_data 
-          WHERE category = 'availability' AND source = 'grid' 
-          ORDER BY timestamp DESC 
-          LIMIT 1
-        `, (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
+      const lastStatus = await this.storage.getLatestRecord(currentData.meterId, 'availability', 'grid');
 
       if (!lastStatus) {
         return; // No previous status to compare
@@ -651,44 +472,37 @@ class UppclPowerMonitor {
         
         if (previousStatus === 'online' && currentStatus === 'offline') {
           eventType = 'interruption';
-          console.log(`🔴 Grid INTERRUPTION detected at ${new Date(currentTime).toLocaleString()}`);
+          console.log(`🔴 Grid INTERRUPTION detected for ${currentData.meterId} at ${new Date(currentTime).toLocaleString()}`);
         } else if (previousStatus === 'offline' && currentStatus === 'online') {
           eventType = 'restoration';
-          console.log(`🟢 Grid RESTORATION detected at ${new Date(currentTime).toLocaleString()}`);
+          console.log(`🟢 Grid RESTORATION detected for ${currentData.meterId} at ${new Date(currentTime).toLocaleString()}`);
         }
 
         if (eventType) {
           // Save the status change event
-          const eventFingerprint = crypto.createHash('md5').update(`event_grid_${eventType}_${currentTime.substring(0, 16)}`).digest('hex');
+          const eventFingerprint = crypto.createHash('md5').update(`${currentData.meterId}_event_grid_${eventType}_${currentTime.substring(0, 16)}`).digest('hex');
           
-          await new Promise((resolve, reject) => {
-            this.db.run(`
-              INSERT INTO power_data (
-                timestamp, category, source, status, 
-                consumption_value, consumption_unit, period, 
-                confidence, metadata, fingerprint
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-              currentTime,
-              'event',
-              'grid',
+          const inserted = await this.storage.insertEvent({
+            meterId: currentData.meterId,
+            timestamp: currentTime,
+            type: eventType,
+            details: {
+              context: `Grid ${eventType}: ${previousStatus} → ${currentStatus}`,
+              previousStatus,
+              currentStatus,
               eventType,
-              null,
-              null,
-              'status_change',
-              1.0,
-              JSON.stringify({
-                context: `Grid ${eventType}: ${previousStatus} → ${currentStatus}`,
-                previousStatus,
-                currentStatus,
-                eventType,
-                detectedAt: currentTime
-              }),
-              eventFingerprint
-            ], function(err) {
-              if (err) reject(err);
-              else resolve();
-            });
+              detectedAt: currentTime
+            },
+            fingerprint: eventFingerprint
+          });
+          if (!inserted) return; // Already recorded (e.g. a manual check in the same minute)
+
+          this.emitSafely('grid_event', {
+            meterId: currentData.meterId,
+            type: eventType,
+            timestamp: currentTime,
+            previousStatus,
+            currentStatus
           });
         }
       }
@@ -697,39 +511,39 @@ class UppclPowerMonitor {
     }
   }
 
-  // Perform single monitoring cycle
+  // Perform single monitoring cycle across all configured accounts
   async performMonitoring() {
     try {
       console.log(`🔍 Starting monitoring cycle at ${new Date().toLocaleString()}`);
       
-      if (!this.browser) await this.initBrowser();
-      if (!this.db) await this.initDatabase();
+      await this.initDatabase();
       
-      await this.loadCookies();
-      
-      const loginSuccess = await this.login();
-      if (!loginSuccess) {
-        throw new Error('Login failed');
+      const allData = [];
+      const failures = [];
+
+      for (const account of this.accounts) {
+        const startedAt = Date.now();
+        try {
+          const powerData = await this.browserManager.runCycle(account.id, cycle => this.monitorAccount(account, cycle));
+          allData.push(...powerData);
+          await this.notifier.processCycle(account.id);
+        } catch (error) {
+          console.error(`❌ Monitoring failed for ${account.id}:`, error.message);
+          failures.push({ accountId: account.id, error });
+          this.emitSafely('cycle', { meterId: account.id, success: false, timestamp: new Date().toISOString(), durationMs: Date.now() - startedAt, error: error.message });
+          await this.notifier.processCycle(account.id, error);
+        }
+      }
+
+      // Only fail the cycle when no account could be monitored
+      if (failures.length > 0 && failures.length === this.accounts.length) {
+        if (failures.length === 1) throw failures[0].error;
+        const error = new Error(`All accounts failed: ${failures.map(f => `${f.accountId} (${f.error.message})`).join(', ')}`);
+        if (failures.every(f => f.error.code === 'LOGIN_FAILED')) error.code = 'LOGIN_FAILED';
+        throw error;
       }
       
-      const powerData = await this.extractPowerData();
-      const { saved, duplicates } = await this.saveData(powerData);
-      
-      console.log(`✅ Monitoring complete: ${saved} new records, ${duplicates} duplicates`);
-      
-      // Log summary of current status
-      const gridAvailability = powerData.find(d => d.source === 'grid' && d.category === 'availability');
-      const dgAvailability = powerData.find(d => d.source === 'dg' && d.category === 'availability');
-      const gridConsumption = powerData.find(d => d.source === 'grid' && d.category === 'consumption');
-      const dgConsumption = powerData.find(d => d.source === 'dg' && d.category === 'consumption');
-      
-      console.log('� Current Status:');
-      if (gridAvailability) console.log(`   Grid: ${gridAvailability.status}`);
-      if (dgAvailability) console.log(`   DG: ${dgAvailability.status}`);
-      if (gridConsumption) console.log(`   Grid Consumption: ${gridConsumption.value} ${gridConsumption.unit}`);
-      if (dgConsumption) console.log(`   DG Consumption: ${dgConsumption.value} ${dgConsumption.unit}`);
-      
-      return powerData;
+      return allData;
       
     } catch (error) {
       console.error('❌ Monitoring cycle failed:', error.message);
@@ -737,48 +551,154 @@ class UppclPowerMonitor {
     }
   }
 
+  // Monitor a single account: login, extract and save. Nothing is saved or emitted once the cycle has timed out.
+  async monitorAccount(account, cycle = null) {
+    const startedAt = Date.now();
+    const session = await this.openSession(account, cycle);
+    await this.loadCookies(session);
+    
+    const loginSuccess = await this.login(session);
+    if (!loginSuccess) {
+      const error = new Error('Login failed');
+      error.code = 'LOGIN_FAILED'; // the scheduler backs off on these
+      throw error;
+    }
+    
+    const powerData = await this.extractPowerData(session);
+    if (this.snapshotStore) {
+      await this.saveSnapshot(session, powerData);
+    }
+    this.checkCancelled(session);
+    const { saved, duplicates } = await this.saveData(powerData);
+    
+    console.log(`✅ Monitoring complete for ${account.id}: ${saved} new records, ${duplicates} duplicates`);
+    
+    // A balance that jumped up since the last reading is a recharge
+    if (powerData.some(d => d.category === 'balance')) {
+      try {
+        await this.balanceForecaster.detectRecharges(account.id);
+      } catch (error) {
+        console.error('❌ Error detecting recharges:', error.message);
+      }
+    }
+
+    try {
+      await this.anomalyDetector.checkReadings(account.id);
+    } catch (error) {
+      console.error('❌ Error detecting anomalies:', error.message);
+    }
+    
+    // Log summary of current status
+    const gridAvailability = powerData.find(d => d.source === 'grid' && d.category === 'availability');
+    const dgAvailability = powerData.find(d => d.source === 'dg' && d.category === 'availability');
+    const gridConsumption = powerData.find(d => d.source === 'grid' && d.category === 'consumption');
+    const dgConsumption = powerData.find(d => d.source === 'dg' && d.category === 'consumption');
+    
+    console.log(`📊 Current Status (${account.id}):`);
+    if (gridAvailability) console.log(`   Grid: ${gridAvailability.status}`);
+    if (dgAvailability) console.log(`   DG: ${dgAvailability.status}`);
+    if (gridConsumption) console.log(`   Grid Consumption: ${gridConsumption.value} ${gridConsumption.unit}`);
+    if (dgConsumption) console.log(`   DG Consumption: ${dgConsumption.value} ${dgConsumption.unit}`);
+
+    this.checkCancelled(session);
+    this.emitSafely('cycle', {
+      meterId: account.id,
+      success: true,
+      timestamp: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      saved,
+      duplicates,
+      grid: gridAvailability ? gridAvailability.status : null,
+      dg: dgAvailability ? dgAvailability.status : null
+    });
+    
+    return powerData;
+  }
+
+  // Listeners (e.g. the dashboard's live stream) must not break a monitoring cycle
+  emitSafely(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      console.error(`❌ ${event} listener failed:`, error.message);
+    }
+  }
+
   // Start scheduled monitoring
   startScheduler() {
     console.log(`⏰ Starting scheduler: ${this.config.schedulePattern}`);
+    this.browserManager.cleanupOrphans();
     
-    cron.schedule(this.config.schedulePattern, async () => {
+    // The runner skips ticks while a run is going, backing off or paused
+    cron.schedule(this.config.schedulePattern, () => this.runner.trigger());
+    console.log(`🛡️  Runs: jitter ${this.runner.jitterMs / 1000}s, login backoff ${this.runner.backoffBaseMs / 1000}s-${this.runner.backoffMaxMs / 60000}min, pause ${this.runner.breakerPauseMs / 60000}min after ${this.runner.breakerFailures} failures`);
+
+    // Close yesterday (and any earlier day still waiting for its end-of-day reading), then roll up months and cycles
+    cron.schedule(this.config.finalizePattern, async () => {
       try {
-        await this.performMonitoring();
+        await this.finalizeCompletedDays();
+        await this.rollups.refreshAll(this.accounts.map(account => account.id));
+        for (const account of this.accounts) {
+          await this.anomalyDetector.checkDay(account.id);
+        }
       } catch (error) {
-        console.error('❌ Scheduled monitoring failed:', error.message);
+        console.error('❌ Daily finalization failed:', error.message);
       }
-    });
+    }, { timezone: timezone.getTimezone() });
+    console.log(`🔒 Day finalization scheduled: ${this.config.finalizePattern} (${timezone.getTimezone()})`);
+
+    cron.schedule(this.config.retentionPattern, async () => {
+      try {
+        await this.retention.applyRetention();
+      } catch (error) {
+        console.error('❌ Data retention failed:', error.message);
+      }
+    }, { timezone: timezone.getTimezone() });
+    console.log(`🗜️  Retention scheduled: ${this.config.retentionPattern} (raw ${this.retention.rawDays} days)`);
+
+    // VACUUM and file backups work on the local SQLite file; a central database has its own tooling
+    if (this.storage.backend === 'sqlite') {
+      cron.schedule(this.config.vacuumPattern, async () => {
+        try {
+          await this.retention.vacuum();
+        } catch (error) {
+          console.error('❌ VACUUM failed:', error.message);
+        }
+      }, { timezone: timezone.getTimezone() });
+      console.log(`🧹 VACUUM scheduled: ${this.config.vacuumPattern}`);
+
+      cron.schedule(this.config.backupPattern, async () => {
+        try {
+          await this.backups.createBackup();
+        } catch (error) {
+          console.error('❌ Scheduled backup failed:', error.message);
+        }
+      }, { timezone: timezone.getTimezone() });
+      console.log(`📦 Backups scheduled: ${this.config.backupPattern} → ${this.backups.backupDir} (keep ${this.backups.keep}, ${this.backups.maxAgeDays} days)`);
+    } else {
+      console.log(`🐘 VACUUM and backups are left to ${this.storage.describe()}`);
+    }
     
     console.log('✅ Scheduler started successfully');
   }
 
+  // Finalize completed days in daily_consumption for every account
+  async finalizeCompletedDays(options = {}) {
+    return this.dailyCalculator.finalizeCompletedDays(this.accounts.map(account => account.id), this.config.finalizeDays, options);
+  }
+
   // Get latest data for dashboard
-  async getLatestData() {
-    // Get regular latest data
-    const latestData = await new Promise((resolve, reject) => {
-      this.db.all(`
-        SELECT 
-          category,
-          source,
-          status,
-          consumption_value,
-          consumption_unit,
-          period,
-          confidence,
-          timestamp,
-          ROW_NUMBER() OVER (PARTITION BY category, source ORDER BY timestamp DESC) as rn
-        FROM power_data 
-        WHERE timestamp > datetime('now', '-1 hour')
-        ORDER BY timestamp DESC
-      `, [], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows.filter(row => row.rn === 1)); // Latest per category/source
-      });
+  async getLatestData(meterId = this.getDefaultMeterId()) {
+    // Latest row per category/source from the last hour
+    await this.initDatabase();
+    const latestData = await this.storage.getLatestRecords({
+      meterId,
+      after: new Date(Date.now() - 60 * 60 * 1000).toISOString()
     });
 
     // Add real-time calculated today's consumption
     try {
-      const todayConsumption = await this.dailyCalculator.getTodayConsumption();
+      const todayConsumption = await this.dailyCalculator.getTodayConsumption(meterId, 'grid', { save: false });
       if (todayConsumption) {
         // Replace any existing "today" consumption data with calculated one
         const filteredData = latestData.filter(row => !(row.category === 'consumption' && row.period === 'today'));
@@ -810,148 +730,131 @@ class UppclPowerMonitor {
     return latestData;
   }
 
+  // Latest availability, register and balance row per source, regardless of age
+  async getLatestReadings(meterId = this.getDefaultMeterId()) {
+    await this.initDatabase();
+    return this.storage.getLatestRecords({ meterId, categories: ['availability', 'meter_reading', 'balance'] });
+  }
+
   // Get historical data with flexible filtering
+  // Ranges reaching back before the retention horizon also include hourly aggregates
   async getHistoricalData(hours = 24, limit = 1000, dateFilters = {}) {
-    return new Promise((resolve, reject) => {
-      let query = 'SELECT * FROM power_data WHERE 1=1';
-      const params = [];
-
-      // Handle different date filtering options (prioritize datetime range over hours)
-      if (dateFilters.startDateTime && dateFilters.endDateTime) {
-        // Full datetime range - should already be in UTC from frontend
-        let startUTC = dateFilters.startDateTime;
-        let endUTC = dateFilters.endDateTime;
-        
-        // If the datetime doesn't have timezone info, it's likely already UTC from frontend conversion
-        if (!startUTC.includes('Z') && !startUTC.includes('+') && !startUTC.includes('-')) {
-          // Add Z to indicate UTC if not present
-          startUTC = startUTC.endsWith('Z') ? startUTC : startUTC + 'Z';
-          endUTC = endUTC.endsWith('Z') ? endUTC : endUTC + 'Z';
-        }
-        
-        query += ' AND timestamp BETWEEN ? AND ?';
-        params.push(startUTC, endUTC);
-        console.log(`🕐 Using custom datetime range: ${startUTC} to ${endUTC}`);
-      } else if (dateFilters.startDate && dateFilters.endDate) {
-        // Date range (full days) - use local date but convert to UTC boundaries
-        const startOfDay = new Date(dateFilters.startDate + 'T00:00:00').toISOString();
-        const endOfDay = new Date(dateFilters.endDate + 'T23:59:59.999').toISOString();
-        query += ' AND timestamp BETWEEN ? AND ?';
-        params.push(startOfDay, endOfDay);
-        console.log(`📅 Using UTC date range: ${startOfDay} to ${endOfDay}`);
-      } else if (dateFilters.startDate) {
-        // From specific date onwards
-        const startOfDay = new Date(dateFilters.startDate + 'T00:00:00').toISOString();
-        query += ' AND timestamp >= ?';
-        params.push(startOfDay);
-      } else if (dateFilters.endDate) {
-        // Up to specific date
-        const endOfDay = new Date(dateFilters.endDate + 'T23:59:59.999').toISOString();
-        query += ' AND timestamp <= ?';
-        params.push(endOfDay);
-      } else {
-        // Default: last N hours
-        query += ` AND timestamp > datetime('now', '-${hours} hours')`;
-      }
+    const range = { start: null, end: null };
 
-      // Add category filtering
-      if (dateFilters.category) {
-        query += ' AND category = ?';
-        params.push(dateFilters.category);
-        console.log(`🏷️ Filtering by category: ${dateFilters.category}`);
+    // Handle different date filtering options (prioritize datetime range over hours)
+    if (dateFilters.startDateTime && dateFilters.endDateTime) {
+      // Full datetime range - should already be in UTC from frontend
+      let startUTC = dateFilters.startDateTime;
+      let endUTC = dateFilters.endDateTime;
+      
+      // If the datetime doesn't have timezone info, it's likely already UTC from frontend conversion
+      if (!startUTC.includes('Z') && !startUTC.includes('+') && !startUTC.includes('-')) {
+        // Add Z to indicate UTC if not present
+        startUTC = startUTC.endsWith('Z') ? startUTC : startUTC + 'Z';
+        endUTC = endUTC.endsWith('Z') ? endUTC : endUTC + 'Z';
       }
+      
+      range.start = startUTC;
+      range.end = endUTC;
+      console.log(`🕐 Using custom datetime range: ${startUTC} to ${endUTC}`);
+    } else if (dateFilters.startDate && dateFilters.endDate) {
+      // Date range (full days) - local dates in TIMEZONE converted to UTC boundaries
+      range.start = timezone.getMidnight(dateFilters.startDate).toISOString();
+      range.end = timezone.zonedTimeToDate(dateFilters.endDate, '23:59:59.999').toISOString();
+      console.log(`📅 Using UTC date range: ${range.start} to ${range.end}`);
+    } else if (dateFilters.startDate) {
+      // From specific date onwards
+      range.start = timezone.getMidnight(dateFilters.startDate).toISOString();
+    } else if (dateFilters.endDate) {
+      // Up to specific date
+      range.end = timezone.zonedTimeToDate(dateFilters.endDate, '23:59:59.999').toISOString();
+    } else {
+      // Default: last N hours
+      range.start = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    }
 
-      // Add source filtering  
-      if (dateFilters.source) {
-        query += ' AND source = ?';
-        params.push(dateFilters.source);
-        console.log(`📍 Filtering by source: ${dateFilters.source}`);
-      }
+    if (dateFilters.category) console.log(`🏷️ Filtering by category: ${dateFilters.category}`);
+    if (dateFilters.source) console.log(`📍 Filtering by source: ${dateFilters.source}`);
+    if (dateFilters.period) console.log(`⏰ Filtering by period: ${dateFilters.period}`);
+
+    const filters = {
+      meterId: dateFilters.meterId,
+      category: dateFilters.category,
+      source: dateFilters.source,
+      period: dateFilters.period,
+      start: range.start,
+      end: range.end,
+      limit
+    };
 
-      // Add period filtering for consumption data
-      if (dateFilters.period) {
-        query += ' AND period = ?';
-        params.push(dateFilters.period);
-        console.log(`⏰ Filtering by period: ${dateFilters.period}`);
-      }
+    await this.initDatabase();
+    let rows;
+    try {
+      rows = await this.storage.findRecords(filters);
+    } catch (error) {
+      console.error('Database query error:', error);
+      throw error;
+    }
+    console.log(`📊 Retrieved ${rows.length} records with filters:`, { hours, limit, dateFilters, filters });
 
-      query += ' ORDER BY timestamp DESC LIMIT ?';
-      params.push(limit);
+    // Raw rows before the horizon have been folded into hourly aggregates
+    if (range.start && new Date(range.start) >= this.retention.getRawHorizon()) {
+      return rows;
+    }
+    const hourly = await this.retention.getHourlyHistory({ ...range, ...dateFilters, limit });
+    if (hourly.length === 0) return rows;
 
-      this.db.all(query, params, (err, rows) => {
-        if (err) {
-          console.error('Database query error:', err);
-          reject(err);
-        } else {
-          console.log(`📊 Retrieved ${rows.length} records with filters:`, { 
-            hours, 
-            limit, 
-            dateFilters,
-            actualParams: params,
-            query: query.replace(/\?/g, '?') 
-          });
-          resolve(rows);
-        }
-      });
-    });
+    console.log(`🗜️  Added ${hourly.length} hourly aggregate records from before ${this.retention.getRawHorizon().toISOString()}`);
+    return [...rows, ...hourly]
+      .sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0))
+      .slice(0, limit);
   }
 
   // Get last Grid interruption and restoration times
-  async getGridEvents() {
+  async getGridEvents(meterId = this.getDefaultMeterId()) {
     await this.initDatabase();
     
-    return new Promise((resolve, reject) => {
-      this.db.all(`
-        SELECT timestamp, status, metadata 
-        FROM power_data 
-        WHERE category = 'event' AND source = 'grid' 
-        AND status IN ('interruption', 'restoration')
-        ORDER BY timestamp DESC 
-        LIMIT 10
-      `, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          const events = (rows || []).map(row => {
-            let metadata = {};
-            try {
-              metadata = JSON.parse(row.metadata || '{}');
-            } catch (e) {}
-            
-            return {
-              timestamp: row.timestamp,
-              type: row.status,
-              details: metadata
-            };
-          });
-          
-          const lastInterruption = events.find(e => e.type === 'interruption');
-          const lastRestoration = events.find(e => e.type === 'restoration');
-          
-          resolve({
-            lastInterruption: lastInterruption ? {
-              timestamp: lastInterruption.timestamp,
-              formattedTime: new Date(lastInterruption.timestamp).toLocaleString()
-            } : null,
-            lastRestoration: lastRestoration ? {
-              timestamp: lastRestoration.timestamp,
-              formattedTime: new Date(lastRestoration.timestamp).toLocaleString()
-            } : null,
-            allEvents: events
-          });
-        }
-      });
+    const rows = await this.storage.getEvents(meterId, { types: ['interruption', 'restoration'], limit: 10 });
+    const events = rows.map(row => {
+      let metadata = {};
+      try {
+        metadata = JSON.parse(row.metadata || '{}');
+      } catch (e) {}
+      
+      return {
+        timestamp: row.timestamp,
+        type: row.status,
+        details: metadata
+      };
     });
+    
+    const lastInterruption = events.find(e => e.type === 'interruption');
+    const lastRestoration = events.find(e => e.type === 'restoration');
+    
+    return {
+      lastInterruption: lastInterruption ? {
+        timestamp: lastInterruption.timestamp,
+        formattedTime: new Date(lastInterruption.timestamp).toLocaleString()
+      } : null,
+      lastRestoration: lastRestoration ? {
+        timestamp: lastRestoration.timestamp,
+        formattedTime: new Date(lastRestoration.timestamp).toLocaleString()
+      } : null,
+      allEvents: events
+    };
   }
 
   // Cleanup
   async close() {
-    if (this.browser) {
-      await this.browser.close();
-    }
-    if (this.db) {
-      this.db.close();
-    }
+    await this.balanceForecaster.close();
+    await this.rollups.close();
+    await this.anomalyDetector.close();
+    await this.notifier.close();
+    await this.mqtt.close();
+    await this.retention.close();
+    await this.runner.close();
+    await this.browserManager.close();
+    await this.storage.close();
   }
 }
 
@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const timezone = require('./timezone');
+const { createStorage } = require('./storage');
+
+/**
+ * Outage Analytics
+ * Pairs grid interruption/restoration events into outage intervals and reports
+ * supply hours per day and month plus SAIDI/SAIFI-style reliability indices.
+ * Days and months are local to TIMEZONE. Supply hours only cover days with grid
+ * availability readings; a day the monitor wasn't running has unknown supply.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class OutageAnalytics {
+  constructor(dbPath = null, storage = null) {
+    this.dbPath = dbPath || path.join(__dirname, 'power_data.db');
+    this.storage = storage || createStorage({ dbPath: this.dbPath });
+    this.ownsStorage = !storage;
+    // Interruptions shorter than this are momentary (MAIFI) rather than sustained (SAIFI/SAIDI)
+    this.momentaryMinutes = parseFloat(process.env.MOMENTARY_OUTAGE_MINUTES) || 5;
+    this.maxRangeDays = parseInt(process.env.OUTAGE_MAX_RANGE_DAYS) || 366; // every day costs a query or two
+  }
+
+  // Connect to storage
+  async initDatabase() {
+    await this.storage.init();
+  }
+
+  async query(sql, params = []) {
+    return this.storage.query(sql, params);
+  }
+
+  // Accepts local YYYY-MM-DD (whole day; `to` is inclusive) or an ISO timestamp
+  parseRange(from, to) {
+    const now = new Date();
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const end = to
+      ? (isDate(to) ? timezone.getMidnight(timezone.addDays(to, 1)) : new Date(to))
+      : now;
+    const start = from
+      ? (isDate(from) ? timezone.getMidnight(from) : new Date(from))
+      : new Date(end.getTime() - 30 * DAY_MS);
+
+    if (isNaN(start) || isNaN(end)) {
+      throw new Error('Invalid from/to; use YYYY-MM-DD or an ISO timestamp');
+    }
+    if (start >= end) {
+      throw new Error('from must be before to');
+    }
+    if (end - start > this.maxRangeDays * DAY_MS) {
+      throw new Error(`Range is longer than ${this.maxRangeDays} days (OUTAGE_MAX_RANGE_DAYS); request it in parts`);
+    }
+    // Nothing has happened after now yet
+    return { start, end: end > now ? now : end };
+  }
+
+  // Interruption/restoration events in the range, plus the one before it so an outage in progress at `start` is kept
+  async getEvents(meterId, start, end) {
+    const before = await this.query(`
+      SELECT timestamp, status FROM power_data
+      WHERE category = 'event' AND source = 'grid' AND status IN ('interruption', 'restoration')
+        AND meter_id = ? AND timestamp < ?
+      ORDER BY timestamp DESC LIMIT 1
+    `, [meterId, start.toISOString()]);
+
+    const inRange = await this.query(`
+      SELECT timestamp, status FROM power_data
+      WHERE category = 'event' AND source = 'grid' AND status IN ('interruption', 'restoration')
+        AND meter_id = ? AND timestamp >= ? AND timestamp < ?
+      ORDER BY timestamp ASC
+    `, [meterId, start.toISOString(), end.toISOString()]);
+
+    return [...before, ...inRange];
+  }
+
+  // Grid availability readings between two times, oldest first
+  async getAvailability(meterId, start, end) {
+    return this.query(`
+      SELECT timestamp, status FROM power_data
+      WHERE category = 'availability' AND source = 'grid'
+        AND meter_id = ? AND timestamp >= ? AND timestamp < ?
+      ORDER BY timestamp ASC
+    `, [meterId, start.toISOString(), end.toISOString()]);
+  }
+
+  // Pair events into { start, end } intervals, estimating ends the event log is missing
+  async buildOutages(meterId, start, end) {
+    const events = await this.getEvents(meterId, start, end);
+    const outages = [];
+    let open = null;
+
+    for (let i = 0; i < events.length; i++) {
+      const event = events[i];
+      const time = new Date(event.timestamp);
+
+      if (event.status === 'interruption') {
+        if (open) {
+          // Two interruptions in a row: the restoration between them was never recorded
+          open.end = await this.estimateEnd(meterId, open.start, time);
+          open.endEstimated = true;
+          outages.push(open);
+        }
+        open = { start: time, end: null, startEstimated: false, endEstimated: false, ongoing: false };
+      } else if (open) {
+        open.end = time;
+        outages.push(open);
+        open = null;
+      } else {
+        // Restoration without an interruption: infer when the grid went offline
+        const previous = i > 0 ? new Date(events[i - 1].timestamp) : start;
+        outages.push({
+          start: await this.estimateStart(meterId, previous, time),
+          end: time,
+          startEstimated: true,
+          endEstimated: false,
+          ongoing: false
+        });
+      }
+    }
+
+    // Still offline as of the end of the range (not as of now: the range may be in the past)
+    if (open) {
+      const latest = await this.query(`
+        SELECT status FROM power_data
+        WHERE category = 'availability' AND source = 'grid' AND meter_id = ? AND timestamp <= ?
+        ORDER BY timestamp DESC LIMIT 1
+      `, [meterId, end.toISOString()]);
+
+      if (latest.length > 0 && latest[0].status === 'offline') {
+        open.end = end;
+        open.ongoing = true;
+      } else {
+        open.end = await this.estimateEnd(meterId, open.start, end);
+        open.endEstimated = true;
+      }
+      outages.push(open);
+    }
+
+    // Clip to the requested range and drop anything entirely outside it
+    return outages
+      .map(outage => ({
+        ...outage,
+        start: outage.start < start ? start : outage.start,
+        end: outage.end > end ? end : outage.end,
+        clipped: outage.start < start || outage.end > end
+      }))
+      .filter(outage => outage.end > outage.start)
+      .map(outage => ({
+        ...outage,
+        durationMinutes: (outage.end - outage.start) / MINUTE_MS
+      }));
+  }
+
+  // Missing restoration: first online reading after the interruption, else the last offline one
+  async estimateEnd(meterId, outageStart, limit) {
+    const readings = await this.getAvailability(meterId, outageStart, limit);
+    const online = readings.find(reading => reading.status === 'online');
+    if (online) return new Date(online.timestamp);
+
+    const offline = readings.filter(reading => reading.status === 'offline');
+    return offline.length > 0 ? new Date(offline[offline.length - 1].timestamp) : outageStart;
+  }
+
+  // Missing interruption: first offline reading after the previous event
+  async estimateStart(meterId, after, restoration) {
+    const readings = await this.getAvailability(meterId, after, restoration);
+    const offline = readings.find(reading => reading.status === 'offline');
+    return offline ? new Date(offline.timestamp) : restoration;
+  }
+
+  // Local days overlapping the range as { date, dayStart, dayEnd }
+  getDays(start, end) {
+    const days = [];
+    for (let date = timezone.getDateString(start); timezone.getMidnight(date) < end; date = timezone.addDays(date, 1)) {
+      days.push({ date, dayStart: timezone.getMidnight(date), dayEnd: timezone.getMidnight(timezone.addDays(date, 1)) });
+    }
+    return days;
+  }
+
+  // Local days in the range that have at least one grid availability reading (raw or, past retention, hourly)
+  async getDaysWithReadings(meterId, start, end) {
+    const found = new Set();
+
+    for (const { date, dayStart, dayEnd } of this.getDays(start, end)) {
+      const params = [meterId, (dayStart < start ? start : dayStart).toISOString(), (dayEnd > end ? end : dayEnd).toISOString()];
+      let rows = await this.query(`
+        SELECT 1 FROM power_data
+        WHERE category = 'availability' AND source = 'grid'
+          AND meter_id = ? AND timestamp >= ? AND timestamp < ?
+        LIMIT 1
+      `, params);
+      if (rows.length === 0) {
+        rows = await this.query(`
+          SELECT 1 FROM power_data_hourly
+          WHERE category = 'availability' AND source = 'grid'
+            AND meter_id = ? AND last_timestamp >= ? AND last_timestamp < ?
+          LIMIT 1
+        `, params);
+      }
+      if (rows.length > 0) found.add(date);
+    }
+    return found;
+  }
+
+  // Outage minutes and supply hours for every day in the range (null hours on days without readings)
+  buildDaily(outages, start, end, readingDays) {
+    const days = [];
+    for (const { date, dayStart, dayEnd } of this.getDays(start, end)) {
+      const periodStart = dayStart < start ? start : dayStart;
+      const periodEnd = dayEnd > end ? end : dayEnd;
+
+      let outageMinutes = 0;
+      let outageCount = 0;
+      outages.forEach(outage => {
+        const overlap = Math.min(outage.end, periodEnd) - Math.max(outage.start, periodStart);
+        if (overlap > 0) outageMinutes += overlap / MINUTE_MS;
+        if (outage.start >= periodStart && outage.start < periodEnd) outageCount++;
+      });
+
+      const periodHours = (periodEnd - periodStart) / (60 * MINUTE_MS);
+      const hasData = readingDays.has(date);
+      days.push({
+        date,
+        hours: this.round(periodHours),
+        outageCount,
+        outageHours: hasData ? this.round(outageMinutes / 60) : null,
+        supplyHours: hasData ? this.round(periodHours - outageMinutes / 60) : null,
+        availabilityPercent: hasData ? this.round(100 * (1 - outageMinutes / 60 / periodHours)) : null,
+        hasData
+      });
+    }
+    return days;
+  }
+
+  // Hours, outage hours and supply hours over the days that have readings (null when none do)
+  coverage(days) {
+    const covered = days.filter(day => day.hasData);
+    if (covered.length === 0) {
+      return { daysWithData: 0, hours: null, outageHours: null, supplyHours: null, availabilityPercent: null };
+    }
+
+    const sum = field => covered.reduce((total, day) => total + day[field], 0);
+    const hours = sum('hours');
+    const supplyHours = sum('supplyHours');
+    return {
+      daysWithData: covered.length,
+      hours: this.round(hours),
+      outageHours: this.round(sum('outageHours')),
+      supplyHours: this.round(supplyHours),
+      availabilityPercent: this.round(100 * supplyHours / hours)
+    };
+  }
+
+  // Roll daily rows up into calendar months
+  buildMonthly(daily) {
+    const months = new Map();
+    daily.forEach(day => {
+      const month = day.date.substring(0, 7);
+      if (!months.has(month)) months.set(month, []);
+      months.get(month).push(day);
+    });
+
+    return [...months].map(([month, days]) => {
+      const coverage = this.coverage(days);
+      return {
+        month,
+        days: days.length,
+        outageCount: days.reduce((total, day) => total + day.outageCount, 0),
+        ...coverage,
+        avgSupplyHoursPerDay: coverage.supplyHours !== null ? this.round(coverage.supplyHours / coverage.daysWithData) : null
+      };
+    });
+  }
+
+  // Supply hours and availability cover only the days with readings (coveredHours of them)
+  summarize(outages, daily) {
+    const sustained = outages.filter(outage => outage.durationMinutes >= this.momentaryMinutes);
+    const totalMinutes = outages.reduce((sum, outage) => sum + outage.durationMinutes, 0);
+    const longest = outages.reduce((max, outage) => (!max || outage.durationMinutes > max.durationMinutes ? outage : max), null);
+    const coverage = this.coverage(daily);
+
+    return {
+      outageCount: outages.length,
+      sustainedCount: sustained.length,
+      momentaryCount: outages.length - sustained.length,
+      totalOutageHours: this.round(totalMinutes / 60),
+      coveredHours: coverage.hours,
+      supplyHours: coverage.supplyHours,
+      availabilityPercent: coverage.availabilityPercent,
+      longestOutageMinutes: longest ? this.round(longest.durationMinutes) : 0,
+      longestOutageStart: longest ? longest.start.toISOString() : null,
+      averageOutageMinutes: outages.length > 0 ? this.round(totalMinutes / outages.length) : 0,
+      estimatedCount: outages.filter(outage => outage.startEstimated || outage.endEstimated).length,
+      ongoing: outages.some(outage => outage.ongoing)
+    };
+  }
+
+  // Full report for one meter
+  async analyzeMeter(meterId, start, end) {
+    const outages = await this.buildOutages(meterId, start, end);
+    const readingDays = await this.getDaysWithReadings(meterId, start, end);
+    const daily = this.buildDaily(outages, start, end, readingDays);
+
+    return {
+      meter: meterId,
+      summary: this.summarize(outages, daily),
+      outages: outages.map(outage => ({
+        start: outage.start.toISOString(),
+        end: outage.end.toISOString(),
+        durationMinutes: this.round(outage.durationMinutes),
+        momentary: outage.durationMinutes < this.momentaryMinutes,
+        ongoing: outage.ongoing,
+        startEstimated: outage.startEstimated,
+        endEstimated: outage.endEstimated,
+        clipped: outage.clipped
+      })),
+      daily,
+      monthly: this.buildMonthly(daily)
+    };
+  }
+
+  // Report for one or more meters; indices treat each meter as a customer
+  async analyze(meterIds, from = null, to = null) {
+    const { start, end } = this.parseRange(from, to);
+    const meters = [];
+    for (const meterId of meterIds) {
+      meters.push(await this.analyzeMeter(meterId, start, end));
+    }
+
+    const customers = meters.length;
+    const sustainedMinutes = meters.reduce((sum, meter) =>
+      sum + meter.outages.filter(outage => !outage.momentary).reduce((total, outage) => total + outage.durationMinutes, 0), 0);
+    const sustainedCount = meters.reduce((sum, meter) => sum + meter.summary.sustainedCount, 0);
+    const momentaryCount = meters.reduce((sum, meter) => sum + meter.summary.momentaryCount, 0);
+
+    return {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      timezone: timezone.getTimezone(),
+      momentaryThresholdMinutes: this.momentaryMinutes,
+      indices: {
+        customers,
+        SAIFI: customers ? this.round(sustainedCount / customers) : 0,        // sustained interruptions per customer
+        SAIDI: customers ? this.round(sustainedMinutes / customers) : 0,      // outage minutes per customer
+        CAIDI: sustainedCount ? this.round(sustainedMinutes / sustainedCount) : 0, // minutes per interruption
+        MAIFI: customers ? this.round(momentaryCount / customers) : 0         // momentary interruptions per customer
+      },
+      meters
+    };
+  }
+
+  // CSV export of outages, daily or monthly rows
+  toCsv(report, type = 'outages') {
+    const columns = {
+      outages: ['start', 'end', 'durationMinutes', 'momentary', 'ongoing', 'startEstimated', 'endEstimated', 'clipped'],
+      daily: ['date', 'hours', 'outageCount', 'outageHours', 'supplyHours', 'availabilityPercent', 'hasData'],
+      monthly: ['month', 'days', 'daysWithData', 'outageCount', 'outageHours', 'supplyHours', 'avgSupplyHoursPerDay', 'availabilityPercent']
+    }[type];
+    if (!columns) {
+      throw new Error(`Unknown CSV type "${type}" (outages, daily, monthly)`);
+    }
+
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [['meter', ...columns].join(',')];
+    report.meters.forEach(meter => {
+      meter[type].forEach(row => {
+        lines.push([meter.meter, ...columns.map(column => row[column])].map(escape).join(','));
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Close storage if these analytics opened it
+  async close() {
+    if (this.ownsStorage) {
+      await this.storage.close();
+    }
+  }
+}
+
+module.exports = OutageAnalytics;
+
+// Command line usage
+if (require.main === module) {
+  const flag = name => {
+    const arg = process.argv.find(candidate => candidate.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : null;
+  };
+  const meterId = flag('meter') || process.env.METER_ID || 'default';
+  const analytics = new OutageAnalytics();
+
+  async function main() {
+    try {
+      const report = await analytics.analyze([meterId], flag('from'), flag('to'));
+      const csvType = flag('csv');
+
+      if (csvType) {
+        process.stdout.write(analytics.toCsv(report, csvType));
+        return;
+      }
+
+      const meter = report.meters[0];
+      const summary = meter.summary;
+      console.log(`\n⚡ Grid outages for ${meterId} (${timezone.getDateString(new Date(report.from))} → ${timezone.getDateString(new Date(report.to))}, ${report.timezone}):`);
+      console.log(`   Outages: ${summary.outageCount} (${summary.sustainedCount} sustained, ${summary.momentaryCount} momentary)${summary.ongoing ? ' - one ongoing' : ''}`);
+      console.log(`   Total outage: ${summary.totalOutageHours}h, supply: ${summary.supplyHours !== null ? `${summary.supplyHours}h (${summary.availabilityPercent}%) over ${summary.coveredHours}h with readings` : 'unknown (no readings)'}`);
+      console.log(`   Longest: ${summary.longestOutageMinutes} min, average: ${summary.averageOutageMinutes} min`);
+      console.log(`   SAIFI ${report.indices.SAIFI}, SAIDI ${report.indices.SAIDI} min, CAIDI ${report.indices.CAIDI} min, MAIFI ${report.indices.MAIFI}`);
+      console.log(`\n📅 Daily supply hours:`);
+      meter.daily.forEach(day => {
+        console.log(day.hasData
+          ? `   ${day.date}: ${day.supplyHours}h supply, ${day.outageHours}h out (${day.outageCount} outages)`
+          : `   ${day.date}: no readings (${day.outageCount} outages)`);
+      });
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+      process.exitCode = 1;
+    } finally {
+      await analytics.close();
+    }
+  }
+
+  if (process.argv.includes('--help')) {
+    console.log(`
+⚡ Outage Analytics
+
+Usage:
+  node outage_analytics.js [--meter=<id>] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD]
+  node outage_analytics.js --csv=outages|daily|monthly [--from=...] [--to=...] > outages.csv
+
+Defaults to the last 30 days, at most OUTAGE_MAX_RANGE_DAYS (366). Outages shorter than MOMENTARY_OUTAGE_MINUTES (5) count as momentary.
+    `);
+  } else {
+    main();
+  }
+}
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const timezone = require('./timezone');
+
+/**
+ * Power Data Extractor
+ * Applies the declarative rules in config/extraction_rules.json to a page snapshot
+ * ({ text, images }) - no browser required, so it can run against saved HTML
+ */
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+class PowerDataExtractor {
+  constructor(rulesPath = null) {
+    this.rulesPath = rulesPath || process.env.EXTRACTION_RULES_FILE || path.join(__dirname, 'config', 'extraction_rules.json');
+    this.rules = [];
+    this.version = null;
+    this.loadedMtime = null;
+  }
+
+  // Load and validate the rules file
+  loadRules() {
+    const ruleSet = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+    if (!Array.isArray(ruleSet.rules)) {
+      throw new Error(`Extraction rules file ${this.rulesPath} has no "rules" array`);
+    }
+
+    const seenIds = new Set();
+    ruleSet.rules.forEach((rule, index) => {
+      const label = rule.id || `#${index + 1}`;
+      if (!rule.id) throw new Error(`Extraction rule ${label} has no id`);
+      if (seenIds.has(rule.id)) throw new Error(`Duplicate extraction rule id "${rule.id}"`);
+      if (!rule.category || !rule.source) throw new Error(`Extraction rule ${label} needs category and source`);
+      if (rule.type !== 'image' && !rule.pattern) throw new Error(`Extraction rule ${label} has no pattern`);
+      if (rule.type === 'image' && !rule.match) throw new Error(`Image rule ${label} has no match attributes`);
+      seenIds.add(rule.id);
+    });
+
+    // Stable sort: highest priority first, file order breaks ties
+    this.rules = ruleSet.rules
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+      .map(({ rule }) => rule);
+    this.version = ruleSet.version || null;
+    this.loadedMtime = fs.statSync(this.rulesPath).mtimeMs;
+
+    return this.rules;
+  }
+
+  // Reload the rules when the file was edited since the last load. A broken edit keeps the last
+  // good rules and is not parsed again until the file changes once more.
+  loadRulesIfChanged() {
+    const mtime = fs.statSync(this.rulesPath).mtimeMs;
+    if (this.loadedMtime !== null && mtime === this.loadedMtime) return;
+
+    if (this.loadedMtime === null) {
+      this.loadRules();
+    } else {
+      try {
+        this.loadRules();
+      } catch (error) {
+        this.loadedMtime = mtime;
+        console.warn(`⚠️ Keeping extraction rules v${this.version}: ${this.rulesPath} is invalid (${error.message})`);
+        return;
+      }
+    }
+    console.log(`📐 Loaded extraction rules v${this.version} (${this.rules.length} rules)`);
+  }
+
+  // Run every rule against a snapshot and return the extracted records
+  extract(snapshot, now = new Date()) {
+    if (this.loadedMtime === null) {
+      this.loadRules();
+    }
+
+    const results = [];
+    const valuesByRule = new Map(); // rule id -> values it produced, for excludeValuesFrom
+
+    for (const rule of this.rules) {
+      const expanded = rule.forEachMonth ? this.expandMonthRule(rule, now) : [{ rule, vars: this.baseVariables(now) }];
+
+      for (const { rule: concreteRule, vars } of expanded) {
+        const records = concreteRule.type === 'image'
+          ? this.applyImageRule(concreteRule, snapshot.images || [])
+          : this.applyTextRule(concreteRule, snapshot.text || '', vars, valuesByRule);
+
+        records.forEach(record => {
+          if (!valuesByRule.has(rule.id)) valuesByRule.set(rule.id, []);
+          if (record.value !== undefined) valuesByRule.get(rule.id).push(record.value);
+          results.push(record);
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // Template variables available to every rule (the portal shows dates in local time)
+  baseVariables(now) {
+    const local = timezone.getZonedParts(now);
+    return {
+      day: String(local.day),
+      year: String(local.year)
+    };
+  }
+
+  // Expand a forEachMonth rule into one concrete rule per month offset
+  expandMonthRule(rule, now) {
+    const { from = 0, to = 0 } = rule.forEachMonth;
+    const expanded = [];
+
+    const local = timezone.getZonedParts(now);
+    for (let offset = from; offset <= to; offset++) {
+      const month = new Date(Date.UTC(local.year, local.month - 1 + offset, 1));
+      const monthName = MONTH_NAMES[month.getUTCMonth()];
+      const vars = {
+        ...this.baseVariables(now),
+        year: String(month.getUTCFullYear()),
+        monthName,
+        monthShort: monthName.substring(0, 3),
+        monthLower: monthName.toLowerCase()
+      };
+
+      expanded.push({
+        rule: {
+          ...rule,
+          pattern: this.fillTemplate(rule.pattern, vars),
+          period: this.fillTemplate(rule.period, vars)
+        },
+        vars
+      });
+    }
+
+    return expanded;
+  }
+
+  // LED-style rules: match <img> attributes, map the src to a status
+  applyImageRule(rule, images) {
+    const results = [];
+
+    images.forEach(image => {
+      const matches = Object.entries(rule.match).some(([attribute, needles]) => {
+        const haystack = (image[attribute] || '').toLowerCase();
+        return [].concat(needles).some(needle => haystack.includes(needle.toLowerCase()));
+      });
+      if (!matches) return;
+
+      const src = image.src || '';
+      let status = rule.defaultStatus || 'unknown';
+      for (const [needle, mappedStatus] of Object.entries(rule.status || {})) {
+        if (src.includes(needle)) {
+          status = mappedStatus;
+          break;
+        }
+      }
+
+      results.push({
+        category: rule.category,
+        source: rule.source,
+        status,
+        rule: rule.id,
+        context: this.fillTemplate(rule.context || '', { title: image.title || image.alt || '', src })
+      });
+    });
+
+    return results;
+  }
+
+  // Regex rules against the page text
+  applyTextRule(rule, text, vars, valuesByRule) {
+    const results = [];
+    const flags = rule.flags || '';
+    const singleMatch = !flags.includes('g'); // Non-global patterns only ever look at the first match
+    const maxMatches = rule.maxMatches === undefined ? 1 : rule.maxMatches; // 0 = unlimited
+    const regex = new RegExp(this.fillTemplate(rule.pattern, vars), flags.includes('g') ? flags : flags + 'g');
+    const excludedValues = new Set(
+      (rule.excludeValuesFrom || []).flatMap(ruleId => valuesByRule.get(ruleId) || [])
+    );
+
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (match[0].length === 0) regex.lastIndex++; // Guard against zero-length matches
+
+      const record = this.buildTextRecord(rule, match, text, vars, excludedValues);
+      if (record) {
+        results.push(record);
+        if (maxMatches > 0 && results.length >= maxMatches) break;
+      }
+
+      if (singleMatch) break;
+    }
+
+    return results;
+  }
+
+  // Turn a regex match into a record, or null when the rule's constraints reject it
+  buildTextRecord(rule, match, text, vars, excludedValues) {
+    const rawValue = match[rule.valueGroup || 1];
+    if (rawValue === undefined) return null;
+
+    const value = parseFloat(rawValue.replace(/,/g, ''));
+    if (isNaN(value) || !this.inRange(value, rule.range)) return null;
+    if (rule.requireFraction && Number.isInteger(value)) return null;
+    if (excludedValues.has(value)) return null;
+
+    const windowSize = rule.contextWindow || 50;
+    const window = text.substring(Math.max(0, match.index - windowSize), match.index + windowSize).trim();
+    if (rule.contextKeywords) {
+      const lowerWindow = window.toLowerCase();
+      if (!rule.contextKeywords.some(keyword => lowerWindow.includes(keyword.toLowerCase()))) return null;
+    }
+
+    const templateVars = { ...vars, value: String(value), match: match[0], window };
+    match.slice(1).forEach((group, index) => {
+      templateVars[`group${index + 1}`] = group === undefined ? '' : group;
+    });
+
+    let metadata;
+    if (rule.metadata) {
+      metadata = {};
+      for (const [key, spec] of Object.entries(rule.metadata)) {
+        if (typeof spec === 'string') {
+          const filled = this.fillTemplate(spec, templateVars);
+          metadata[key] = isNaN(Number(filled)) ? filled : Number(filled);
+        } else {
+          const groupValue = parseFloat(match[spec.group]);
+          if (isNaN(groupValue) || !this.inRange(groupValue, spec.range)) return null;
+          metadata[key] = groupValue;
+        }
+      }
+    }
+
+    const record = {
+      category: rule.category,
+      source: rule.source,
+      value,
+      unit: rule.unit,
+      period: rule.period,
+      rule: rule.id,
+      context: this.fillTemplate(rule.context || match[0], templateVars)
+    };
+    if (metadata) record.metadata = metadata;
+
+    return record;
+  }
+
+  // Ranges are [min, max] (inclusive) or { min, max, minExclusive, maxExclusive }
+  inRange(value, range) {
+    if (!range) return true;
+
+    const spec = Array.isArray(range) ? { min: range[0], max: range[1] } : range;
+    if (spec.min !== undefined && spec.min !== null) {
+      if (spec.minExclusive ? value <= spec.min : value < spec.min) return false;
+    }
+    if (spec.max !== undefined && spec.max !== null) {
+      if (spec.maxExclusive ? value >= spec.max : value > spec.max) return false;
+    }
+    return true;
+  }
+
+  // Replace {name} placeholders; unknown placeholders (e.g. regex quantifiers like {1,3}) are left alone
+  fillTemplate(template, vars) {
+    if (typeof template !== 'string') return template;
+    return template.replace(/\{([A-Za-z]\w*)\}/g, (placeholder, name) =>
+      Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : placeholder
+    );
+  }
+
+  // Approximate a browser snapshot from raw HTML: body text plus <img> attributes.
+  // Unlike textContent this drops <script>/<style> bodies; use the replay harness for exact fidelity.
+  static htmlToSnapshot(html) {
+    const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    const body = bodyMatch ? bodyMatch[1] : html;
+
+    const images = [];
+    const imgRegex = /<img\b[^>]*>/gi;
+    let imgMatch;
+    while ((imgMatch = imgRegex.exec(body)) !== null) {
+      const attribute = (name) => {
+        const attrMatch = imgMatch[0].match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+        return attrMatch ? PowerDataExtractor.decodeEntities(attrMatch[1] || attrMatch[2] || attrMatch[3] || '') : '';
+      };
+      images.push({ src: attribute('src'), title: attribute('title'), alt: attribute('alt') });
+    }
+
+    const text = PowerDataExtractor.decodeEntities(
+      body
+        .replace(/<script[\s\S]*?<\/script>/gi, '')
+        .replace(/<style[\s\S]*?<\/style>/gi, '')
+        .replace(/<[^>]+>/g, '')
+    );
+
+    return { text, images };
+  }
+
+  static decodeEntities(text) {
+    return text
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, '\'')
+      .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(parseInt(code, 10)))
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = PowerDataExtractor;
+
+// Command line usage: run the rules against a saved HTML page
+if (require.main === module) {
+  const htmlFile = process.argv[2];
+
+  if (!htmlFile) {
+    console.log(`
+📐 Power Data Extractor
+
+Usage:
+  node power_data_extractor.js <page.html> [rules.json]
+
+Runs the extraction rules against a saved dashboard page and prints the records.
+    `);
+    process.exit(1);
+  }
+
+  try {
+    const extractor = new PowerDataExtractor(process.argv[3]);
+    const snapshot = PowerDataExtractor.htmlToSnapshot(fs.readFileSync(htmlFile, 'utf8'));
+    const records = extractor.extract(snapshot);
+
+    console.log(`📐 Rules v${extractor.version}: ${records.length} records from ${htmlFile}`);
+    records.forEach(record => {
+      const value = record.status || `${record.value} ${record.unit}`;
+      console.log(`   ${record.rule}: ${record.category}/${record.source}${record.period ? ` (${record.period})` : ''} = ${value}`);
+    });
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
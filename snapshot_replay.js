@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+const puppeteer = require('puppeteer');
+const UppclPowerMonitor = require('./optimized_monitor');
+const PowerDataExtractor = require('./power_data_extractor');
+const SnapshotStore = require('./snapshot_store');
+
+/**
+ * Snapshot Replay
+ * Loads saved dashboard snapshots into a local page (no network) and runs the
+ * monitor's extraction, printing the records each snapshot would produce
+ */
+
+class SnapshotReplay {
+  constructor(options = {}) {
+    this.store = new SnapshotStore();
+    this.useBrowser = options.useBrowser !== false;
+    this.monitor = new UppclPowerMonitor();
+    this.browser = null;
+    this.page = null;
+  }
+
+  // Offline page: JavaScript off and every network request aborted
+  async initBrowser() {
+    this.browser = await puppeteer.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    this.page = await this.browser.newPage();
+    await this.page.setJavaScriptEnabled(false);
+    await this.page.setRequestInterception(true);
+    this.page.on('request', request => request.abort());
+  }
+
+  // Run extraction against one snapshot and compare with what was captured live
+  async replay(file) {
+    const { meta, html } = this.store.load(file);
+    const capturedAt = new Date(meta.timestamp);
+
+    let pageSnapshot;
+    if (this.useBrowser) {
+      await this.page.setContent(html, { waitUntil: 'domcontentloaded' });
+      pageSnapshot = await this.monitor.capturePageSnapshot(this.page);
+    } else {
+      pageSnapshot = PowerDataExtractor.htmlToSnapshot(html);
+    }
+
+    // Live image srcs were absolute; prefer them over the offline page's unresolved ones
+    if (meta.images) {
+      pageSnapshot.images = meta.images;
+    }
+
+    const session = { account: { id: meta.meterId || 'default' }, page: this.page, cycle: null };
+    const records = await this.monitor.extractPowerData(session, capturedAt, pageSnapshot);
+    const summaries = records.map(record => this.store.summarizeRecord(record));
+
+    return {
+      file,
+      meta,
+      records: summaries,
+      diff: meta.records ? this.diffRecords(meta.records, summaries) : null
+    };
+  }
+
+  // Records added/removed relative to the live capture
+  diffRecords(expected, actual) {
+    const key = record => JSON.stringify([record.category, record.source, record.period, record.status, record.value, record.unit]);
+    const expectedKeys = expected.map(key);
+    const actualKeys = actual.map(key);
+
+    return {
+      missing: expected.filter((record, index) => !actualKeys.includes(expectedKeys[index])),
+      added: actual.filter((record, index) => !expectedKeys.includes(actualKeys[index]))
+    };
+  }
+
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+    }
+  }
+}
+
+module.exports = SnapshotReplay;
+
+// Command line usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const target = args.find(arg => !arg.startsWith('--'));
+  const jsonOutput = args.includes('--json');
+  const replay = new SnapshotReplay({ useBrowser: !args.includes('--no-browser') });
+
+  if (args.includes('--help')) {
+    console.log(`
+🔁 Snapshot Replay
+
+Usage:
+  node snapshot_replay.js [file|dir]     # Replay snapshots (default: SNAPSHOT_DIR)
+  node snapshot_replay.js --no-browser   # Parse HTML without Chromium (approximate)
+  node snapshot_replay.js --json         # Print records as JSON
+
+Capture snapshots by running the monitor with SAVE_SNAPSHOTS=true.
+Exits non-zero when a replay no longer matches its live capture.
+    `);
+    process.exit(0);
+  }
+
+  async function main() {
+    const files = replay.store.list(target);
+    if (files.length === 0) {
+      console.log(`❌ No snapshots found in ${target || replay.store.dir}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (replay.useBrowser) {
+      await replay.initBrowser();
+    }
+
+    let regressions = 0;
+    const output = [];
+
+    for (const file of files) {
+      const result = await replay.replay(file);
+      output.push(result);
+
+      const changed = result.diff && (result.diff.missing.length > 0 || result.diff.added.length > 0);
+      if (changed) regressions++;
+      if (jsonOutput) continue;
+
+      console.log(`\n${changed ? '⚠️ ' : '✅'} ${file} (${result.meta.meterId}, ${result.meta.timestamp})`);
+      result.records.forEach(record => {
+        const value = record.status || `${record.value} ${record.unit}`;
+        console.log(`   ${record.category}/${record.source}${record.period ? ` (${record.period})` : ''} = ${value}  [${record.rule}]`);
+      });
+      if (changed) {
+        result.diff.missing.forEach(record => console.log(`   − missing: ${record.category}/${record.source} ${record.period || ''} ${record.status || record.value}`));
+        result.diff.added.forEach(record => console.log(`   + added:   ${record.category}/${record.source} ${record.period || ''} ${record.status || record.value}`));
+      }
+    }
+
+    if (jsonOutput) {
+      console.log(JSON.stringify(output, null, 2));
+    } else {
+      console.log(`\n🔁 Replayed ${files.length} snapshots, ${regressions} differ from their live capture`);
+    }
+
+    if (regressions > 0) {
+      process.exitCode = 1;
+    }
+  }
+
+  main()
+    .catch(error => {
+      console.error('❌ Replay failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => replay.close());
+}
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Snapshot Store
+ * Saves the dashboard page HTML and LED image sources of each monitoring cycle
+ * so extraction can be replayed offline as a regression fixture
+ */
+
+class SnapshotStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.SNAPSHOT_DIR || path.join(__dirname, 'snapshots');
+    this.keep = options.keep !== undefined ? options.keep : (parseInt(process.env.SNAPSHOT_KEEP) || 1440); // ~1 day at 1/min
+  }
+
+  // File-system friendly name for a capture time
+  stampFor(timestamp) {
+    return timestamp.replace(/:/g, '-').replace(/\./g, '_');
+  }
+
+  // Save one page capture: <dir>/<meter>/<stamp>.html plus a .json sidecar
+  save(meterId, { html, images, url, timestamp, rulesVersion, records }) {
+    const meterDir = path.join(this.dir, meterId);
+    fs.mkdirSync(meterDir, { recursive: true });
+
+    const stamp = this.stampFor(timestamp);
+    const htmlPath = path.join(meterDir, `${stamp}.html`);
+    const metaPath = path.join(meterDir, `${stamp}.json`);
+
+    fs.writeFileSync(htmlPath, html);
+    fs.writeFileSync(metaPath, JSON.stringify({
+      meterId,
+      url,
+      timestamp,
+      rulesVersion,
+      htmlFile: path.basename(htmlPath),
+      images,
+      records: (records || []).map(record => this.summarizeRecord(record))
+    }, null, 2));
+
+    this.rotate(meterDir);
+    return { htmlPath, metaPath };
+  }
+
+  // Keep only the newest N snapshots per meter
+  rotate(meterDir) {
+    if (!this.keep) return;
+
+    const metaFiles = fs.readdirSync(meterDir).filter(file => file.endsWith('.json')).sort();
+    const excess = metaFiles.slice(0, Math.max(0, metaFiles.length - this.keep));
+    excess.forEach(metaFile => {
+      const stamp = metaFile.replace(/\.json$/, '');
+      fs.rmSync(path.join(meterDir, metaFile), { force: true });
+      fs.rmSync(path.join(meterDir, `${stamp}.html`), { force: true });
+    });
+  }
+
+  // Comparable summary of an extracted record
+  summarizeRecord(record) {
+    return {
+      category: record.category,
+      source: record.source,
+      period: record.period || null,
+      status: record.status || null,
+      value: record.value !== undefined ? record.value : null,
+      unit: record.unit || null,
+      rule: record.rule || null
+    };
+  }
+
+  // Resolve a file or directory (default: the whole store) to snapshot metadata paths, oldest first
+  list(target = null) {
+    const resolved = target ? path.resolve(target) : this.dir;
+    if (!fs.existsSync(resolved)) {
+      return [];
+    }
+
+    if (fs.statSync(resolved).isFile()) {
+      const metaPath = resolved.replace(/\.html$/, '.json');
+      return [fs.existsSync(metaPath) ? metaPath : resolved];
+    }
+
+    const found = [];
+    const walk = (dir) => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) walk(entryPath);
+        else if (entry.name.endsWith('.json')) found.push(entryPath);
+      });
+    };
+    walk(resolved);
+
+    return found.sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+  }
+
+  // Load a snapshot from its .json sidecar, or a bare .html file without one
+  load(file) {
+    if (file.endsWith('.html')) {
+      return { meta: { meterId: 'default', timestamp: fs.statSync(file).mtime.toISOString(), images: null, records: null }, html: fs.readFileSync(file, 'utf8') };
+    }
+
+    const meta = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const html = fs.readFileSync(path.join(path.dirname(file), meta.htmlFile), 'utf8');
+    return { meta, html };
+  }
+}
+
+module.exports = SnapshotStore;
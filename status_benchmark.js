@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Status Benchmark
+ * Measures /api/status latency on a running dashboard with several concurrent clients,
+ * each polling the way an open dashboard tab does. Reports throughput and latency percentiles.
+ * Set BENCH_TOKEN to an API token (node auth.js token <user>) unless AUTH_DISABLED=true.
+ */
+
+class StatusBenchmark {
+  constructor(options = {}) {
+    this.url = (options.url || process.env.BENCH_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    this.path = options.path || '/api/status';
+    this.clients = options.clients || 10;
+    this.requests = options.requests || 200;
+    this.token = options.token || process.env.BENCH_TOKEN || null;
+  }
+
+  async request() {
+    const started = process.hrtime.bigint();
+    const response = await fetch(this.url + this.path, {
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {}
+    });
+    await response.arrayBuffer();
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+    if (!response.ok) {
+      throw new Error(`${this.path} answered ${response.status}`);
+    }
+    return ms;
+  }
+
+  // Clients share the request budget; each sends its next request as soon as the last one returns
+  async run() {
+    const latencies = [];
+    const errors = [];
+    let remaining = this.requests;
+
+    // One warm-up request so connection setup and first-query costs aren't measured
+    await this.request();
+
+    const client = async () => {
+      while (remaining > 0) {
+        remaining--;
+        try {
+          latencies.push(await this.request());
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    };
+
+    const started = Date.now();
+    await Promise.all(Array.from({ length: this.clients }, client));
+    const elapsedMs = Date.now() - started;
+
+    return this.summarize(latencies, errors, elapsedMs);
+  }
+
+  percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+  }
+
+  summarize(latencies, errors, elapsedMs) {
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const round = value => (value === null ? null : Math.round(value * 10) / 10);
+    return {
+      path: this.path,
+      clients: this.clients,
+      requests: latencies.length,
+      errors: errors.length,
+      firstError: errors[0] || null,
+      elapsedMs,
+      requestsPerSecond: round(latencies.length / (elapsedMs / 1000)),
+      mean: round(sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1)),
+      min: round(sorted[0] === undefined ? null : sorted[0]),
+      p50: round(this.percentile(sorted, 50)),
+      p95: round(this.percentile(sorted, 95)),
+      p99: round(this.percentile(sorted, 99)),
+      max: round(sorted.length > 0 ? sorted[sorted.length - 1] : null)
+    };
+  }
+}
+
+module.exports = StatusBenchmark;
+
+// Command line usage
+if (require.main === module) {
+  const flag = name => {
+    const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.split('=').slice(1).join('=') : null;
+  };
+
+  if (process.argv.includes('--help')) {
+    console.log(`
+⏱️  Status Benchmark
+
+Usage:
+  node status_benchmark.js [--clients=10] [--requests=200] [--url=http://localhost:3000] [--path=/api/status]
+
+Start the dashboard first (npm run dashboard). BENCH_TOKEN=<api token> authenticates the requests.
+    `);
+    process.exit(0);
+  }
+
+  const clientCounts = (flag('clients') || '10').split(',').map(Number);
+  const requests = parseInt(flag('requests')) || 200;
+
+  async function main() {
+    try {
+      console.log(`⏱️  Benchmarking ${flag('url') || process.env.BENCH_URL || 'http://localhost:3000'}${flag('path') || '/api/status'} (${requests} requests per run)`);
+      console.log('   clients    req/s     mean      p50      p95      p99      max   errors');
+      for (const clients of clientCounts) {
+        const benchmark = new StatusBenchmark({ url: flag('url'), path: flag('path'), clients, requests });
+        const result = await benchmark.run();
+        const cell = value => String(value === null ? '-' : value).padStart(8);
+        console.log(`   ${String(clients).padStart(7)} ${cell(result.requestsPerSecond)} ${cell(result.mean)} ${cell(result.p50)} ${cell(result.p95)} ${cell(result.p99)} ${cell(result.max)} ${String(result.errors).padStart(8)}`);
+        if (result.firstError) console.log(`   ⚠️  ${result.firstError}`);
+      }
+      console.log('   (latencies in ms)');
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+      process.exitCode = 1;
+    }
+  }
+
+  main();
+}
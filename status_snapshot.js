@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const timezone = require('./timezone');
+
+/**
+ * Status Snapshots
+ * The dashboard's /api/status body per meter, built once after each successful monitoring
+ * cycle instead of on every poll, and kept in memory with an ETag and Last-Modified so
+ * polling clients get 304s between cycles. Reads never write: a meter that has no snapshot
+ * yet (or only one from a previous day) is built without saving today's daily row.
+ */
+
+class StatusSnapshots {
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.snapshots = new Map(); // meter id -> { body, etag, lastModified, day }
+    this.building = new Map(); // meter id -> in-flight build, so concurrent polls share one
+
+    this.monitor.on('cycle', cycle => {
+      if (!cycle.success) return;
+      this.refresh(cycle.meterId, { save: true }).catch(error => {
+        console.error(`❌ Status snapshot failed for ${cycle.meterId}:`, error.message);
+      });
+    });
+  }
+
+  // Snapshot for a meter; only configured meters are kept in memory
+  async get(meterId) {
+    const snapshot = this.snapshots.get(meterId);
+    if (snapshot && snapshot.day === timezone.getDateString()) {
+      return snapshot;
+    }
+
+    if (!this.monitor.accounts.some(account => account.id === meterId)) {
+      return this.createSnapshot(await this.build(meterId, { save: false }));
+    }
+    return this.refresh(meterId, { save: false });
+  }
+
+  // Reads join a build in flight; a cycle's rebuild queues behind it, since that build may predate the new readings
+  refresh(meterId, options = {}) {
+    const pending = this.building.get(meterId);
+    if (pending && !options.save) {
+      return pending;
+    }
+
+    const building = (pending ? pending.catch(() => {}) : Promise.resolve())
+      .then(() => this.build(meterId, options))
+      .then(status => {
+        const snapshot = this.createSnapshot(status);
+        this.snapshots.set(meterId, snapshot);
+        return snapshot;
+      })
+      .finally(() => {
+        if (this.building.get(meterId) === building) this.building.delete(meterId);
+      });
+    this.building.set(meterId, building);
+    return building;
+  }
+
+  createSnapshot(status) {
+    const body = JSON.stringify(status);
+    const builtAt = new Date(status.timestamp);
+    builtAt.setMilliseconds(0); // HTTP dates have whole seconds
+
+    return {
+      body,
+      etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+      lastModified: builtAt,
+      day: status.day.date
+    };
+  }
+
+  // Build the status body; options.save decides whether today's daily row is written
+  async build(meterId, options = {}) {
+    const monitor = this.monitor;
+    const calculatorOptions = { save: options.save !== false };
+
+    await monitor.initDatabase();
+    const latestData = await monitor.getHistoricalData(0.5, 1000, { meterId }); // Last 30 minutes
+    const balanceData = await monitor.getHistoricalData(24, 1000, { meterId }); // Last 24 hours for balance (balance changes less frequently)
+    const gridEvents = await monitor.getGridEvents(meterId);
+
+    const today = timezone.getDateString();
+    const status = {
+      timestamp: new Date().toISOString(),
+      meter: meterId,
+      timezone: timezone.getTimezone(),
+      day: {
+        date: today,
+        startedAt: timezone.getMidnight(today).toISOString(),
+        dayOfMonth: Number(today.substring(8, 10)),
+        daysInMonth: timezone.getDaysInMonth(today)
+      },
+      grid: {
+        status: 'unknown',
+        consumption: null,
+        unit: null,
+        period: null,
+        todayConsumption: null,
+        meterReading: null,
+        balance: null,
+        lastInterruption: gridEvents.lastInterruption,
+        lastRestoration: gridEvents.lastRestoration
+      },
+      dg: {
+        status: 'unknown',
+        consumption: null,
+        unit: null,
+        period: null,
+        todayConsumption: null,
+        meterReading: null,
+        balance: null,
+        charges: null
+      }
+    };
+
+    // Get calculated today's consumption
+    try {
+      const todayConsumption = await monitor.dailyCalculator.getTodayConsumption(meterId, 'grid', calculatorOptions);
+      if (todayConsumption) {
+        status.grid.todayConsumption = {
+          value: todayConsumption.value,
+          unit: todayConsumption.unit,
+          isRealTimeCalculated: true,
+          confidence: todayConsumption.confidence,
+          hasGaps: todayConsumption.hasGaps
+        };
+      }
+    } catch (error) {
+      console.error('❌ Error getting calculated today\'s consumption:', error);
+    }
+
+    try {
+      const dgToday = await monitor.dailyCalculator.getTodayConsumption(meterId, 'dg', calculatorOptions);
+      if (dgToday) {
+        status.dg.todayConsumption = {
+          value: dgToday.value,
+          unit: dgToday.unit,
+          runtimeHours: dgToday.runtimeHours,
+          isRealTimeCalculated: true,
+          confidence: dgToday.confidence,
+          hasGaps: dgToday.hasGaps
+        };
+      }
+    } catch (error) {
+      console.error('❌ Error getting calculated DG consumption:', error);
+    }
+
+    // Rows come newest first; walk them oldest first so the newest of each kind wins
+    [...latestData].reverse().forEach(record => {
+      if (record.source === 'grid') {
+        if (record.category === 'availability') {
+          status.grid.status = record.status;
+        } else if (record.category === 'consumption') {
+          // Skip old scraped "today" data - we're using calculated values now
+          if (record.period !== 'today') {
+            status.grid.consumption = record.consumption_value;
+            status.grid.unit = record.consumption_unit;
+            status.grid.period = record.period;
+          }
+        } else if (record.category === 'meter_reading') {
+          status.grid.meterReading = {
+            value: record.consumption_value,
+            unit: record.consumption_unit
+          };
+        }
+      } else if (record.source === 'dg') {
+        if (record.category === 'availability') {
+          status.dg.status = record.status;
+        } else if (record.category === 'consumption') {
+          status.dg.consumption = record.consumption_value;
+          status.dg.unit = record.consumption_unit;
+          status.dg.period = record.period;
+        } else if (record.category === 'meter_reading') {
+          status.dg.meterReading = {
+            value: record.consumption_value,
+            unit: record.consumption_unit
+          };
+        }
+      }
+    });
+
+    // Get the most recent balance from last 24 hours
+    const balanceRecord = balanceData.find(record =>
+      record.source === 'grid' && record.category === 'balance'
+    );
+    if (balanceRecord) {
+      status.grid.balance = {
+        value: balanceRecord.consumption_value,
+        unit: balanceRecord.consumption_unit
+      };
+    }
+
+    ['balance', 'charges'].forEach(category => {
+      const dgRecord = balanceData.find(record => record.source === 'dg' && record.category === category);
+      if (dgRecord) {
+        status.dg[category] = {
+          value: dgRecord.consumption_value,
+          unit: dgRecord.consumption_unit
+        };
+      }
+    });
+
+    return status;
+  }
+}
+
+module.exports = StatusSnapshots;
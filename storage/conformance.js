@@ -0,0 +1,196 @@
+const assert = require('assert');
+const crypto = require('crypto');
+
+/**
+ * Storage Conformance Checks
+ * The repository contract every backend must meet, run by `node storage check` against the
+ * configured backend and by npm test (test/storage.test.js). Everything is written under a
+ * scratch meter id and removed afterwards.
+ */
+
+const CHECK_METER = '__storage_check__';
+const CHECK_SETTING = '__storage_check__';
+
+function record(overrides) {
+  const row = {
+    meter_id: CHECK_METER,
+    timestamp: '2025-01-01T00:00:00.000Z',
+    category: 'meter_reading',
+    source: 'grid',
+    status: null,
+    consumption_value: 100,
+    consumption_unit: 'KWH',
+    period: null,
+    confidence: 0.9,
+    metadata: JSON.stringify({ context: 'storage check' }),
+    ...overrides
+  };
+  row.fingerprint = crypto.createHash('md5')
+    .update(`${row.meter_id}_${row.category}_${row.source}_${row.status || row.consumption_value}_${row.timestamp}`)
+    .digest('hex');
+  return row;
+}
+
+const CHECKS = [
+  ['records are stored once per fingerprint', async storage => {
+    const reading = record({});
+    assert.strictEqual(await storage.insertRecord(reading), true);
+    assert.strictEqual(await storage.insertRecord(reading), false);
+
+    const [stored] = await storage.findRecords({ meterId: CHECK_METER });
+    assert.strictEqual(stored.timestamp, reading.timestamp);
+    assert.strictEqual(stored.consumption_value, 100);
+    assert.strictEqual(typeof stored.id, 'number');
+    assert.deepStrictEqual(JSON.parse(stored.metadata), { context: 'storage check' });
+  }],
+
+  ['records filter by time, category, source and value', async storage => {
+    await storage.insertRecord(record({ timestamp: '2025-01-01T06:00:00.000Z', consumption_value: 103 }));
+    await storage.insertRecord(record({ timestamp: '2025-01-01T12:00:00.000Z', consumption_value: 106 }));
+    await storage.insertRecord(record({ timestamp: '2025-01-01T12:00:00.000Z', source: 'dg', consumption_value: 7 }));
+    await storage.insertRecord(record({ timestamp: '2025-01-01T13:00:00.000Z', category: 'availability', consumption_value: null, status: 'online' }));
+
+    const grid = { meterId: CHECK_METER, category: 'meter_reading', source: 'grid', hasValue: true };
+    assert.deepStrictEqual((await storage.findRecords(grid)).map(row => row.consumption_value), [106, 103, 100]);
+    assert.deepStrictEqual((await storage.findRecords({ ...grid, order: 'asc', limit: 2 })).map(row => row.consumption_value), [100, 103]);
+    assert.strictEqual((await storage.findRecord({ ...grid, end: '2025-01-01T06:00:00.000Z' })).consumption_value, 103);
+    assert.strictEqual((await storage.findRecord({ ...grid, before: '2025-01-01T06:00:00.000Z' })).consumption_value, 100);
+    assert.strictEqual((await storage.findRecord({ ...grid, after: '2025-01-01T06:00:00.000Z', order: 'asc' })).consumption_value, 106);
+    assert.strictEqual((await storage.findRecords({ meterId: CHECK_METER, start: '2025-01-01T06:00:00.000Z', end: '2025-01-01T12:00:00.000Z' })).length, 3);
+    assert.strictEqual((await storage.findRecords({ meterId: CHECK_METER, categories: ['availability'] })).length, 1);
+
+    assert.deepStrictEqual(await storage.summarizeRecords({ ...grid, start: '2025-01-01T00:00:00.000Z', before: '2025-01-02T00:00:00.000Z' }), {
+      count: 3,
+      first: '2025-01-01T00:00:00.000Z',
+      last: '2025-01-01T12:00:00.000Z'
+    });
+    assert.deepStrictEqual(await storage.summarizeRecords({ meterId: 'nobody' }), { count: 0, first: null, last: null });
+  }],
+
+  ['latest rows per category and source', async storage => {
+    const latest = await storage.getLatestRecords({ meterId: CHECK_METER, categories: ['meter_reading', 'availability'] });
+    const byKey = Object.fromEntries(latest.map(row => [`${row.category}/${row.source}`, row]));
+    assert.strictEqual(latest.length, 3);
+    assert.strictEqual(byKey['meter_reading/grid'].consumption_value, 106);
+    assert.strictEqual(byKey['meter_reading/dg'].consumption_value, 7);
+    assert.strictEqual(byKey['availability/grid'].status, 'online');
+
+    assert.strictEqual((await storage.getLatestRecord(CHECK_METER, 'availability', 'grid')).status, 'online');
+    assert.strictEqual(await storage.getLatestRecord(CHECK_METER, 'availability', 'dg'), null);
+    assert.strictEqual((await storage.getLatestRecords({ meterId: CHECK_METER, after: '2025-01-01T12:30:00.000Z' })).length, 1);
+  }],
+
+  ['events are stored once and listed newest first', async storage => {
+    const event = type => ({
+      meterId: CHECK_METER,
+      timestamp: type === 'interruption' ? '2025-01-01T14:00:00.000Z' : '2025-01-01T15:00:00.000Z',
+      type,
+      details: { eventType: type },
+      fingerprint: `${CHECK_METER}_${type}`
+    });
+    assert.strictEqual(await storage.insertEvent(event('interruption')), true);
+    assert.strictEqual(await storage.insertEvent(event('restoration')), true);
+    assert.strictEqual(await storage.insertEvent(event('restoration')), false);
+
+    const events = await storage.getEvents(CHECK_METER, { types: ['interruption', 'restoration'] });
+    assert.deepStrictEqual(events.map(row => row.status), ['restoration', 'interruption']);
+    assert.strictEqual(events[0].category, 'event');
+    assert.deepStrictEqual(JSON.parse(events[1].metadata), { eventType: 'interruption' });
+    assert.strictEqual((await storage.getEvents(CHECK_METER, { limit: 1 })).length, 1);
+  }],
+
+  ['daily rollups upsert, list and delete', async storage => {
+    const day = {
+      meter_id: CHECK_METER,
+      source: 'grid',
+      date: '2025-01-01',
+      midnight_reading: 100,
+      midnight_timestamp: '2025-01-01T00:00:00.000Z',
+      current_reading: 106,
+      current_timestamp: '2025-01-01T12:00:00.000Z',
+      calculated_consumption: 6,
+      runtime_hours: null,
+      is_complete: false,
+      finalized_at: null,
+      has_monitoring_gaps: true,
+      confidence_score: 0.63,
+      notes: 'Records: 3'
+    };
+    await storage.saveDailyConsumption(day);
+    await storage.saveDailyConsumption({ ...day, calculated_consumption: 6.5, is_complete: true, finalized_at: '2025-01-02T00:05:00.000Z' });
+    await storage.saveDailyConsumption({ ...day, date: '2025-01-02', source: 'dg', calculated_consumption: 1 });
+
+    const stored = await storage.getDailyConsumption(CHECK_METER, 'grid', '2025-01-01');
+    assert.strictEqual(stored.calculated_consumption, 6.5);
+    assert.strictEqual(stored.current_timestamp, '2025-01-01T12:00:00.000Z');
+    assert.strictEqual(stored.is_complete, 1);
+    assert.strictEqual(stored.has_monitoring_gaps, 1);
+    assert.strictEqual(stored.finalized_at, '2025-01-02T00:05:00.000Z');
+    assert.strictEqual(await storage.getDailyConsumption(CHECK_METER, 'dg', '2025-01-01'), null);
+
+    const listed = await storage.listDailyConsumption({ meterId: CHECK_METER, startDate: '2025-01-01', endDate: '2025-01-02' });
+    assert.deepStrictEqual(listed.map(row => `${row.date}/${row.source}`), ['2025-01-02/dg', '2025-01-01/grid']);
+    assert.strictEqual((await storage.listDailyConsumption({ meterId: CHECK_METER, source: 'dg' })).length, 1);
+    assert.strictEqual((await storage.listDailyConsumption({ meterId: CHECK_METER, endDate: '2025-01-01' })).length, 1);
+    assert.strictEqual((await storage.listDailyKeys()).filter(key => key.meter_id === CHECK_METER).length, 2);
+
+    assert.strictEqual(await storage.deleteDailyConsumption(CHECK_METER, 'dg', '2025-01-02'), true);
+    assert.strictEqual(await storage.deleteDailyConsumption(CHECK_METER, 'dg', '2025-01-02'), false);
+  }],
+
+  ['settings round-trip', async storage => {
+    assert.strictEqual(await storage.getSetting(CHECK_SETTING), null);
+    await storage.setSetting(CHECK_SETTING, 'Asia/Kolkata');
+    await storage.setSetting(CHECK_SETTING, 'UTC');
+    assert.strictEqual(await storage.getSetting(CHECK_SETTING), 'UTC');
+    await storage.deleteSetting(CHECK_SETTING);
+    assert.strictEqual(await storage.getSetting(CHECK_SETTING), null);
+  }],
+
+  ['transactions commit or roll back as a whole', async storage => {
+    const write = (tx, value) => tx.execute('INSERT INTO settings (key, value) VALUES (?, ?)', [CHECK_SETTING, value]);
+
+    await assert.rejects(storage.transaction(async tx => {
+      await write(tx, 'rolled back');
+      assert.strictEqual((await tx.query('SELECT value FROM settings WHERE key = ?', [CHECK_SETTING]))[0].value, 'rolled back');
+      throw new Error('abort');
+    }), /abort/);
+    assert.strictEqual(await storage.getSetting(CHECK_SETTING), null);
+
+    assert.strictEqual(await storage.transaction(async tx => (await write(tx, 'committed')).changes), 1);
+    assert.strictEqual(await storage.getSetting(CHECK_SETTING), 'committed');
+    await storage.deleteSetting(CHECK_SETTING);
+  }],
+
+  ['a meter can be removed', async storage => {
+    const removed = await storage.deleteMeter(CHECK_METER);
+    assert.strictEqual(removed.records, 7);
+    assert.strictEqual(removed.days, 1);
+    assert.strictEqual((await storage.findRecords({ meterId: CHECK_METER })).length, 0);
+  }]
+];
+
+// Run every check in order; returns [{ name, passed, error }] and always cleans up
+async function runConformance(storage) {
+  await storage.init();
+  await storage.deleteMeter(CHECK_METER);
+  await storage.deleteSetting(CHECK_SETTING);
+
+  const results = [];
+  try {
+    for (const [name, check] of CHECKS) {
+      try {
+        await check(storage);
+        results.push({ name, passed: true });
+      } catch (error) {
+        results.push({ name, passed: false, error: error.message });
+      }
+    }
+  } finally {
+    await storage.deleteMeter(CHECK_METER);
+    await storage.deleteSetting(CHECK_SETTING);
+  }
+  return results;
+}
+
+module.exports = { runConformance, CHECK_METER };
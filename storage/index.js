@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const SqliteStorage = require('./sqlite_storage');
+const { runConformance } = require('./conformance');
+
+/**
+ * Storage
+ * Repository for power records, grid events, daily rows, rollups, anomalies, notifications,
+ * hourly aggregates and settings, used by the monitor, the calculators and the analytics modules.
+ * STORAGE_BACKEND=sqlite (default) keeps them in the local power_data.db; postgres (DATABASE_URL,
+ * TIMESCALEDB=true for a hypertable) in a database several instances can share. Logins, API tokens
+ * and run history are per instance and always stay in the local SQLite file.
+ *
+ * Every backend implements (all async):
+ *   init(), close(), describe()
+ *   insertRecord(row) → false if the fingerprint exists; findRecords(filters), findRecord(filters),
+ *   getLatestRecord(meterId, category, source), getLatestRecords(filters), summarizeRecords(filters)
+ *   insertEvent(event), getEvents(meterId, { types, start, end, limit })
+ *   getDailyConsumption(meterId, source, date), saveDailyConsumption(row), listDailyConsumption(filters),
+ *   listDailyKeys(), deleteDailyConsumption(meterId, source, date)
+ *   getSetting(key), setSetting(key, value), deleteSetting(key), deleteMeter(meterId)
+ *   query(sql, params), execute(sql, params) → { changes }, transaction(fn) for module-specific SQL
+ * Rows use the power_data / daily_consumption column names with ISO timestamp strings.
+ */
+
+const BACKENDS = ['sqlite', 'postgres'];
+
+// The storage the app runs on (STORAGE_BACKEND, default sqlite)
+function createStorage(options = {}) {
+  return openBackend(options.backend || process.env.STORAGE_BACKEND || 'sqlite', options);
+}
+
+// A backend by name, for the repository tooling (check, copy) and tests
+function openBackend(backend, options = {}) {
+  switch (backend) {
+    case 'sqlite':
+      return new SqliteStorage(options);
+    case 'postgres':
+    case 'timescaledb': {
+      // pg is only loaded when a PostgreSQL backend is configured
+      const PostgresStorage = require('./postgres_storage');
+      return new PostgresStorage({ ...options, timescale: backend === 'timescaledb' ? true : options.timescale });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${BACKENDS.join(' or ')})`);
+  }
+}
+
+// Tables copied row by row, skipping rows the target already has. Rollups are rebuilt from the
+// daily rows and the notification log only drives cooldowns, so neither is copied.
+const COPIED_TABLES = {
+  hourly: { table: 'power_data_hourly', order: 'hour, meter_id, category, source, period' },
+  anomalies: { table: 'anomalies', order: 'id' }
+};
+
+// Copy every record, daily row, hourly aggregate, anomaly and setting from a SQLite file into another backend
+async function copyStorage(from, to, batchSize = 1000) {
+  const copied = { records: 0, duplicates: 0, days: 0, hourly: 0, anomalies: 0, settings: 0 };
+
+  let lastId = 0;
+  for (;;) {
+    const rows = await from.query('SELECT * FROM power_data WHERE id > ? ORDER BY id LIMIT ?', [lastId, batchSize]);
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      if (await to.insertRecord(row)) copied.records++;
+      else copied.duplicates++;
+    }
+    lastId = rows[rows.length - 1].id;
+    console.log(`   ... ${copied.records + copied.duplicates} records`);
+  }
+
+  for (const day of await from.listDailyConsumption()) {
+    await to.saveDailyConsumption(day);
+    copied.days++;
+  }
+
+  for (const [name, { table, order }] of Object.entries(COPIED_TABLES)) {
+    for (let offset = 0; ; offset += batchSize) {
+      const rows = await from.query(`SELECT * FROM ${table} ORDER BY ${order} LIMIT ? OFFSET ?`, [batchSize, offset]);
+      if (rows.length === 0) break;
+      for (const row of rows) {
+        const columns = Object.keys(row).filter(column => column !== 'id' && column !== 'created_at');
+        const { changes } = await to.execute(`
+          INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+          ON CONFLICT DO NOTHING
+        `, columns.map(column => row[column]));
+        copied[name] += changes;
+      }
+    }
+  }
+
+  for (const setting of await from.query('SELECT key, value FROM settings')) {
+    await to.setSetting(setting.key, setting.value);
+    copied.settings++;
+  }
+  return copied;
+}
+
+module.exports = { createStorage, openBackend, copyStorage, BACKENDS };
+
+// Command line usage
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const storage = openBackend(process.env.STORAGE_BACKEND || 'sqlite', { dbPath: process.env.DB_PATH || null });
+
+  async function main() {
+    try {
+      switch (args[0]) {
+        case 'check': {
+          console.log(`🔍 Checking ${storage.describe()}...`);
+          const results = await runConformance(storage);
+          results.forEach(result => {
+            console.log(`   ${result.passed ? '✅' : '❌'} ${result.name}${result.passed ? '' : `: ${result.error}`}`);
+          });
+          const failed = results.filter(result => !result.passed).length;
+          console.log(failed === 0 ? `✅ All ${results.length} storage checks passed` : `❌ ${failed} of ${results.length} storage checks failed`);
+          if (failed > 0) process.exitCode = 1;
+          break;
+        }
+
+        case 'copy': {
+          if (storage.backend === 'sqlite') {
+            console.log('⚠️  Set STORAGE_BACKEND=postgres and DATABASE_URL to copy the SQLite database there');
+            return;
+          }
+          const source = new SqliteStorage({ dbPath: args[1] ? path.resolve(args[1]) : process.env.DB_PATH || null });
+          console.log(`📤 Copying ${source.describe()} → ${storage.describe()}`);
+          try {
+            const copied = await copyStorage(source, storage);
+            console.log(`✅ Copied ${copied.records} records (${copied.duplicates} already there), ${copied.days} daily rows, ${copied.hourly} hourly rows, ${copied.anomalies} anomalies, ${copied.settings} settings`);
+          } finally {
+            await source.close();
+          }
+          break;
+        }
+
+        case 'info':
+        case undefined:
+          await storage.init();
+          console.log(`🗄️  Storage backend: ${storage.describe()}`);
+          break;
+
+        default:
+          console.log(`
+🗄️  Storage
+
+Usage:
+  node storage/index.js info               # Show the configured backend
+  node storage/index.js check              # Run the repository checks against it
+  node storage/index.js copy [sqlite.db]   # Copy a SQLite database into the PostgreSQL backend
+
+STORAGE_BACKEND=sqlite|postgres|timescaledb selects the backend; PostgreSQL uses DATABASE_URL.
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+      process.exitCode = 1;
+    } finally {
+      await storage.close();
+    }
+  }
+
+  main();
+}
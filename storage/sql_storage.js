@@ -0,0 +1,228 @@
+/**
+ * SQL Storage
+ * The repository queries shared by the SQLite and PostgreSQL backends. Statements use `?`
+ * placeholders and the SQL both dialects understand (ON CONFLICT upserts, window functions);
+ * subclasses provide init(), close(), query(), execute() and transaction() and turn rows back
+ * into the SQLite shape (ISO timestamp strings, numeric ids and counts).
+ */
+
+const RECORD_COLUMNS = [
+  'meter_id', 'timestamp', 'category', 'source', 'status',
+  'consumption_value', 'consumption_unit', 'period',
+  'confidence', 'metadata', 'fingerprint'
+];
+
+const DAILY_COLUMNS = [
+  'meter_id', 'source', 'date', 'midnight_reading', 'midnight_timestamp', 'current_reading',
+  'current_timestamp', 'calculated_consumption', 'runtime_hours', 'is_complete', 'finalized_at',
+  'has_monitoring_gaps', 'confidence_score', 'notes'
+];
+
+// current_timestamp is also an SQL keyword, so column names are always quoted
+const quote = column => `"${column}"`;
+
+class SqlStorage {
+  // query(sql, params) resolves to rows, execute(sql, params) to { changes }
+  async query() {
+    throw new Error(`${this.constructor.name} does not implement query()`);
+  }
+
+  async execute() {
+    throw new Error(`${this.constructor.name} does not implement execute()`);
+  }
+
+  // Run fn({ query, execute }) in one transaction: committed if it resolves, rolled back if it throws
+  async transaction() {
+    throw new Error(`${this.constructor.name} does not implement transaction()`);
+  }
+
+  async first(sql, params = []) {
+    const rows = await this.query(sql, params);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  // Store one power_data row; false when a row with its fingerprint already exists
+  async insertRecord(record) {
+    const values = RECORD_COLUMNS.map(column => (record[column] === undefined ? null : record[column]));
+    const { changes } = await this.execute(`
+      INSERT INTO power_data (${RECORD_COLUMNS.map(quote).join(', ')})
+      VALUES (${RECORD_COLUMNS.map(() => '?').join(', ')})
+      ON CONFLICT DO NOTHING
+    `, values);
+    return changes > 0;
+  }
+
+  // power_data rows matching filters: meterId, category, categories, source, period, statuses,
+  // start (>=), end (<=), after (>), before (<), hasValue, order ('asc'/'desc' by timestamp), limit
+  async findRecords(filters = {}) {
+    const { where, params } = this.buildRecordFilter(filters);
+    let sql = `SELECT * FROM power_data WHERE ${where} ORDER BY timestamp ${filters.order === 'asc' ? 'ASC' : 'DESC'}`;
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+    return this.query(sql, params);
+  }
+
+  async findRecord(filters = {}) {
+    const [row] = await this.findRecords({ ...filters, limit: 1 });
+    return row || null;
+  }
+
+  // Newest row of one category and source
+  async getLatestRecord(meterId, category, source) {
+    return this.findRecord({ meterId, category, source });
+  }
+
+  // Newest row per category and source (same filters as findRecords)
+  async getLatestRecords(filters = {}) {
+    const { where, params } = this.buildRecordFilter(filters);
+    return this.query(`
+      SELECT * FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY category, source ORDER BY timestamp DESC) AS rn
+        FROM power_data
+        WHERE ${where}
+      ) latest
+      WHERE rn = 1
+      ORDER BY timestamp DESC
+    `, params);
+  }
+
+  // { count, first, last } timestamps of matching rows
+  async summarizeRecords(filters = {}) {
+    const { where, params } = this.buildRecordFilter(filters);
+    const row = await this.first(`
+      SELECT COUNT(*) AS count, MIN(timestamp) AS first, MAX(timestamp) AS last
+      FROM power_data WHERE ${where}
+    `, params);
+    return { count: Number(row.count), first: row.first || null, last: row.last || null };
+  }
+
+  buildRecordFilter(filters) {
+    const conditions = ['1=1'];
+    const params = [];
+    const add = (condition, ...values) => {
+      conditions.push(condition);
+      params.push(...values);
+    };
+
+    if (filters.meterId) add('meter_id = ?', filters.meterId);
+    if (filters.category) add('category = ?', filters.category);
+    if (filters.categories) add(`category IN (${filters.categories.map(() => '?').join(', ')})`, ...filters.categories);
+    if (filters.source) add('source = ?', filters.source);
+    if (filters.period) add('period = ?', filters.period);
+    if (filters.statuses) add(`status IN (${filters.statuses.map(() => '?').join(', ')})`, ...filters.statuses);
+    if (filters.start) add('timestamp >= ?', filters.start);
+    if (filters.end) add('timestamp <= ?', filters.end);
+    if (filters.after) add('timestamp > ?', filters.after);
+    if (filters.before) add('timestamp < ?', filters.before);
+    if (filters.hasValue) conditions.push('consumption_value IS NOT NULL');
+
+    return { where: conditions.join(' AND '), params };
+  }
+
+  // Grid interruptions/restorations are power_data rows with category 'event'
+  async insertEvent(event) {
+    return this.insertRecord({
+      meter_id: event.meterId,
+      timestamp: event.timestamp,
+      category: 'event',
+      source: event.source || 'grid',
+      status: event.type,
+      period: 'status_change',
+      confidence: 1.0,
+      metadata: JSON.stringify(event.details || {}),
+      fingerprint: event.fingerprint
+    });
+  }
+
+  async getEvents(meterId, options = {}) {
+    return this.findRecords({
+      meterId,
+      category: 'event',
+      source: options.source || 'grid',
+      statuses: options.types,
+      start: options.start,
+      end: options.end,
+      limit: options.limit || 10
+    });
+  }
+
+  async getDailyConsumption(meterId, source, date) {
+    return this.first('SELECT * FROM daily_consumption WHERE meter_id = ? AND source = ? AND date = ?', [meterId, source, date]);
+  }
+
+  // Insert or replace the row for row.meter_id, row.source and row.date
+  async saveDailyConsumption(row) {
+    const values = DAILY_COLUMNS.map(column => (row[column] === undefined ? null : row[column]));
+    values[DAILY_COLUMNS.indexOf('is_complete')] = row.is_complete ? 1 : 0;
+    values[DAILY_COLUMNS.indexOf('has_monitoring_gaps')] = row.has_monitoring_gaps ? 1 : 0;
+
+    await this.execute(`
+      INSERT INTO daily_consumption (${DAILY_COLUMNS.map(quote).join(', ')}, updated_at)
+      VALUES (${DAILY_COLUMNS.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+      ON CONFLICT (meter_id, source, date) DO UPDATE SET
+        ${DAILY_COLUMNS.slice(3).map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP
+    `, values);
+  }
+
+  // Daily rows between two dates (inclusive), optionally for one meter and source
+  async listDailyConsumption(filters = {}) {
+    const conditions = ['1=1'];
+    const params = [];
+    if (filters.startDate) {
+      conditions.push('date >= ?');
+      params.push(filters.startDate);
+    }
+    if (filters.endDate) {
+      conditions.push('date <= ?');
+      params.push(filters.endDate);
+    }
+    if (filters.meterId) {
+      conditions.push('meter_id = ?');
+      params.push(filters.meterId);
+    }
+    if (filters.source) {
+      conditions.push('source = ?');
+      params.push(filters.source);
+    }
+    return this.query(`SELECT * FROM daily_consumption WHERE ${conditions.join(' AND ')} ORDER BY date DESC, meter_id, source`, params);
+  }
+
+  // Every stored (meter_id, source, date), oldest first
+  async listDailyKeys() {
+    return this.query('SELECT DISTINCT meter_id, source, date FROM daily_consumption ORDER BY date');
+  }
+
+  async deleteDailyConsumption(meterId, source, date) {
+    const { changes } = await this.execute('DELETE FROM daily_consumption WHERE meter_id = ? AND source = ? AND date = ?', [meterId, source, date]);
+    return changes > 0;
+  }
+
+  async getSetting(key) {
+    const row = await this.first('SELECT value FROM settings WHERE key = ?', [key]);
+    return row ? row.value : null;
+  }
+
+  async setSetting(key, value) {
+    await this.execute(`
+      INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+    `, [key, value]);
+  }
+
+  async deleteSetting(key) {
+    await this.execute('DELETE FROM settings WHERE key = ?', [key]);
+  }
+
+  // Remove every record, event and daily row of a meter
+  async deleteMeter(meterId) {
+    const records = await this.execute('DELETE FROM power_data WHERE meter_id = ?', [meterId]);
+    const days = await this.execute('DELETE FROM daily_consumption WHERE meter_id = ?', [meterId]);
+    return { records: records.changes, days: days.changes };
+  }
+}
+
+module.exports = SqlStorage;
+module.exports.RECORD_COLUMNS = RECORD_COLUMNS;
@@ -0,0 +1,96 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const SqlStorage = require('./sql_storage');
+const { openDatabase } = require('../database');
+
+/**
+ * SQLite Storage
+ * The default backend: the local power_data.db through the shared database service,
+ * with its schema managed by migrations.js. Transactions get a private connection so
+ * statements from other modules on the shared one can't end up inside them.
+ */
+
+class SqliteStorage extends SqlStorage {
+  constructor(options = {}) {
+    super();
+    this.backend = 'sqlite';
+    this.dbPath = options.dbPath || path.join(__dirname, '..', 'power_data.db');
+    this.db = null;
+    this.opening = null;
+  }
+
+  describe() {
+    return `SQLite ${this.dbPath}`;
+  }
+
+  // Take the shared connection once; safe to call before every query
+  async init() {
+    if (this.db) return;
+    if (!this.opening) {
+      this.opening = openDatabase(this.dbPath, this)
+        .then(db => {
+          this.db = db;
+        })
+        .finally(() => {
+          this.opening = null;
+        });
+    }
+    await this.opening;
+  }
+
+  async query(sql, params = []) {
+    await this.init();
+    return this.db.all(sql, params);
+  }
+
+  async execute(sql, params = []) {
+    await this.init();
+    const { changes } = await this.db.run(sql, params);
+    return { changes };
+  }
+
+  async transaction(fn) {
+    await this.init();
+    const db = await new Promise((resolve, reject) => {
+      const handle = new sqlite3.Database(this.dbPath, err => (err ? reject(err) : resolve(handle)));
+    });
+    db.configure('busyTimeout', 10000); // the monitor may be writing on the shared connection
+
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+    });
+    const tx = {
+      query: (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+      }),
+      execute: run
+    };
+
+    try {
+      await run('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(tx);
+        await run('COMMIT');
+        return result;
+      } catch (error) {
+        await run('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    } finally {
+      await new Promise(resolve => db.close(() => resolve()));
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      const db = this.db;
+      this.db = null;
+      await db.release(this);
+    }
+  }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const DailyConsumptionCalculator = require('./daily_consumption_calculator');
+const timezone = require('./timezone');
+
+/**
+ * Tariff Calculator
+ * Estimates UPPCL bills from kWh using the slab rates, fixed/demand charges,
+ * electricity duty and DG rates configured in config/tariff.json
+ */
+
+class TariffCalculator {
+  constructor(dbPath = null, tariffPath = null, storage = null) {
+    this.tariffPath = tariffPath || process.env.TARIFF_FILE || path.join(__dirname, 'config', 'tariff.json');
+    this.dailyCalculator = new DailyConsumptionCalculator(dbPath, storage);
+    this.tariffs = null;
+    this.currency = 'INR';
+  }
+
+  // Load tariff schedules, ordered by effective date
+  loadTariffs() {
+    const config = JSON.parse(fs.readFileSync(this.tariffPath, 'utf8'));
+    if (!Array.isArray(config.tariffs) || config.tariffs.length === 0) {
+      throw new Error(`Tariff file ${this.tariffPath} has no tariffs`);
+    }
+
+    config.tariffs.forEach(tariff => {
+      if (!tariff.effectiveFrom || !Array.isArray(tariff.slabs) || tariff.slabs.length === 0) {
+        throw new Error(`Tariff "${tariff.name || 'unnamed'}" needs effectiveFrom and slabs`);
+      }
+    });
+
+    this.currency = config.currency || 'INR';
+    this.tariffs = [...config.tariffs].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    return this.tariffs;
+  }
+
+  // Tariff in force on a date (YYYY-MM-DD); effectiveTo is inclusive
+  getTariff(dateStr) {
+    if (!this.tariffs) this.loadTariffs();
+
+    const tariff = [...this.tariffs].reverse().find(candidate =>
+      candidate.effectiveFrom <= dateStr && (!candidate.effectiveTo || candidate.effectiveTo >= dateStr)
+    );
+    if (!tariff) {
+      throw new Error(`No tariff configured for ${dateStr}`);
+    }
+    return tariff;
+  }
+
+  // Energy charge for a month's units, walking the slabs
+  calculateEnergyCharge(units, tariff) {
+    let remaining = Math.max(0, units);
+    let lowerBound = 0;
+    let total = 0;
+    const slabs = [];
+
+    for (const slab of tariff.slabs) {
+      if (remaining <= 0) break;
+
+      const width = slab.upTo === null || slab.upTo === undefined ? Infinity : slab.upTo - lowerBound;
+      const slabUnits = Math.min(remaining, width);
+      const amount = slabUnits * slab.rate;
+
+      slabs.push({ from: lowerBound, upTo: slab.upTo === undefined ? null : slab.upTo, rate: slab.rate, units: slabUnits, amount });
+      total += amount;
+      remaining -= slabUnits;
+      lowerBound = slab.upTo;
+    }
+
+    return { total, slabs };
+  }
+
+  // Bill for a month's grid/DG units. `proration` scales fixed and demand charges (1 = full month).
+  calculateBill({ gridUnits, dgUnits = 0, date, proration = 1 }) {
+    const tariff = this.getTariff(date);
+    const energy = this.calculateEnergyCharge(gridUnits, tariff);
+
+    const fixed = tariff.fixedCharge || {};
+    const demand = tariff.demandCharge || {};
+    const fixedCharge = (fixed.perKwPerMonth || 0) * (fixed.sanctionedLoadKw || 0) * proration;
+    const demandCharge = (demand.perKwPerMonth || 0) * (demand.contractDemandKw || 0) * proration;
+    const electricityDuty = (energy.total + fixedCharge + demandCharge) * (tariff.electricityDutyPercent || 0) / 100;
+    const dgCharge = dgUnits * (tariff.dgRate || 0);
+
+    return {
+      tariff: tariff.name || tariff.effectiveFrom,
+      currency: this.currency,
+      gridUnits: this.round(gridUnits),
+      dgUnits: this.round(dgUnits),
+      energyCharge: this.round(energy.total),
+      fixedCharge: this.round(fixedCharge),
+      demandCharge: this.round(demandCharge),
+      electricityDuty: this.round(electricityDuty),
+      dgCharge: this.round(dgCharge),
+      total: this.round(energy.total + fixedCharge + demandCharge + electricityDuty + dgCharge),
+      slabs: energy.slabs.map(slab => ({ ...slab, units: this.round(slab.units), amount: this.round(slab.amount) }))
+    };
+  }
+
+  // Marginal cost of the last `units` on top of `previousUnits` this month, including duty
+  calculateMarginalCost(previousUnits, units, date, dgUnits = 0) {
+    const tariff = this.getTariff(date);
+    const before = this.calculateEnergyCharge(previousUnits, tariff).total;
+    const after = this.calculateEnergyCharge(previousUnits + units, tariff).total;
+    const duty = (tariff.electricityDutyPercent || 0) / 100;
+
+    return this.round((after - before) * (1 + duty) + dgUnits * (tariff.dgRate || 0));
+  }
+
+  // Projected monthly bill, cost per day and today's cost for a meter, with grid and DG broken out
+  async estimateBill(meterId = 'default') {
+    const monthToDate = await this.dailyCalculator.getMonthToDateConsumption(meterId, 'grid');
+    const dgMonthToDate = await this.dailyCalculator.getMonthToDateConsumption(meterId, 'dg');
+
+    const now = new Date();
+    const monthStart = timezone.getMidnight(monthToDate.monthStart);
+    const daysInMonth = timezone.getDaysInMonth(monthToDate.month);
+    const daysElapsed = Math.min(daysInMonth, Math.max((now - monthStart) / (24 * 60 * 60 * 1000), 1 / 24));
+
+    // Average over the days we actually have data for, so monitoring gaps don't drag the projection down
+    const todayFraction = daysElapsed - Math.floor(daysElapsed) || 1;
+    const coveredDays = Math.min(daysElapsed, monthToDate.pastDaysWithData + todayFraction);
+    const projectedUnits = monthToDate.units / coveredDays * daysInMonth;
+    const projectedDgUnits = dgMonthToDate.units / coveredDays * daysInMonth;
+    const projectedBill = this.calculateBill({ gridUnits: projectedUnits, dgUnits: projectedDgUnits, date: monthToDate.today });
+    const monthToDateBill = this.calculateBill({
+      gridUnits: monthToDate.units,
+      dgUnits: dgMonthToDate.units,
+      date: monthToDate.today,
+      proration: daysElapsed / daysInMonth
+    });
+    const todayGridCost = this.calculateMarginalCost(monthToDate.units - monthToDate.todayUnits, monthToDate.todayUnits, monthToDate.today);
+    const todayDgCost = this.calculateMarginalCost(0, 0, monthToDate.today, dgMonthToDate.todayUnits);
+
+    return {
+      meter: meterId,
+      month: monthToDate.month,
+      currency: this.currency,
+      tariff: projectedBill.tariff,
+      daysElapsed: this.round(daysElapsed),
+      daysInMonth,
+      monthToDate: {
+        units: this.round(monthToDate.units),
+        dgUnits: this.round(dgMonthToDate.units),
+        cost: monthToDateBill.total,
+        daysWithData: monthToDate.daysWithData
+      },
+      today: {
+        units: this.round(monthToDate.todayUnits),
+        dgUnits: this.round(dgMonthToDate.todayUnits),
+        cost: this.round(todayGridCost + todayDgCost)
+      },
+      projected: {
+        units: this.round(projectedUnits),
+        dgUnits: this.round(projectedDgUnits),
+        bill: projectedBill,
+        costPerDay: this.round(projectedBill.total / daysInMonth)
+      },
+      sources: {
+        grid: {
+          todayUnits: this.round(monthToDate.todayUnits),
+          todayCost: todayGridCost,
+          todaySupplyHours: monthToDate.todayRuntimeHours,
+          monthUnits: this.round(monthToDate.units),
+          monthCost: this.round(monthToDateBill.total - monthToDateBill.dgCharge),
+          monthSupplyHours: monthToDate.runtimeHours
+        },
+        dg: {
+          todayUnits: this.round(dgMonthToDate.todayUnits),
+          todayCost: todayDgCost,
+          todayRuntimeHours: dgMonthToDate.todayRuntimeHours,
+          monthUnits: this.round(dgMonthToDate.units),
+          monthCost: monthToDateBill.dgCharge,
+          monthRuntimeHours: dgMonthToDate.runtimeHours
+        }
+      },
+      confidence: monthToDate.confidence
+    };
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  async close() {
+    await this.dailyCalculator.close();
+  }
+}
+
+module.exports = TariffCalculator;
+
+// Command line usage
+if (require.main === module) {
+  const meterFlag = process.argv.find(arg => arg.startsWith('--meter='));
+  const meterId = meterFlag ? meterFlag.split('=')[1] : (process.env.METER_ID || 'default');
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const calculator = new TariffCalculator();
+
+  async function main() {
+    try {
+      switch (args[0]) {
+        case 'bill': {
+          const units = parseFloat(args[1]);
+          if (isNaN(units)) {
+            console.log(`❌ Please provide monthly units`);
+            process.exit(1);
+          }
+          const bill = calculator.calculateBill({
+            gridUnits: units,
+            dgUnits: parseFloat(args[2]) || 0,
+            date: timezone.getDateString()
+          });
+          console.log(`\n🧾 Bill for ${units} units (${bill.tariff}):`);
+          bill.slabs.forEach(slab => {
+            console.log(`   ${slab.from}-${slab.upTo === null ? '∞' : slab.upTo} @ ${slab.rate}: ${slab.units.toFixed(2)} units = Rs. ${slab.amount}`);
+          });
+          console.log(`   Fixed: Rs. ${bill.fixedCharge}  Demand: Rs. ${bill.demandCharge}  Duty: Rs. ${bill.electricityDuty}  DG: Rs. ${bill.dgCharge}`);
+          console.log(`   Total: Rs. ${bill.total}`);
+          break;
+        }
+
+        case 'estimate': {
+          const estimate = await calculator.estimateBill(meterId);
+          console.log(`\n💰 Bill estimate for ${estimate.month} (${meterId}, ${estimate.tariff}):`);
+          console.log(`   Month to date: ${estimate.monthToDate.units} grid + ${estimate.monthToDate.dgUnits} DG units = Rs. ${estimate.monthToDate.cost}`);
+          console.log(`   Today: ${estimate.today.units} grid + ${estimate.today.dgUnits} DG units = Rs. ${estimate.today.cost}`);
+          console.log(`   Projected: ${estimate.projected.units} units = Rs. ${estimate.projected.bill.total} (Rs. ${estimate.projected.costPerDay}/day)`);
+          break;
+        }
+
+        default:
+          console.log(`
+💰 Tariff Calculator
+
+Usage:
+  node tariff_calculator.js estimate [--meter=<id>]     # Projected bill for the current month
+  node tariff_calculator.js bill <units> [dgUnits]      # Bill for a given month's units
+
+Rates, slabs, fixed/demand charges, duty and DG rate live in config/tariff.json (TARIFF_FILE).
+          `);
+      }
+    } catch (error) {
+      console.error(`❌ Error:`, error.message);
+    } finally {
+      await calculator.close();
+    }
+  }
+
+  main();
+}
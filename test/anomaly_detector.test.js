@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnomalyDetector = require('../anomaly_detector');
+const { openBackend } = require('../storage');
+const timezone = require('../timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.now();
+const hoursAgo = hours => new Date(NOW - hours * HOUR_MS).toISOString();
+
+function withDetector(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-anomaly-'));
+  const storage = openBackend('sqlite', { dbPath: path.join(dir, 'power_data.db') });
+  const detector = new AnomalyDetector(null, storage);
+  const emitted = [];
+  detector.on('anomaly', anomaly => emitted.push(anomaly));
+  t.mock.method(console, 'log', () => {});
+  t.after(async () => {
+    await detector.close();
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { detector, storage, emitted };
+}
+
+function reading(storage, hours, value, source = 'grid', meterId = 'default') {
+  const timestamp = hoursAgo(hours);
+  return storage.insertRecord({
+    meter_id: meterId,
+    timestamp,
+    category: 'meter_reading',
+    source,
+    consumption_value: value,
+    consumption_unit: 'kWh',
+    fingerprint: `${meterId}_${source}_reading_${timestamp}`
+  });
+}
+
+function availability(storage, hours, status, meterId = 'default') {
+  const timestamp = hoursAgo(hours);
+  return storage.insertRecord({
+    meter_id: meterId,
+    timestamp,
+    category: 'availability',
+    source: 'grid',
+    status,
+    fingerprint: `${meterId}_availability_${timestamp}`
+  });
+}
+
+test('a register going backwards or jumping is flagged once', async t => {
+  const { detector, storage, emitted } = withDetector(t);
+  await reading(storage, 6, 100);
+  await reading(storage, 5, 101);
+  await reading(storage, 4.5, 100.995); // within the rounding tolerance
+  await reading(storage, 4, 100.5);
+  await reading(storage, 3.5, 110); // 9.5 kWh in 30 min
+  await reading(storage, 3, 110.5);
+  await reading(storage, 5, 50, 'dg');
+  await reading(storage, 4, 49, 'dg');
+
+  const found = await detector.checkReadings('default');
+  assert.deepStrictEqual(found.map(anomaly => `${anomaly.source}/${anomaly.type}`), ['grid/register_rollback', 'grid/sudden_jump', 'dg/register_rollback']);
+  const [rollback, jump] = found;
+  assert.deepStrictEqual([rollback.timestamp, rollback.value, rollback.expected, rollback.severity], [hoursAgo(4), 100.5, 100.995, 'critical']);
+  assert.deepStrictEqual([jump.timestamp, jump.value, jump.expected], [hoursAgo(3.5), 9.5, 5]);
+  assert.match(jump.message, /jumped 9.50 kWh in 30 min \(19.0 kW average, limit 10 kW\)/);
+  assert.strictEqual(emitted.length, 3);
+
+  // Later cycles see the same readings again
+  assert.deepStrictEqual(await detector.checkReadings('default'), []);
+  assert.strictEqual(emitted.length, 3);
+
+  const stored = await detector.getAnomalies({ meterId: 'default' });
+  assert.deepStrictEqual(stored.map(anomaly => anomaly.type), ['sudden_jump', 'register_rollback', 'register_rollback']);
+  assert.deepStrictEqual(stored[0].details, { from: 100.5, to: 110, previousTimestamp: hoursAgo(4) });
+  assert.strictEqual((await detector.getAnomalies({ type: 'register_rollback', limit: 1 })).length, 1);
+  assert.deepStrictEqual(await detector.getAnomalies({ meterId: 'other' }), []);
+  assert.deepStrictEqual(await detector.getAnomalies({ days: 3.5 / 24 }), []);
+});
+
+test('grid consumption is flagged only when every availability reading between said offline', async t => {
+  const { detector, storage } = withDetector(t);
+  await reading(storage, 6, 200);
+  await availability(storage, 5, 'offline');
+  await reading(storage, 4, 201);
+  await availability(storage, 3.5, 'offline');
+  await availability(storage, 3, 'online');
+  await reading(storage, 2, 202);
+  // Too little to be more than rounding
+  await availability(storage, 1.5, 'offline');
+  await reading(storage, 1, 202.04);
+
+  const found = await detector.checkReadings('default');
+  assert.strictEqual(found.length, 1);
+  assert.deepStrictEqual([found[0].type, found[0].timestamp, found[0].value, found[0].expected], ['consumption_during_outage', hoursAgo(4), 1, 0]);
+});
+
+test('a grid register stuck while the grid is online is a flatline, reported once', async t => {
+  const { detector, storage } = withDetector(t);
+  for (const meterId of ['default', 'flat-2']) {
+    await reading(storage, 7.5, 299, 'grid', meterId);
+    for (const hours of [6.5, 4.5, 2.5, 0.5]) {
+      await reading(storage, hours, 300, 'grid', meterId);
+      await availability(storage, hours, 'online', meterId);
+    }
+  }
+  // An outage inside the stretch explains a still register
+  await availability(storage, 3, 'offline', 'flat-2');
+
+  const [flatline] = await detector.checkReadings('default');
+  assert.strictEqual(flatline.type, 'flatline');
+  assert.strictEqual(flatline.timestamp, hoursAgo(6.5));
+  assert.deepStrictEqual(flatline.details, { until: hoursAgo(0.5), hours: 6 });
+  assert.deepStrictEqual(await detector.checkReadings('flat-2'), []);
+
+  // Still stuck a cycle later: the stretch began at the same reading
+  await reading(storage, 0.1, 300);
+  await availability(storage, 0.1, 'online');
+  assert.deepStrictEqual(await detector.checkReadings('default'), []);
+});
+
+test('a day far from its rolling baseline is flagged', async t => {
+  const { detector, storage } = withDetector(t);
+  const date = timezone.daysAgo(1);
+  const day = (offset, value) => storage.saveDailyConsumption({
+    meter_id: 'default', source: 'grid', date: timezone.addDays(date, offset), calculated_consumption: value
+  });
+
+  await day(0, 20);
+  for (let offset = -6; offset < 0; offset++) await day(offset, offset % 2 ? 9 : 11);
+  assert.strictEqual(await detector.checkDay('default', date), null); // six days is too little history
+
+  for (let offset = -14; offset < -6; offset++) await day(offset, offset % 2 ? 9 : 11);
+  const anomaly = await detector.checkDay('default', date);
+  assert.strictEqual(anomaly.type, 'baseline_deviation');
+  assert.deepStrictEqual([anomaly.value, anomaly.expected, anomaly.details.stdDev, anomaly.details.sigma], [20, 10, 1, 10]);
+  assert.match(anomaly.message, /above the 14-day average of 10.00 kWh/);
+
+  // Within three standard deviations
+  await day(0, 12.5);
+  assert.strictEqual(await detector.checkDay('default', date), null);
+});
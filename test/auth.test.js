@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuthService = require('../auth');
+
+function withAuth(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-auth-'));
+  const auth = new AuthService(path.join(dir, 'power_data.db'));
+  t.after(async () => {
+    await auth.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return auth;
+}
+
+const withCookie = token => ({ headers: { cookie: `theme=dark; ${AuthService.SESSION_COOKIE}=${token}` } });
+const withBearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+test('passwords are stored as salted scrypt hashes', async t => {
+  const auth = withAuth(t);
+  await auth.createUser('asha', 'correct horse', 'admin');
+
+  const { password_hash: stored } = await auth.get('SELECT password_hash FROM users WHERE username = ?', ['asha']);
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notStrictEqual(await auth.hashPassword('correct horse'), stored);
+  assert.strictEqual(await auth.verifyPassword('correct horse', stored), true);
+  assert.strictEqual(await auth.verifyPassword('correct horsf', stored), false);
+  assert.strictEqual(await auth.verifyPassword('correct horse', 'md5$abc'), false);
+
+  await assert.rejects(auth.createUser('asha', 'another password'), /User "asha" already exists/);
+  await assert.rejects(auth.createUser('ravi', 'short'), /at least 8 characters/);
+  await assert.rejects(auth.createUser('ravi', 'long enough', 'owner'), /Unknown role "owner"/);
+});
+
+test('logins open sessions that logout and password changes end', async t => {
+  const auth = withAuth(t);
+  await auth.createUser('asha', 'correct horse', 'viewer');
+
+  assert.strictEqual(await auth.login('asha', 'wrong password'), null);
+  assert.strictEqual(await auth.login('nobody', 'correct horse'), null);
+
+  const session = await auth.login('asha', 'correct horse');
+  assert.deepStrictEqual(session.user, { id: 1, username: 'asha', role: 'viewer' });
+  assert.deepStrictEqual(await auth.authenticate(withCookie(session.token)), { id: 1, username: 'asha', role: 'viewer', via: 'session' });
+  assert.strictEqual((await auth.authenticate(withBearer(session.token))).via, 'session');
+  assert.ok((await auth.getUser('asha')).last_login_at);
+  // Only the hash is kept
+  assert.strictEqual(await auth.get('SELECT * FROM sessions WHERE token_hash = ?', [session.token]), null);
+
+  await auth.logout(session.token);
+  assert.strictEqual(await auth.authenticate(withCookie(session.token)), null);
+
+  const second = await auth.login('asha', 'correct horse');
+  await auth.setPassword('asha', 'battery staple');
+  assert.strictEqual(await auth.authenticate(withCookie(second.token)), null);
+  assert.ok(await auth.login('asha', 'battery staple'));
+
+  // Expired sessions don't authenticate
+  const third = await auth.login('asha', 'battery staple');
+  await auth.run('UPDATE sessions SET expires_at = ?', [new Date(Date.now() - 1000).toISOString()]);
+  assert.strictEqual(await auth.authenticate(withCookie(third.token)), null);
+});
+
+test('API tokens authenticate as their owner until revoked', async t => {
+  const auth = withAuth(t);
+  await auth.createUser('asha', 'correct horse', 'viewer');
+  await auth.createUser('ravi', 'correct horse', 'viewer');
+  await auth.createUser('root', 'correct horse', 'admin');
+
+  const token = await auth.createApiToken('asha', 'grafana');
+  assert.match(token.token, /^uppcl_[0-9a-f]{48}$/);
+  assert.deepStrictEqual([token.name, token.username, token.role], ['grafana', 'asha', 'viewer']);
+  await assert.rejects(auth.createApiToken('nobody'), /Unknown user "nobody"/);
+
+  const [listed] = await auth.listApiTokens('asha');
+  assert.strictEqual(listed.last_used_at, null);
+  assert.strictEqual(listed.token_hash, undefined);
+  assert.deepStrictEqual(await auth.authenticate(withBearer(token.token)), { id: 1, username: 'asha', role: 'viewer', via: 'token' });
+  assert.ok((await auth.listApiTokens('asha'))[0].last_used_at);
+  assert.strictEqual(await auth.authenticate(withBearer('uppcl_not-a-token')), null);
+  assert.strictEqual(await auth.authenticate({ headers: {} }), null);
+
+  // Viewers may only revoke their own tokens; admins any
+  const ravi = await auth.getUser('ravi');
+  assert.strictEqual(await auth.revokeApiToken(token.id, { id: ravi.id, role: 'viewer' }), false);
+  assert.strictEqual(await auth.revokeApiToken(token.id, { id: 3, role: 'admin' }), true);
+  assert.strictEqual(await auth.authenticate(withBearer(token.token)), null);
+
+  // Removing a user removes their tokens
+  const other = await auth.createApiToken('ravi');
+  await auth.deleteUser('ravi');
+  assert.strictEqual(await auth.authenticate(withBearer(other.token)), null);
+  assert.deepStrictEqual(await auth.listApiTokens(), []);
+});
+
+test('tokens with an expiry stop working when it passes', async t => {
+  const auth = withAuth(t);
+  await auth.createUser('asha', 'correct horse', 'viewer');
+
+  const expiring = await auth.createApiToken('asha', 'ci', 30);
+  const days = (new Date(expiring.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000);
+  assert.ok(days > 29.9 && days <= 30);
+  const forever = await auth.createApiToken('asha', 'grafana');
+  assert.strictEqual(forever.expiresAt, null);
+  await assert.rejects(auth.createApiToken('asha', 'bad', 0), /positive number of days/);
+  await assert.rejects(auth.createApiToken('asha', 'bad', 'soon'), /positive number of days/);
+
+  assert.deepStrictEqual((await auth.listApiTokens('asha')).map(token => [token.name, token.expires_at]), [['ci', expiring.expiresAt], ['grafana', null]]);
+  assert.strictEqual((await auth.authenticate(withBearer(expiring.token))).via, 'token');
+
+  await auth.run('UPDATE api_tokens SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), expiring.id]);
+  assert.strictEqual(await auth.authenticate(withBearer(expiring.token)), null);
+  assert.strictEqual((await auth.authenticate(withBearer(forever.token))).via, 'token');
+});
+
+test('repeated login failures lock an IP out until a quiet period passes', t => {
+  const auth = new AuthService();
+  auth.loginMaxFailures = 3;
+  auth.loginLockoutMinutes = 10;
+  const warn = t.mock.method(console, 'warn', () => {});
+  const now = t.mock.method(Date, 'now', () => 1000000);
+
+  auth.recordLoginFailure('10.0.0.1');
+  auth.recordLoginFailure('10.0.0.1');
+  assert.strictEqual(auth.getLoginRetryAfter('10.0.0.1'), 0);
+  auth.recordLoginFailure('10.0.0.1');
+  assert.strictEqual(auth.getLoginRetryAfter('10.0.0.1'), 600);
+  assert.strictEqual(auth.getLoginRetryAfter('10.0.0.2'), 0);
+  assert.strictEqual(warn.mock.callCount(), 1);
+
+  // Counted from the last attempt
+  now.mock.mockImplementation(() => 1000000 + 5 * 60 * 1000);
+  assert.strictEqual(auth.getLoginRetryAfter('10.0.0.1'), 300);
+  auth.recordLoginFailure('10.0.0.1');
+  assert.strictEqual(auth.getLoginRetryAfter('10.0.0.1'), 600);
+
+  // Old entries are forgotten; a success clears its IP at once
+  auth.recordLoginFailure('10.0.0.2');
+  now.mock.mockImplementation(() => 1000000 + 16 * 60 * 1000);
+  assert.strictEqual(auth.getLoginRetryAfter('10.0.0.1'), 0);
+  auth.recordLoginFailure('10.0.0.3');
+  assert.deepStrictEqual([...auth.loginFailures.keys()], ['10.0.0.3']);
+  auth.clearLoginFailures('10.0.0.3');
+  assert.strictEqual(auth.loginFailures.size, 0);
+});
+
+test('the admin check lets only admins through', () => {
+  const auth = new AuthService();
+  const check = user => {
+    let status = null;
+    let passed = false;
+    auth.requireAdmin()({ user }, { status: code => ({ json: () => { status = code; } }) }, () => { passed = true; });
+    return passed || status;
+  };
+
+  assert.strictEqual(check({ role: 'admin' }), true);
+  assert.strictEqual(check({ role: 'viewer' }), 403);
+  assert.strictEqual(check(null), 403);
+});
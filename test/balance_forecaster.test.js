@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BalanceForecaster = require('../balance_forecaster');
+const { openBackend } = require('../storage');
+const timezone = require('../timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.now();
+const daysAgo = days => new Date(NOW - days * DAY_MS).toISOString();
+
+// A flat tariff, so the consumption burn rate doesn't depend on the month's length
+const TARIFF = {
+  tariffs: [{ name: 'flat', effectiveFrom: '2000-01-01', slabs: [{ upTo: null, rate: 5 }], dgRate: 20 }]
+};
+
+function withForecaster(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-forecast-'));
+  const tariffPath = path.join(dir, 'tariff.json');
+  fs.writeFileSync(tariffPath, JSON.stringify(TARIFF));
+  const previous = process.env.TARIFF_FILE;
+  process.env.TARIFF_FILE = tariffPath;
+
+  const storage = openBackend('sqlite', { dbPath: path.join(dir, 'power_data.db') });
+  const forecaster = new BalanceForecaster(null, storage);
+  t.mock.method(console, 'log', () => {});
+  t.after(async () => {
+    if (previous === undefined) delete process.env.TARIFF_FILE;
+    else process.env.TARIFF_FILE = previous;
+    await forecaster.close();
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { forecaster, storage };
+}
+
+function balance(storage, timestamp, value) {
+  return storage.insertRecord({
+    meter_id: 'default',
+    timestamp,
+    category: 'balance',
+    source: 'grid',
+    consumption_value: value,
+    consumption_unit: 'INR',
+    fingerprint: `balance_${timestamp}`
+  });
+}
+
+test('the balance history gives the burn rate, across a recharge', async t => {
+  const { forecaster, storage } = withForecaster(t);
+  const readings = [[4, 500], [3.5, 500], [3, 460], [2, 420], [1.9, 425], [1.5, 725], [1, 685]];
+  for (const [days, value] of readings) {
+    await balance(storage, daysAgo(days), value);
+  }
+
+  // The Rs. 5 rise is below RECHARGE_MIN_AMOUNT; recharges are recorded once
+  assert.strictEqual(await forecaster.detectRecharges('default', 5 * 24), 1);
+  assert.strictEqual(await forecaster.detectRecharges('default', 5 * 24), 0);
+
+  const forecast = await forecaster.forecast('default');
+  assert.strictEqual(forecast.method, 'balance_history');
+  // Rs. 120 spent over 3 days; neither rise offsets the spending
+  assert.strictEqual(forecast.burnRatePerDay, 40);
+  assert.strictEqual(forecast.balance, 685);
+  assert.strictEqual(forecast.daysRemaining, 17.1);
+  assert.strictEqual(forecast.confidence, 0.71);
+  assert.strictEqual(new Date(forecast.depletionAt) - new Date(forecast.balanceTimestamp), 685 / 40 * DAY_MS);
+  assert.strictEqual(forecast.lastRecharge.amount, 300);
+  assert.strictEqual(forecast.lastRecharge.previousBalance, 425);
+  assert.strictEqual(forecast.isDepleted, false);
+});
+
+test('without enough balance history the tariff prices recent consumption', async t => {
+  const { forecaster, storage } = withForecaster(t);
+  for (const days of [1, 2, 3]) {
+    const date = timezone.daysAgo(days);
+    await storage.saveDailyConsumption({ meter_id: 'default', source: 'grid', date, calculated_consumption: 10 });
+    await storage.saveDailyConsumption({ meter_id: 'default', source: 'dg', date, calculated_consumption: 1 });
+  }
+  // Today's running total is left out
+  await storage.saveDailyConsumption({ meter_id: 'default', source: 'grid', date: timezone.getDateString(), calculated_consumption: 40 });
+  await balance(storage, daysAgo(0.1), 350);
+
+  const forecast = await forecaster.forecast('default');
+  assert.strictEqual(forecast.method, 'consumption_tariff');
+  assert.strictEqual(forecast.burnRatePerDay, 10 * 5 + 1 * 20);
+  assert.strictEqual(forecast.daysRemaining, 5);
+  assert.strictEqual(forecast.confidence, 0.61);
+});
+
+test('a meter without balance readings has no forecast', async t => {
+  const { forecaster } = withForecaster(t);
+  const forecast = await forecaster.forecast('default');
+  assert.strictEqual(forecast.available, false);
+  assert.match(forecast.reason, /No balance readings in the last 7 days/);
+});
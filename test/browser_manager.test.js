@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BrowserManager = require('../browser_manager');
+
+// Stands in for puppeteer's Browser (one context and page per account) where no Chromium is needed
+function fakeBrowser() {
+  const browser = { connected: true, closed: false, on() {}, process: () => null };
+  browser.close = async () => {
+    browser.closed = true;
+    browser.connected = false;
+  };
+  browser.createBrowserContext = async () => ({
+    close: async () => {},
+    newPage: async () => {
+      let closed = false;
+      return {
+        isClosed: () => closed,
+        close: async () => { closed = true; },
+        mainFrame: () => ({ detached: false }),
+        evaluate: async () => 'complete',
+        setViewport: async () => {},
+        on() {}
+      };
+    }
+  });
+  return browser;
+}
+
+function withFakeLaunch(t, manager) {
+  const browsers = [];
+  t.mock.method(manager, 'launch', async () => {
+    manager.launches++;
+    manager.browser = fakeBrowser();
+    manager.cycles = 0;
+    browsers.push(manager.browser);
+    return manager.browser;
+  });
+  return browsers;
+}
+
+test('a timed-out cycle is cancelled so the abandoned task stops at its next check', async () => {
+  const manager = new BrowserManager({ cycleTimeoutSeconds: 0.05 });
+  let resume;
+  let stopped = null;
+
+  const task = async cycle => {
+    await new Promise(resolve => {
+      resume = resolve;
+    });
+    try {
+      manager.checkCycle(cycle);
+      return 'kept going';
+    } catch (error) {
+      stopped = error;
+      throw error;
+    }
+  };
+
+  await assert.rejects(manager.runCycle('flat-101', task), { code: 'CYCLE_TIMEOUT' });
+  resume();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(stopped && stopped.code, 'CYCLE_CANCELLED');
+});
+
+test('a cycle that finishes in time is not cancelled', async () => {
+  const manager = new BrowserManager({ cycleTimeoutSeconds: 5 });
+  const result = await manager.runCycle('flat-101', async cycle => {
+    manager.checkCycle(cycle);
+    return cycle.cancelled;
+  });
+  assert.strictEqual(result, false);
+});
+
+test('the browser is recycled after maxCycles cycles', async t => {
+  t.mock.method(console, 'log', () => {});
+  const manager = new BrowserManager({ maxCycles: 3 });
+  const browsers = withFakeLaunch(t, manager);
+  const recycles = [];
+  manager.on('recycle', event => recycles.push(event));
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(await manager.getBrowser(), browsers[0]);
+    await manager.runCycle('flat-101', async () => 'done');
+  }
+  assert.strictEqual(manager.recycleReason, 'cycles');
+  assert.strictEqual(browsers[0].closed, false);
+
+  const next = await manager.getBrowser();
+  assert.notStrictEqual(next, browsers[0]);
+  assert.strictEqual(browsers[0].closed, true);
+  assert.deepStrictEqual(recycles, [{ reason: 'cycles', cycles: 3, launches: 1 }]);
+  assert.deepStrictEqual([manager.cycles, manager.launches, manager.recycleReason], [0, 2, null]);
+});
+
+test('a closed page is replaced without relaunching the browser', async t => {
+  t.mock.method(console, 'log', () => {});
+  const manager = new BrowserManager();
+  const browsers = withFakeLaunch(t, manager);
+
+  const first = await manager.getPage('flat-101');
+  assert.strictEqual(await manager.getPage('flat-101'), first);
+  await first.close();
+
+  const second = await manager.getPage('flat-101');
+  assert.notStrictEqual(second, first);
+  assert.strictEqual(browsers.length, 1);
+  assert.strictEqual(manager.getState().pages, 1);
+});
+
+test('cleanupOrphans removes profiles of processes that are gone', t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-profiles-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  const manager = new BrowserManager({ profileRoot: root });
+
+  // The pid of a process that has already exited
+  const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+  assert.strictEqual(manager.isAlive(deadPid), false);
+
+  manager.profileDir = path.join(root, `uppcl-chrome-${process.pid}-2`);
+  const profiles = [`uppcl-chrome-${deadPid}-1`, `uppcl-chrome-${process.pid}-1`, `uppcl-chrome-${process.pid}-2`, `uppcl-chrome-${process.ppid}-1`, 'other-profile'];
+  profiles.forEach(name => fs.mkdirSync(path.join(root, name, 'Default'), { recursive: true }));
+
+  assert.strictEqual(manager.cleanupOrphans().removed, 2);
+  assert.deepStrictEqual(fs.readdirSync(root).sort(), [`uppcl-chrome-${process.pid}-2`, `uppcl-chrome-${process.ppid}-1`, 'other-profile'].sort());
+});
+
+test('a closed page is replaced in a real Chromium', async t => {
+  t.mock.method(console, 'log', () => {});
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-profiles-'));
+  const manager = new BrowserManager({ headless: true, profileRoot: root });
+  t.after(async () => {
+    await manager.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  try {
+    await manager.getBrowser();
+  } catch (error) {
+    t.skip(`Chromium can't be launched here: ${error.message.split('\n')[0]}`);
+    return;
+  }
+
+  const page = path.join(root, 'page.html');
+  fs.writeFileSync(page, '<html><body><h1>Grid: 166.00 KWH</h1></body></html>');
+  const first = await manager.getPage('flat-101');
+  await first.goto(`file://${page}`);
+  assert.strictEqual(await first.$eval('h1', element => element.textContent), 'Grid: 166.00 KWH');
+  assert.strictEqual(await manager.getPage('flat-101'), first);
+
+  await first.close();
+  const second = await manager.getPage('flat-101');
+  assert.notStrictEqual(second, first);
+  assert.strictEqual(await manager.isHealthy(second), true);
+  assert.strictEqual(manager.getState().pages, 1);
+});
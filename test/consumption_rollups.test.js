@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConsumptionRollups = require('../consumption_rollups');
+const timezone = require('../timezone');
+
+async function withRollups(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-rollups-'));
+  const rollups = new ConsumptionRollups(path.join(dir, 'power_data.db'));
+  t.after(async () => {
+    await rollups.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return rollups;
+}
+
+test('a past month without data is neither complete nor priced', async t => {
+  const rollups = await withRollups(t);
+  const lastMonth = rollups.getMonthPeriod(timezone.addDays(`${timezone.getDateString().substring(0, 7)}-01`, -1));
+
+  const rollup = await rollups.computeRollup('default', lastMonth);
+  assert.strictEqual(rollup.daysWithData, 0);
+  assert.strictEqual(rollup.isComplete, false);
+  assert.strictEqual(rollup.cost, null);
+  assert.strictEqual(rollup.supplyHours, null);
+
+  await rollups.saveRollup('monthly', rollup);
+  assert.strictEqual(await rollups.refresh('default', 'monthly', 2), 2);
+});
+
+test('getRollups caps the periods and computes older ones only once', async t => {
+  const rollups = await withRollups(t);
+  let computed = 0;
+  const computeRollup = rollups.computeRollup.bind(rollups);
+  rollups.computeRollup = (...args) => {
+    computed++;
+    return computeRollup(...args);
+  };
+
+  const months = await rollups.getRollups('default', 'monthly', 60);
+  assert.strictEqual(months.length, 24);
+  assert.strictEqual(computed, 24);
+
+  computed = 0;
+  await rollups.getRollups('default', 'monthly', 60);
+  assert.strictEqual(computed, 2);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DailyConsumptionCalculator = require('../daily_consumption_calculator');
+const { openBackend } = require('../storage');
+const { ensureDataMigrated } = require('../migrations');
+const timezone = require('../timezone');
+
+process.env.TIMEZONE = 'Asia/Kolkata'; // UTC+05:30, so local midnight is 18:30Z
+
+function withCalculator(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-daily-'));
+  const storage = openBackend('sqlite', { dbPath: path.join(dir, 'power_data.db') });
+  const calculator = new DailyConsumptionCalculator(null, storage);
+  t.after(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { calculator, storage };
+}
+
+function reading(timestamp, value) {
+  return {
+    meter_id: 'default',
+    timestamp,
+    category: 'meter_reading',
+    source: 'grid',
+    consumption_value: value,
+    consumption_unit: 'KWH',
+    confidence: 0.9,
+    fingerprint: `reading_${timestamp}`
+  };
+}
+
+function storedDay(date) {
+  return { meter_id: 'default', source: 'grid', date, calculated_consumption: 42, is_complete: true, finalized_at: '2020-01-01T00:00:00.000Z' };
+}
+
+test('a timezone migration only removes days without readings and leaves compacted days alone', async t => {
+  const { calculator, storage } = withCalculator(t);
+  const day = n => timezone.daysAgo(n);
+
+  // Day 3 recomputes cleanly; day 2's register goes backwards, so it can't be recomputed but has readings
+  await storage.insertRecord(reading(calculator.getMidnightTimestamp(day(3)), 100));
+  await storage.insertRecord(reading(calculator.getMidnightTimestamp(day(2)), 110));
+  await storage.insertRecord(reading(calculator.getMidnightTimestamp(day(1)), 105));
+  for (const n of [100, 5, 3, 2]) {
+    await storage.saveDailyConsumption(storedDay(day(n)));
+  }
+
+  assert.strictEqual(await calculator.migrateTimezone(), 4);
+
+  assert.strictEqual((await storage.getDailyConsumption('default', 'grid', day(3))).calculated_consumption, 10);
+  assert.strictEqual((await storage.getDailyConsumption('default', 'grid', day(2))).calculated_consumption, 42);
+  assert.strictEqual(await storage.getDailyConsumption('default', 'grid', day(5)), null);
+  assert.strictEqual((await storage.getDailyConsumption('default', 'grid', day(100))).calculated_consumption, 42);
+  assert.strictEqual(await storage.getSetting('daily_consumption_timezone'), timezone.getTimezone());
+  assert.strictEqual(await calculator.migrateTimezone(), 0);
+});
+
+test('data migrations run once per storage', async t => {
+  const { storage } = withCalculator(t);
+  await storage.saveDailyConsumption(storedDay(timezone.daysAgo(5)));
+
+  const first = ensureDataMigrated(storage);
+  assert.strictEqual(ensureDataMigrated(storage), first);
+  assert.strictEqual(await first, 1);
+  assert.strictEqual(await storage.getSetting('daily_consumption_timezone'), timezone.getTimezone());
+});
+
+test('days sum to the register delta across local midnights', async t => {
+  const { calculator } = withCalculator(t);
+  t.mock.method(console, 'log', () => {});
+  const firstDate = timezone.daysAgo(8);
+  const start = timezone.zonedTimeToDate(firstDate, '20:00');
+
+  // A reading every 3h37m for five days, with an uneven register climb
+  let value = 1000;
+  let last = null;
+  for (let i = 0; i < 34; i++) {
+    const timestamp = new Date(start.getTime() + i * 217 * 60 * 1000).toISOString();
+    value += 0.5 + (i % 5) * 0.37;
+    await calculator.storage.insertRecord(reading(timestamp, value));
+    last = timestamp;
+  }
+  const lastDate = timezone.getDateString(new Date(last));
+  assert.ok(lastDate < timezone.getDateString());
+
+  let total = 0;
+  let days = 0;
+  for (let date = firstDate; date <= lastDate; date = timezone.addDays(date, 1)) {
+    const day = await calculator.calculateDailyConsumption(date);
+    assert.ok(day, `no total for ${date}`);
+    assert.strictEqual(calculator.getMidnightTimestamp(date), `${timezone.addDays(date, -1)}T18:30:00.000Z`);
+    total += day.calculatedConsumption;
+    days++;
+  }
+
+  const firstValue = 1000 + 0.5;
+  assert.ok(days >= 6);
+  assert.ok(Math.abs(total - (value - firstValue)) < 1e-9, `days add up to ${total}, register moved ${value - firstValue}`);
+});
+
+test('days are finalized once their closing reading arrives and stay locked', async t => {
+  const { calculator, storage } = withCalculator(t);
+  t.mock.method(console, 'log', () => {});
+  const at = (date, time) => timezone.zonedTimeToDate(date, time).toISOString();
+  const [closed, open, yesterday] = [timezone.daysAgo(3), timezone.daysAgo(2), timezone.daysAgo(1)];
+
+  // `closed` has readings at both of its midnights; `open` has none after its noon yet
+  await storage.insertRecord(reading(at(closed, '00:00'), 100));
+  await storage.insertRecord(reading(at(closed, '12:00'), 106));
+  await storage.insertRecord(reading(at(open, '00:00'), 112));
+  await storage.insertRecord(reading(at(open, '12:00'), 115));
+
+  const first = await calculator.finalizeCompletedDays(['default'], 3);
+  assert.deepStrictEqual(first.finalized.map(day => [day.date, day.calculatedConsumption]), [[closed, 12]]);
+  assert.deepStrictEqual(first.pending.map(day => day.date), [open, yesterday]);
+  const stored = await calculator.getStoredDay(closed);
+  assert.strictEqual(stored.is_complete, 1);
+  assert.ok(stored.finalized_at);
+  assert.strictEqual((await calculator.getStoredDay(open)).finalized_at, null);
+
+  // The late reading pins the end of `open` (115 → 118 over 18 hours, 12 of them before midnight)
+  await storage.insertRecord(reading(at(yesterday, '06:00'), 118));
+  const second = await calculator.finalizeCompletedDays(['default'], 3);
+  assert.deepStrictEqual(second.finalized.map(day => [day.date, day.calculatedConsumption]), [[open, 5]]);
+  assert.deepStrictEqual(second.pending.map(day => day.date), [yesterday]);
+
+  // Finalized rows are returned as stored unless forced
+  await storage.insertRecord(reading(at(closed, '18:00'), 111));
+  const locked = await calculator.calculateDailyConsumption(closed);
+  assert.strictEqual(locked.finalizedAt, stored.finalized_at);
+  const forced = await calculator.calculateDailyConsumption(closed, 'default', 'grid', { force: true });
+  assert.notStrictEqual(forced.finalizedAt, stored.finalized_at);
+  assert.strictEqual(forced.calculatedConsumption, 12);
+  assert.strictEqual(forced.coverage.recordCount, 3);
+});
@@ -0,0 +1,289 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const PowerDashboard = require('../dashboard_server');
+const timezone = require('../timezone');
+
+// A dashboard on a temp database and a free port; env overrides the settings read at construction
+async function withDashboard(t, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-dashboard-'));
+  const settings = {
+    DB_PATH: path.join(dir, 'power_data.db'),
+    ACCOUNTS_FILE: path.join(dir, 'accounts.json'),
+    METER_ID: 'flat-101',
+    AUTH_DISABLED: 'true',
+    CORS_ORIGINS: undefined,
+    METRICS_PUBLIC: undefined,
+    ...env
+  };
+  const previous = {};
+  for (const [key, value] of Object.entries(settings)) {
+    previous[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  t.mock.method(console, 'log', () => {});
+
+  const dashboard = new PowerDashboard();
+  const server = await new Promise(resolve => {
+    const listening = dashboard.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    clearInterval(dashboard.streamHeartbeat);
+    await dashboard.auth.close();
+    await dashboard.monitor.close();
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { dashboard, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Reads Server-Sent Events off a fetch response, { event, data } at a time
+function eventReader(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  return async function next() {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end >= 0) {
+        const block = buffer.substring(0, end);
+        buffer = buffer.substring(end + 2);
+        const lines = block.split('\n');
+        const event = lines.find(line => line.startsWith('event: '));
+        const data = lines.find(line => line.startsWith('data: '));
+        if (event) return { event: event.substring(7), data: JSON.parse(data.substring(6)) };
+        continue; // retry hints and heartbeats
+      }
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Stream ended');
+      buffer += decoder.decode(value, { stream: true });
+    }
+  };
+}
+
+// A browser-style revalidation; fetch() would otherwise add Cache-Control: no-cache to conditional requests
+function revalidate(url, headers) {
+  return fetch(url, { headers: { 'cache-control': 'max-age=0', ...headers } });
+}
+
+test('the stream pushes cycles, grid events and anomalies, filtered by meter', async t => {
+  const { dashboard, url } = await withDashboard(t);
+  const meterStream = new AbortController();
+  const allStream = new AbortController();
+  t.after(() => {
+    meterStream.abort();
+    allStream.abort();
+  });
+
+  const meterResponse = await fetch(`${url}/api/stream?meter=flat-101`, { signal: meterStream.signal });
+  assert.strictEqual(meterResponse.headers.get('content-type'), 'text/event-stream');
+  const meterEvents = eventReader(meterResponse);
+  const allEvents = eventReader(await fetch(`${url}/api/stream`, { signal: allStream.signal }));
+  assert.strictEqual((await meterEvents()).event, 'hello');
+  assert.strictEqual((await allEvents()).data.meterId, null);
+  assert.strictEqual(dashboard.streamClients.size, 2);
+
+  dashboard.monitor.emit('cycle', { meterId: 'flat-202', success: false, error: 'portal down' });
+  dashboard.monitor.emit('cycle', { meterId: 'flat-101', success: false, error: 'portal down' });
+  dashboard.monitor.emit('grid_event', { meterId: 'flat-101', type: 'interruption' });
+  dashboard.monitor.anomalyDetector.emit('anomaly', { meterId: 'flat-101', type: 'flatline' });
+
+  const received = [await meterEvents(), await meterEvents(), await meterEvents()];
+  assert.deepStrictEqual(received.map(({ event, data }) => `${event}/${data.meterId}`), ['cycle/flat-101', 'grid_event/flat-101', 'anomaly/flat-101']);
+  assert.strictEqual(received[2].data.type, 'flatline');
+  assert.deepStrictEqual([(await allEvents()).data.meterId, (await allEvents()).data.meterId], ['flat-202', 'flat-101']);
+
+  // Disconnected subscribers are dropped
+  meterStream.abort();
+  for (let i = 0; i < 50 && dashboard.streamClients.size > 1; i++) await sleep(10);
+  assert.strictEqual(dashboard.streamClients.size, 1);
+});
+
+test('the API needs a session or token, and admin routes the admin role', async t => {
+  const { dashboard, url } = await withDashboard(t, { AUTH_DISABLED: undefined });
+  await dashboard.auth.createUser('root', 'correct horse', 'admin');
+  await dashboard.auth.createUser('asha', 'correct horse', 'viewer');
+  const viewer = { authorization: `Bearer ${(await dashboard.auth.createApiToken('asha')).token}` };
+  const admin = { authorization: `Bearer ${(await dashboard.auth.createApiToken('root')).token}` };
+
+  assert.strictEqual((await fetch(`${url}/api/meters`)).status, 401);
+  assert.strictEqual((await fetch(`${url}/api/health`)).status, 200);
+  const home = await fetch(`${url}/`, { redirect: 'manual' });
+  assert.deepStrictEqual([home.status, home.headers.get('location')], [302, '/login.html']);
+
+  assert.strictEqual((await fetch(`${url}/api/meters`, { headers: viewer })).status, 200);
+  for (const [method, route] of [['POST', '/api/trigger-monitoring'], ['GET', '/api/backups'], ['GET', '/api/users']]) {
+    const response = await fetch(`${url}${route}`, { method, headers: viewer });
+    assert.strictEqual(response.status, 403, route);
+    assert.deepStrictEqual(await response.json(), { error: 'admin role required' });
+  }
+
+  const created = await fetch(`${url}/api/users`, {
+    method: 'POST',
+    headers: { ...admin, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'ravi', password: 'correct horse' })
+  });
+  assert.deepStrictEqual([created.status, await created.json()], [201, { username: 'ravi', role: 'viewer' }]);
+
+  // Dashboard login sets the session cookie
+  const login = await fetch(`${url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'ravi', password: 'correct horse' })
+  });
+  const cookie = login.headers.get('set-cookie');
+  assert.match(cookie, /^uppcl_session=[0-9a-f]{64}; Path=\/; HttpOnly; SameSite=Strict; Max-Age=\d+$/);
+  const me = await fetch(`${url}/api/auth/me`, { headers: { cookie: cookie.split(';')[0] } });
+  assert.deepStrictEqual((await me.json()).user, { id: 3, username: 'ravi', role: 'viewer', via: 'session' });
+});
+
+test('CORS answers only configured origins, and the wildcard without credentials', async t => {
+  const { url } = await withDashboard(t, { CORS_ORIGINS: 'https://grafana.example, *' });
+  const request = (origin, method = 'GET') => fetch(`${url}/api/health`, { method, headers: { origin } });
+
+  const listed = await request('https://grafana.example');
+  assert.strictEqual(listed.headers.get('access-control-allow-origin'), 'https://grafana.example');
+  assert.strictEqual(listed.headers.get('access-control-allow-credentials'), 'true');
+  assert.strictEqual(listed.headers.get('vary'), 'Origin');
+
+  const other = await request('https://elsewhere.example');
+  assert.strictEqual(other.headers.get('access-control-allow-origin'), '*');
+  assert.strictEqual(other.headers.get('access-control-allow-credentials'), null);
+
+  const preflight = await request('https://elsewhere.example', 'OPTIONS');
+  assert.strictEqual(preflight.status, 204);
+  assert.match(preflight.headers.get('access-control-allow-headers'), /Authorization/);
+});
+
+test('without CORS_ORIGINS other sites get no CORS headers', async t => {
+  const { url } = await withDashboard(t);
+  const response = await fetch(`${url}/api/health`, { headers: { origin: 'https://elsewhere.example' } });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('access-control-allow-origin'), null);
+});
+
+test('/metrics needs a token unless METRICS_PUBLIC is set', async t => {
+  const { dashboard, url } = await withDashboard(t, { AUTH_DISABLED: undefined });
+  await dashboard.auth.createUser('grafana', 'correct horse', 'viewer');
+  const { token } = await dashboard.auth.createApiToken('grafana');
+  const timestamp = new Date().toISOString();
+  await dashboard.monitor.storage.insertRecord({
+    meter_id: 'flat-101', timestamp, category: 'availability', source: 'grid', status: 'offline', fingerprint: `availability_${timestamp}`
+  });
+  await dashboard.monitor.storage.insertRecord({
+    meter_id: 'flat-101', timestamp, category: 'meter_reading', source: 'grid', consumption_value: 1234.5, consumption_unit: 'kWh', fingerprint: `reading_${timestamp}`
+  });
+  dashboard.monitor.emit('cycle', { meterId: 'flat-101', success: false, durationMs: 12000 });
+
+  assert.strictEqual((await fetch(`${url}/metrics`)).status, 401);
+  assert.strictEqual((await fetch(`${url}/metrics`, { headers: { authorization: 'Bearer uppcl_revoked' } })).status, 401);
+
+  const response = await fetch(`${url}/metrics`, { headers: { authorization: `Bearer ${token}` } });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0.0.4/);
+  const body = await response.text();
+  assert.match(body, /^uppcl_supply_available\{meter="flat-101",source="grid"\} 0$/m);
+  assert.match(body, /^uppcl_meter_reading_kwh\{meter="flat-101",source="grid"\} 1234.5$/m);
+  assert.match(body, /^uppcl_monitoring_failures_total\{meter="flat-101"\} 1$/m);
+  assert.match(body, /^uppcl_monitoring_cycle_duration_seconds_bucket\{le="20",meter="flat-101"\} 1$/m);
+});
+
+test('METRICS_PUBLIC opens /metrics but not the API', async t => {
+  const { url } = await withDashboard(t, { AUTH_DISABLED: undefined, METRICS_PUBLIC: 'true' });
+  assert.strictEqual((await fetch(`${url}/metrics`)).status, 200);
+  assert.strictEqual((await fetch(`${url}/api/status`)).status, 401);
+});
+
+test('/api/status is served from the snapshot with conditional GETs and writes nothing', async t => {
+  const { dashboard, url } = await withDashboard(t);
+  const { storage, statusSnapshots } = dashboard.monitor;
+  const reading = (timestamp, value) => storage.insertRecord({
+    meter_id: 'flat-101', timestamp, category: 'meter_reading', source: 'grid', consumption_value: value, consumption_unit: 'kWh', fingerprint: `reading_${timestamp}`
+  });
+  await reading(timezone.getMidnight(timezone.getDateString()).toISOString(), 100);
+  await reading(new Date(Date.now() - 60 * 1000).toISOString(), 104.5);
+  const build = t.mock.method(statusSnapshots, 'build');
+
+  const first = await fetch(`${url}/api/status`);
+  const etag = first.headers.get('etag');
+  assert.match(etag, /^"[0-9a-f]{40}"$/);
+  assert.strictEqual(first.headers.get('cache-control'), 'private, no-cache');
+  const status = await first.json();
+  assert.strictEqual(status.meter, 'flat-101');
+  assert.strictEqual(status.grid.meterReading.value, 104.5);
+  assert.strictEqual(status.grid.todayConsumption.value, 4.5);
+  assert.strictEqual(new Date(first.headers.get('last-modified')).getTime(), new Date(status.timestamp).setMilliseconds(0));
+
+  assert.strictEqual((await revalidate(`${url}/api/status`, { 'if-none-match': etag })).status, 304);
+  assert.strictEqual((await revalidate(`${url}/api/status`, { 'if-modified-since': first.headers.get('last-modified') })).status, 304);
+  assert.strictEqual(build.mock.callCount(), 1);
+  assert.deepStrictEqual(await storage.listDailyConsumption({ meterId: 'flat-101' }), []);
+
+  // A successful cycle rebuilds the snapshot from the newest reading and saves today's row
+  await reading(new Date().toISOString(), 105);
+  dashboard.monitor.emit('cycle', { meterId: 'flat-101', success: true });
+  await statusSnapshots.building.get('flat-101');
+  const changed = await revalidate(`${url}/api/status`, { 'if-none-match': etag });
+  assert.strictEqual(changed.status, 200);
+  assert.notStrictEqual(changed.headers.get('etag'), etag);
+  assert.strictEqual((await changed.json()).grid.meterReading.value, 105);
+  assert.strictEqual((await storage.listDailyConsumption({ meterId: 'flat-101' })).length, 1);
+  assert.strictEqual(build.mock.callCount(), 2);
+});
+
+test('concurrent polls share one snapshot build', async t => {
+  const { dashboard, url } = await withDashboard(t);
+  const build = t.mock.method(dashboard.monitor.statusSnapshots, 'build');
+
+  const responses = await Promise.all([fetch(`${url}/api/status`), fetch(`${url}/api/status`), fetch(`${url}/api/status?meter=flat-101`)]);
+  assert.deepStrictEqual(responses.map(response => response.status), [200, 200, 200]);
+  assert.strictEqual(new Set(responses.map(response => response.headers.get('etag'))).size, 1);
+  assert.strictEqual(build.mock.callCount(), 1);
+});
+
+test('login is refused from an IP after too many failures', async t => {
+  const { dashboard, url } = await withDashboard(t, { AUTH_DISABLED: undefined, LOGIN_MAX_FAILURES: '2', LOGIN_LOCKOUT_MINUTES: '10' });
+  t.mock.method(console, 'warn', () => {});
+  await dashboard.auth.createUser('asha', 'correct horse', 'viewer');
+  const login = password => fetch(`${url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'asha', password })
+  });
+
+  assert.strictEqual((await login('wrong password')).status, 401);
+  assert.strictEqual((await login('correct horse')).status, 200); // a success resets the count
+  assert.strictEqual((await login('wrong password')).status, 401);
+  assert.strictEqual((await login('wrong password')).status, 401);
+
+  const refused = await login('correct horse');
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.headers.get('retry-after'), '600');
+  assert.deepStrictEqual(await refused.json(), { error: 'Too many failed logins; try again in 10 min' });
+});
+
+test('API tokens can be created with an expiry and list it', async t => {
+  const { dashboard, url } = await withDashboard(t, { AUTH_DISABLED: undefined });
+  await dashboard.auth.createUser('asha', 'correct horse', 'viewer');
+  const headers = { authorization: `Bearer ${(await dashboard.auth.createApiToken('asha', 'setup')).token}`, 'Content-Type': 'application/json' };
+
+  const created = await fetch(`${url}/api/auth/tokens`, { method: 'POST', headers, body: JSON.stringify({ name: 'ci', expiresInDays: 7 }) });
+  assert.strictEqual(created.status, 201);
+  const { expiresAt } = await created.json();
+  assert.ok(new Date(expiresAt) > new Date(Date.now() + 6.9 * 24 * 60 * 60 * 1000));
+  const invalid = await fetch(`${url}/api/auth/tokens`, { method: 'POST', headers, body: JSON.stringify({ name: 'ci', expiresInDays: -1 }) });
+  assert.strictEqual(invalid.status, 400);
+
+  const { tokens } = await (await fetch(`${url}/api/auth/tokens`, { headers })).json();
+  assert.deepStrictEqual(tokens.map(token => [token.name, token.expires_at]), [['setup', null], ['ci', expiresAt]]);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataRetention = require('../data_retention');
+const UppclPowerMonitor = require('../optimized_monitor');
+const { openBackend } = require('../storage');
+
+function withRetention(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-retention-'));
+  const storage = openBackend('sqlite', { dbPath: path.join(dir, 'power_data.db') });
+  const retention = new DataRetention(null, storage);
+  t.mock.method(console, 'log', () => {});
+  t.after(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { retention, storage };
+}
+
+function insert(storage, timestamp, category, fields) {
+  return storage.insertRecord({
+    meter_id: 'default',
+    timestamp,
+    category,
+    source: 'grid',
+    consumption_unit: category === 'meter_reading' ? 'KWH' : null,
+    fingerprint: `${category}_${timestamp}`,
+    ...fields
+  });
+}
+
+async function storedHour(storage, category) {
+  return storage.first('SELECT * FROM power_data_hourly WHERE hour = ? AND category = ?', ['2020-01-01T10:00:00.000Z', category]);
+}
+
+test('compacting an hour that already has an hourly row merges into it', async t => {
+  const { retention, storage } = withRetention(t);
+  const hour = [new Date('2020-01-01T10:00:00.000Z'), new Date('2020-01-01T11:00:00.000Z')];
+
+  await insert(storage, '2020-01-01T10:05:00.000Z', 'meter_reading', { consumption_value: 10 });
+  await insert(storage, '2020-01-01T10:35:00.000Z', 'meter_reading', { consumption_value: 11 });
+  await insert(storage, '2020-01-01T10:10:00.000Z', 'availability', { status: 'online' });
+  await insert(storage, '2020-01-01T10:40:00.000Z', 'availability', { status: 'offline' });
+  assert.deepStrictEqual(await retention.compactRange(...hour), { hours: 2, deleted: 4 });
+
+  // Late rows for the same hour, e.g. from a restored backup
+  await insert(storage, '2020-01-01T10:20:00.000Z', 'meter_reading', { consumption_value: 9 });
+  await insert(storage, '2020-01-01T10:55:00.000Z', 'meter_reading', { consumption_value: 12 });
+  await insert(storage, '2020-01-01T10:15:00.000Z', 'availability', { status: 'online' });
+  await insert(storage, '2020-01-01T10:25:00.000Z', 'availability', { status: 'online' });
+  assert.deepStrictEqual(await retention.compactRange(...hour), { hours: 2, deleted: 4 });
+
+  const reading = await storedHour(storage, 'meter_reading');
+  assert.strictEqual(reading.samples, 4);
+  assert.strictEqual(reading.min_value, 9);
+  assert.strictEqual(reading.max_value, 12);
+  assert.strictEqual(reading.last_value, 12);
+  assert.strictEqual(reading.last_timestamp, '2020-01-01T10:55:00.000Z');
+  assert.strictEqual(reading.consumption_unit, 'KWH');
+
+  // The stored side is later here, so its status stays; availability is 1 of 2 plus 2 of 2
+  const availability = await storedHour(storage, 'availability');
+  assert.strictEqual(availability.samples, 4);
+  assert.strictEqual(availability.last_status, 'offline');
+  assert.strictEqual(availability.last_timestamp, '2020-01-01T10:40:00.000Z');
+  assert.strictEqual(availability.availability, 0.75);
+
+  const [{ count }] = await storage.query('SELECT COUNT(*) AS count FROM power_data');
+  assert.strictEqual(count, 0);
+});
+
+test('history reaching past the raw horizon includes hourly aggregates', async t => {
+  const { retention, storage } = withRetention(t);
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const monitor = { storage, retention, initDatabase: async () => {} };
+  const history = (hours, limit = 1000) => UppclPowerMonitor.prototype.getHistoricalData.call(monitor, hours, limit, {});
+
+  await insert(storage, daysAgo(40), 'meter_reading', { consumption_value: 100 });
+  await insert(storage, daysAgo(40.01), 'meter_reading', { consumption_value: 99 });
+  await insert(storage, daysAgo(1 / 48), 'meter_reading', { consumption_value: 150 });
+  const result = await retention.applyRetention();
+  assert.strictEqual(result.compactedRows, 2);
+
+  const rows = await history(24 * 60);
+  assert.deepStrictEqual(rows.map(row => row.consumption_value), [150, 100]);
+  assert.strictEqual(rows[0].resolution, undefined);
+  assert.strictEqual(rows[1].resolution, 'hourly');
+  assert.strictEqual(JSON.parse(rows[1].metadata).samples, 2);
+
+  assert.deepStrictEqual((await history(24 * 60, 1)).map(row => row.consumption_value), [150]);
+  assert.deepStrictEqual((await history(2)).map(row => row.consumption_value), [150]);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { openDatabase } = require('../database');
+const DatabaseBackup = require('../db_backup');
+
+const sidecars = dir => fs.readdirSync(dir).filter(name => /-(wal|shm|journal)$/.test(name));
+
+test('backup, verify and restore of a WAL database leave no sidecar files', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-backup-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dbPath = path.join(dir, 'power_data.db');
+  const backups = new DatabaseBackup(dbPath, path.join(dir, 'backups'));
+
+  const db = await openDatabase(dbPath, t);
+  await db.run(`
+    INSERT INTO power_data (meter_id, timestamp, category, source, consumption_value, fingerprint)
+    VALUES ('default', '2025-01-01T00:00:00.000Z', 'meter_reading', 'grid', 100, 'backup-test')
+  `);
+
+  for (const gzip of [true, false]) {
+    const info = await backups.createBackup({ gzip, label: gzip ? 'gz' : 'plain', rotate: false });
+    assert.strictEqual(info.records, 1);
+    assert.deepStrictEqual(sidecars(backups.backupDir), []);
+
+    const verified = await backups.verifyBackup(info.name);
+    assert.strictEqual(verified.ok, true);
+    assert.deepStrictEqual(sidecars(backups.backupDir), []);
+  }
+  await db.release(t);
+
+  const [latest] = backups.listBackups();
+  const restored = await backups.restore(latest.name);
+  assert.strictEqual(restored.records, 1);
+  assert.deepStrictEqual(sidecars(dir), []);
+  assert.deepStrictEqual(sidecars(backups.backupDir), []);
+});
+
+function withBackups(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-backup-'));
+  t.mock.method(console, 'log', () => {});
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dbPath = path.join(dir, 'power_data.db');
+  return { dir, dbPath, backups: new DatabaseBackup(dbPath, path.join(dir, 'backups')) };
+}
+
+async function insertReading(db, fingerprint) {
+  await db.run(`
+    INSERT INTO power_data (meter_id, timestamp, category, source, consumption_value, fingerprint)
+    VALUES ('default', ?, 'meter_reading', 'grid', 100, ?)
+  `, [new Date().toISOString(), fingerprint]);
+}
+
+test('restore swaps the backup in and keeps the replaced database', async t => {
+  const { dbPath, backups } = withBackups(t);
+  const db = await openDatabase(dbPath, t);
+  await insertReading(db, 'first');
+  const backup = await backups.createBackup({ label: 'one', rotate: false });
+  await insertReading(db, 'second');
+  await db.release(t);
+
+  const restored = await backups.restore(backup.name);
+  assert.strictEqual(restored.records, 1);
+  assert.match(restored.safetyBackup, /_pre-restore\.db\.gz$/);
+  assert.strictEqual(backups.listBackups().find(info => info.name === restored.safetyBackup).records, 2);
+
+  const reopened = await openDatabase(dbPath, t);
+  assert.deepStrictEqual((await reopened.all('SELECT fingerprint FROM power_data')).map(row => row.fingerprint), ['first']);
+  await reopened.release(t);
+});
+
+test('tampered, foreign and unknown files are refused', async t => {
+  const { dir, dbPath, backups } = withBackups(t);
+  const db = await openDatabase(dbPath, t);
+  await insertReading(db, 'live');
+  await db.release(t);
+
+  const plain = await backups.createBackup({ gzip: false, label: 'plain', rotate: false });
+  const file = path.join(backups.backupDir, plain.name);
+  fs.appendFileSync(file, 'x');
+  const verified = await backups.verifyBackup(plain.name);
+  assert.deepStrictEqual([verified.checksumOk, verified.ok], [false, false]);
+
+  // A database without power_data
+  const foreign = 'power_data_backup_20250101T000000Z_foreign.db';
+  const other = await backups.openDatabase(path.join(backups.backupDir, foreign), sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+  await backups.query(other, 'CREATE TABLE notes (id INTEGER PRIMARY KEY)');
+  await backups.closeDatabase(other);
+  await assert.rejects(backups.restore(foreign), /Refusing to restore .*missing power_data/);
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(name => name.includes('.restore-')), []);
+  assert.strictEqual(backups.listBackups().some(info => info.name.includes('pre-restore')), false);
+
+  assert.throws(() => backups.getBackupPath('../power_data.db'), /Not a backup file name/);
+  assert.throws(() => backups.getBackupPath('power_data_backup_20250101T000000Z.db'), /Backup not found/);
+});
+
+test('rotation keeps the newest backups up to the count and age limits', async t => {
+  const { dbPath, backups } = withBackups(t);
+  const db = await openDatabase(dbPath, t);
+  await insertReading(db, 'live');
+  await db.release(t);
+  backups.keep = 3;
+
+  const names = [];
+  for (const label of ['a', 'b', 'c', 'd']) {
+    names.push((await backups.createBackup({ label })).name);
+  }
+  assert.deepStrictEqual(backups.listBackups().map(info => info.name), names.slice(1).reverse());
+  assert.strictEqual(fs.existsSync(path.join(backups.backupDir, `${names[0]}.json`)), false);
+
+  // Too old, whatever the count; the newest stays even when it is old
+  const metadata = path.join(backups.backupDir, `${names[1]}.json`);
+  fs.writeFileSync(metadata, JSON.stringify({ ...JSON.parse(fs.readFileSync(metadata, 'utf8')), createdAt: '2020-01-01T00:00:00.000Z' }));
+  assert.deepStrictEqual(await backups.rotate(), [names[1]]);
+  backups.maxAgeDays = 0;
+  assert.deepStrictEqual(await backups.rotate(), [names[2]]);
+  assert.deepStrictEqual(backups.listBackups().map(info => info.name), [names[3]]);
+});
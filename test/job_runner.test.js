@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobRunner = require('../job_runner');
+
+function withRunner(t, task, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-runner-'));
+  const runner = new JobRunner('monitoring', task, { dbPath: path.join(dir, 'power_data.db'), jitterSeconds: 0, ...options });
+  t.mock.method(console, 'log', () => {});
+  t.after(async () => {
+    await runner.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return runner;
+}
+
+// A promise settled from outside
+function deferred() {
+  let resolve;
+  const promise = new Promise(settle => {
+    resolve = settle;
+  });
+  return { promise, resolve };
+}
+
+function loginFailure() {
+  const error = new Error('CAPTCHA rejected');
+  error.code = 'LOGIN_FAILED';
+  return error;
+}
+
+test('runs never overlap', async t => {
+  const started = deferred();
+  const finish = deferred();
+  const runner = withRunner(t, () => {
+    started.resolve();
+    return finish.promise;
+  });
+
+  const running = runner.run('manual');
+  assert.strictEqual(await runner.trigger(), null);
+  await assert.rejects(runner.run('manual'), { code: 'RUN_IN_PROGRESS' });
+  assert.strictEqual(runner.skipped.overlap, 1);
+  assert.strictEqual(runner.getState().running, true);
+
+  await started.promise;
+  finish.resolve([1, 2, 3]);
+  assert.deepStrictEqual(await running, [1, 2, 3]);
+  assert.strictEqual(runner.isRunning(), false);
+
+  const [run] = await runner.getRuns();
+  assert.deepStrictEqual([run.trigger, run.outcome, run.records], ['manual', 'success', 3]);
+});
+
+test('a manual run during the jitter delay starts and the scheduled one skips', async t => {
+  const triggers = [];
+  const release = deferred();
+  const runner = withRunner(t, async trigger => {
+    triggers.push(trigger);
+    await release.promise;
+    return [];
+  }, { jitterSeconds: 0.05 });
+  t.mock.method(Math, 'random', () => 1);
+
+  const scheduled = runner.trigger();
+  assert.strictEqual(runner.getState().waiting, true);
+  assert.strictEqual(await runner.trigger(), null); // a second tick while the first one waits
+  const manual = runner.run('manual');
+
+  // The manual run is still going when the delay ends
+  assert.strictEqual(await scheduled, null);
+  assert.strictEqual(runner.skipped.overlap, 2);
+  assert.strictEqual(runner.getState().waiting, false);
+  release.resolve();
+  assert.deepStrictEqual(await manual, []);
+  assert.deepStrictEqual(triggers, ['manual']);
+
+  assert.deepStrictEqual(await runner.trigger(), []);
+  assert.deepStrictEqual(triggers, ['manual', 'schedule']);
+});
+
+test('login failures back off exponentially up to the cap', async t => {
+  const runner = withRunner(t, async () => {
+    throw loginFailure();
+  }, { backoffBaseSeconds: 60, backoffMaxMinutes: 10 });
+
+  const random = t.mock.method(Math, 'random', () => 1);
+  assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map(failures => runner.getBackoffDelay(failures) / 1000), [60, 120, 240, 480, 600, 600]);
+  random.mock.mockImplementation(() => 0);
+  assert.strictEqual(runner.getBackoffDelay(3), 120 * 1000);
+  random.mock.restore();
+
+  await assert.rejects(runner.run('manual'), { code: 'LOGIN_FAILED' });
+  const first = runner.nextAttemptAt - Date.now();
+  assert.ok(first > 25 * 1000 && first <= 60 * 1000);
+  assert.strictEqual(await runner.trigger(), null);
+  assert.strictEqual(runner.skipped.backoff, 1);
+
+  // Manual runs ignore the backoff, and each failure doubles it
+  await assert.rejects(runner.run('manual'), { code: 'LOGIN_FAILED' });
+  await assert.rejects(runner.run('manual'), { code: 'LOGIN_FAILED' });
+  assert.strictEqual(runner.loginFailures, 3);
+  assert.ok(runner.nextAttemptAt - Date.now() > 115 * 1000);
+});
+
+test('the breaker opens after too many failures and closes after a good run', async t => {
+  let fail = true;
+  const runner = withRunner(t, async () => {
+    if (fail) throw new Error('portal down');
+    return [];
+  }, { breakerFailures: 3, breakerPauseMinutes: 30 });
+  t.mock.method(console, 'error', () => {});
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual(runner.getState().circuit, 'closed');
+    assert.strictEqual(await runner.trigger(), null);
+  }
+  assert.strictEqual(runner.getState().circuit, 'open');
+  assert.ok(runner.getState().pausedUntil > new Date(Date.now() + 29 * 60 * 1000).toISOString());
+  assert.strictEqual(runner.nextAttemptAt, null); // only login failures back off
+
+  assert.strictEqual(await runner.trigger(), null);
+  assert.strictEqual(runner.skipped.circuit_open, 1);
+
+  // After the pause one trial run goes; failing it reopens the breaker at once
+  runner.circuitOpenUntil = Date.now() - 1;
+  assert.strictEqual(await runner.trigger(), null);
+  assert.strictEqual(runner.getState().circuit, 'open');
+  assert.strictEqual(runner.consecutiveFailures, 4);
+
+  runner.circuitOpenUntil = Date.now() - 1;
+  fail = false;
+  assert.deepStrictEqual(await runner.trigger(), []);
+  assert.deepStrictEqual([runner.getState().circuit, runner.consecutiveFailures, runner.getState().pausedUntil], ['closed', 0, null]);
+
+  const runs = await runner.getRuns();
+  assert.deepStrictEqual(runs.map(run => run.outcome), ['success', 'failure', 'failure', 'failure', 'failure']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MigrationRunner = require('../migrations');
+
+const MIGRATION_COUNT = fs.readdirSync(path.join(__dirname, '..', 'migrations')).filter(file => /^\d+_[\w-]+\.js$/.test(file)).length;
+
+function withRunner(t, directory = null) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-migrations-'));
+  const runner = new MigrationRunner(path.join(dir, 'power_data.db'), directory);
+  t.mock.method(console, 'log', () => {});
+  t.after(async () => {
+    await runner.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return runner;
+}
+
+// Tables, indexes and triggers other than the bookkeeping ones, with their SQL
+async function schema(runner) {
+  return runner.all(`
+    SELECT type, name, sql FROM sqlite_master
+    WHERE name NOT IN ('schema_version', 'sqlite_sequence') AND name NOT LIKE 'sqlite_autoindex%'
+    ORDER BY type, name
+  `);
+}
+
+function writeMigration(directory, file, up, down = '') {
+  fs.writeFileSync(path.join(directory, file), `module.exports = {
+  async up(db) { ${up} },
+  async down(db) { ${down} }
+};
+`);
+}
+
+test('every migration applies once and reverts cleanly', async t => {
+  const runner = withRunner(t);
+  const versions = Array.from({ length: MIGRATION_COUNT }, (_, index) => index + 1);
+
+  assert.deepStrictEqual(await runner.up(1), [1]);
+  const base = await schema(runner);
+  assert.deepStrictEqual(await runner.up(3), [2, 3]);
+  assert.strictEqual(await runner.getCurrentVersion(), 3);
+  assert.deepStrictEqual(await runner.up(), versions.slice(3));
+  assert.deepStrictEqual(await runner.up(), []);
+  const full = await schema(runner);
+  assert.ok((await runner.status()).every(migration => migration.applied && migration.appliedAt));
+
+  assert.deepStrictEqual(await runner.down(), [MIGRATION_COUNT]);
+  assert.deepStrictEqual(await runner.down(MIGRATION_COUNT - 2), versions.slice(1, -1).reverse());
+  assert.deepStrictEqual(await schema(runner), base);
+
+  // The raw readings are never dropped
+  await assert.rejects(runner.down(), /001_power_data.js \(down\) failed: power_data holds the raw readings/);
+  assert.strictEqual(await runner.getCurrentVersion(), 1);
+
+  // Down and up again leaves the same schema
+  assert.deepStrictEqual(await runner.up(), versions.slice(1));
+  assert.deepStrictEqual(await schema(runner), full);
+});
+
+test('a failing migration is rolled back and not recorded', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-migration-scripts-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  writeMigration(directory, '001_notes.js', "await db.run('CREATE TABLE notes (id INTEGER PRIMARY KEY)');", "await db.run('DROP TABLE notes');");
+  writeMigration(directory, '002_broken.js', "await db.run('CREATE TABLE half (id INTEGER)'); await db.run('INSERT INTO missing VALUES (1)');");
+  const runner = withRunner(t, directory);
+
+  await assert.rejects(runner.up(), /Migration 002_broken.js \(up\) failed: .*no such table: missing/);
+  assert.strictEqual(await runner.getCurrentVersion(), 1);
+  assert.deepStrictEqual((await schema(runner)).map(row => row.name), ['notes']);
+
+  // A script removed after it was applied can be seen but not reverted
+  fs.unlinkSync(path.join(directory, '002_broken.js'));
+  fs.renameSync(path.join(directory, '001_notes.js'), path.join(directory, '001_notes.js.off'));
+  assert.deepStrictEqual((await runner.status()).map(migration => [migration.version, migration.missing || false]), [[1, true]]);
+  await assert.rejects(runner.down(), /Migration 1 is applied but its script is missing/);
+});
+
+test('scripts need up and down and their own version', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-migration-scripts-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const runner = withRunner(t, directory);
+
+  writeMigration(directory, '001_one.js', '');
+  writeMigration(directory, '001_other.js', '');
+  assert.throws(() => runner.loadMigrations(), /Two migrations share version 1: 001_one.js, 001_other.js/);
+
+  fs.unlinkSync(path.join(directory, '001_other.js'));
+  fs.writeFileSync(path.join(directory, '002_half.js'), 'module.exports = { async up() {} };\n');
+  assert.throws(() => runner.loadMigrations(), /Migration 002_half.js must export up\(\) and down\(\)/);
+});
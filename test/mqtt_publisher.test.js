@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const MqttPublisher = require('../mqtt_publisher');
+
+// The parts of the monitor the publisher reads
+function fakeMonitor(readings = [], today = { value: 5.12345 }) {
+  return {
+    accounts: [{ id: 'flat-101', name: 'Flat 101' }],
+    on() {},
+    getLatestReadings: async () => readings,
+    dailyCalculator: {
+      getTodayConsumption: async (meterId, source, options) => {
+        assert.deepStrictEqual(options, { save: false });
+        if (today instanceof Error) throw today;
+        return today;
+      }
+    }
+  };
+}
+
+// A port nothing listens on
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+test('discovery configs describe one device per meter', () => {
+  const publisher = new MqttPublisher(fakeMonitor(), { topicPrefix: 'power/', discoveryPrefix: 'ha' });
+  const configs = publisher.getDiscoveryConfigs('flat-101');
+
+  assert.deepStrictEqual(configs.map(config => config.topic), [
+    'ha/binary_sensor/uppcl_flat-101_meter/grid/config',
+    'ha/binary_sensor/uppcl_flat-101_meter/dg/config',
+    'ha/sensor/uppcl_flat-101_meter/grid_energy/config',
+    'ha/sensor/uppcl_flat-101_meter/dg_energy/config',
+    'ha/sensor/uppcl_flat-101_meter/today_energy/config',
+    'ha/sensor/uppcl_flat-101_meter/balance/config'
+  ]);
+  const grid = configs[0].payload;
+  assert.strictEqual(grid.unique_id, 'uppcl_flat-101_grid');
+  assert.strictEqual(grid.state_topic, 'power/flat-101/state');
+  assert.strictEqual(grid.availability_topic, 'power/status');
+  assert.strictEqual(grid.device.name, 'UPPCL Flat 101');
+  assert.strictEqual(configs[2].payload.state_class, 'total_increasing');
+  assert.strictEqual(configs[2].payload.unit_of_measurement, 'kWh');
+
+  // Meter ids outside [a-zA-Z0-9_-] are made safe, and unknown meters are named by id
+  const [other] = publisher.getDiscoveryConfigs('tower b/12');
+  assert.strictEqual(other.payload.object_id, 'uppcl_tower_b_12_grid');
+  assert.strictEqual(other.payload.device.name, 'UPPCL tower b/12');
+});
+
+test('state collects the latest readings and today\'s consumption', async t => {
+  const readings = [
+    { category: 'availability', source: 'grid', status: 'online', timestamp: '2026-10-19T06:30:00.000Z' },
+    { category: 'availability', source: 'dg', status: 'offline', timestamp: '2026-10-19T06:29:00.000Z' },
+    { category: 'meter_reading', source: 'grid', consumption_value: 12345.6, timestamp: '2026-10-19T06:31:00.000Z' },
+    { category: 'meter_reading', source: 'dg', consumption_value: 321.5, timestamp: '2026-10-19T06:31:00.000Z' },
+    { category: 'balance', source: 'grid', consumption_value: 1234.56, timestamp: '2026-10-19T06:28:00.000Z' }
+  ];
+  const publisher = new MqttPublisher(fakeMonitor(readings));
+  assert.deepStrictEqual(await publisher.getState('flat-101'), {
+    grid: 'online',
+    dg: 'offline',
+    grid_kwh: 12345.6,
+    dg_kwh: 321.5,
+    today_kwh: 5.123,
+    balance: 1234.56,
+    timestamp: '2026-10-19T06:31:00.000Z'
+  });
+
+  t.mock.method(console, 'error', () => {});
+  const failing = new MqttPublisher(fakeMonitor([], new Error('no readings today')));
+  const state = await failing.getState('flat-101');
+  assert.strictEqual(state.today_kwh, null);
+  assert.strictEqual(state.timestamp, null);
+});
+
+test('a failed first connect is dropped so publishes don\'t pile up', async t => {
+  t.mock.method(console, 'error', () => {});
+  const url = `mqtt://127.0.0.1:${await closedPort()}`;
+  const publisher = new MqttPublisher(fakeMonitor(), { url, connectTimeoutMs: 200 });
+  t.after(() => publisher.close());
+
+  // Publishes during one attempt share it
+  const results = await Promise.allSettled([publisher.publish('uppcl/test', 'a'), publisher.publish('uppcl/test', 'b')]);
+  assert.deepStrictEqual(results.map(result => result.reason.message), [`Timed out connecting to ${url}`, `Timed out connecting to ${url}`]);
+  assert.strictEqual(publisher.client, null);
+  assert.strictEqual(publisher.connecting, null);
+
+  await assert.rejects(publisher.publishState('flat-101'), /Timed out connecting/);
+  assert.strictEqual(publisher.client, null);
+});
+
+test('publishes are dropped while the client is reconnecting', async () => {
+  const publisher = new MqttPublisher(fakeMonitor(), { url: 'mqtt://broker.invalid' });
+  publisher.client = {
+    connected: false,
+    publishAsync: () => assert.fail('queued while offline')
+  };
+  await assert.rejects(publisher.publish('uppcl/flat-101/state', {}), { code: 'MQTT_OFFLINE' });
+});
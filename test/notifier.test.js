@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Notifier = require('../notifier');
+const { openBackend } = require('../storage');
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+// Records every request; paths starting with /fail answer 500
+async function startStub(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(req.url.startsWith('/fail') ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: !req.url.startsWith('/fail') }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { requests, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+function withStorage(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-notifier-'));
+  const storage = openBackend('sqlite', { dbPath: path.join(dir, 'power_data.db') });
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  t.after(async () => {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createNotifier = config => {
+    const configPath = path.join(dir, `notifications-${fs.readdirSync(dir).length}.json`);
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return new Notifier({ configPath, storage });
+  };
+  return { storage, createNotifier };
+}
+
+function insert(storage, timestamp, category, fields) {
+  return storage.insertRecord({
+    meter_id: 'default',
+    timestamp,
+    category,
+    source: 'grid',
+    fingerprint: `${category}_${timestamp}`,
+    ...fields
+  });
+}
+
+test('every HTTP channel delivers to its endpoint and failures are reported', async t => {
+  const { requests, base } = await startStub(t);
+  const { createNotifier } = withStorage(t);
+  const notifier = createNotifier({
+    channels: [
+      { name: 'hook', type: 'webhook', url: `${base}/hook`, headers: { 'X-Key': 'secret' } },
+      { name: 'telegram', type: 'telegram', botToken: '123:abc', chatId: '42', apiBase: base },
+      { name: 'ntfy', type: 'ntfy', url: base, topic: 'uppcl power', token: 'tk' },
+      { name: 'email', type: 'email', smtp: { jsonTransport: true }, to: 'you@example.com' },
+      { name: 'broken', type: 'webhook', url: `${base}/fail` },
+      { name: 'off', type: 'webhook', url: `${base}/off`, enabled: false }
+    ],
+    rules: []
+  });
+
+  const results = await notifier.sendTest();
+  assert.deepStrictEqual(results.map(result => [result.channel, result.success]), [
+    ['hook', true], ['telegram', true], ['ntfy', true], ['email', true], ['broken', false]
+  ]);
+  assert.match(results[4].error, /HTTP 500/);
+  assert.deepStrictEqual(await notifier.sendTest('off'), [{ channel: 'off', success: false, error: 'Unknown or disabled channel' }]);
+
+  const [hook, telegram, ntfy] = requests;
+  assert.strictEqual(hook.url, '/hook');
+  assert.strictEqual(hook.headers['x-key'], 'secret');
+  assert.strictEqual(JSON.parse(hook.body).title, 'UPPCL monitor test notification');
+
+  assert.strictEqual(telegram.url, '/bot123:abc/sendMessage');
+  assert.strictEqual(JSON.parse(telegram.body).chat_id, '42');
+  assert.strictEqual(JSON.parse(telegram.body).disable_notification, true);
+
+  assert.strictEqual(ntfy.url, '/uppcl%20power');
+  assert.strictEqual(ntfy.headers.title, 'UPPCL monitor test notification');
+  assert.strictEqual(ntfy.headers.priority, '3');
+  assert.strictEqual(ntfy.headers.authorization, 'Bearer tk');
+  assert.match(ntfy.body, /^Test notification from the UPPCL power monitor via ntfy/);
+  assert.strictEqual(requests.length, 4);
+  await notifier.close();
+});
+
+test('rules fire once per cooldown and notify when they resolve', async t => {
+  const { requests, base } = await startStub(t);
+  const { storage, createNotifier } = withStorage(t);
+  const notifier = createNotifier({
+    channels: [{ name: 'hook', type: 'webhook', url: `${base}/hook` }],
+    rules: [
+      { id: 'grid-offline', type: 'grid_offline', minutes: 10, notifyResolved: true },
+      { id: 'low-balance', type: 'balance_below', amount: 200, severity: 'critical', meters: ['other'] },
+      { id: 'scraper-failing', type: 'scraper_failing', cycles: 2 }
+    ]
+  });
+
+  await insert(storage, minutesAgo(30), 'availability', { status: 'online' });
+  await insert(storage, minutesAgo(20), 'availability', { status: 'offline' });
+  await insert(storage, minutesAgo(1), 'availability', { status: 'offline' });
+  await insert(storage, minutesAgo(1), 'balance', { consumption_value: 50 });
+
+  const [offline] = await notifier.processCycle('default');
+  assert.strictEqual(offline.rule, 'grid-offline');
+  assert.strictEqual(offline.title, 'Grid supply offline');
+  assert.strictEqual(offline.value, 20);
+  assert.deepStrictEqual(await notifier.processCycle('default'), []);
+
+  // Only the scraper rule runs on failed cycles, and it needs two in a row
+  assert.deepStrictEqual(await notifier.processCycle('default', new Error('login failed')), []);
+  const [failing] = await notifier.processCycle('default', new Error('login failed'));
+  assert.strictEqual(failing.rule, 'scraper-failing');
+  assert.match(failing.message, /failed 2 cycles in a row: login failed/);
+
+  await insert(storage, new Date().toISOString(), 'availability', { status: 'online' });
+  const [restored] = await notifier.processCycle('default');
+  assert.strictEqual(restored.resolved, true);
+  assert.strictEqual(restored.severity, 'info');
+  assert.strictEqual(restored.title, 'Grid supply restored');
+
+  assert.deepStrictEqual(requests.map(request => JSON.parse(request.body).rule), ['grid-offline', 'scraper-failing', 'grid-offline']);
+  const log = await notifier.getRecentNotifications();
+  assert.deepStrictEqual(log.map(row => `${row.rule_id}/${row.state}`), ['grid-offline/resolved', 'scraper-failing/firing', 'grid-offline/firing']);
+  await notifier.close();
+});
+
+test('the cooldown survives a restart but failed deliveries do not start one', async t => {
+  const { requests, base } = await startStub(t);
+  const { storage, createNotifier } = withStorage(t);
+  const config = url => ({
+    channels: [{ name: 'hook', type: 'webhook', url }],
+    rules: [{ id: 'low-balance', type: 'balance_below', amount: 200, cooldownMinutes: 60 }]
+  });
+  await insert(storage, minutesAgo(1), 'balance', { consumption_value: 150 });
+
+  const failing = createNotifier(config(`${base}/fail`));
+  assert.deepStrictEqual(await failing.evaluate('default'), []);
+  await failing.close();
+
+  const first = createNotifier(config(`${base}/hook`));
+  const [sent] = await first.evaluate('default');
+  assert.strictEqual(sent.message, 'Prepaid balance is Rs. 150.00, below the Rs. 200 threshold');
+  await first.close();
+
+  const restarted = createNotifier(config(`${base}/hook`));
+  assert.deepStrictEqual(await restarted.evaluate('default'), []);
+  assert.strictEqual(requests.filter(request => request.url === '/hook').length, 1);
+
+  // Anomaly rules share the persisted cooldown
+  const anomalies = createNotifier({
+    channels: [{ name: 'hook', type: 'webhook', url: `${base}/hook` }],
+    rules: [{ id: 'meter-anomaly', type: 'anomaly', anomalyTypes: ['sudden_jump'] }]
+  });
+  const anomaly = { meterId: 'default', type: 'sudden_jump', severity: 'warning', value: 9, message: 'Jump of 9 kWh' };
+  assert.strictEqual((await anomalies.notifyAnomaly(anomaly)).length, 1);
+  assert.deepStrictEqual(await anomalies.notifyAnomaly(anomaly), []);
+  assert.deepStrictEqual(await anomalies.notifyAnomaly({ ...anomaly, type: 'flatline' }), []);
+
+  const [{ count }] = await storage.query('SELECT COUNT(*) AS count FROM notification_log WHERE success = 0');
+  assert.strictEqual(count, 1);
+  await restarted.close();
+  await anomalies.close();
+});
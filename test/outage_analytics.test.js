@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../database');
+const OutageAnalytics = require('../outage_analytics');
+
+test('an outage open at the end of a past range is judged by the readings up to that end', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-outages-'));
+  const dbPath = path.join(dir, 'power_data.db');
+  const analytics = new OutageAnalytics(dbPath);
+  const db = await openDatabase(dbPath, t);
+  t.after(async () => {
+    await analytics.close();
+    await db.release(t);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Offline from 10:00 through the end of the range at 11:00; back online the next day
+  const rows = [
+    ['2025-06-01T10:00:00.000Z', 'event', 'interruption'],
+    ['2025-06-01T10:15:00.000Z', 'availability', 'offline'],
+    ['2025-06-01T10:45:00.000Z', 'availability', 'offline'],
+    ['2025-06-02T08:00:00.000Z', 'event', 'restoration'],
+    ['2025-06-02T08:00:00.000Z', 'availability', 'online']
+  ];
+  for (const [timestamp, category, status] of rows) {
+    await db.run(
+      `INSERT INTO power_data (meter_id, timestamp, category, source, status, fingerprint) VALUES ('default', ?, ?, 'grid', ?, ?)`,
+      [timestamp, category, status, `${timestamp}_${category}`]
+    );
+  }
+
+  const end = new Date('2025-06-01T11:00:00.000Z');
+  const [outage] = await analytics.buildOutages('default', new Date('2025-06-01T09:00:00.000Z'), end);
+  assert.strictEqual(outage.ongoing, true);
+  assert.strictEqual(outage.endEstimated, false);
+  assert.strictEqual(outage.end.getTime(), end.getTime());
+  assert.strictEqual(outage.durationMinutes, 60);
+});
+
+test('days without readings have unknown supply and stay out of the totals', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-outages-'));
+  const dbPath = path.join(dir, 'power_data.db');
+  const analytics = new OutageAnalytics(dbPath);
+  const db = await openDatabase(dbPath, t);
+  t.after(async () => {
+    await analytics.close();
+    await db.release(t);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Readings on the 10th (with a two hour outage) and the 12th; the monitor was down on the 11th
+  const rows = [
+    ['2025-06-10T02:00:00.000Z', 'availability', 'online'],
+    ['2025-06-10T04:00:00.000Z', 'event', 'interruption'],
+    ['2025-06-10T05:00:00.000Z', 'availability', 'offline'],
+    ['2025-06-10T06:00:00.000Z', 'event', 'restoration'],
+    ['2025-06-10T06:00:00.000Z', 'availability', 'online'],
+    ['2025-06-12T02:00:00.000Z', 'availability', 'online']
+  ];
+  for (const [timestamp, category, status] of rows) {
+    await db.run(
+      `INSERT INTO power_data (meter_id, timestamp, category, source, status, fingerprint) VALUES ('default', ?, ?, 'grid', ?, ?)`,
+      [timestamp, category, status, `${timestamp}_${category}`]
+    );
+  }
+
+  const { start, end } = analytics.parseRange('2025-06-10', '2025-06-12');
+  const report = await analytics.analyzeMeter('default', start, end);
+  const [first, missing, last] = report.daily;
+  assert.deepStrictEqual([first.supplyHours, first.outageHours, first.hasData], [22, 2, true]);
+  assert.deepStrictEqual([missing.supplyHours, missing.outageHours, missing.availabilityPercent, missing.hasData], [null, null, null, false]);
+  assert.strictEqual(last.supplyHours, 24);
+
+  assert.strictEqual(report.summary.coveredHours, 48);
+  assert.strictEqual(report.summary.supplyHours, 46);
+  assert.strictEqual(report.summary.availabilityPercent, 95.83);
+
+  const [month] = report.monthly;
+  assert.deepStrictEqual([month.days, month.daysWithData, month.hours, month.supplyHours, month.avgSupplyHoursPerDay], [3, 2, 48, 46, 23]);
+
+  const unmonitored = await analytics.analyzeMeter('nobody', start, end);
+  assert.strictEqual(unmonitored.summary.supplyHours, null);
+  assert.strictEqual(unmonitored.monthly[0].avgSupplyHoursPerDay, null);
+});
+
+test('report ranges are capped', () => {
+  const analytics = new OutageAnalytics(null, {});
+  assert.doesNotThrow(() => analytics.parseRange('2024-01-01', '2024-12-31'));
+  assert.throws(() => analytics.parseRange('2023-01-01', '2024-12-31'), /longer than 366 days/);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PowerDataExtractor = require('../power_data_extractor');
+
+// A saved dashboard page, read as if it were scraped at noon IST on 19 Oct 2026
+const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'dashboard.html'), 'utf8');
+const now = new Date('2026-10-19T06:30:00Z');
+process.env.TIMEZONE = 'Asia/Kolkata';
+
+function extract() {
+  return new PowerDataExtractor().extract(PowerDataExtractor.htmlToSnapshot(html), now);
+}
+
+function find(records, predicate) {
+  return records.filter(predicate).map(record => record.value);
+}
+
+test('snapshot text leaves out scripts and styles', () => {
+  const snapshot = PowerDataExtractor.htmlToSnapshot(html);
+  assert.ok(snapshot.text.includes('Grid:166.00 KWH'));
+  assert.ok(!snapshot.text.includes('refreshSeconds'));
+  assert.ok(!snapshot.text.includes('9.99'));
+  assert.strictEqual(snapshot.images.length, 2);
+});
+
+test('LEDs give grid and DG availability', () => {
+  const records = extract();
+  const grid = records.find(record => record.rule === 'grid_led');
+  const dg = records.find(record => record.rule === 'dg_led');
+  assert.strictEqual(grid.status, 'online');
+  assert.strictEqual(dg.status, 'offline');
+});
+
+test('current and previous month totals', () => {
+  const records = extract();
+  assert.deepStrictEqual(find(records, r => r.source === 'grid' && r.period === 'current_month' && r.category === 'consumption'), [166]);
+  assert.deepStrictEqual(find(records, r => r.source === 'grid' && r.period === 'previous_month'), [267]);
+});
+
+test('named months are read from the previous month to the next', () => {
+  const records = extract();
+  assert.deepStrictEqual(find(records, r => r.period === 'september_2026'), [298.25]);
+  assert.deepStrictEqual(find(records, r => r.period === 'october_2026'), [166]);
+  assert.deepStrictEqual(find(records, r => r.period === 'august_2026'), []);
+});
+
+test('today ignores the month totals and whole numbers', () => {
+  const today = find(extract(), r => r.source === 'grid' && r.period === 'today');
+  assert.ok(today.length > 0);
+  for (const value of today) {
+    assert.strictEqual(value, 5.13);
+  }
+  for (const ignored of [166, 267, 4]) {
+    assert.ok(!today.includes(ignored), `${ignored} taken as today's consumption`);
+  }
+});
+
+test('meter readings, balances and charges', () => {
+  const records = extract();
+  const value = (source, category) => find(records, r => r.source === source && r.category === category);
+  assert.deepStrictEqual(value('grid', 'meter_reading'), [12345.6]);
+  assert.deepStrictEqual(value('dg', 'meter_reading'), [321.5]);
+  assert.deepStrictEqual(value('grid', 'balance'), [1234.56]);
+  assert.deepStrictEqual(value('dg', 'balance'), [250]);
+  assert.deepStrictEqual(value('dg', 'charges'), [42]);
+});
+
+test('a broken rules edit keeps the last good rules until the file changes again', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-rules-'));
+  const rulesPath = path.join(dir, 'extraction_rules.json');
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const write = (content, seconds) => {
+    fs.writeFileSync(rulesPath, content);
+    fs.utimesSync(rulesPath, seconds, seconds);
+  };
+  const rules = fs.readFileSync(path.join(__dirname, '..', 'config', 'extraction_rules.json'), 'utf8');
+  const extractor = new PowerDataExtractor(rulesPath);
+
+  write(rules, 1000);
+  extractor.loadRulesIfChanged();
+  const loaded = extractor.rules;
+  assert.ok(loaded.length > 0);
+
+  write('{ "version": "broken", "rules": [', 2000);
+  const parse = t.mock.method(JSON, 'parse');
+  extractor.loadRulesIfChanged();
+  extractor.loadRulesIfChanged();
+  assert.strictEqual(parse.mock.callCount(), 1);
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.strictEqual(extractor.rules, loaded);
+  assert.ok(extractor.extract(PowerDataExtractor.htmlToSnapshot(html), now).some(record => record.rule === 'grid_led'));
+  parse.mock.restore();
+
+  write(rules, 3000);
+  extractor.loadRulesIfChanged();
+  assert.notStrictEqual(extractor.rules, loaded);
+  assert.strictEqual(extractor.rules.length, loaded.length);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, openBackend } = require('../storage');
+const { runConformance } = require('../storage/conformance');
+const BalanceForecaster = require('../balance_forecaster');
+const AnomalyDetector = require('../anomaly_detector');
+const Notifier = require('../notifier');
+const OutageAnalytics = require('../outage_analytics');
+const ConsumptionRollups = require('../consumption_rollups');
+const DataRetention = require('../data_retention');
+const timezone = require('../timezone');
+
+const MODULE_METER = '__module_check__';
+const MODULE_TABLES = ['anomalies', 'notification_log', 'monthly_consumption', 'billing_cycle', 'power_data_hourly'];
+
+// The conformance checks build on each other, so they run in order and report one subtest each
+async function checkBackend(t, storage) {
+  try {
+    const results = await runConformance(storage);
+    for (const result of results) {
+      await t.test(result.name, () => assert.ok(result.passed, result.error));
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+async function clearModuleMeter(storage) {
+  await storage.deleteMeter(MODULE_METER);
+  for (const table of MODULE_TABLES) {
+    await storage.execute(`DELETE FROM ${table} WHERE meter_id = ?`, [MODULE_METER]);
+  }
+}
+
+// The analytics modules on one backend, through the storage they're given, under a scratch meter
+async function checkModules(t, storage) {
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const insert = (timestamp, category, values) => storage.insertRecord({
+    meter_id: MODULE_METER,
+    timestamp,
+    category,
+    source: 'grid',
+    fingerprint: `${MODULE_METER}_${timestamp}_${category}_${values.status || values.consumption_value}`,
+    ...values
+  });
+
+  await clearModuleMeter(storage);
+  t.after(async () => {
+    await clearModuleMeter(storage);
+    await storage.close();
+  });
+
+  for (const [hours, balance] of [[10, 500], [5, 480], [2, 700], [1, 690]]) {
+    await insert(hoursAgo(hours), 'balance', { consumption_value: balance, consumption_unit: 'INR' });
+  }
+  await insert(hoursAgo(6), 'meter_reading', { consumption_value: 100 });
+  await insert(hoursAgo(3), 'meter_reading', { consumption_value: 99 });
+  await insert(hoursAgo(3), 'availability', { status: 'online' });
+  const offlineSince = hoursAgo(2);
+  await insert(offlineSince, 'availability', { status: 'offline' });
+  await insert(hoursAgo(1), 'availability', { status: 'offline' });
+  await storage.insertEvent({ meterId: MODULE_METER, timestamp: hoursAgo(3.5), type: 'interruption', fingerprint: `${MODULE_METER}_interruption` });
+  await storage.insertEvent({ meterId: MODULE_METER, timestamp: hoursAgo(3), type: 'restoration', fingerprint: `${MODULE_METER}_restoration` });
+
+  await t.test('balance forecaster records recharges once', async () => {
+    const forecaster = new BalanceForecaster(null, storage);
+    assert.strictEqual(await forecaster.detectRecharges(MODULE_METER), 1);
+    assert.strictEqual(await forecaster.detectRecharges(MODULE_METER), 0);
+    const [recharge] = await forecaster.getRecharges(MODULE_METER);
+    assert.strictEqual(recharge.amount, 220);
+    assert.strictEqual(recharge.newBalance, 700);
+    assert.strictEqual((await forecaster.forecast(MODULE_METER)).balance, 690);
+    await forecaster.close();
+  });
+
+  await t.test('anomaly detector stores each anomaly once', async () => {
+    const detector = new AnomalyDetector(null, storage);
+    const found = await detector.checkReadings(MODULE_METER);
+    assert.deepStrictEqual(found.map(anomaly => anomaly.type), ['register_rollback']);
+    assert.deepStrictEqual(await detector.checkReadings(MODULE_METER), []);
+    const [stored] = await detector.getAnomalies({ meterId: MODULE_METER });
+    assert.strictEqual(stored.expected, 100);
+    assert.strictEqual(stored.details.deltaKwh, -1);
+    await detector.close();
+  });
+
+  await t.test('notifier logs deliveries and finds the current outage', async () => {
+    const notifier = new Notifier({ storage, configPath: path.join(os.tmpdir(), 'uppcl-no-notifications.json') });
+    const timestamp = hoursAgo(0.5);
+    await notifier.logDelivery({ timestamp, meterId: MODULE_METER, rule: 'grid', resolved: false, title: 'Grid offline', message: 'test' }, 'stub', null);
+    assert.strictEqual((await notifier.getLastSentAt('grid', MODULE_METER)).toISOString(), timestamp);
+    assert.deepStrictEqual(await notifier.getGridOutage(MODULE_METER), { status: 'offline', offlineSince });
+    await notifier.close();
+  });
+
+  await t.test('outage analytics pairs events', async () => {
+    const analytics = new OutageAnalytics(null, storage);
+    const report = await analytics.analyzeMeter(MODULE_METER, new Date(hoursAgo(4)), new Date());
+    assert.strictEqual(report.summary.outageCount, 1);
+    assert.strictEqual(Math.round(report.outages[0].durationMinutes), 30);
+    await analytics.close();
+  });
+
+  await t.test('rollups are upserted per meter and period', async () => {
+    const rollups = new ConsumptionRollups(null, storage);
+    const today = timezone.getDateString();
+    await storage.saveDailyConsumption({ meter_id: MODULE_METER, source: 'grid', date: today, calculated_consumption: 4 });
+    assert.strictEqual(await rollups.refresh(MODULE_METER, 'monthly', 1), 1);
+    assert.strictEqual(await rollups.refresh(MODULE_METER, 'monthly', 1), 1);
+    const [month] = await rollups.getRollups(MODULE_METER, 'monthly', 1);
+    assert.strictEqual(month.gridKwh, 4);
+    assert.strictEqual(month.isComplete, false);
+    const [{ count }] = await storage.query('SELECT COUNT(*) AS count FROM monthly_consumption WHERE meter_id = ?', [MODULE_METER]);
+    assert.strictEqual(Number(count), 1);
+    await rollups.close();
+  });
+
+  await t.test('retention compacts old readings into hourly rows', async () => {
+    const retention = new DataRetention(null, storage);
+    await insert('2020-01-01T10:05:00.000Z', 'meter_reading', { consumption_value: 10 });
+    await insert('2020-01-01T10:35:00.000Z', 'meter_reading', { consumption_value: 11 });
+    const result = await retention.compactRange(new Date('2020-01-01T10:00:00.000Z'), new Date('2020-01-01T11:00:00.000Z'));
+    assert.deepStrictEqual(result, { hours: 1, deleted: 2 });
+    const [hour] = await retention.getHourlyHistory({ meterId: MODULE_METER });
+    assert.strictEqual(hour.timestamp, '2020-01-01T10:35:00.000Z');
+    assert.strictEqual(hour.consumption_value, 11);
+    assert.strictEqual(JSON.parse(hour.metadata).samples, 2);
+    await retention.close();
+  });
+}
+
+test('SQLite backend meets the storage contract', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  await checkBackend(t, openBackend('sqlite', { dbPath: path.join(dir, 'power_data.db') }));
+});
+
+test('PostgreSQL backend meets the storage contract', { skip: !process.env.DATABASE_URL && 'DATABASE_URL is not set' }, async t => {
+  await checkBackend(t, openBackend(process.env.TIMESCALEDB === 'true' ? 'timescaledb' : 'postgres'));
+});
+
+test('the analytics modules work on SQLite', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  await checkModules(t, openBackend('sqlite', { dbPath: path.join(dir, 'power_data.db') }));
+});
+
+test('the analytics modules work on PostgreSQL', { skip: !process.env.DATABASE_URL && 'DATABASE_URL is not set' }, async t => {
+  await checkModules(t, openBackend(process.env.TIMESCALEDB === 'true' ? 'timescaledb' : 'postgres'));
+});
+
+test('STORAGE_BACKEND picks the backend', () => {
+  assert.strictEqual(createStorage({ backend: 'sqlite' }).backend, 'sqlite');
+  assert.strictEqual(createStorage({ backend: 'postgres', url: 'postgres://localhost/uppcl' }).backend, 'postgres');
+  assert.strictEqual(createStorage({ backend: 'timescaledb', url: 'postgres://localhost/uppcl' }).timescale, true);
+  assert.throws(() => createStorage({ backend: 'mysql' }), /Unknown STORAGE_BACKEND/);
+});
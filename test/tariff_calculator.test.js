@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TariffCalculator = require('../tariff_calculator');
+
+// An older flat tariff replaced by a slabbed one on 1 April 2024
+const TARIFFS = {
+  currency: 'INR',
+  tariffs: [
+    {
+      name: 'slabbed',
+      effectiveFrom: '2024-04-01',
+      slabs: [{ upTo: 100, rate: 3 }, { upTo: 300, rate: 5 }, { upTo: null, rate: 7 }],
+      fixedCharge: { perKwPerMonth: 110, sanctionedLoadKw: 2 },
+      demandCharge: { perKwPerMonth: 50, contractDemandKw: 1 },
+      electricityDutyPercent: 5,
+      dgRate: 20
+    },
+    {
+      name: 'flat',
+      effectiveFrom: '2023-04-01',
+      effectiveTo: '2024-03-31',
+      slabs: [{ upTo: null, rate: 4 }]
+    }
+  ]
+};
+
+function withTariffs(t, config = TARIFFS) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uppcl-tariff-'));
+  const tariffPath = path.join(dir, 'tariff.json');
+  fs.writeFileSync(tariffPath, JSON.stringify(config));
+  const calculator = new TariffCalculator(path.join(dir, 'power_data.db'), tariffPath);
+  t.after(async () => {
+    await calculator.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return calculator;
+}
+
+test('the tariff in force follows the effective dates', t => {
+  const calculator = withTariffs(t);
+  assert.strictEqual(calculator.getTariff('2024-03-31').name, 'flat');
+  assert.strictEqual(calculator.getTariff('2024-04-01').name, 'slabbed');
+  assert.strictEqual(calculator.getTariff('2030-01-01').name, 'slabbed');
+  assert.throws(() => calculator.getTariff('2023-03-31'), /No tariff configured for 2023-03-31/);
+});
+
+test('units are charged slab by slab', t => {
+  const calculator = withTariffs(t);
+  const tariff = calculator.getTariff('2024-06-01');
+
+  const { total, slabs } = calculator.calculateEnergyCharge(350, tariff);
+  assert.strictEqual(total, 100 * 3 + 200 * 5 + 50 * 7);
+  assert.deepStrictEqual(slabs.map(slab => [slab.from, slab.upTo, slab.units]), [[0, 100, 100], [100, 300, 200], [300, null, 50]]);
+
+  assert.deepStrictEqual(calculator.calculateEnergyCharge(100, tariff).slabs.map(slab => slab.units), [100]);
+  assert.strictEqual(calculator.calculateEnergyCharge(0, tariff).total, 0);
+  assert.strictEqual(calculator.calculateEnergyCharge(-5, tariff).total, 0);
+});
+
+test('a full month bill adds fixed, demand, duty and DG charges', t => {
+  const calculator = withTariffs(t);
+  const bill = calculator.calculateBill({ gridUnits: 150, dgUnits: 10, date: '2024-06-15' });
+
+  assert.strictEqual(bill.tariff, 'slabbed');
+  assert.strictEqual(bill.energyCharge, 550);
+  assert.strictEqual(bill.fixedCharge, 220);
+  assert.strictEqual(bill.demandCharge, 50);
+  assert.strictEqual(bill.electricityDuty, 41);
+  assert.strictEqual(bill.dgCharge, 200);
+  assert.strictEqual(bill.total, 1061);
+});
+
+test('fixed and demand charges are prorated, energy is not', t => {
+  const calculator = withTariffs(t);
+  const bill = calculator.calculateBill({ gridUnits: 150, date: '2024-06-15', proration: 10 / 30 });
+
+  assert.strictEqual(bill.energyCharge, 550);
+  assert.strictEqual(bill.fixedCharge, 73.33);
+  assert.strictEqual(bill.demandCharge, 16.67);
+  assert.strictEqual(bill.electricityDuty, 32);
+  assert.strictEqual(bill.total, 672);
+});
+
+test('marginal cost prices extra units at the slabs they fall in', t => {
+  const calculator = withTariffs(t);
+  // 10 units at 3 and 10 at 5, plus 5% duty
+  assert.strictEqual(calculator.calculateMarginalCost(90, 20, '2024-06-15'), 84);
+  assert.strictEqual(calculator.calculateMarginalCost(400, 10, '2024-06-15'), 73.5);
+  assert.strictEqual(calculator.calculateMarginalCost(0, 0, '2024-06-15', 2), 40);
+  assert.strictEqual(calculator.calculateMarginalCost(90, 20, '2024-01-15'), 80);
+});
+
+test('tariff files without slabs are rejected', t => {
+  const calculator = withTariffs(t, { tariffs: [{ name: 'broken', effectiveFrom: '2024-01-01', slabs: [] }] });
+  assert.throws(() => calculator.loadTariffs(), /"broken" needs effectiveFrom and slabs/);
+});
@@ -0,0 +1,105 @@
+/**
+ * Timezone helpers
+ * Day, month and midnight boundaries in the configured local timezone
+ * (TIMEZONE, default Asia/Kolkata) rather than the server's clock or UTC
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getTimezone() {
+  return process.env.TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock parts of an instant in the timezone
+function getZonedParts(date = new Date(), timeZone = getTimezone()) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  });
+  return parts;
+}
+
+// Minutes the timezone is ahead of UTC at an instant (330 for IST)
+function getOffsetMinutes(date = new Date(), timeZone = getTimezone()) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Local calendar date (YYYY-MM-DD) of an instant
+function getDateString(date = new Date(), timeZone = getTimezone()) {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+// Local month (YYYY-MM) of an instant
+function getMonthString(date = new Date(), timeZone = getTimezone()) {
+  return getDateString(date, timeZone).substring(0, 7);
+}
+
+// The instant a local date/time occurs; `time` is HH:MM[:SS[.mmm]]
+function zonedTimeToDate(dateStr, time = '00:00:00', timeZone = getTimezone()) {
+  const [hour = 0, minute = 0, second = 0] = time.split(':').map(Number);
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, 0) + second * 1000;
+
+  // Correct twice so the offset used is the one in force at the result (DST-safe)
+  let instant = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+  instant = wallClock - getOffsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
+// Local midnight starting a date
+function getMidnight(dateStr, timeZone = getTimezone()) {
+  return zonedTimeToDate(dateStr, '00:00:00', timeZone);
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+// Local date N days before today
+function daysAgo(days, timeZone = getTimezone()) {
+  return addDays(getDateString(new Date(), timeZone), -days);
+}
+
+// Number of days in a YYYY-MM or YYYY-MM-DD month
+function getDaysInMonth(monthStr) {
+  const [year, month] = monthStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getTimezone,
+  getZonedParts,
+  getOffsetMinutes,
+  getDateString,
+  getMonthString,
+  zonedTimeToDate,
+  getMidnight,
+  addDays,
+  daysAgo,
+  getDaysInMonth
+};